@@ -36,7 +36,14 @@ module.exports = {
       script: 'src/worker.js',
       cwd: __dirname,
       watch: false,
+      // WHY fork mode: each instance is an independent poller, not a load-balanced
+      // server. claimStep() keeps instances from picking up the same step.
+      // Per-instance concurrency is WORKER_CONCURRENCY / WORKER_MEMORY_BUDGET_MB.
+      exec_mode: 'fork',
+      instances: parseInt(process.env.WORKER_INSTANCES || '1', 10),
       max_memory_restart: '300M',
+      // Give in-flight steps a chance to finish on restart (pool drain)
+      kill_timeout: 60000,
       env: {
         NODE_ENV: 'production'
       },
@@ -0,0 +1,92 @@
+// eval_critique.js — Calibrate self-critique scores against the founder's golden set
+// Critiques every deliverable in evals/critique/golden.json with the production
+// critique prompt and tier, prints founder vs model scores, correlation and bias,
+// and what the autonomy policy would decide at the given thresholds.
+// Founder feedback on delivered steps (👍/👎, !feedback) is added to the golden
+// set unless --golden-only is passed. The shipped golden.json is a seed set with
+// placeholder scores: it runs, but the gate needs founder-scored items to pass.
+// The run is stored in critique_eval_runs; --apply then changes the policy
+// thresholds (only possible when the run passed).
+//
+// Run: node scripts/eval_critique.js                      (current policy thresholds)
+//      node scripts/eval_critique.js --auto 4.5 --qa 3.5  (evaluate candidate thresholds)
+//      node scripts/eval_critique.js --auto 4.5 --qa 3.5 --apply
+//      node scripts/eval_critique.js --golden ./my_golden.json
+//      node scripts/eval_critique.js --golden-only            (skip founder feedback)
+// Exits 1 when the eval fails its gate.
+
+require('dotenv').config();
+const critiqueEval = require('../src/lib/critique_eval');
+const autonomy = require('../src/lib/autonomy');
+
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  return i === -1 ? null : process.argv[i + 1];
+}
+
+function fmt(value) {
+  return value === null || value === undefined ? '  —' : Number(value).toFixed(1).padStart(3);
+}
+
+// Feedback items may carry only a 👍/👎 instead of a score
+function fmtFounder(result) {
+  if (result.founderScore === null && result.sentiment) return result.sentiment === 'positive' ? ' 👍' : ' 👎';
+  return fmt(result.founderScore);
+}
+
+async function main() {
+  const policy = await autonomy.getPolicy();
+  const thresholds = {
+    autoApproveThreshold: Number(argValue('--auto') ?? policy?.auto_approve_threshold ?? 4.0),
+    qaOnlyThreshold: Number(argValue('--qa') ?? policy?.qa_only_threshold ?? 3.0)
+  };
+
+  console.log('='.repeat(60));
+  console.log(`Critique calibration (fingerprint ${critiqueEval.critiqueFingerprint()})`);
+  console.log(`Thresholds: auto-approve ≥ ${thresholds.autoApproveThreshold}, QA-only ≥ ${thresholds.qaOnlyThreshold}`);
+  console.log('='.repeat(60) + '\n');
+
+  const { run, results, stats, gate, error } = await critiqueEval.runEval({
+    thresholds,
+    goldenPath: argValue('--golden') || critiqueEval.DEFAULT_GOLDEN_PATH,
+    includeFeedback: !process.argv.includes('--golden-only')
+  });
+  if (error) {
+    console.error(`Eval failed to start: ${error}`);
+    process.exit(1);
+  }
+
+  console.log('  founder  model  item');
+  for (const r of results) {
+    console.log(`    ${fmtFounder(r)}    ${fmt(r.modelScore)}  ${r.id}${r.error ? `  (${r.error})` : ''}`);
+  }
+
+  console.log(`\n  Scored: ${stats.n}/${results.length}, ${stats.founderScored} founder-scored`);
+  console.log(`  Pearson r: ${stats.pearson}   Spearman ρ: ${stats.spearman}`);
+  console.log(`  Bias (model − founder): ${stats.bias > 0 ? '+' : ''}${stats.bias}   Mean abs error: ${stats.mae}`);
+  if (stats.decisions) {
+    const d = stats.decisions;
+    console.log(`  Review decisions: ${d.agreement}/${stats.n} agree, ${d.falseAutoApprovals} false auto-approvals, ` +
+      `${d.underReviewed} under-reviewed, ${d.overReviewed} over-reviewed`);
+  }
+  if (stats.sentiment?.n > 0) {
+    const f = stats.sentiment;
+    console.log(`  👍/👎 feedback: ${f.n} steps, ${f.falseAutoApprovals} 👎 the model would auto-approve, ` +
+      `${f.overReviewed} 👍 it would send to full review`);
+  }
+
+  console.log(`\n  ${gate.passed ? '✓ PASSED' : '✗ FAILED'}${run ? ` (run #${run.id})` : ' (run not saved)'}`);
+  for (const failure of gate.failures) console.log(`    - ${failure}`);
+
+  if (process.argv.includes('--apply')) {
+    const applied = await autonomy.updateThresholds(thresholds);
+    console.log(applied.error ? `\n  Thresholds not changed: ${applied.error}` : `\n  Autonomy thresholds updated (eval run #${applied.evalRunId}).`);
+  }
+
+  process.exit(gate.passed ? 0 : 1);
+}
+
+main().catch(err => {
+  console.error('[eval_critique] Fatal error:', err);
+  process.exit(1);
+});
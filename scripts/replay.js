@@ -0,0 +1,104 @@
+// replay.js — Push one founder message through the whole loop in dry-run mode
+// Classification → Frasier → proposal → mission/steps (or decomposition) →
+// worker pipeline → QA/team-lead review → completion, with no network, no LLM
+// spend and no Supabase writes. Prints the trace and the final mission state.
+//
+// Run: node scripts/replay.js "Research the top 5 CRM tools for solopreneurs"
+//      node scripts/replay.js --verbose "Build me a real estate AI agent"
+//      FRASIER_DRY_RUN_SCENARIO=./my_scenario.json node scripts/replay.js "..."
+
+// Must be set before anything under src/ is required (supabase.js reads them on load)
+process.env.FRASIER_DRY_RUN = '1';
+process.env.FRASIER_REPLAY = '1';
+
+const MAX_ROUNDS = 30;
+const TERMINAL = ['completed', 'failed', 'cancelled'];
+
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+const text = args.filter(a => a !== '--verbose').join(' ').trim();
+
+if (!text) {
+  console.error('Usage: node scripts/replay.js [--verbose] "<founder message>"');
+  process.exit(1);
+}
+
+// Library chatter drowns out the trace; errors still print
+const log = console.log;
+if (!verbose) console.log = () => {};
+
+const dryRun = require('../src/lib/dry_run');
+const supabase = require('../src/lib/supabase');
+const discordBot = require('../src/discord_bot');
+const heartbeat = require('../src/heartbeat');
+const worker = require('../src/worker');
+
+async function rows(table) {
+  return supabase.__getData(table);
+}
+
+async function isSettled() {
+  const proposals = (await rows('mission_proposals')).filter(p => p.status === 'pending');
+  const missionRows = await rows('missions');
+  return proposals.length === 0 && missionRows.every(m => TERMINAL.includes(m.status));
+}
+
+async function runRound() {
+  await heartbeat.processProposals();
+  await heartbeat.processApprovedHires();
+
+  await worker.processNextStep();
+  await worker.pool.drain();
+
+  // Reviews run one per call — work through everything queued this round
+  const pendingReviews = (await rows('approval_chain')).filter(r => r.status === 'pending').length;
+  for (let i = 0; i < Math.max(1, pendingReviews); i++) {
+    await worker.processNextReview();
+  }
+
+  await heartbeat.processApprovals();
+  await heartbeat.checkMissions();
+  await heartbeat.checkStalledProjects();
+}
+
+async function main() {
+  const message = dryRun.createFakeMessage(text);
+  dryRun.record('founder', 'message', text);
+
+  const classification = await discordBot.classifyMessage(text, message.id);
+  await discordBot.handleFrasierMessage(message, text, classification);
+
+  let round = 0;
+  while (round < MAX_ROUNDS) {
+    round++;
+    await runRound();
+    if (await isSettled()) break;
+  }
+
+  log('='.repeat(60));
+  log(`Dry-run replay: "${text}"`);
+  log('='.repeat(60));
+  log(dryRun.formatTrace());
+  log('');
+  log(`Classification: ${classification.classification} (${classification.confidence})`);
+  log(`Rounds: ${round}${round === MAX_ROUNDS ? ' (cap reached — loop did not settle)' : ''}`);
+
+  for (const mission of await rows('missions')) {
+    log(`\nMission #${mission.id} [${mission.status}] ${mission.title}`);
+    const steps = (await rows('mission_steps')).filter(s => s.mission_id === mission.id);
+    for (const step of steps.sort((a, b) => a.step_order - b.step_order)) {
+      log(`  Step #${step.id} [${step.status}] ${String(step.description || '').replace(/\s+/g, ' ').substring(0, 70)}`);
+    }
+  }
+
+  const usage = await rows('model_usage');
+  const cost = usage.reduce((sum, u) => sum + (Number(u.estimated_cost_usd) || 0), 0);
+  log(`\nLLM calls: ${usage.length} (simulated cost $${cost.toFixed(4)})`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error('[replay] Fatal error:', err);
+    process.exit(1);
+  });
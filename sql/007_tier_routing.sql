@@ -0,0 +1,34 @@
+-- 007_tier_routing.sql — Policy-driven tier routing
+-- WHY: Tier keyword lists were hardcoded in models.js, so changing routing meant a
+-- deploy. Rules now live in the policy table (versioned, cached 5 min by policy.js)
+-- and are edited from Discord via !routing. See src/lib/routing.js.
+--
+-- rules shape:
+--   tier2_keywords / tier3_keywords — substring matches on the task description
+--   role_overrides    — { "<role substring>": "tierN" }
+--   project_min_tiers — { "<project_id>": "tierN" }  (floor)
+--   agent_ceilings    — { "<agent_id>": "tierN" }    (hard cap, applied last)
+
+INSERT INTO policy (policy_type, name, rules)
+SELECT 'tier_routing', 'Tier Routing Rules', '{
+  "tier2_keywords": [
+    "strategy", "analysis", "architecture", "financial", "research",
+    "deep dive", "multi-step", "persona generation", "competitive",
+    "business plan", "market analysis", "code review", "security audit",
+    "long-form", "comprehensive", "detailed report",
+    "requirements", "specification",
+    "go-to-market", "pricing model", "revenue model",
+    "technical design", "system design"
+  ],
+  "tier3_keywords": [
+    "product requirements", "product specification", "design document",
+    "final deliverable", "executive report", "project plan",
+    "product roadmap", "business case", "investment memo"
+  ],
+  "role_overrides": {},
+  "project_min_tiers": {},
+  "agent_ceilings": {}
+}'::jsonb
+WHERE NOT EXISTS (
+  SELECT 1 FROM policy WHERE policy_type = 'tier_routing'
+);
@@ -0,0 +1,31 @@
+-- 008_budget_guard.sql — Hard LLM spend limits
+-- WHY: The cost_alert policy only notifies after the money is spent. The budget
+-- policy is enforced inside callLLM() before each request (see src/lib/budget.js).
+-- Edit from Discord with !budget.
+--
+-- rules:
+--   daily_limit_usd        — all LLM spend since local midnight (null = unlimited)
+--   mission_limit_usd      — lifetime spend per mission (null = unlimited)
+--   agent_daily_limit_usd  — per-agent spend since midnight (null = unlimited)
+--   on_breach              — downgrade | block | refuse
+--   expected_output_tokens — pre-call output estimate used for the projection
+
+INSERT INTO policy (policy_type, name, rules)
+SELECT 'budget', 'LLM Budget Guard', '{
+  "enabled": true,
+  "daily_limit_usd": 15,
+  "mission_limit_usd": 5,
+  "agent_daily_limit_usd": null,
+  "on_breach": "downgrade",
+  "expected_output_tokens": 2000
+}'::jsonb
+WHERE NOT EXISTS (
+  SELECT 1 FROM policy WHERE policy_type = 'budget'
+);
+
+-- Per-mission spend sums model_usage by step id
+CREATE INDEX IF NOT EXISTS idx_model_usage_step ON model_usage(mission_step_id);
+
+-- budget_blocked steps are polled by heartbeat every tick
+CREATE INDEX IF NOT EXISTS idx_mission_steps_budget_blocked
+  ON mission_steps(status) WHERE status = 'budget_blocked';
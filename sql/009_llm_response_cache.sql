@@ -0,0 +1,24 @@
+-- 009_llm_response_cache.sql — Content-addressed cache for deterministic LLM calls
+-- WHY: Classification, Linear title polish and plan feasibility checks re-run on
+-- identical input after retries and restarts. callLLM({ cache: true }) looks here
+-- first; hits are logged to model_usage at $0 with metadata.cacheHit/savedUsd so
+-- !costs can show the savings. Expired rows are pruned daily by heartbeat.
+
+CREATE TABLE IF NOT EXISTS llm_response_cache (
+  cache_key TEXT PRIMARY KEY,          -- sha256(provider + model + system prompt + user message)
+  model_name TEXT NOT NULL,
+  model_tier TEXT NOT NULL,
+  content TEXT NOT NULL,
+  usage JSONB,                         -- original token usage (for savings math)
+  hit_count INT DEFAULT 0,
+  last_hit_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_response_cache_expires ON llm_response_cache(expires_at);
+
+ALTER TABLE llm_response_cache ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "service_role_llm_response_cache" ON llm_response_cache
+  FOR ALL TO service_role USING (true) WITH CHECK (true);
@@ -0,0 +1,19 @@
+-- 010_memory_embeddings.sql — Embeddings for semantic memory retrieval
+-- WHY: Topic retrieval only matched exact strings in topic_tags, so a memory about
+-- "pricing" never surfaced for a task about "monetization". memory.saveMemory(),
+-- saveLesson() and approach_memory.save() now store an embedding of the text;
+-- retrieval ranks candidates by cosine similarity blended with recency/importance.
+--
+-- WHY JSONB and not pgvector: similarity is computed in Node over a bounded pool of
+-- recent rows, which works through the plain PostgREST client with no RPC functions.
+-- embedding_model records which embedder produced the vector — vectors from
+-- different embedders are never compared. NULL = not embedded (tag matching only).
+
+ALTER TABLE agent_memories ADD COLUMN IF NOT EXISTS embedding JSONB;
+ALTER TABLE agent_memories ADD COLUMN IF NOT EXISTS embedding_model TEXT;
+
+ALTER TABLE lessons_learned ADD COLUMN IF NOT EXISTS embedding JSONB;
+ALTER TABLE lessons_learned ADD COLUMN IF NOT EXISTS embedding_model TEXT;
+
+ALTER TABLE approach_memory ADD COLUMN IF NOT EXISTS embedding JSONB;
+ALTER TABLE approach_memory ADD COLUMN IF NOT EXISTS embedding_model TEXT;
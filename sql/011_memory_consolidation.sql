@@ -0,0 +1,18 @@
+-- 011_memory_consolidation.sql — Link consolidated memories to their summary digest
+-- WHY: Heartbeat's nightly consolidation pass (memory_consolidation.js) condenses
+-- each agent's older memories into memory_type = 'summary' rows. Source rows are
+-- never deleted (memory never resets); consolidated_into points at the digest that
+-- covers them, and NULL means "not consolidated yet". The digest's
+-- metadata.sourceMemoryIds holds the reverse link.
+
+ALTER TABLE agent_memories ADD COLUMN IF NOT EXISTS consolidated_into BIGINT REFERENCES agent_memories(id) ON DELETE SET NULL;
+
+-- The nightly candidate query: this agent's oldest unconsolidated memories
+CREATE INDEX IF NOT EXISTS idx_memories_unconsolidated
+  ON agent_memories(agent_id, created_at)
+  WHERE consolidated_into IS NULL;
+
+-- Digest lookups for buildAgentPrompt()
+CREATE INDEX IF NOT EXISTS idx_memories_summaries
+  ON agent_memories(agent_id, created_at DESC)
+  WHERE memory_type = 'summary';
@@ -0,0 +1,19 @@
+-- 012_memory_curation.sql — Soft delete and pinning for memories and lessons
+-- WHY: Zero can now inspect and correct agent memory from Discord (!memory, !lessons,
+-- !forget, !pin, !importance). !forget sets deleted_at instead of deleting the row
+-- (memory never resets — the history stays auditable); every retrieval path filters
+-- deleted rows out. Pinned rows are always injected by buildAgentPrompt().
+
+ALTER TABLE agent_memories ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE agent_memories ADD COLUMN IF NOT EXISTS pinned BOOLEAN DEFAULT FALSE;
+
+ALTER TABLE lessons_learned ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE lessons_learned ADD COLUMN IF NOT EXISTS pinned BOOLEAN DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_memories_pinned
+  ON agent_memories(agent_id)
+  WHERE pinned = TRUE AND deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_lessons_pinned
+  ON lessons_learned(agent_id)
+  WHERE pinned = TRUE AND deleted_at IS NULL;
@@ -0,0 +1,27 @@
+-- 013_worker_pool.sql — Liveness rows for step-executing worker processes
+-- WHY: The worker now runs steps in a bounded pool and may run as several PM2
+-- instances. Each process upserts its own row every poll (in-flight steps, slots,
+-- committed memory estimate, RSS). Heartbeat logs worker_stale when a row that
+-- still says 'running' stops updating.
+
+CREATE TABLE IF NOT EXISTS worker_heartbeats (
+  id TEXT PRIMARY KEY,                 -- WORKER_ID or hostname-<pm2 instance>
+  pid INT,
+  hostname TEXT,
+  status TEXT NOT NULL DEFAULT 'running', -- running | stopping | stopped
+  in_flight_step_ids BIGINT[] DEFAULT '{}',
+  capacity INT,                        -- max concurrent steps (WORKER_CONCURRENCY)
+  committed_memory_mb INT,             -- sum of in-flight step estimates
+  rss_mb INT,
+  started_at TIMESTAMPTZ,
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_worker_heartbeats_running
+  ON worker_heartbeats(last_seen_at)
+  WHERE status = 'running';
+
+ALTER TABLE worker_heartbeats ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "service_role_worker_heartbeats" ON worker_heartbeats
+  FOR ALL TO service_role USING (true) WITH CHECK (true);
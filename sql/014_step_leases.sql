@@ -0,0 +1,14 @@
+-- 014_step_leases.sql — Lease-based step claims
+-- WHY: A worker that crashed mid-pipeline left its step in_progress (processed = true)
+-- forever; getPendingSteps() never saw it again. claimStep() now records a lease
+-- owner and expiry, the worker renews the lease while the step runs, and heartbeat
+-- requeues steps whose lease expired. attempt_count counts those expiries; at
+-- MAX_STEP_ATTEMPTS the step fails and failBlockedSteps() cascades.
+
+ALTER TABLE mission_steps ADD COLUMN IF NOT EXISTS lease_owner TEXT;              -- worker id (worker_heartbeats.id)
+ALTER TABLE mission_steps ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMPTZ;
+ALTER TABLE mission_steps ADD COLUMN IF NOT EXISTS attempt_count INT DEFAULT 0;   -- leases lost to expiry
+
+CREATE INDEX IF NOT EXISTS idx_mission_steps_lease_expiry
+  ON mission_steps(lease_expires_at)
+  WHERE status = 'in_progress';
@@ -0,0 +1,21 @@
+-- 015_step_priority.sql — Scheduling classes for missions and steps
+-- WHY: mission_proposals.priority never reached the worker, so getPendingSteps()
+-- ran an urgent founder request after every step of a long decomposed project.
+-- Priority now flows proposal → mission → steps, and getPendingSteps() schedules
+-- by weighted fair queuing across missions (with aging). !prioritize changes it.
+
+ALTER TABLE missions ADD COLUMN IF NOT EXISTS priority TEXT DEFAULT 'normal';       -- low | normal | high | urgent
+ALTER TABLE mission_steps ADD COLUMN IF NOT EXISTS priority TEXT DEFAULT 'normal';  -- inherited from the mission
+
+-- Backfill missions created from proposals before this migration
+UPDATE missions m
+SET priority = p.priority
+FROM mission_proposals p
+WHERE m.proposal_id = p.id
+  AND p.priority IS NOT NULL;
+
+UPDATE mission_steps s
+SET priority = m.priority
+FROM missions m
+WHERE s.mission_id = m.id
+  AND s.status IN ('pending', 'in_progress', 'in_review', 'budget_blocked');
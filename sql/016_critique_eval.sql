@@ -0,0 +1,29 @@
+-- 016_critique_eval.sql — Critique calibration runs (src/lib/critique_eval.js)
+-- WHY: autonomy thresholds compare against self-critique scores, and nothing
+-- checked those scores against the founder's judgment. Each row is one eval of
+-- the current critique prompt + tier over the golden set. autonomy.updateThresholds()
+-- only applies new thresholds with a recent passing row for the same fingerprint.
+
+CREATE TABLE IF NOT EXISTS critique_eval_runs (
+  id BIGSERIAL PRIMARY KEY,
+  prompt_fingerprint TEXT NOT NULL,     -- hash of critique prompt + tier + model
+  tier TEXT NOT NULL,
+  model TEXT,
+  auto_approve_threshold DECIMAL(3,1) NOT NULL,  -- thresholds the decisions were scored against
+  qa_only_threshold DECIMAL(3,1) NOT NULL,
+  item_count INT NOT NULL,
+  stats JSONB NOT NULL,                 -- n, errors, pearson, spearman, bias, mae, decisions
+  passed BOOLEAN NOT NULL,
+  failures TEXT[] DEFAULT '{}',
+  results JSONB,                        -- per item: founder vs model score
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_critique_eval_runs_lookup
+  ON critique_eval_runs(prompt_fingerprint, auto_approve_threshold, qa_only_threshold, created_at DESC)
+  WHERE passed = TRUE;
+
+ALTER TABLE critique_eval_runs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "service_role_critique_eval_runs" ON critique_eval_runs
+  FOR ALL TO service_role USING (true) WITH CHECK (true);
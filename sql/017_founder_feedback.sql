@@ -0,0 +1,33 @@
+-- 017_founder_feedback.sql — Zero's feedback on delivered work (src/lib/founder_feedback.js)
+-- WHY: Agents only learned from QA rejections. Zero's own verdict on an announced
+-- deliverable (👍/👎 reaction or !feedback) was lost. Each row becomes a lesson
+-- for the authoring agent and a calibration point for critique_eval.js, stored
+-- next to the self-critique score the step had when Zero judged it.
+
+CREATE TABLE IF NOT EXISTS founder_feedback (
+  id BIGSERIAL PRIMARY KEY,
+  mission_step_id BIGINT NOT NULL REFERENCES mission_steps(id),
+  mission_id BIGINT REFERENCES missions(id),
+  agent_id TEXT,                        -- who authored the deliverable
+  source TEXT NOT NULL,                 -- reaction | command
+  sentiment TEXT,                       -- positive | negative (null = comment only)
+  rating DECIMAL(2,1),                  -- optional 1.0-5.0, same scale as critique
+  comment TEXT,
+  critique_score DECIMAL(3,1),          -- self-critique score at the time of feedback
+  lesson_id BIGINT,                     -- lessons_learned row it produced
+  discord_message_id TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_founder_feedback_step ON founder_feedback(mission_step_id);
+CREATE INDEX IF NOT EXISTS idx_founder_feedback_created ON founder_feedback(created_at DESC);
+
+-- Reactions land on the announcement message, so remember which one it was
+ALTER TABLE mission_steps ADD COLUMN IF NOT EXISTS announcement_message_id TEXT;
+CREATE INDEX IF NOT EXISTS idx_mission_steps_announcement ON mission_steps(announcement_message_id)
+  WHERE announcement_message_id IS NOT NULL;
+
+ALTER TABLE founder_feedback ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "service_role_founder_feedback" ON founder_feedback
+  FOR ALL TO service_role USING (true) WITH CHECK (true);
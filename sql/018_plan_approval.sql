@@ -0,0 +1,27 @@
+-- 018_plan_approval.sql — Founder approval of large decomposition plans (src/lib/plan_approval.js)
+-- WHY: decomposeProject() turned a plan straight into pending steps; the only gate
+-- was the LLM feasibility check. Large plans now wait in decomposition_plans as
+-- 'pending_approval' until Zero runs !plan approve. Every !plan edit / drop / replan
+-- writes a new revision and supersedes the previous one, so the table is the
+-- plan's history.
+
+ALTER TABLE decomposition_plans DROP CONSTRAINT IF EXISTS decomposition_plans_status_check;
+ALTER TABLE decomposition_plans ADD CONSTRAINT decomposition_plans_status_check
+  CHECK (status IN ('pending_approval', 'active', 'superseded', 'failed'));
+
+ALTER TABLE decomposition_plans ADD COLUMN IF NOT EXISTS revision INT DEFAULT 1;
+ALTER TABLE decomposition_plans ADD COLUMN IF NOT EXISTS parent_plan_id BIGINT REFERENCES decomposition_plans(id);
+ALTER TABLE decomposition_plans ADD COLUMN IF NOT EXISTS revision_note TEXT;        -- e.g. "edit T3", "replan: cut scope"
+ALTER TABLE decomposition_plans ADD COLUMN IF NOT EXISTS agent_map JSONB DEFAULT '{}'; -- role → { id, name } shown to Zero
+ALTER TABLE decomposition_plans ADD COLUMN IF NOT EXISTS estimated_cost_usd DECIMAL(10,4);
+ALTER TABLE decomposition_plans ADD COLUMN IF NOT EXISTS planner_agent_id TEXT;     -- Frasier, for replans
+ALTER TABLE decomposition_plans ADD COLUMN IF NOT EXISTS approved_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_decomposition_plans_pending
+  ON decomposition_plans(mission_id, id DESC)
+  WHERE status = 'pending_approval';
+
+-- Plans with at least this many tasks wait for approval
+UPDATE policy
+SET rules = rules || '{"plan_approval_enabled": true, "plan_approval_min_tasks": 5}'::jsonb
+WHERE policy_type = 'decomposition';
@@ -0,0 +1,23 @@
+-- 019_plan_estimates.sql — Cost/time forecasts for decomposition plans (src/lib/plan_estimates.js)
+-- WHY: decomposition_plans recorded tasks and end state but nothing about expected
+-- spend or time. Each plan now carries a per-task and total forecast built from
+-- historical model_usage / pipeline_phases, and the heartbeat writes the actuals
+-- next to it when the mission completes.
+
+-- Which plan task a step came from, and the role it was planned for.
+-- History is bucketed by role, so steps need to remember it.
+ALTER TABLE mission_steps ADD COLUMN IF NOT EXISTS plan_task_id TEXT;    -- e.g. "T3"
+ALTER TABLE mission_steps ADD COLUMN IF NOT EXISTS required_role TEXT;   -- research | engineering | ...
+
+CREATE INDEX IF NOT EXISTS idx_mission_steps_required_role
+  ON mission_steps(required_role, completed_at DESC)
+  WHERE status = 'completed';
+
+ALTER TABLE decomposition_plans ADD COLUMN IF NOT EXISTS estimate JSONB;               -- { tasks: [...], totalCostUsd, totalDurationMs, ... }
+ALTER TABLE decomposition_plans ADD COLUMN IF NOT EXISTS estimated_duration_ms BIGINT; -- critical path through the DAG
+ALTER TABLE decomposition_plans ADD COLUMN IF NOT EXISTS actuals JSONB;                -- written once the mission completes
+ALTER TABLE decomposition_plans ADD COLUMN IF NOT EXISTS actuals_recorded_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_decomposition_plans_actuals_pending
+  ON decomposition_plans(mission_id)
+  WHERE status = 'active' AND actuals_recorded_at IS NULL;
@@ -0,0 +1,21 @@
+-- 020_failure_replanning.sql — Re-plan a decomposed mission when a step fails (src/lib/replanning.js)
+-- WHY: One failed step made failBlockedSteps() fail everything downstream and the
+-- mission died. The heartbeat now asks Frasier for replacement tasks instead, wires
+-- them into the DAG and lets the mission continue — up to max_replans_per_mission.
+
+-- What re-planning did with a failed step:
+--   replaced — replacement steps were created; the step no longer blocks or fails the mission
+--   capped   — the mission had used up its re-plans
+--   failed   — Frasier couldn't produce a usable replacement
+ALTER TABLE mission_steps ADD COLUMN IF NOT EXISTS replan_status TEXT;
+
+-- Plan revisions written by re-planning point at the step that failed
+ALTER TABLE decomposition_plans ADD COLUMN IF NOT EXISTS failed_step_id BIGINT REFERENCES mission_steps(id);
+
+CREATE INDEX IF NOT EXISTS idx_decomposition_plans_failed_step
+  ON decomposition_plans(mission_id)
+  WHERE failed_step_id IS NOT NULL;
+
+UPDATE policy
+SET rules = rules || '{"max_replans_per_mission": 2}'::jsonb
+WHERE policy_type = 'decomposition';
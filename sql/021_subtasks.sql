@@ -0,0 +1,22 @@
+-- 021_subtasks.sql — Executing steps can spawn sub-tasks (src/lib/subtasks.js)
+-- WHY: Decomposition only happens up front, so a research step that discovers it
+-- needs 10 competitor deep-dives had to cram them into one RESEARCH_LIMITS budget.
+-- A step can now emit [SPAWN_SUBTASKS]; each sub-task becomes a child step, the
+-- parent depends on its children (step_dependencies) and runs again to synthesize.
+
+-- Child steps point at the step that spawned them.
+-- Not parent_step_id: that column is the legacy "previous phase" link.
+ALTER TABLE mission_steps ADD COLUMN IF NOT EXISTS spawned_by_step_id BIGINT REFERENCES mission_steps(id);
+
+-- Where a spawning step is:
+--   waiting     — children created; the step is pending until they complete
+--   synthesized — the synthesis pass over the children's output was delivered
+ALTER TABLE mission_steps ADD COLUMN IF NOT EXISTS spawn_status TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_mission_steps_spawned_by
+  ON mission_steps(spawned_by_step_id)
+  WHERE spawned_by_step_id IS NOT NULL;
+
+UPDATE policy
+SET rules = rules || '{"max_subtasks_per_step": 10}'::jsonb
+WHERE policy_type = 'decomposition';
@@ -0,0 +1,8 @@
+-- 022_hung_phase_index.sql — Index for the hung-phase watchdog (pipeline.findHungPhases)
+-- WHY: Heartbeat looks for streaming phases whose heartbeat went quiet on every tick.
+-- Only a handful of rows are streaming at any time, so a partial index on them keeps
+-- the scan off the bulk of pipeline_phases (finished phases carry full outputs).
+
+CREATE INDEX IF NOT EXISTS idx_pipeline_phases_streaming
+  ON pipeline_phases ((metadata->>'heartbeatAt'))
+  WHERE metadata->>'status' = 'streaming';
@@ -15,11 +15,12 @@
 //   - #alerts: System alerts and errors
 
 require('dotenv').config();
-const { Client, GatewayIntentBits, Events } = require('discord.js');
+const { Client, GatewayIntentBits, Events, Partials } = require('discord.js');
 const missions = require('./lib/missions');
 const agents = require('./lib/agents');
 const events = require('./lib/events');
 const models = require('./lib/models');
+const structured = require('./lib/structured_output');
 const memory = require('./lib/memory');
 const policy = require('./lib/policy');
 const notion = require('./lib/notion');
@@ -30,6 +31,12 @@ const projects = require('./lib/projects');
 const content = require('./lib/content');
 const linear = require('./lib/linear');
 const decomposition = require('./lib/decomposition');
+const routing = require('./lib/routing');
+const budget = require('./lib/budget');
+const dryRun = require('./lib/dry_run');
+const founderFeedback = require('./lib/founder_feedback');
+const planApproval = require('./lib/plan_approval');
+const planEstimates = require('./lib/plan_estimates');
 
 // ============================================================
 // DISCORD CLIENT SETUP
@@ -40,8 +47,12 @@ const client = new Client({
     GatewayIntentBits.Guilds,
     GatewayIntentBits.GuildMessages,
     GatewayIntentBits.MessageContent,
-    GatewayIntentBits.DirectMessages
-  ]
+    GatewayIntentBits.DirectMessages,
+    GatewayIntentBits.GuildMessageReactions,
+    GatewayIntentBits.DirectMessageReactions
+  ],
+  // Reactions on announcements sent before the last restart arrive as partials
+  partials: [Partials.Message, Partials.Channel, Partials.Reaction]
 });
 
 // Channel name → ID mapping (populated on ready)
@@ -130,6 +141,21 @@ client.on(Events.MessageCreate, async (message) => {
   }
 });
 
+// 👍 / 👎 on a step announcement is founder feedback on that deliverable
+client.on(Events.MessageReactionAdd, async (reaction, user) => {
+  if (user.bot) return;
+
+  const zeroDiscordId = process.env.DISCORD_ZERO_ID;
+  if (zeroDiscordId && user.id !== zeroDiscordId) return;
+
+  try {
+    if (reaction.partial) await reaction.fetch();
+    await handleFeedbackReaction(reaction);
+  } catch (err) {
+    console.error('[discord] Error handling reaction:', err.message);
+  }
+});
+
 // ============================================================
 // MESSAGE CLASSIFICATION (v0.9.0)
 // ============================================================
@@ -138,6 +164,16 @@ const supabase = require('./lib/supabase');
 
 const VALID_CLASSIFICATIONS = ['casual', 'simple_task', 'full_project'];
 
+const CLASSIFICATION_SCHEMA = {
+  type: 'object',
+  required: ['classification', 'confidence'],
+  properties: {
+    classification: { type: 'string', enum: VALID_CLASSIFICATIONS },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    reasoning: { type: 'string' }
+  }
+};
+
 /**
  * Classify a Discord message as casual / simple_task / full_project.
  * WHY: Separate T1 call determines routing BEFORE Frasier's response.
@@ -150,7 +186,7 @@ const VALID_CLASSIFICATIONS = ['casual', 'simple_task', 'full_project'];
  */
 async function classifyMessage(messageContent, discordMessageId) {
   try {
-    const result = await models.callLLM({
+    const result = await structured.callLLMJson({
       systemPrompt: 'You are a message classifier for an AI agent organization. Respond only with valid JSON.',
       userMessage: `Classify this message from the founder into exactly one category.
 
@@ -164,36 +200,24 @@ Categories:
 Respond with ONLY JSON (no markdown, no explanation):
 {"classification": "casual|simple_task|full_project", "confidence": 0.0-1.0, "reasoning": "brief explanation"}`,
       agentId: null,  // WHY: 'frasier' is not in agents table → FK violation in model_usage
-      forceTier: 'tier1'
+      forceTier: 'tier1',
+      cache: true,    // Same message re-classified after a restart/retry → free cache hit
+      schema: CLASSIFICATION_SCHEMA
     });
 
     if (result.error) {
-      console.log(`[classification] LLM error: ${result.error}, defaulting to simple_task`);
+      // LLM failure, or output still malformed / off-enum after the repair retry
+      console.log(`[classification] ${result.error.code}: ${result.error.message}, defaulting to simple_task`);
+      const reasoning = result.error.code === structured.ERROR_CODES.LLM_ERROR ? 'LLM call failed' : 'Invalid classifier output';
       return await persistClassification(messageContent, discordMessageId, {
-        classification: 'simple_task', confidence: 0, reasoning: 'LLM call failed'
+        classification: 'simple_task', confidence: 0, reasoning
       });
     }
 
-    // Parse JSON — handle markdown fences
-    let parsed;
-    try {
-      const cleaned = result.content.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
-      parsed = JSON.parse(cleaned);
-    } catch (e) {
-      console.log(`[classification] JSON parse failed, defaulting to simple_task`);
-      return await persistClassification(messageContent, discordMessageId, {
-        classification: 'simple_task', confidence: 0, reasoning: 'JSON parse failed'
-      });
-    }
-
-    // Validate classification value
-    if (!VALID_CLASSIFICATIONS.includes(parsed.classification)) {
-      console.log(`[classification] Invalid classification "${parsed.classification}", defaulting to simple_task`);
-      parsed.classification = 'simple_task';
-    }
+    const parsed = result.data;
 
     // Default to simple_task when confidence is low — safer than guessing full_project
-    const confidence = typeof parsed.confidence === 'number' ? parsed.confidence : 0;
+    const confidence = parsed.confidence;
     if (confidence < 0.7 && parsed.classification !== 'simple_task') {
       console.log(`[classification] Low confidence ${confidence} for "${parsed.classification}", defaulting to simple_task`);
       parsed.classification = 'simple_task';
@@ -296,7 +320,7 @@ async function handleFrasierMessage(message, content, classification = null) {
   const contentTopics = extractConversationTopics(content);
   const retrievalTags = ['founder-interaction', ...contentTopics];
 
-  const promptData = await memory.buildAgentPrompt(frasierAgent.id, retrievalTags);
+  const promptData = await memory.buildAgentPrompt(frasierAgent.id, retrievalTags, { queryText: content });
   if (promptData.error) {
     await message.reply(`Error loading Frasier: ${promptData.error}`);
     return;
@@ -468,11 +492,18 @@ DEFAULT TO [ACTION:PROPOSAL] for single-step tasks, [ACTION:MULTI_STEP_PROPOSAL]
           : '';
 
         // Build Discord response based on decomposition result
+        // Forecast from step history (plan_estimates.js): "Estimated ~$0.34 · ~12m."
+        const estimateLine = decompResult.estimate
+          ? ` Estimated ${planEstimates.formatEstimate({ costUsd: decompResult.estimate.totalCostUsd, durationMs: decompResult.estimate.totalDurationMs })} of pipeline time.`
+          : '';
+
         let projectStatus;
         if (decompResult.success && decompResult.escalated) {
           projectStatus = '\n*Escalation required — Frasier flagged this for founder review.*';
+        } else if (decompResult.success && decompResult.awaitingApproval) {
+          projectStatus = `\n*Decomposed into ${decompResult.taskCount} tasks across ${decompResult.parallelGroups} parallel group(s).${estimateLine} Waiting for your approval before anything runs.*`;
         } else if (decompResult.success) {
-          projectStatus = `\n*Decomposed into ${decompResult.taskCount} tasks across ${decompResult.parallelGroups} parallel group(s). Execution starting now.*`;
+          projectStatus = `\n*Decomposed into ${decompResult.taskCount} tasks across ${decompResult.parallelGroups} parallel group(s).${estimateLine} Execution starting now.*`;
         } else {
           projectStatus = '\n*Discovery phase mission created. Team will start shortly.*';
         }
@@ -483,6 +514,14 @@ DEFAULT TO [ACTION:PROPOSAL] for single-step tasks, [ACTION:MULTI_STEP_PROPOSAL]
           (statusLines ? `\n*Team:${statusLines}*` : '') +
           projectStatus
         );
+
+        // Large plans: post the DAG so Zero can approve, edit, drop or replan
+        if (decompResult.awaitingApproval) {
+          const pendingPlan = await planApproval.getPendingPlan(decompResult.missionId);
+          if (pendingPlan) {
+            await sendSplit(message.channel, planApproval.formatPlan(pendingPlan, { missionTitle: projectName }));
+          }
+        }
       } else {
         await sendSplit(message.channel, cleanResponse + '\n\n*Failed to create project. Mission proposal created as fallback.*');
         await missions.createProposal({
@@ -654,10 +693,23 @@ async function handleCommand(message, content) {
       reply += `Tier 2 (Sonnet): ${costs.tier2.calls} calls, $${costs.tier2.cost.toFixed(4)}\n`;
       reply += `Tier 3 (Opus): ${costs.tier3.calls} calls, $${costs.tier3.cost.toFixed(4)}\n`;
       reply += `**Total: ${costs.total.calls} calls, $${costs.total.cost.toFixed(4)}, ${costs.total.tokens.toLocaleString()} tokens**`;
+      if (costs.cache && costs.cache.hits > 0) {
+        reply += `\nCache: ${costs.cache.hits} hits, saved ~$${costs.cache.savedCost.toFixed(4)} (${costs.cache.savedTokens.toLocaleString()} tokens)`;
+      }
       await message.reply(reply);
       break;
     }
 
+    case 'budget': {
+      if (args.length === 0 || !args[0]) {
+        await message.reply(await budget.formatBudgetStatus());
+        return;
+      }
+      const result = await budget.applyBudgetEdit(args);
+      await message.reply(result.error || result.message);
+      break;
+    }
+
     case 'approve': {
       const stepId = parseInt(args[0]);
       if (!stepId) {
@@ -832,6 +884,49 @@ async function handleCommand(message, content) {
       break;
     }
 
+    case 'cancel':
+    case 'pause':
+    case 'resume':
+    case 'retry': {
+      await handleLifecycleCommand(message, cmd.toLowerCase(), args);
+      break;
+    }
+
+    case 'prioritize': {
+      await handlePrioritizeCommand(message, args);
+      break;
+    }
+
+    case 'feedback': {
+      await handleFeedbackCommand(message, args);
+      break;
+    }
+
+    case 'plan': {
+      await handlePlanCommand(message, args);
+      break;
+    }
+
+    case 'dag': {
+      await handleDagCommand(message, args);
+      break;
+    }
+
+    case 'routing': {
+      await handleRoutingCommand(message, args);
+      break;
+    }
+
+    case 'memory':
+    case 'lessons':
+    case 'forget':
+    case 'pin':
+    case 'unpin':
+    case 'importance': {
+      await handleMemoryCommand(message, cmd.toLowerCase(), args);
+      break;
+    }
+
     case 'content': {
       await handleContentCommand(message, args);
       break;
@@ -849,13 +944,40 @@ async function handleCommand(message, content) {
         '`!teams` — List all teams and agents\n' +
         '`!roster` — Full agent roster + pending hires\n' +
         '`!costs` — Today\'s LLM costs\n' +
+        '`!budget` — Spend limits + today\'s spend\n' +
+        '`!budget set daily|mission|agent <usd|none>` — Change a limit\n' +
+        '`!budget mode downgrade|block|refuse` — What happens on breach\n' +
         '`!approve <step_id>` — Approve a pending step\n' +
+        '`!cancel mission <id>` — Stop a mission and cancel its open steps\n' +
+        '`!pause mission <id>` / `!resume mission <id>` — Hold or continue a mission\n' +
+        '`!retry step <id>` — Requeue a failed or cancelled step\n' +
+        '`!prioritize <mission_id> [urgent|high|normal|low]` — Change a mission\'s scheduling priority (default urgent)\n' +
+        '`!feedback <step_id> [👍|👎|N/5] <notes>` — Rate a delivered step (or react 👍/👎 on its announcement)\n' +
+        '\n**Project Plans:**\n' +
+        '`!plan [mission_id]` — Show the plan waiting for approval\n' +
+        '`!plan approve` — Approve it; steps start running\n' +
+        '`!plan edit <task> <description>` / `!plan drop <task>` — Change a task\n' +
+        '`!plan replan <feedback>` — Have Frasier redo the plan\n' +
+        '`!dag <mission_id> [mermaid|dot|file]` — Show a mission\'s step DAG\n' +
         '`!hire <id>` — Approve a hiring proposal\n' +
         '`!reject <id>` — Reject a hiring proposal\n' +
         '`!fire <name>` — Retire an agent\n' +
         '`!newbiz <name>` — Create a business unit\n' +
         '`!activate <team-id>` — Activate a team\n' +
         '`!deactivate <team-id>` — Deactivate a team\n' +
+        '\n**Tier Routing:**\n' +
+        '`!routing` — Show routing rules\n' +
+        '`!routing test <text>` — Show which tier/rule a task would hit\n' +
+        '`!routing add|remove tier2|tier3 <keyword>` — Edit keyword sets\n' +
+        '`!routing role <role> <tier|clear>` — Role override\n' +
+        '`!routing project <id> <tier|clear>` — Project minimum tier\n' +
+        '`!routing agent <agent_id> <tier|clear>` — Agent tier ceiling\n' +
+        '\n**Agent Memory:**\n' +
+        '`!memory <agent> [search text]` — Pinned + recent (or matching) memories\n' +
+        '`!lessons <agent>` — An agent\'s lessons learned\n' +
+        '`!forget [lesson] <id>` — Stop an agent from ever recalling it\n' +
+        '`!pin [lesson] <id>` / `!unpin [lesson] <id>` — Always include in prompts\n' +
+        '`!importance [lesson] <id> <1-10>` — Change retrieval weight\n' +
         '\n**Content Pipeline:**\n' +
         '`!content list` — Show drafts waiting for review\n' +
         '`!content view <id>` — View full draft details\n' +
@@ -878,6 +1000,369 @@ async function handleCommand(message, content) {
   }
 }
 
+// ============================================================
+// MISSION LIFECYCLE COMMAND HANDLER
+// ============================================================
+
+/**
+ * Handle !cancel mission, !pause mission, !resume mission, !retry step.
+ * WHY: Before these, a runaway or unwanted mission could only be stopped by
+ * deactivating the whole team. Running steps stop at their next phase boundary.
+ */
+async function handleLifecycleCommand(message, cmd, args) {
+  const target = cmd === 'retry' ? 'step' : 'mission';
+  const id = parseInt(args[1]);
+  if ((args[0] || '').toLowerCase() !== target || !id) {
+    await message.reply(`Usage: \`!${cmd} ${target} <id>\``);
+    return;
+  }
+
+  if (cmd === 'retry') {
+    const result = await missions.retryStep(id);
+    if (result.error) {
+      await message.reply(result.error);
+      return;
+    }
+    const extra = result.requeuedStepIds.length - 1;
+    await message.reply(`Step #${id} requeued${extra > 0 ? ` along with ${extra} other step(s) of its mission` : ''}.`);
+    return;
+  }
+
+  let result;
+  let reply;
+  if (cmd === 'cancel') {
+    const reason = args.slice(2).join(' ').trim() || 'Cancelled by Zero';
+    result = await missions.cancelMission(id, { reason });
+    reply = `Mission #${id} cancelled — ${result.cancelledStepIds.length} open step(s) cancelled. Running work stops at its next phase.`;
+  } else if (cmd === 'pause') {
+    result = await missions.pauseMission(id);
+    reply = `Mission #${id} paused.` + (result.inFlightStepIds.length > 0
+      ? ` ${result.inFlightStepIds.length} running step(s) will stop at their next phase and pick up where they left off on \`!resume mission ${id}\`.`
+      : '');
+  } else {
+    result = await missions.resumeMission(id);
+    reply = `Mission #${id} resumed.`;
+  }
+
+  await message.reply(result.error || reply);
+}
+
+/**
+ * Handle !prioritize <mission_id> [urgent|high|normal|low].
+ * WHY: Urgent founder work shouldn't wait behind a long decomposed project.
+ * Accepts `!prioritize mission <id>` too, to match the other mission commands.
+ */
+async function handlePrioritizeCommand(message, args) {
+  const rest = (args[0] || '').toLowerCase() === 'mission' ? args.slice(1) : args;
+  const id = parseInt(rest[0]);
+  if (!id) {
+    await message.reply('Usage: `!prioritize <mission_id> [urgent|high|normal|low]`');
+    return;
+  }
+
+  const result = await missions.setMissionPriority(id, rest[1] || 'urgent');
+  if (result.error) {
+    await message.reply(result.error);
+    return;
+  }
+
+  await message.reply(`Mission #${id} is now **${result.mission.priority}** priority — ${result.updatedStepCount} open step(s) rescheduled.`);
+}
+
+// ============================================================
+// FOUNDER FEEDBACK
+// ============================================================
+
+/**
+ * Handle !feedback <step_id> [👍|👎|N/5] <notes>.
+ * WHY: QA rejections were the only feedback agents learned from. Zero's verdict
+ * becomes a lesson for the agent and a calibration point for the critique.
+ */
+async function handleFeedbackCommand(message, args) {
+  const parsed = founderFeedback.parseFeedbackArgs(args);
+  if (parsed.error) {
+    await message.reply(parsed.error);
+    return;
+  }
+
+  const result = await founderFeedback.recordFeedback({
+    stepId: parsed.stepId,
+    source: 'command',
+    sentiment: parsed.sentiment,
+    rating: parsed.rating,
+    comment: parsed.comment,
+    discordMessageId: message.id
+  });
+  if (result.error) {
+    await message.reply(result.error);
+    return;
+  }
+
+  const lessonNote = result.lesson ? ` Saved as lesson #${result.lesson.id} for ${result.feedback.agent_id}.` : '';
+  await message.reply(`Feedback on step #${parsed.stepId} recorded.${lessonNote}`);
+}
+
+/**
+ * Record a 👍 / 👎 reaction on a step announcement as founder feedback.
+ * Other emoji and reactions on non-announcement messages are ignored.
+ */
+async function handleFeedbackReaction(reaction) {
+  const sentiment = founderFeedback.REACTION_SENTIMENT[reaction.emoji?.name];
+  if (!sentiment) return;
+
+  const step = await founderFeedback.findStepByAnnouncement(reaction.message.id);
+  if (!step) return;
+
+  const result = await founderFeedback.recordFeedback({
+    stepId: step.id,
+    source: 'reaction',
+    sentiment,
+    discordMessageId: reaction.message.id
+  });
+  if (result.error) {
+    console.error(`[discord] Feedback reaction on step #${step.id} not recorded: ${result.error}`);
+    return;
+  }
+
+  // Acknowledge so Zero knows it landed (a repeat reaction was already counted)
+  if (!result.duplicate) {
+    await reaction.message.react('📝').catch(() => {});
+  }
+}
+
+// ============================================================
+// DAG EXPORT COMMAND HANDLER
+// ============================================================
+
+/**
+ * Handle !dag <mission_id> [mermaid|dot|file].
+ * WHY: Linear only shows flat relations; this shows the whole step DAG with
+ * status, agent, tier and critique score. Too big for a message (or `file`)
+ * → sent as .mmd and .dot attachments.
+ */
+async function handleDagCommand(message, args) {
+  const missionId = parseInt((args[0] || '').replace('#', ''));
+  const format = (args[1] || 'mermaid').toLowerCase();
+  if (!missionId || !['mermaid', 'dot', 'file'].includes(format)) {
+    await message.reply('Usage: `!dag <mission_id> [mermaid|dot|file]`');
+    return;
+  }
+
+  const dag = await missions.exportDag(missionId);
+  if (dag.error) {
+    await message.reply(dag.error);
+    return;
+  }
+
+  const header = `**Mission #${missionId} DAG** — ${dag.title} (${dag.nodeCount} steps, ${dag.edgeCount} dependencies)`;
+  const block = format === 'dot' ? `\`\`\`dot\n${dag.dot}\n\`\`\`` : `\`\`\`mermaid\n${dag.mermaid}\n\`\`\``;
+  const reply = `${header}\n${block}`;
+
+  if (format !== 'file' && reply.length <= 1900) {
+    await message.reply(reply);
+    return;
+  }
+
+  await message.reply({
+    content: `${header}\nMermaid: paste into any Mermaid viewer. DOT: render with Graphviz (\`dot -Tpng\`).`,
+    files: [
+      { attachment: Buffer.from(dag.mermaid, 'utf8'), name: `mission-${missionId}-dag.mmd` },
+      { attachment: Buffer.from(dag.dot, 'utf8'), name: `mission-${missionId}-dag.dot` }
+    ]
+  });
+}
+
+// ============================================================
+// PLAN APPROVAL COMMAND HANDLER
+// ============================================================
+
+/**
+ * Handle !plan [mission_id] [approve|edit|drop|replan|show] ...
+ * WHY: Large decomposed projects wait for Zero before any step exists. Without a
+ * mission id the most recent pending plan is used.
+ */
+async function handlePlanCommand(message, args) {
+  const rest = [...args];
+  const missionId = /^#?\d+$/.test(rest[0] || '') ? parseInt(rest.shift().replace('#', '')) : null;
+  const sub = (rest.shift() || 'show').toLowerCase();
+
+  const planRow = await planApproval.getPendingPlan(missionId);
+  if (!planRow) {
+    await message.reply(missionId ? `Mission #${missionId} has no plan waiting for approval.` : 'No plans are waiting for approval.');
+    return;
+  }
+  const mission = await missions.getMission(planRow.mission_id);
+  const missionTitle = mission?.title || null;
+
+  let result;
+  switch (sub) {
+    case 'show':
+      await sendSplit(message.channel, planApproval.formatPlan(planRow, { missionTitle }));
+      return;
+
+    case 'approve': {
+      const approved = await planApproval.approvePlan(planRow);
+      await message.reply(approved.error || `Plan for mission #${planRow.mission_id} approved — ${approved.stepCount} step(s) queued.`);
+      return;
+    }
+
+    case 'edit':
+      result = await planApproval.editTask(planRow, rest[0], rest.slice(1).join(' '));
+      break;
+
+    case 'drop':
+      result = await planApproval.dropTask(planRow, rest[0]);
+      break;
+
+    case 'replan':
+      await message.reply('Replanning with your feedback...');
+      result = await planApproval.replan(planRow, rest.join(' '));
+      break;
+
+    default:
+      await message.reply('Usage: `!plan [mission_id] [approve | edit <task> <description> | drop <task> | replan <feedback>]`');
+      return;
+  }
+
+  if (result.error) {
+    await message.reply(result.error);
+    return;
+  }
+
+  let reply = planApproval.formatPlan(result.plan, { missionTitle });
+  if (result.issues?.length > 0) {
+    reply += `\n\n⚠ Feasibility concerns:\n${result.issues.map(i => `- ${i.taskId}: ${i.issue}`).join('\n')}`;
+  }
+  await sendSplit(message.channel, reply);
+}
+
+// ============================================================
+// TIER ROUTING COMMAND HANDLER
+// ============================================================
+
+/**
+ * Handle !routing: show rules, dry-run a task, or edit the tier_routing policy.
+ * WHY: Routing rules live in the policy table so Zero can retune them without a deploy.
+ */
+async function handleRoutingCommand(message, args) {
+  const sub = (args[0] || '').toLowerCase();
+  const row = await policy.getPolicy(routing.ROUTING_POLICY_TYPE);
+
+  if (!sub || sub === 'show') {
+    await sendSplit(message.channel, routing.formatRoutingRules(row?.rules, row?.version));
+    return;
+  }
+
+  if (sub === 'test') {
+    const text = args.slice(1).join(' ').trim();
+    if (!text) {
+      await message.reply('Usage: `!routing test <task description>`');
+      return;
+    }
+    const route = routing.routeTier({ taskDescription: text }, row?.rules || null);
+    await message.reply(`→ **${route.tier}** (rule: \`${route.rule}\`)`);
+    return;
+  }
+
+  const edit = routing.applyRoutingEdit(row?.rules, args);
+  if (edit.error) {
+    await message.reply(edit.error);
+    return;
+  }
+
+  const saved = await routing.saveRoutingRules(edit.rules);
+  if (!saved) {
+    await message.reply('Failed to save routing rules. Is the `tier_routing` policy seeded (sql/007)?');
+    return;
+  }
+
+  await events.logEvent({
+    eventType: 'routing_policy_updated',
+    severity: 'info',
+    description: `${edit.message} (v${saved.version})`,
+    data: { args, version: saved.version }
+  });
+  await message.reply(`${edit.message} Routing policy now v${saved.version}.`);
+}
+
+// ============================================================
+// MEMORY CURATION COMMAND HANDLER
+// ============================================================
+
+/**
+ * Handle !memory, !lessons, !forget, !pin, !unpin, !importance.
+ * WHY: The only way to see or correct what an agent remembers was querying
+ * agent_memories directly. Forgetting is a soft delete — see memory.js header.
+ */
+async function handleMemoryCommand(message, cmd, args) {
+  if (cmd === 'memory' || cmd === 'lessons') {
+    const name = (args[0] || '').trim();
+    if (!name) {
+      await message.reply(`Usage: \`!${cmd} <agent>${cmd === 'memory' ? ' [search text]' : ''}\``);
+      return;
+    }
+
+    const allAgents = await agents.getAllActiveAgents();
+    const agent = allAgents.find(a => a.id === name || (a.display_name || '').toLowerCase() === name.toLowerCase());
+    if (!agent) {
+      await message.reply(`No active agent named "${name}" found. Use \`!roster\` to see all agents.`);
+      return;
+    }
+
+    if (cmd === 'lessons') {
+      const lessons = await memory.getLessons(agent.id, 25);
+      await sendSplit(message.channel, memory.formatLessonList(agent, lessons));
+      return;
+    }
+
+    const query = args.slice(1).join(' ').trim() || null;
+    const [pinned, items, stats] = await Promise.all([
+      memory.getPinned(agent.id, 'memory'),
+      memory.listMemories(agent.id, { query }),
+      memory.getMemoryStats(agent.id)
+    ]);
+    await sendSplit(message.channel, memory.formatMemoryList(agent, { pinned, items, query, stats }));
+    return;
+  }
+
+  // Remaining commands address one row: "<id>" or "lesson <id>"
+  const kind = (args[0] || '').toLowerCase() === 'lesson' ? 'lesson' : 'memory';
+  const rest = kind === 'lesson' ? args.slice(1) : args;
+  const id = parseInt(rest[0]);
+  if (!id) {
+    const extra = cmd === 'importance' ? ' <1-10>' : '';
+    await message.reply(`Usage: \`!${cmd} <memory_id>${extra}\` or \`!${cmd} lesson <lesson_id>${extra}\``);
+    return;
+  }
+
+  let result;
+  let done;
+  if (cmd === 'forget') {
+    result = await memory.forgetMemory(id, { kind });
+    done = 'forgotten — it will no longer be recalled';
+  } else if (cmd === 'pin' || cmd === 'unpin') {
+    result = await memory.setPinned(id, cmd === 'pin', { kind });
+    done = cmd === 'pin' ? 'pinned — it will be included in every prompt' : 'unpinned';
+  } else {
+    result = await memory.setImportance(id, parseInt(rest[1]), { kind });
+    done = `set to importance ${parseInt(rest[1])}`;
+  }
+
+  if (result.error) {
+    await message.reply(result.error);
+    return;
+  }
+
+  await events.logEvent({
+    eventType: 'memory_curated',
+    agentId: result.row.agent_id,
+    severity: 'info',
+    description: `Zero ran !${cmd} on ${kind} #${id}${cmd === 'importance' ? ` (now ${result.row.importance})` : ''}`,
+    data: { action: cmd, kind, id }
+  });
+  await message.reply(`${kind === 'lesson' ? 'Lesson' : 'Memory'} #${id} ${done}.`);
+}
+
 // ============================================================
 // CONTENT PIPELINE COMMAND HANDLER
 // ============================================================
@@ -1302,10 +1787,13 @@ async function announceCompletedSteps() {
       if (isMultiStep && !isFinalStep) {
         // INTERMEDIATE STEP: progress message only, no Notion/Drive publish
         const linearLink = linearUrl ? `\n[Linear](${linearUrl})` : '';
-        const announcement = `**Phase ${currentOrder}/${totalSteps} Complete** — ${step.missions.title}\nAgent: ${agentName} | Next phase starting automatically...${linearLink}`;
-        await sendSplit(channel, announcement);
+        const announcement = `**Phase ${currentOrder}/${totalSteps} Complete** — ${step.missions.title}\nAgent: ${agentName} | Next phase starting automatically...${linearLink}${feedbackHint(step.id)}`;
+        await saveAnnouncementMessage(step.id, await sendSplit(channel, announcement));
       } else {
-        // FINAL STEP (or single-step mission): publish to Notion and Google Drive
+        // FINAL STEP (or single-step mission): publish to Notion and Google Drive.
+        // Multi-step missions publish their step DAG alongside the deliverable.
+        const dag = isMultiStep ? await missions.exportDag(step.mission_id) : null;
+        const dagMermaid = dag && !dag.error ? dag.mermaid : null;
         let notionPage = null, driveDoc = null;
         try {
           [notionPage, driveDoc] = await Promise.all([
@@ -1315,7 +1803,8 @@ async function announceCompletedSteps() {
               teamId: step.missions.team_id,
               agentName,
               missionId: step.mission_id,
-              stepId: step.id
+              stepId: step.id,
+              dag: dagMermaid
             }),
             gdrive.publishDeliverable({
               title: step.missions.title,
@@ -1323,7 +1812,8 @@ async function announceCompletedSteps() {
               teamId: step.missions.team_id,
               agentName,
               missionId: step.mission_id,
-              stepId: step.id
+              stepId: step.id,
+              dag: dagMermaid
             })
           ]);
         } catch (publishErr) {
@@ -1347,7 +1837,7 @@ async function announceCompletedSteps() {
           ? `**Mission Complete (${totalSteps}/${totalSteps} phases)** — ${step.missions.title}\nAgent: ${agentName} | All phases approved${linkText}`
           : `**Deliverable Ready** — ${step.missions.title}\nAgent: ${agentName} | Approved by Team Lead${linkText}`;
 
-        await sendSplit(channel, announcement);
+        await saveAnnouncementMessage(step.id, await sendSplit(channel, announcement + feedbackHint(step.id)));
       }
 
       console.log(`[discord] Announced step #${step.id}: ${step.missions.title}`);
@@ -1358,6 +1848,24 @@ async function announceCompletedSteps() {
   }
 }
 
+function feedbackHint(stepId) {
+  return `\nStep #${stepId} — react 👍/👎 or \`!feedback ${stepId} <notes>\``;
+}
+
+/**
+ * Remember which message announced a step so a reaction on it can be
+ * traced back (founder_feedback.findStepByAnnouncement).
+ */
+async function saveAnnouncementMessage(stepId, sentMessage) {
+  if (!sentMessage?.id) return;
+  const supabase = require('./lib/supabase');
+  const { error } = await supabase
+    .from('mission_steps')
+    .update({ announcement_message_id: sentMessage.id })
+    .eq('id', stepId);
+  if (error) console.error(`[discord] Failed to save announcement message for step #${stepId}: ${error.message}`);
+}
+
 /**
  * Announce pending hiring proposals to Discord.
  * Posts to #frasier-dm so Zero can approve with !hire <id>.
@@ -1537,14 +2045,14 @@ function getTeamChannel(teamId) {
 /**
  * Send a message to a channel, splitting if over 2000 chars.
  * WHY: Discord has a 2000-char limit. Never silently truncate.
+ * Returns the last message sent — the one a reaction on the post lands on.
  */
 async function sendSplit(channel, text) {
   if (!channel || !text) return;
 
   const MAX_LEN = 1900; // Leave buffer
   if (text.length <= MAX_LEN) {
-    await channel.send(text);
-    return;
+    return channel.send(text);
   }
 
   // Split on newlines or at max length
@@ -1566,9 +2074,11 @@ async function sendSplit(channel, text) {
     remaining = remaining.substring(splitIdx).trimStart();
   }
 
+  let lastMessage = null;
   for (const chunk of chunks) {
-    await channel.send(chunk);
+    lastMessage = await channel.send(chunk);
   }
+  return lastMessage;
 }
 
 /**
@@ -1664,20 +2174,23 @@ function detectFounderDirective(content) {
 // EXPORTS (for testing)
 // ============================================================
 
-module.exports = { classifyMessage, resolveActionTag };
+module.exports = { classifyMessage, resolveActionTag, handleFrasierMessage, handleFeedbackReaction };
 
 // ============================================================
 // STARTUP
 // ============================================================
 
-const token = process.env.DISCORD_BOT_TOKEN;
-if (!token) {
-  console.error('[discord] Missing DISCORD_BOT_TOKEN in .env');
-  console.log('[discord] The bot will not start. Set the token and restart.');
-  process.exit(1);
-}
+// Replay (scripts/replay.js) feeds messages in directly — no gateway connection
+if (!dryRun.isReplay()) {
+  const token = process.env.DISCORD_BOT_TOKEN;
+  if (!token) {
+    console.error('[discord] Missing DISCORD_BOT_TOKEN in .env');
+    console.log('[discord] The bot will not start. Set the token and restart.');
+    process.exit(1);
+  }
 
-client.login(token).catch(err => {
-  console.error('[discord] Failed to login:', err.message);
-  process.exit(1);
-});
+  client.login(token).catch(err => {
+    console.error('[discord] Failed to login:', err.message);
+    process.exit(1);
+  });
+}
@@ -16,6 +16,7 @@ const agents = require('./lib/agents');
 const conversations = require('./lib/conversations');
 const memory = require('./lib/memory');
 const models = require('./lib/models');
+const structured = require('./lib/structured_output');
 const events = require('./lib/events');
 const policy = require('./lib/policy');
 const autonomy = require('./lib/autonomy');
@@ -27,6 +28,14 @@ const github = require('./lib/github');
 const notion = require('./lib/notion');
 const projects = require('./lib/projects');
 const linear = require('./lib/linear');
+const budget = require('./lib/budget');
+const pipeline = require('./lib/pipeline');
+const memoryConsolidation = require('./lib/memory_consolidation');
+const workerPool = require('./lib/worker_pool');
+const dryRun = require('./lib/dry_run');
+const planEstimates = require('./lib/plan_estimates');
+const replanning = require('./lib/replanning');
+const subtasks = require('./lib/subtasks');
 
 const POLL_INTERVAL_MS = 30 * 1000; // 30 seconds
 const HEALTH_PORT = process.env.HEALTH_PORT || 8787;
@@ -38,6 +47,9 @@ let lastHealthCheckTime = 0; // Timestamp of last health check run
 let lastDailySummaryDate = null; // Track if daily summary ran today
 let lastBackupDate = null; // Track if backup ran today
 let lastGitPushDate = null; // Track if GitHub push ran today
+let lastConsolidationDate = null; // Track if memory consolidation ran today
+const alertedHungPhaseIds = new Set(); // Hung streaming phases already reported (one alert each)
+const alertedStaleWorkers = new Set(); // `${workerId}@${last_seen_at}` already reported
 const HEALTH_CHECK_INTERVAL_MS = 10 * 60 * 1000; // 10 minutes
 
 // ============================================================
@@ -106,6 +118,11 @@ async function tick() {
   // 4. Check for completed missions (+ auto-create next phase missions)
   await checkMissions();
 
+  // 4b. Re-queue budget_blocked steps once their budget has room (new day / raised limit)
+  await budget.releaseBlockedSteps(models.MODELS).catch(err =>
+    console.error(`[heartbeat] Budget release error (non-blocking): ${err.message}`)
+  );
+
   // 5. Catch stalled projects (in a phase with no active/pending missions)
   await checkStalledProjects();
 
@@ -456,6 +473,18 @@ async function reQueueProposal(proposalId) {
   }
 }
 
+const PERSONA_SECTION = { type: 'string', minLength: 1 };
+const PERSONA_SCHEMA = {
+  type: 'object',
+  required: ['agentMd', 'soulMd', 'skillsMd', 'identityMd'],
+  properties: {
+    agentMd: PERSONA_SECTION,
+    soulMd: PERSONA_SECTION,
+    skillsMd: PERSONA_SECTION,
+    identityMd: PERSONA_SECTION
+  }
+};
+
 /**
  * Generate a full SEP persona for a new agent via LLM (Tier 1).
  * Includes agent identity, soul, skills, and the complete system prompt.
@@ -496,43 +525,32 @@ AGENT DETAILS:
 - Colleagues: ${colleagues}
 - Hiring justification: ${hire.justification || 'General team need'}${projectBlock}
 
-Generate the persona in this EXACT format (use the exact delimiters):
-
-===AGENT_MD===
-Who this agent is: their name, role, and archetype. 2-3 sentences.
-===END_AGENT_MD===
-
-===SOUL_MD===
-Core personality traits, communication style, values, and quirks. How they interact with others. What motivates them. 3-5 sentences.
-===END_SOUL_MD===
-
-===SKILLS_MD===
-Domain expertise, methodologies, tools, and mental models. What makes them excellent at their role. 3-5 sentences.
-===END_SKILLS_MD===
-
-===IDENTITY_MD===
-Fictional credentials and background. Past experience, education, notable achievements. 3-5 sentences.
-===END_IDENTITY_MD===
+Respond with ONLY a JSON object (no markdown, no explanation) with these four string fields:
+{
+  "agentMd": "Who this agent is: their name, role, and archetype. 2-3 sentences.",
+  "soulMd": "Core personality traits, communication style, values, and quirks. How they interact with others. What motivates them. 3-5 sentences.",
+  "skillsMd": "Domain expertise, methodologies, tools, and mental models. What makes them excellent at their role. 3-5 sentences.",
+  "identityMd": "Fictional credentials and background. Past experience, education, notable achievements. 3-5 sentences."
+}
 
 Make the persona distinct, memorable, and anime-inspired. The agent should feel like a real character, not a generic AI. Their personality should influence how they approach their work.`;
 
   try {
-    const result = await models.callLLM({
-      systemPrompt: 'You are the Persona Architect. Generate detailed, creative agent personas in the exact format requested.',
+    const result = await structured.callLLMJson({
+      systemPrompt: 'You are the Persona Architect. Generate detailed, creative agent personas as JSON in the exact shape requested.',
       userMessage: prompt,
       agentId: agent.id,
       forceTier: 'tier1',
-      taskDescription: 'persona generation'
+      taskDescription: 'persona generation',
+      schema: PERSONA_SCHEMA
     });
 
-    if (result.error || !result.content) {
-      console.error(`[heartbeat] Persona LLM call failed for ${agent.display_name}: ${result.error}`);
+    if (result.error) {
+      console.error(`[heartbeat] Persona generation ${result.error.code} for ${agent.display_name}: ${result.error.message}`);
       return buildFallbackPersona(agent, hire);
     }
 
-    // Parse the structured output
-    const parsed = parsePersonaOutput(result.content, agent, hire);
-    return parsed;
+    return buildPersonaFromSections(result.data, agent, hire);
 
   } catch (err) {
     console.error(`[heartbeat] Persona generation error for ${agent.display_name}:`, err.message);
@@ -541,19 +559,13 @@ Make the persona distinct, memorable, and anime-inspired. The agent should feel
 }
 
 /**
- * Parse LLM persona output into structured sections.
+ * Assemble the full SEP persona from the validated LLM sections.
  */
-function parsePersonaOutput(content, agent, hire) {
-  const extract = (tag) => {
-    const regex = new RegExp(`===${tag}===\\s*([\\s\\S]*?)===END_${tag}===`);
-    const match = content.match(regex);
-    return match ? match[1].trim() : null;
-  };
-
-  const agentMd = extract('AGENT_MD') || `${agent.display_name} is a ${hire.role} on ${hire.team_id}.`;
-  const soulMd = extract('SOUL_MD') || `Professional and dedicated to quality work in ${hire.role.toLowerCase()}.`;
-  const skillsMd = extract('SKILLS_MD') || `Expert in ${hire.role.toLowerCase()} with broad domain knowledge.`;
-  const identityMd = extract('IDENTITY_MD') || `Experienced professional with a track record in ${hire.role.toLowerCase()}.`;
+function buildPersonaFromSections(sections, agent, hire) {
+  const agentMd = sections.agentMd.trim();
+  const soulMd = sections.soulMd.trim();
+  const skillsMd = sections.skillsMd.trim();
+  const identityMd = sections.identityMd.trim();
 
   const fullSepPrompt = `# ${agent.display_name} — ${hire.role}
 
@@ -796,9 +808,26 @@ async function checkMissions() {
   // directly inside completeMission()/failMission() (ISS-016 fix). This eliminates
   // the race condition where the worker completed first and heartbeat never saw it.
   // checkStalledProjects() handles creating next-phase missions on the next tick.
+  // Steps whose worker died mid-pipeline: requeue, or fail after MAX_STEP_ATTEMPTS.
+  // Runs first so the per-mission cascade below sees the new statuses.
+  await missions.sweepExpiredLeases();
+
   const activeMissions = await missions.getActiveMissions();
 
   for (const mission of activeMissions) {
+    // A step waiting on a failed sub-task can never run: fail it, so re-planning
+    // below can replace it like any other failed step.
+    await subtasks.failStrandedParents(mission.id).catch(err =>
+      console.error(`[heartbeat] Sub-task check error for mission #${mission.id} (non-blocking): ${err.message}`)
+    );
+
+    // Decomposed missions: a failed step gets replacement steps from Frasier
+    // (within the per-mission cap) instead of taking its dependents down with it.
+    // Must run BEFORE failBlockedSteps, which would fail those dependents.
+    await replanning.replanFailedSteps(mission.id).catch(err =>
+      console.error(`[heartbeat] Re-planning error for mission #${mission.id} (non-blocking): ${err.message}`)
+    );
+
     // ISS-028: Auto-fail pending steps permanently blocked by a failed predecessor.
     // WHY: Without this, zombie pending steps clog the worker queue and prevent
     // live missions from ever being picked up. Must run BEFORE checkMissionCompletion
@@ -806,6 +835,12 @@ async function checkMissions() {
     await missions.failBlockedSteps(mission.id);
     await missions.checkMissionCompletion(mission.id);
   }
+
+  // Completed decomposed missions: record actual cost/time next to the plan's
+  // estimate. Sweeps completed missions because the worker completes most of them.
+  await planEstimates.compareCompletedMissions().catch(err =>
+    console.error(`[heartbeat] Plan estimate comparison error (non-blocking): ${err.message}`)
+  );
 }
 
 // ============================================================
@@ -844,15 +879,26 @@ async function checkStalledProjects() {
       if (!projectMissions || projectMissions.length === 0) continue;
 
       const missionIds = projectMissions.map(pm => pm.mission_id);
+      // Paused missions are on hold, not stalled
       const { data: activeMissions } = await require('./lib/supabase')
         .from('missions')
         .select('id')
         .in('id', missionIds)
-        .in('status', ['in_progress', 'pending'])
+        .in('status', ['in_progress', 'pending', 'paused'])
         .limit(1);
 
       if (activeMissions && activeMissions.length > 0) continue;
 
+      // Zero cancelled this project's latest mission on purpose — don't respawn it
+      const { data: latestMission } = await require('./lib/supabase')
+        .from('missions')
+        .select('id, status')
+        .in('id', missionIds)
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+      if (latestMission?.[0]?.status === 'cancelled') continue;
+
       // Project is stalled — has no active missions and no pending proposals
       console.log(`[heartbeat] Project #${project.id} stalled in "${project.phase}" phase — auto-creating mission`);
       await createNextPhaseMission(project, null);
@@ -869,14 +915,19 @@ async function checkStalledProjects() {
 /**
  * Run monitoring checks at appropriate intervals.
  * - Cost alerts: every tick (30s) — fires once per day max
+ * - Hung phases / stale workers: every tick, one alert each
  * - Health checks: every 10 minutes
  * - Daily summary: once daily at ~9:30am ET
+ * - Memory consolidation: once daily at 2:00am ET
  */
 async function runMonitoring() {
   try {
     await checkCostAlert();
+    await checkHungPhases();
+    await checkWorkerLiveness();
     await checkHealthPeriodic();
     await checkDailySummary();
+    await checkMemoryConsolidation();
     await checkDailyBackup();
     await checkDailyGitPush();
   } catch (err) {
@@ -935,6 +986,54 @@ async function checkCostAlert() {
   }
 }
 
+/**
+ * Watchdog for streaming pipeline phases. A slow synthesize keeps writing heartbeats;
+ * one that has gone silent is hung. Alert once per phase so Zero can restart the worker.
+ */
+async function checkHungPhases() {
+  const hung = await pipeline.findHungPhases();
+
+  for (const phase of hung) {
+    if (alertedHungPhaseIds.has(phase.id)) continue;
+    alertedHungPhaseIds.add(phase.id);
+
+    const silentMin = Math.round(phase.silentMs / 60000);
+    console.log(`[heartbeat] Step #${phase.missionStepId} ${phase.phaseName} phase silent for ${silentMin}m — likely hung`);
+    await events.logEvent({
+      eventType: 'phase_hung',
+      severity: 'warning',
+      description: `Step #${phase.missionStepId}: ${phase.phaseName} phase has had no streaming progress for ${silentMin} min (${phase.streamedChars} chars so far)`,
+      data: phase
+    });
+  }
+}
+
+/**
+ * Watchdog for worker processes. Each worker reports liveness every poll; one that
+ * went quiet without reporting 'stopped' crashed or froze. Alert once per silence
+ * (keyed on last_seen_at, so a worker that recovers and dies again alerts again).
+ */
+async function checkWorkerLiveness() {
+  const stale = await workerPool.findStaleWorkers();
+
+  for (const worker of stale) {
+    const key = `${worker.id}@${worker.last_seen_at}`;
+    if (alertedStaleWorkers.has(key)) continue;
+    alertedStaleWorkers.add(key);
+
+    const silentMin = Math.round(worker.silentMs / 60000);
+    const inFlight = worker.in_flight_step_ids || [];
+    console.log(`[heartbeat] Worker ${worker.id} silent for ${silentMin}m (${inFlight.length} step(s) in flight)`);
+    await events.logEvent({
+      eventType: 'worker_stale',
+      severity: 'warning',
+      description: `Worker ${worker.id} (pid ${worker.pid}) has not reported for ${silentMin} min` +
+        (inFlight.length > 0 ? ` — steps in flight: ${inFlight.map(id => `#${id}`).join(', ')}` : ''),
+      data: { workerId: worker.id, pid: worker.pid, lastSeenAt: worker.last_seen_at, inFlightStepIds: inFlight }
+    });
+  }
+}
+
 /**
  * Run health checks every 10 minutes.
  * Alerts on any failures.
@@ -1034,6 +1133,46 @@ async function generateDailySummary() {
   console.log('[heartbeat] Daily summary sent');
 }
 
+/**
+ * Consolidate old agent memories into summary digests at 2:00am ET.
+ * Runs before the 3am backup so the backup includes the new digests.
+ */
+async function checkMemoryConsolidation() {
+  const tz = 'America/New_York';
+  const targetH = 2;
+  const targetM = 0;
+
+  const now = new Date();
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: tz,
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', hour12: false
+  });
+  const parts = formatter.formatToParts(now);
+  const currentDate = `${parts.find(p => p.type === 'year').value}-${parts.find(p => p.type === 'month').value}-${parts.find(p => p.type === 'day').value}`;
+  const hour = parseInt(parts.find(p => p.type === 'hour').value);
+  const minute = parseInt(parts.find(p => p.type === 'minute').value);
+
+  if (hour === targetH && minute >= targetM && minute < targetM + 5 && lastConsolidationDate !== currentDate) {
+    lastConsolidationDate = currentDate;
+    console.log(`[heartbeat] Running memory consolidation for ${currentDate}...`);
+
+    try {
+      const activeAgents = await agents.getAllActiveAgents();
+      const totals = await memoryConsolidation.runConsolidation(activeAgents.map(a => a.id));
+
+      await events.logEvent({
+        eventType: 'memory_consolidated',
+        severity: 'info',
+        description: `Memory consolidation: ${totals.memoriesConsolidated} memories → ${totals.summaries} summaries across ${totals.agents} agents`,
+        data: totals
+      });
+    } catch (err) {
+      console.error('[heartbeat] Memory consolidation error:', err.message);
+    }
+  }
+}
+
 /**
  * Run daily database backup to Google Drive at 3:00am ET.
  * Decision 23: Automated daily DB backup. Zero cost.
@@ -1077,6 +1216,9 @@ async function checkDailyBackup() {
     } catch (err) {
       console.error('[heartbeat] Backup error:', err.message);
     }
+
+    // Same 3am maintenance window: drop expired LLM response cache rows
+    await models.pruneResponseCache();
   }
 }
 
@@ -1348,7 +1490,12 @@ process.on('SIGTERM', () => {
   running = false;
 });
 
-main().catch(err => {
-  console.error('[heartbeat] Fatal error:', err);
-  process.exit(1);
-});
+// Replay (scripts/replay.js) drives the checks itself, one round at a time
+if (dryRun.isReplay()) {
+  module.exports = { processProposals, processApprovedHires, processApprovals, checkMissions, checkStalledProjects };
+} else {
+  main().catch(err => {
+    console.error('[heartbeat] Fatal error:', err);
+    process.exit(1);
+  });
+}
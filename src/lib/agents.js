@@ -956,6 +956,20 @@ const ROLE_TITLES_FALLBACK = {
   knowledge: 'Knowledge Curator'
 };
 
+const DYNAMIC_ROLES_SCHEMA = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    type: 'object',
+    required: ['title'],
+    properties: {
+      title: { type: 'string', minLength: 1 },
+      category: { type: 'string' },
+      reason: { type: 'string' }
+    }
+  }
+};
+
 /**
  * Determine what roles a project needs using an LLM call.
  * Returns free-form role titles tailored to the project's industry/domain.
@@ -965,10 +979,10 @@ const ROLE_TITLES_FALLBACK = {
  * @returns {Object[]} Array of { title, category, reason }
  */
 async function determineDynamicProjectRoles(description) {
-  const models = require('./models');
+  const structured = require('./structured_output');
 
   try {
-    const result = await models.callLLM({
+    const result = await structured.callLLMJson({
       systemPrompt: 'You determine what expert roles a project needs. Return ONLY valid JSON.',
       userMessage: `Analyze this project and determine what specialist roles are needed.
 
@@ -987,25 +1001,22 @@ JSON format (no markdown, no backticks, ONLY the JSON array):
   { "title": "AI Product Architect", "category": "engineering", "reason": "Design the AI agent architecture and integrations" }
 ]`,
       agentId: 'system',
-      forceTier: 'tier1'
+      forceTier: 'tier1',
+      schema: DYNAMIC_ROLES_SCHEMA
     });
 
-    if (result.error || !result.content) {
+    if (result.error) {
+      console.error(`[agents] Dynamic roles ${result.error.code}: ${result.error.message}`);
       return keywordFallbackRoles(description);
     }
 
-    const jsonStr = result.content.replace(/```json?\n?/g, '').replace(/```/g, '').trim();
-    const roles = JSON.parse(jsonStr);
-
-    if (Array.isArray(roles) && roles.length > 0) {
-      return roles.map(r => ({
-        title: r.title || 'Specialist',
-        category: VALID_CATEGORIES.includes(r.category) ? r.category : 'research',
-        reason: r.reason || ''
-      }));
-    }
-  } catch (parseErr) {
-    console.error(`[agents] Failed to parse dynamic roles: ${parseErr.message}`);
+    return result.data.map(r => ({
+      title: r.title,
+      category: VALID_CATEGORIES.includes(r.category) ? r.category : 'research',
+      reason: r.reason || ''
+    }));
+  } catch (err) {
+    console.error(`[agents] Failed to determine dynamic roles: ${err.message}`);
   }
 
   return keywordFallbackRoles(description);
@@ -267,3 +267,7 @@ module.exports = {
   postToDiscord,
   formatDailySummary
 };
+
+// Dry run: outbound calls are recorded to the trace instead of sent
+const dryRun = require('./dry_run');
+if (dryRun.isDryRun()) module.exports = dryRun.recordIntegration('alerts', module.exports);
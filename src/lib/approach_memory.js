@@ -4,12 +4,21 @@
 // the agent sharper from day one. Agents accumulate judgment, not just facts.
 //
 // This is ZERO additional LLM calls — pure database retrieval + insertion.
-// Uses PostgreSQL array overlap on topic_tags (same pattern as memory.js:257-273).
+// Matching: PostgreSQL array overlap on topic_tags, plus (when the caller passes
+// the task text) embedding similarity on task_summary — see embeddings.js.
 
 const supabase = require('./supabase');
+const embeddings = require('./embeddings');
 
 const MAX_TASK_SUMMARY_LENGTH = 500;
 
+// Recent approaches scored for similarity per lookup
+const SEMANTIC_CANDIDATE_POOL = 50;
+
+// Ranking blend: how close the task is vs how well the approach scored (out of 5)
+const SIMILARITY_WEIGHT = 0.7;
+const SCORE_WEIGHT = 0.3;
+
 // ============================================================
 // SAVE APPROACH
 // ============================================================
@@ -46,6 +55,8 @@ async function save({
     ? taskSummary.substring(0, MAX_TASK_SUMMARY_LENGTH)
     : taskSummary;
 
+  const vector = await embeddings.embedText(truncatedSummary);
+
   const { error } = await supabase.from('approach_memory').insert({
     agent_id: agentId,
     mission_step_id: missionStepId,
@@ -55,7 +66,9 @@ async function save({
     search_queries: searchQueries,
     effective_queries: effectiveQueries,
     critique_score: critiqueScore,
-    approach_notes: approachNotes
+    approach_notes: approachNotes,
+    embedding: vector ? vector.embedding : null,
+    embedding_model: vector ? vector.model : null
   });
 
   if (error) {
@@ -73,15 +86,48 @@ async function save({
  * Find past approaches with overlapping topic tags for the same agent.
  * Returns the best-performing approaches first (highest critique score).
  *
+ * With queryText, approaches whose task is semantically close also match (even
+ * with no shared tag), and ranking blends similarity with critique score.
+ *
  * @param {Object} params
  * @param {string} params.agentId
  * @param {string[]} params.topicTags - Tags to match against
+ * @param {string} [params.queryText] - The new task's description
  * @param {number} [params.limit=3] - Max approaches to return
- * @returns {Array} Matching approaches, best scores first
+ * @returns {Array} Matching approaches, best first
  */
-async function findSimilar({ agentId, topicTags = [], limit = 3 }) {
-  if (topicTags.length === 0) return [];
+async function findSimilar({ agentId, topicTags = [], queryText = null, limit = 3 }) {
+  const queryVector = queryText ? await embeddings.embedText(queryText) : null;
+  if (!queryVector) {
+    return topicTags.length > 0 ? findByTags(agentId, topicTags, limit) : [];
+  }
 
+  const [pool, tagged] = await Promise.all([
+    getRecentApproaches(agentId),
+    topicTags.length > 0 ? findByTags(agentId, topicTags, limit) : []
+  ]);
+
+  const taggedIds = new Set(tagged.map(a => a.id));
+  const candidates = new Map([...pool, ...tagged].map(a => [a.id, a]));
+  const minSimilarity = embeddings.getMinSimilarity();
+
+  const scored = [];
+  for (const approach of candidates.values()) {
+    const similarity = embeddings.similarity(queryVector, approach);
+    const tagMatch = taggedIds.has(approach.id);
+    if (!tagMatch && (similarity === null || similarity < minSimilarity)) continue;
+    const score = SIMILARITY_WEIGHT * (similarity ?? minSimilarity)
+      + SCORE_WEIGHT * ((approach.critique_score || 0) / 5);
+    scored.push({ approach, score });
+  }
+
+  return scored
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(s => s.approach);
+}
+
+async function findByTags(agentId, topicTags, limit) {
   const { data, error } = await supabase
     .from('approach_memory')
     .select()
@@ -98,6 +144,22 @@ async function findSimilar({ agentId, topicTags = [], limit = 3 }) {
   return data || [];
 }
 
+async function getRecentApproaches(agentId) {
+  const { data, error } = await supabase
+    .from('approach_memory')
+    .select()
+    .eq('agent_id', agentId)
+    .order('created_at', { ascending: false })
+    .limit(SEMANTIC_CANDIDATE_POOL);
+
+  if (error) {
+    console.error(`[approach_memory] Failed to load recent approaches: ${error.message}`);
+    return [];
+  }
+
+  return data || [];
+}
+
 // ============================================================
 // FORMAT FOR PROMPT INJECTION
 // ============================================================
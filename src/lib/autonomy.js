@@ -11,8 +11,13 @@
 // - Policy disabled → no auto-approve
 //
 // Integration: ~15 lines at top of heartbeat.js:processApprovals()
+//
+// Thresholds change only through updateThresholds(), which requires a passing
+// critique calibration run (critique_eval.js) for the new values.
 
 const supabase = require('./supabase');
+const events = require('./events');
+const critiqueEval = require('./critique_eval');
 
 // ============================================================
 // IS FINAL STEP
@@ -129,7 +134,71 @@ async function shouldAutoApprove(step) {
   return { autoApprove: false, qaOnly: false, score, reason: `full review (score ${score} < ${policy.qa_only_threshold})` };
 }
 
+// ============================================================
+// THRESHOLD CHANGES (gated by critique calibration)
+// ============================================================
+
+/**
+ * Change auto_approve_threshold / qa_only_threshold. Refused unless a critique
+ * eval passed for exactly these values, on today's critique prompt, tier and
+ * model, within the last critique_eval.EVAL_MAX_AGE_MS.
+ * WHY: the thresholds are only as good as the scores they are compared with.
+ *
+ * @param {Object} params
+ * @param {number} params.autoApproveThreshold
+ * @param {number} params.qaOnlyThreshold
+ * @returns {{ rules: Object|null, evalRunId: number|null, error: string|null }}
+ */
+async function updateThresholds({ autoApproveThreshold, qaOnlyThreshold }) {
+  const inRange = v => Number.isFinite(v) && v >= 1 && v <= 5;
+  if (!inRange(autoApproveThreshold) || !inRange(qaOnlyThreshold) || qaOnlyThreshold > autoApproveThreshold) {
+    return { rules: null, evalRunId: null, error: 'Thresholds must be between 1 and 5, with qa_only ≤ auto_approve.' };
+  }
+
+  const { data: row, error: readErr } = await supabase
+    .from('policy')
+    .select()
+    .eq('policy_type', 'autonomy')
+    .maybeSingle();
+
+  if (readErr || !row) {
+    return { rules: null, evalRunId: null, error: 'No autonomy policy found.' };
+  }
+
+  const run = await critiqueEval.findPassingRun({ autoApproveThreshold, qaOnlyThreshold });
+  if (!run) {
+    return {
+      rules: null,
+      evalRunId: null,
+      error: `No passing critique eval for auto ${autoApproveThreshold} / QA ${qaOnlyThreshold} on the current critique prompt and model. ` +
+        `Run: node scripts/eval_critique.js --auto ${autoApproveThreshold} --qa ${qaOnlyThreshold}`
+    };
+  }
+
+  const rules = { ...row.rules, auto_approve_threshold: autoApproveThreshold, qa_only_threshold: qaOnlyThreshold };
+  const { error: updateErr } = await supabase
+    .from('policy')
+    .update({ rules })
+    .eq('id', row.id);
+
+  if (updateErr) {
+    console.error('[autonomy] Failed to update thresholds:', updateErr.message);
+    return { rules: null, evalRunId: run.id, error: updateErr.message };
+  }
+
+  await events.logEvent({
+    eventType: 'autonomy_thresholds_changed',
+    severity: 'info',
+    description: `Autonomy thresholds: auto ${row.rules.auto_approve_threshold} → ${autoApproveThreshold}, QA-only ${row.rules.qa_only_threshold} → ${qaOnlyThreshold} (eval run #${run.id})`,
+    data: { from: row.rules, to: rules, evalRunId: run.id }
+  });
+
+  return { rules, evalRunId: run.id, error: null };
+}
+
 module.exports = {
   shouldAutoApprove,
-  isFinalStep
+  isFinalStep,
+  getPolicy,
+  updateThresholds
 };
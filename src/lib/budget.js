@@ -0,0 +1,485 @@
+// budget.js — Hard spend limits enforced before every LLM call
+// WHY: checkCostAlert() in heartbeat only emails after the money is gone. This guard
+// runs inside callLLM() and compares running model_usage totals against the
+// `budget` policy (daily, per-mission, per-agent) BEFORE the request is sent.
+//
+// On breach (policy.on_breach):
+//   downgrade — try cheaper tiers until the call fits (default)
+//   block     — park the step as `budget_blocked`; heartbeat re-queues it when budget frees up
+//   refuse    — return an error, nothing queued
+// If downgrading can't make the call fit, step calls are blocked and non-step calls refused.
+//
+// No budget policy row (or enabled=false) = no limits. The guard fails open on DB errors —
+// a spend query hiccup must not halt all work.
+
+const supabase = require('./supabase');
+const policy = require('./policy');
+const events = require('./events');
+
+const BUDGET_POLICY_TYPE = 'budget';
+const BUDGET_BLOCKED = 'BUDGET_BLOCKED';
+const BUDGET_REFUSED = 'BUDGET_REFUSED';
+const TIER_ORDER = ['tier1', 'tier2', 'tier3'];
+const SPEND_CACHE_TTL_MS = 10 * 1000;
+
+const DEFAULT_BUDGET_RULES = {
+  enabled: true,
+  daily_limit_usd: null,
+  mission_limit_usd: null,
+  agent_daily_limit_usd: null,
+  on_breach: 'downgrade',
+  expected_output_tokens: 2000 // Pre-call output estimate (real usage is logged after)
+};
+
+// ============================================================
+// RULES
+// ============================================================
+
+/**
+ * Get budget rules, or null when no budget policy is configured.
+ */
+async function getBudgetRules() {
+  const row = await policy.getPolicy(BUDGET_POLICY_TYPE);
+  if (!row) return null;
+  return { ...DEFAULT_BUDGET_RULES, ...(row.rules || {}), version: row.version };
+}
+
+// ============================================================
+// SPEND TOTALS
+// ============================================================
+
+function startOfToday() {
+  const d = new Date();
+  d.setHours(0, 0, 0, 0);
+  return d.toISOString();
+}
+
+function sumCost(rows) {
+  return (rows || []).reduce((sum, r) => sum + (parseFloat(r.estimated_cost_usd) || 0), 0);
+}
+
+// Today's totals, cached like policy.js caches policies. WHY: checkBudget() runs
+// before every callLLM(), and re-reading every model_usage row since midnight each
+// time grew with the day's traffic. Spend this process logs is added as it happens
+// (recordSpend), so the totals only lag other processes' spend, by at most
+// SPEND_CACHE_TTL_MS.
+let todayCache = null; // { since, fetchedAt, daily, byAgent: Map<agentId, usd> }
+
+async function getTodaySpend() {
+  const since = startOfToday();
+  const now = Date.now();
+  if (todayCache && todayCache.since === since && (now - todayCache.fetchedAt) < SPEND_CACHE_TTL_MS) {
+    return todayCache;
+  }
+
+  const { data, error } = await supabase
+    .from('model_usage')
+    .select('estimated_cost_usd, agent_id')
+    .gte('created_at', since);
+
+  if (error) throw new Error(error.message);
+
+  const byAgent = new Map();
+  for (const row of data || []) {
+    if (!row.agent_id) continue;
+    byAgent.set(row.agent_id, (byAgent.get(row.agent_id) || 0) + (parseFloat(row.estimated_cost_usd) || 0));
+  }
+  todayCache = { since, fetchedAt: now, daily: sumCost(data), byAgent };
+  return todayCache;
+}
+
+// Per-mission totals, same window and write-through as todayCache. WHY: with a
+// mission_limit_usd set, every step's calls re-read the mission's whole
+// model_usage history. stepIds lets recordSpend(), which only knows the step,
+// find the mission; steps added since the read lag like other processes' spend.
+const missionCache = new Map(); // missionId → { fetchedAt, total, stepIds: Set<stepId> }
+
+/**
+ * Add a call this process just logged to the cached totals (models.logModelUsage).
+ */
+function recordSpend({ agentId = null, missionStepId = null, cost }) {
+  const usd = parseFloat(cost) || 0;
+  if (usd <= 0) return;
+
+  if (todayCache && todayCache.since === startOfToday()) {
+    todayCache.daily += usd;
+    if (agentId) todayCache.byAgent.set(agentId, (todayCache.byAgent.get(agentId) || 0) + usd);
+  }
+  if (missionStepId) {
+    for (const entry of missionCache.values()) {
+      if (entry.stepIds.has(missionStepId)) entry.total += usd;
+    }
+  }
+}
+
+/**
+ * Drop the cached totals (tests, or after editing model_usage by hand).
+ */
+function clearSpendCache() {
+  todayCache = null;
+  missionCache.clear();
+}
+
+/**
+ * Get the mission a step belongs to.
+ */
+async function getMissionIdForStep(missionStepId) {
+  if (!missionStepId) return null;
+  const { data } = await supabase
+    .from('mission_steps')
+    .select('mission_id')
+    .eq('id', missionStepId)
+    .maybeSingle();
+  return data ? data.mission_id : null;
+}
+
+/**
+ * Total spend for a mission across all of its steps (all time). Cached per mission
+ * for SPEND_CACHE_TTL_MS.
+ */
+async function getMissionSpend(missionId) {
+  const now = Date.now();
+  const cached = missionCache.get(missionId);
+  if (cached && (now - cached.fetchedAt) < SPEND_CACHE_TTL_MS) return cached.total;
+
+  const { data: steps, error: stepsError } = await supabase
+    .from('mission_steps')
+    .select('id')
+    .eq('mission_id', missionId);
+
+  if (stepsError) throw new Error(stepsError.message);
+  const stepIds = (steps || []).map(s => s.id);
+  if (stepIds.length === 0) return 0;
+
+  const { data, error } = await supabase
+    .from('model_usage')
+    .select('estimated_cost_usd')
+    .in('mission_step_id', stepIds);
+
+  if (error) throw new Error(error.message);
+
+  // Drop stale entries so long-finished missions don't accumulate
+  for (const [id, entry] of missionCache) {
+    if ((now - entry.fetchedAt) >= SPEND_CACHE_TTL_MS) missionCache.delete(id);
+  }
+  const total = sumCost(data);
+  missionCache.set(missionId, { fetchedAt: now, total, stepIds: new Set(stepIds) });
+  return total;
+}
+
+/**
+ * Current spend for each scope that has a limit configured.
+ *
+ * @param {Object} params
+ * @param {Object} params.rules - Budget rules
+ * @param {string} [params.agentId]
+ * @param {number} [params.missionStepId]
+ * @returns {{ daily: number, mission: number|null, missionId: number|null, agent: number|null }}
+ */
+async function getSpend({ rules, agentId = null, missionStepId = null }) {
+  const spend = { daily: 0, mission: null, missionId: null, agent: null };
+
+  const today = await getTodaySpend();
+  spend.daily = today.daily;
+
+  // model_usage only stores agent-* ids (see logModelUsage), so other callers have no agent scope
+  if (rules.agent_daily_limit_usd != null && agentId && agentId.startsWith('agent-')) {
+    spend.agent = today.byAgent.get(agentId) || 0;
+  }
+
+  if (rules.mission_limit_usd != null && missionStepId) {
+    spend.missionId = await getMissionIdForStep(missionStepId);
+    if (spend.missionId) spend.mission = await getMissionSpend(spend.missionId);
+  }
+
+  return spend;
+}
+
+// ============================================================
+// GUARD
+// ============================================================
+
+/**
+ * Rough pre-call cost: prompt chars / 4 for input, policy estimate for output.
+ */
+function estimateCallCost(modelConfig, promptChars, rules) {
+  const inputTokens = Math.ceil((promptChars || 0) / 4);
+  const outputTokens = Math.min(modelConfig.maxTokens || Infinity, rules.expected_output_tokens || 0);
+  return (inputTokens / 1000) * (modelConfig.costPer1kInput || 0)
+    + (outputTokens / 1000) * (modelConfig.costPer1kOutput || 0);
+}
+
+/**
+ * First scope whose limit the projected spend would exceed, or null.
+ */
+function findBreach(spend, estimate, rules) {
+  const scopes = [
+    { scope: 'daily', label: 'Daily', limit: rules.daily_limit_usd, spent: spend.daily },
+    { scope: 'mission', label: `Mission #${spend.missionId}`, limit: rules.mission_limit_usd, spent: spend.mission },
+    { scope: 'agent', label: 'Agent daily', limit: rules.agent_daily_limit_usd, spent: spend.agent }
+  ];
+
+  for (const s of scopes) {
+    if (s.limit == null || s.spent == null) continue;
+    if (s.spent + estimate > s.limit) {
+      return {
+        ...s,
+        reason: `${s.label} budget $${Number(s.limit).toFixed(2)} would be exceeded (spent $${s.spent.toFixed(4)}, call ~$${estimate.toFixed(4)})`
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Decide whether an LLM call may proceed, and at which tier.
+ *
+ * @param {Object} params
+ * @param {string} params.tier - Requested tier
+ * @param {Object} params.modelConfigs - MODELS from models.js (passed in to avoid a require cycle)
+ * @param {string} [params.agentId]
+ * @param {number} [params.missionStepId]
+ * @param {string} [params.leaseOwner] - Worker holding the step's lease (see blockStep)
+ * @param {number} [params.promptChars] - systemPrompt + userMessage length
+ * @returns {{ action: 'allow'|'downgrade'|'block'|'refuse', tier: string, reason: string|null, scope: string|null }}
+ */
+async function checkBudget({ tier, modelConfigs, agentId = null, missionStepId = null, leaseOwner = null, promptChars = 0 }) {
+  const allow = { action: 'allow', tier, reason: null, scope: null };
+
+  let rules;
+  let spend;
+  try {
+    rules = await getBudgetRules();
+    if (!rules || rules.enabled === false) return allow;
+    spend = await getSpend({ rules, agentId, missionStepId });
+  } catch (err) {
+    console.error('[budget] Spend check failed, allowing call:', err.message);
+    return allow;
+  }
+
+  const breach = findBreach(spend, estimateCallCost(modelConfigs[tier], promptChars, rules), rules);
+  if (!breach) return allow;
+
+  if (rules.on_breach === 'downgrade') {
+    for (let i = TIER_ORDER.indexOf(tier) - 1; i >= 0; i--) {
+      const lower = TIER_ORDER[i];
+      if (!findBreach(spend, estimateCallCost(modelConfigs[lower], promptChars, rules), rules)) {
+        console.log(`[budget] ${breach.reason} — downgrading ${tier} → ${lower}`);
+        return { action: 'downgrade', tier: lower, reason: breach.reason, scope: breach.scope };
+      }
+    }
+  }
+
+  if (missionStepId && rules.on_breach !== 'refuse') {
+    await blockStep(missionStepId, breach, agentId, { owner: leaseOwner });
+    return { action: 'block', tier, reason: `${BUDGET_BLOCKED}: ${breach.reason}`, scope: breach.scope };
+  }
+
+  console.log(`[budget] Refusing ${tier} call by ${agentId || 'system'}: ${breach.reason}`);
+  await events.logEvent({
+    eventType: 'budget_refused',
+    agentId,
+    severity: 'warning',
+    description: `LLM call refused: ${breach.reason}`,
+    data: { tier, scope: breach.scope, limit: breach.limit, spent: breach.spent }
+  });
+  return { action: 'refuse', tier, reason: `${BUDGET_REFUSED}: ${breach.reason}`, scope: breach.scope };
+}
+
+/**
+ * True if an error string came from a budget block (worker must not fail the step).
+ */
+function isBudgetBlockedError(message) {
+  return typeof message === 'string' && message.includes(BUDGET_BLOCKED);
+}
+
+// ============================================================
+// BLOCKED STEP LIFECYCLE
+// ============================================================
+
+/**
+ * Park a step as budget_blocked. getPendingSteps() ignores it until released.
+ * Guarded like completeStep(): only an in-progress step (still leased to `owner`,
+ * when given) is parked. WHY: a step cancelled or swept mid-call must not be
+ * rewritten to budget_blocked, or releaseBlockedSteps() would requeue it.
+ *
+ * @returns {boolean} false if the step had moved on (or the update failed)
+ */
+async function blockStep(missionStepId, breach, agentId = null, { owner = null } = {}) {
+  let query = supabase
+    .from('mission_steps')
+    .update({
+      status: 'budget_blocked',
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', missionStepId)
+    .eq('status', 'in_progress');
+  if (owner) query = query.eq('lease_owner', owner);
+
+  const { data, error } = await query.select().maybeSingle();
+
+  if (error) {
+    console.error(`[budget] Failed to block step #${missionStepId}:`, error.message);
+    return false;
+  }
+  if (!data) {
+    console.log(`[budget] Step #${missionStepId} is no longer in progress${owner ? ` under ${owner}` : ''} — not blocking`);
+    return false;
+  }
+
+  console.log(`[budget] Step #${missionStepId} blocked: ${breach.reason}`);
+  await events.logEvent({
+    eventType: 'budget_blocked',
+    agentId,
+    severity: 'warning',
+    description: `Step #${missionStepId} blocked: ${breach.reason}`,
+    data: { stepId: missionStepId, scope: breach.scope, limit: breach.limit, spent: breach.spent }
+  });
+  return true;
+}
+
+/**
+ * Re-queue budget_blocked steps whose budget has room again (new day or raised limit).
+ * Checked at tier1 — the cheapest way the step could run. Called from heartbeat.
+ *
+ * @param {Object} modelConfigs - MODELS from models.js
+ * @returns {number} Steps released
+ */
+async function releaseBlockedSteps(modelConfigs) {
+  const { data: blocked, error } = await supabase
+    .from('mission_steps')
+    .select('id, assigned_agent_id, model_tier')
+    .eq('status', 'budget_blocked');
+
+  if (error || !blocked || blocked.length === 0) return 0;
+
+  const rules = await getBudgetRules();
+  let released = 0;
+
+  for (const step of blocked) {
+    let fits = true;
+    if (rules && rules.enabled !== false) {
+      try {
+        const spend = await getSpend({ rules, agentId: step.assigned_agent_id, missionStepId: step.id });
+        fits = !findBreach(spend, estimateCallCost(modelConfigs.tier1, 0, rules), rules);
+      } catch (err) {
+        console.error(`[budget] Spend check failed for step #${step.id}:`, err.message);
+        continue;
+      }
+    }
+    if (!fits) continue;
+
+    const { error: updateError } = await supabase
+      .from('mission_steps')
+      .update({ status: 'pending', processed: false, updated_at: new Date().toISOString() })
+      .eq('id', step.id)
+      .eq('status', 'budget_blocked');
+
+    if (updateError) {
+      console.error(`[budget] Failed to release step #${step.id}:`, updateError.message);
+      continue;
+    }
+    released++;
+    console.log(`[budget] Step #${step.id} released back to pending`);
+  }
+
+  if (released > 0) {
+    await events.logEvent({
+      eventType: 'budget_released',
+      severity: 'info',
+      description: `${released} budget-blocked step(s) re-queued`,
+      data: { released }
+    });
+  }
+  return released;
+}
+
+// ============================================================
+// DISCORD HELPERS (!budget)
+// ============================================================
+
+/**
+ * Build the !budget status message.
+ */
+async function formatBudgetStatus() {
+  const rules = await getBudgetRules();
+  if (!rules) {
+    return 'No budget policy configured — LLM spend is unlimited. Seed it with `sql/008_budget_guard.sql`.';
+  }
+
+  let daily = 0;
+  try {
+    daily = (await getSpend({ rules: { ...rules, agent_daily_limit_usd: null, mission_limit_usd: null } })).daily;
+  } catch (err) {
+    console.error('[budget] Failed to load spend:', err.message);
+  }
+
+  const fmt = (v) => (v == null ? 'unlimited' : `$${Number(v).toFixed(2)}`);
+  let out = `**Budget${rules.version ? ` (v${rules.version})` : ''}** — ${rules.enabled === false ? 'DISABLED' : 'enforced'}\n`;
+  out += `Spent today: $${daily.toFixed(4)} / ${fmt(rules.daily_limit_usd)}\n`;
+  out += `Per-mission limit: ${fmt(rules.mission_limit_usd)}\n`;
+  out += `Per-agent daily limit: ${fmt(rules.agent_daily_limit_usd)}\n`;
+  out += `On breach: ${rules.on_breach}`;
+  return out;
+}
+
+/**
+ * Apply a !budget edit. Returns { message } or { error }.
+ *
+ *   set daily|mission|agent <usd|none>
+ *   mode downgrade|block|refuse
+ *   on | off
+ */
+async function applyBudgetEdit(args) {
+  const rules = await getBudgetRules();
+  if (!rules) return { error: 'No budget policy row found. Run `sql/008_budget_guard.sql` first.' };
+
+  const { version, ...next } = rules;
+  const sub = (args[0] || '').toLowerCase();
+
+  if (sub === 'set') {
+    const field = { daily: 'daily_limit_usd', mission: 'mission_limit_usd', agent: 'agent_daily_limit_usd' }[(args[1] || '').toLowerCase()];
+    const raw = (args[2] || '').replace('$', '').toLowerCase();
+    const amount = raw === 'none' ? null : parseFloat(raw);
+    if (!field || (amount !== null && (isNaN(amount) || amount < 0))) {
+      return { error: 'Usage: `!budget set daily|mission|agent <usd|none>`' };
+    }
+    next[field] = amount;
+  } else if (sub === 'mode') {
+    const mode = (args[1] || '').toLowerCase();
+    if (!['downgrade', 'block', 'refuse'].includes(mode)) {
+      return { error: 'Usage: `!budget mode downgrade|block|refuse`' };
+    }
+    next.on_breach = mode;
+  } else if (sub === 'on' || sub === 'off') {
+    next.enabled = sub === 'on';
+  } else {
+    return { error: 'Usage: `!budget` | `!budget set daily|mission|agent <usd|none>` | `!budget mode downgrade|block|refuse` | `!budget on|off`' };
+  }
+
+  const saved = await policy.updatePolicy(BUDGET_POLICY_TYPE, next);
+  if (!saved) return { error: 'Failed to save budget policy.' };
+
+  await events.logEvent({
+    eventType: 'budget_policy_updated',
+    severity: 'info',
+    description: `Budget policy updated to v${saved.version}: ${args.join(' ')}`,
+    data: { rules: next, version: saved.version }
+  });
+  return { message: `Budget updated (v${saved.version}).` };
+}
+
+module.exports = {
+  BUDGET_POLICY_TYPE,
+  BUDGET_BLOCKED,
+  BUDGET_REFUSED,
+  getBudgetRules,
+  getSpend,
+  recordSpend,
+  clearSpendCache,
+  checkBudget,
+  isBudgetBlockedError,
+  releaseBlockedSteps,
+  formatBudgetStatus,
+  applyBudgetEdit
+};
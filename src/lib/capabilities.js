@@ -8,7 +8,7 @@
 // 1. buildCapabilityManifest() — static text injected into the decomposition prompt
 // 2. validatePlanFeasibility() — T1 LLM check that each step is achievable before execution
 
-const models = require('./models');
+const structured = require('./structured_output');
 
 // ============================================================
 // QUANTITATIVE RESEARCH LIMITS
@@ -27,7 +27,8 @@ const RESEARCH_LIMITS = {
   MAX_FETCHES_PER_STEP: 16,      // Was 8 — total page fetches per step
   MAX_URLS_PER_QUERY: 3,         // Was 2 — URLs fetched per search query
   MAX_CHARS_PER_PAGE: 8000,      // Per-page content truncation limit
-  MAX_RESEARCH_ITERATIONS: 3     // Gap analysis → search → gap analysis cycles
+  MAX_RESEARCH_ITERATIONS: 3,    // Gap analysis → search → gap analysis cycles
+  MAX_TOOL_CALLS_PER_STEP: 8     // Mid-synthesis tool calls (search/fetch share the budgets above)
 };
 
 // ============================================================
@@ -252,6 +253,7 @@ function buildCapabilityManifest() {
   manifest += `- ${RESEARCH_LIMITS.MAX_FETCHES_PER_STEP} page fetches total (${RESEARCH_LIMITS.MAX_URLS_PER_QUERY} URLs per query)\n`;
   manifest += `- ${RESEARCH_LIMITS.MAX_CHARS_PER_PAGE.toLocaleString()} characters per page (truncated)\n`;
   manifest += `- ${RESEARCH_LIMITS.MAX_RESEARCH_ITERATIONS} iterative research rounds (gap analysis → targeted follow-up)\n`;
+  manifest += `- ${RESEARCH_LIMITS.MAX_TOOL_CALLS_PER_STEP} tool calls while writing (search, fetch, read predecessor output, recall memory) — searches/fetches count against the limits above\n`;
   manifest += `\n`;
   manifest += `### HOW TO SPLIT TASKS BASED ON BUDGET\n`;
   manifest += `- A step researching 2-3 items can dedicate 2-3 searches per item — fits within budget\n`;
@@ -276,6 +278,26 @@ function buildCapabilityManifest() {
 // FEASIBILITY VALIDATION
 // ============================================================
 
+const FEASIBILITY_SCHEMA = {
+  type: 'object',
+  required: ['feasible', 'issues'],
+  properties: {
+    feasible: { type: 'boolean' },
+    issues: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['taskId', 'issue'],
+        properties: {
+          taskId: { type: 'string' },
+          issue: { type: 'string' },
+          suggestion: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
 /**
  * Validate that every task in a decomposed plan is achievable given agent capabilities.
  * Uses a cheap T1 LLM call to review each task against the manifest.
@@ -323,27 +345,23 @@ Rules:
 - Be strict: if acceptance criteria require a tool the role doesn't have, flag it
 - Be constructive: every issue MUST include a practical suggestion for an alternative approach`;
 
-    const result = await models.callLLM({
+    const result = await structured.callLLMJson({
       systemPrompt: 'You are a capability auditor. Check task feasibility against agent tool constraints. Respond with valid JSON only.',
       userMessage,
       agentId,
-      forceTier: 'tier1'
+      forceTier: 'tier1',
+      cache: true, // Decomposition retries re-check identical plans
+      schema: FEASIBILITY_SCHEMA
     });
 
     if (result.error) {
-      console.log(`[capabilities] Feasibility check LLM error, fail-open: ${result.error}`);
+      console.log(`[capabilities] Feasibility check ${result.error.code}, fail-open: ${result.error.message}`);
       return { feasible: true, issues: [] };
     }
 
-    let content = result.content.trim();
-    if (content.startsWith('```')) {
-      content = content.replace(/^```(?:json)?\n?/, '').replace(/\n?```$/, '');
-    }
-
-    const parsed = JSON.parse(content);
     return {
-      feasible: parsed.feasible === true,
-      issues: Array.isArray(parsed.issues) ? parsed.issues : []
+      feasible: result.data.feasible === true,
+      issues: result.data.issues || []
     };
   } catch (err) {
     // WHY fail-open: A broken validator shouldn't block project execution.
@@ -0,0 +1,392 @@
+// critique_eval.js — Offline calibration of self-critique scores against human judgment
+// WHY: autonomy.shouldAutoApprove() trusts runCritique()'s 1-5 score against
+// auto_approve_threshold, but nothing checked that the score means what the
+// founder thinks it means. This runs the current critique prompt + tier over a
+// golden set of deliverables the founder has scored, and reports how well the
+// two agree. autonomy.updateThresholds() refuses a change without a passing run.
+// Founder feedback on real deliverables (founder_feedback.js) joins the golden
+// set: rated steps count like golden items, 👍/👎-only steps check decisions.
+// A golden file marked "seed": true holds placeholder scores nobody but the
+// implementer gave; its items run but don't count toward GATE.minItems.
+//
+// Flow: loadGoldenSet() + loadFeedbackItems() → runCritiqueEval() → computeStats() → checkGate() → saveEvalRun()
+// CLI: node scripts/eval_critique.js [--auto 4.0 --qa 3.0] [--apply]
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const supabase = require('./supabase');
+const models = require('./models');
+const pipeline = require('./pipeline');
+
+const DEFAULT_GOLDEN_PATH = path.resolve(__dirname, '../../evals/critique/golden.json');
+
+// A passing run is only trusted for this long — models behind a tier drift
+const EVAL_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// What "calibrated enough to gate autonomy" means
+const GATE = {
+  minItems: 8,              // founder-scored items (seed items don't count)
+  minPearson: 0.7,          // scores move with the founder's
+  maxAbsBias: 0.5,          // mean(model - founder): positive = inflated
+  maxMae: 0.75,
+  maxFalseAutoApprovals: 0, // model would auto-approve work the founder wouldn't
+  maxUnderReviewRate: 0.15  // any decision with less review than the founder's
+};
+
+// ============================================================
+// GOLDEN SET
+// ============================================================
+
+/**
+ * Load golden deliverables: [{ id, task, deliverable, founderScore, source }].
+ * source is 'seed' when the file is marked "seed": true, else 'golden'.
+ * @param {string} [file] - JSON file with { seed?, items: [...] }
+ * @returns {{ items: Array, error: string|null }}
+ */
+function loadGoldenSet(file = DEFAULT_GOLDEN_PATH) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const source = parsed.seed ? 'seed' : 'golden';
+    const items = (parsed.items || [])
+      .filter(item => item.id && item.task && item.deliverable && Number.isFinite(item.founderScore))
+      .map(item => ({ ...item, source }));
+    return { items, error: null };
+  } catch (err) {
+    console.error(`[critique_eval] Failed to load golden set ${file}: ${err.message}`);
+    return { items: [], error: err.message };
+  }
+}
+
+/**
+ * Founder feedback as eval items: [{ id, task, deliverable, founderScore, sentiment }].
+ * One item per step, using its latest rating and latest 👍/👎. Steps with only
+ * a comment carry no score to calibrate against and are left out.
+ *
+ * @param {Object} [params]
+ * @param {number} [params.limit] - Most recent feedback rows to consider
+ * @returns {{ items: Array, error: string|null }}
+ */
+async function loadFeedbackItems({ limit = 200 } = {}) {
+  const { data: rows, error } = await supabase
+    .from('founder_feedback')
+    .select('*')
+    .order('id', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    console.error('[critique_eval] Failed to load founder feedback:', error.message);
+    return { items: [], error: error.message };
+  }
+
+  // Rows are newest first — the first rating / sentiment seen per step wins
+  const byStep = new Map();
+  for (const row of rows || []) {
+    const entry = byStep.get(row.mission_step_id) || { founderScore: null, sentiment: null };
+    if (entry.founderScore === null && row.rating !== null && row.rating !== undefined) entry.founderScore = Number(row.rating);
+    if (entry.sentiment === null && row.sentiment) entry.sentiment = row.sentiment;
+    byStep.set(row.mission_step_id, entry);
+  }
+  for (const [stepId, entry] of byStep) {
+    if (entry.founderScore === null && entry.sentiment === null) byStep.delete(stepId);
+  }
+  if (byStep.size === 0) return { items: [], error: null };
+
+  const { data: steps, error: stepErr } = await supabase
+    .from('mission_steps')
+    .select('id, description, result')
+    .in('id', [...byStep.keys()]);
+
+  if (stepErr) {
+    console.error('[critique_eval] Failed to load feedback steps:', stepErr.message);
+    return { items: [], error: stepErr.message };
+  }
+
+  const items = (steps || [])
+    .filter(step => step.description && step.result)
+    .map(step => ({
+      id: `feedback-step-${step.id}`,
+      task: step.description,
+      deliverable: step.result,
+      source: 'feedback',
+      ...byStep.get(step.id)
+    }));
+  return { items, error: null };
+}
+
+/**
+ * Fingerprint of what is being calibrated: critique system prompt, rubric
+ * template, tier and the model currently behind that tier. A passing run for
+ * an older fingerprint says nothing about today's critique.
+ */
+function critiqueFingerprint() {
+  const tier = pipeline.CRITIQUE_TIER;
+  return crypto
+    .createHash('sha256')
+    .update([
+      pipeline.CRITIQUE_SYSTEM_PROMPT,
+      pipeline.buildCritiquePrompt('{{task}}', '{{deliverable}}'),
+      tier,
+      models.MODELS[tier]?.model || ''
+    ].join('\n'))
+    .digest('hex')
+    .substring(0, 16);
+}
+
+// ============================================================
+// RUN
+// ============================================================
+
+/**
+ * Critique every golden item with the production critique (one at a time).
+ * Items whose critique failed come back with error set; runCritique() would
+ * otherwise hide the failure behind its neutral 3.0 default.
+ *
+ * @returns {Array<{ id, source, founderScore, sentiment, modelScore, scores, error }>}
+ */
+async function runCritiqueEval(items) {
+  const results = [];
+  for (const item of items) {
+    const critique = await pipeline.runCritique({ id: null, assigned_agent_id: null }, item.task, item.deliverable);
+    results.push({
+      id: item.id,
+      source: item.source || 'golden',
+      founderScore: item.founderScore ?? null,
+      sentiment: item.sentiment || null,
+      modelScore: critique.defaulted ? null : critique.overallScore,
+      scores: critique.defaulted ? null : critique.scores,
+      error: critique.defaulted ? 'critique failed (defaulted to 3.0)' : null
+    });
+  }
+  return results;
+}
+
+// ============================================================
+// STATS
+// ============================================================
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function pearson(xs, ys) {
+  const mx = mean(xs);
+  const my = mean(ys);
+  let cov = 0;
+  let vx = 0;
+  let vy = 0;
+  for (let i = 0; i < xs.length; i++) {
+    cov += (xs[i] - mx) * (ys[i] - my);
+    vx += (xs[i] - mx) ** 2;
+    vy += (ys[i] - my) ** 2;
+  }
+  // A constant series has no correlation to speak of
+  return vx === 0 || vy === 0 ? 0 : cov / Math.sqrt(vx * vy);
+}
+
+// Average ranks, so ties share a rank
+function ranks(values) {
+  const order = values.map((v, i) => ({ v, i })).sort((a, b) => a.v - b.v);
+  const result = new Array(values.length);
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].v === order[start].v) end++;
+    const rank = (start + end) / 2 + 1;
+    for (let k = start; k <= end; k++) result[order[k].i] = rank;
+    start = end + 1;
+  }
+  return result;
+}
+
+const REVIEW_LEVEL = { auto: 0, qa_only: 1, full: 2 };
+
+function reviewDecision(score, thresholds) {
+  if (score >= thresholds.autoApproveThreshold) return 'auto';
+  if (score >= thresholds.qaOnlyThreshold) return 'qa_only';
+  return 'full';
+}
+
+function round(value, places = 3) {
+  return Math.round(value * 10 ** places) / 10 ** places;
+}
+
+/**
+ * Agreement between model and founder scores, and what the autonomy policy
+ * would have decided with each. Items with only a 👍/👎 have no score to
+ * correlate; they only show whether the model would auto-approve work Zero
+ * disliked or send work Zero liked to full review.
+ *
+ * @param {Array} results - From runCritiqueEval()
+ * @param {Object} thresholds - { autoApproveThreshold, qaOnlyThreshold }
+ * @returns {Object} n, founderScored, errors, pearson, spearman, bias, mae, decisions, sentiment
+ */
+function computeStats(results, thresholds) {
+  const scored = results.filter(r => r.modelScore !== null);
+  const errors = results.length - scored.length;
+  const rated = scored.filter(r => r.founderScore !== null);
+  const sentimentOnly = scored.filter(r => r.founderScore === null && r.sentiment);
+
+  const sentiment = { n: sentimentOnly.length, falseAutoApprovals: 0, overReviewed: 0 };
+  for (const r of sentimentOnly) {
+    const byModel = reviewDecision(r.modelScore, thresholds);
+    if (r.sentiment === 'negative' && byModel === 'auto') sentiment.falseAutoApprovals++;
+    if (r.sentiment === 'positive' && byModel === 'full') sentiment.overReviewed++;
+  }
+
+  if (rated.length === 0) {
+    return { n: 0, founderScored: 0, errors, pearson: 0, spearman: 0, bias: 0, mae: 0, decisions: null, sentiment };
+  }
+
+  const founder = rated.map(r => r.founderScore);
+  const model = rated.map(r => r.modelScore);
+
+  const decisions = { agreement: 0, falseAutoApprovals: 0, underReviewed: 0, overReviewed: 0 };
+  for (const r of rated) {
+    const byModel = reviewDecision(r.modelScore, thresholds);
+    const byFounder = reviewDecision(r.founderScore, thresholds);
+    if (byModel === byFounder) decisions.agreement++;
+    if (byModel === 'auto' && byFounder !== 'auto') decisions.falseAutoApprovals++;
+    if (REVIEW_LEVEL[byModel] < REVIEW_LEVEL[byFounder]) decisions.underReviewed++;
+    if (REVIEW_LEVEL[byModel] > REVIEW_LEVEL[byFounder]) decisions.overReviewed++;
+  }
+  decisions.agreementRate = round(decisions.agreement / rated.length);
+  decisions.underReviewRate = round(decisions.underReviewed / rated.length);
+
+  return {
+    n: rated.length,
+    founderScored: rated.filter(r => r.source !== 'seed').length,
+    errors,
+    pearson: round(pearson(founder, model)),
+    spearman: round(pearson(ranks(founder), ranks(model))),
+    bias: round(mean(model.map((m, i) => m - founder[i]))),
+    mae: round(mean(model.map((m, i) => Math.abs(m - founder[i])))),
+    decisions,
+    sentiment
+  };
+}
+
+/**
+ * Does this run clear the bar for trusting critique scores with these thresholds?
+ * @returns {{ passed: boolean, failures: string[] }}
+ */
+function checkGate(stats, gate = GATE) {
+  const failures = [];
+  if (stats.errors > 0) failures.push(`${stats.errors} critique(s) failed`);
+  // WHY founder-scored only: seed scores were written by whoever built the set, so
+  // agreeing with them says nothing about agreeing with the founder
+  if (stats.founderScored < gate.minItems) {
+    failures.push(`only ${stats.founderScored} founder-scored items (need ${gate.minItems})`);
+  }
+  if (stats.n > 0) {
+    if (stats.pearson < gate.minPearson) failures.push(`correlation ${stats.pearson} < ${gate.minPearson}`);
+    if (Math.abs(stats.bias) > gate.maxAbsBias) failures.push(`bias ${stats.bias > 0 ? '+' : ''}${stats.bias} exceeds ±${gate.maxAbsBias}`);
+    if (stats.mae > gate.maxMae) failures.push(`mean abs error ${stats.mae} > ${gate.maxMae}`);
+    if (stats.decisions.underReviewRate > gate.maxUnderReviewRate) {
+      failures.push(`under-review rate ${stats.decisions.underReviewRate} > ${gate.maxUnderReviewRate}`);
+    }
+  }
+  // Rated items and 👎 feedback both count
+  const falseAutoApprovals = (stats.decisions?.falseAutoApprovals || 0) + (stats.sentiment?.falseAutoApprovals || 0);
+  if (falseAutoApprovals > gate.maxFalseAutoApprovals) {
+    failures.push(`${falseAutoApprovals} false auto-approval(s)`);
+  }
+  return { passed: failures.length === 0, failures };
+}
+
+// ============================================================
+// PERSISTENCE
+// ============================================================
+
+/**
+ * Store a finished run. autonomy.updateThresholds() looks these up.
+ */
+async function saveEvalRun({ fingerprint, thresholds, stats, gate, results }) {
+  const tier = pipeline.CRITIQUE_TIER;
+  const { data, error } = await supabase
+    .from('critique_eval_runs')
+    .insert({
+      prompt_fingerprint: fingerprint,
+      tier,
+      model: models.MODELS[tier]?.model || null,
+      auto_approve_threshold: thresholds.autoApproveThreshold,
+      qa_only_threshold: thresholds.qaOnlyThreshold,
+      item_count: results.length,
+      stats,
+      passed: gate.passed,
+      failures: gate.failures,
+      results
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('[critique_eval] Failed to save eval run:', error.message);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Load, run, score, gate and store one eval.
+ *
+ * @param {Object} params
+ * @param {Object} params.thresholds - { autoApproveThreshold, qaOnlyThreshold } to evaluate
+ * @param {string} [params.goldenPath]
+ * @param {boolean} [params.includeFeedback] - Add founder feedback items (default true)
+ * @returns {{ run, results, stats, gate, error }}
+ */
+async function runEval({ thresholds, goldenPath = DEFAULT_GOLDEN_PATH, includeFeedback = true }) {
+  const { items, error } = loadGoldenSet(goldenPath);
+  if (error) return { run: null, results: [], stats: null, gate: null, error };
+
+  if (includeFeedback) {
+    // A feedback lookup failure just means a smaller eval — the golden set still runs
+    const feedback = await loadFeedbackItems();
+    items.push(...feedback.items);
+  }
+
+  const results = await runCritiqueEval(items);
+  const stats = computeStats(results, thresholds);
+  const gate = checkGate(stats);
+  const run = await saveEvalRun({ fingerprint: critiqueFingerprint(), thresholds, stats, gate, results });
+
+  return { run, results, stats, gate, error: null };
+}
+
+/**
+ * Most recent passing run for these exact thresholds and today's critique setup.
+ * @returns {Object|null}
+ */
+async function findPassingRun({ autoApproveThreshold, qaOnlyThreshold }) {
+  const { data, error } = await supabase
+    .from('critique_eval_runs')
+    .select('*')
+    .eq('prompt_fingerprint', critiqueFingerprint())
+    .eq('auto_approve_threshold', autoApproveThreshold)
+    .eq('qa_only_threshold', qaOnlyThreshold)
+    .eq('passed', true)
+    .gte('created_at', new Date(Date.now() - EVAL_MAX_AGE_MS).toISOString())
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    console.error('[critique_eval] Failed to look up eval runs:', error.message);
+    return null;
+  }
+  return data?.[0] || null;
+}
+
+module.exports = {
+  loadGoldenSet,
+  loadFeedbackItems,
+  critiqueFingerprint,
+  runCritiqueEval,
+  computeStats,
+  checkGate,
+  saveEvalRun,
+  runEval,
+  findPassingRun,
+  GATE,
+  EVAL_MAX_AGE_MS,
+  DEFAULT_GOLDEN_PATH
+};
@@ -6,9 +6,16 @@
 // v0.10.0: Capability-aware decomposition. The planner now receives a full manifest
 // of what agents can and cannot do, preventing infeasible acceptance criteria.
 // A feasibility gate validates the plan before execution (max 1 re-decomposition).
+//
+// Large plans (decomposition policy: plan_approval_min_tasks) are held as
+// 'pending_approval' — no steps, no hires — until Zero approves them in Discord.
+// plan_approval.js handles !plan approve / edit / drop / replan.
+//
+// Every plan row carries a cost/time forecast from plan_estimates.js.
+// When a step fails, replanning.js asks replaceFailedTask() for replacement tasks.
 
 const supabase = require('./supabase');
-const models = require('./models');
+const structured = require('./structured_output');
 const agents = require('./agents');
 const approachMemory = require('./approach_memory');
 const missions = require('./missions');
@@ -16,6 +23,40 @@ const projects = require('./projects');
 const linear = require('./linear');
 const events = require('./events');
 const capabilities = require('./capabilities');
+const policy = require('./policy');
+const planEstimates = require('./plan_estimates');
+
+// Shape every decomposition plan must have before it is persisted or executed
+const PLAN_SCHEMA = {
+  type: 'object',
+  required: ['tasks'],
+  properties: {
+    tasks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'description', 'required_role'],
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          description: { type: 'string', minLength: 1 },
+          required_role: { type: 'string' },
+          parallel_group: { type: 'integer', minimum: 1 },
+          depends_on: { type: 'array', items: { type: 'string' } },
+          acceptance_criteria: { type: 'string' }
+        }
+      }
+    },
+    end_state: { type: 'string' },
+    escalation_needed: { type: 'boolean' },
+    escalation_reason: { type: 'string' },
+    hiring_needed: { type: 'array' }
+  }
+};
+
+const DECOMPOSITION_SYSTEM_PROMPT = 'You are Frasier Crane, Chief of Staff at NERV. Decompose project directives into structured task plans. Respond with valid JSON only.';
+
+// Used when the decomposition policy row is missing or predates plan approval
+const DEFAULT_PLAN_APPROVAL_MIN_TASKS = 5;
 
 // ============================================================
 // DECOMPOSE PROJECT
@@ -29,20 +70,14 @@ const capabilities = require('./capabilities');
 async function decomposeProject({ projectId, missionId, directive, frasierAgentId }) {
   try {
     // 1. Fetch active agents for roster context in the LLM prompt
-    const { data: activeAgents } = await supabase
-      .from('agents')
-      .select()
-      .eq('status', 'active');
-
-    const roster = (activeAgents || [])
-      .map(a => `- ${a.display_name || a.name} (${a.role})`)
-      .join('\n');
+    const roster = await buildRoster();
 
     // 2. Retrieve approach memory hints for similar past work
     const topicTags = directive.toLowerCase().split(/\s+/).slice(0, 5);
     const approaches = await approachMemory.findSimilar({
       agentId: frasierAgentId,
-      topicTags
+      topicTags,
+      queryText: directive
     });
     const approachHints = approachMemory.formatForPrompt(approaches);
 
@@ -51,26 +86,21 @@ async function decomposeProject({ projectId, missionId, directive, frasierAgentI
     // tasks they couldn't complete (e.g., "mine 50 Reddit threads" with no scraping tools).
     const userMessage = buildDecompositionPrompt(directive, roster, approachHints);
 
-    const llmResult = await models.callLLM({
-      systemPrompt: 'You are Frasier Crane, Chief of Staff at NERV. Decompose project directives into structured task plans. Respond with valid JSON only.',
+    const llmResult = await structured.callLLMJson({
+      systemPrompt: DECOMPOSITION_SYSTEM_PROMPT,
       userMessage,
       agentId: frasierAgentId,
-      forceTier: 'tier2'
+      forceTier: 'tier2',
+      schema: PLAN_SCHEMA
     });
 
-    // 4. Parse LLM response — fallback to single task on JSON failure
-    let plan;
+    // 4. Validated plan — fallback to single task if the LLM failed or the
+    // plan was still malformed after the repair retry
+    let plan = llmResult.data;
     let fallback = false;
 
-    try {
-      let content = llmResult.content.trim();
-      // Strip markdown fences if LLM wraps in ```json blocks
-      if (content.startsWith('```')) {
-        content = content.replace(/^```(?:json)?\n?/, '').replace(/\n?```$/, '');
-      }
-      plan = JSON.parse(content);
-    } catch (parseErr) {
-      console.log(`[decomposition] JSON parse failed, using fallback single-task plan: ${parseErr.message}`);
+    if (llmResult.error) {
+      console.log(`[decomposition] Plan ${llmResult.error.code}, using fallback single-task plan: ${llmResult.error.message}`);
       plan = {
         tasks: [{
           id: 'T1',
@@ -110,22 +140,22 @@ async function decomposeProject({ projectId, missionId, directive, frasierAgentI
         // Re-decompose with feasibility feedback (max 1 retry)
         const retryMessage = buildDecompositionPrompt(directive, roster, approachHints, feedbackText);
 
-        const retryResult = await models.callLLM({
-          systemPrompt: 'You are Frasier Crane, Chief of Staff at NERV. Decompose project directives into structured task plans. Respond with valid JSON only.',
+        const retryResult = await structured.callLLMJson({
+          systemPrompt: DECOMPOSITION_SYSTEM_PROMPT,
           userMessage: retryMessage,
           agentId: frasierAgentId,
-          forceTier: 'tier2'
+          forceTier: 'tier2',
+          schema: PLAN_SCHEMA
         });
 
         try {
-          let retryContent = retryResult.content.trim();
-          if (retryContent.startsWith('```')) {
-            retryContent = retryContent.replace(/^```(?:json)?\n?/, '').replace(/\n?```$/, '');
+          if (retryResult.error) {
+            throw new Error(`${retryResult.error.code}: ${retryResult.error.message}`);
           }
-          const retryPlan = JSON.parse(retryContent);
+          const retryPlan = retryResult.data;
 
           // Validate the revised plan's dependency graph
-          if (retryPlan.tasks && retryPlan.tasks.length > 1) {
+          if (retryPlan.tasks.length > 1) {
             validateDependencyGraph(retryPlan.tasks);
           }
 
@@ -148,9 +178,12 @@ async function decomposeProject({ projectId, missionId, directive, frasierAgentI
     }
 
     // 6. Persist decomposition plan for audit trail + Linear sync
+    // Large plans wait for Zero — fallback and escalated plans never do
+    const awaitingApproval = !fallback && !plan.escalation_needed && await requiresPlanApproval(plan);
     const parallelGroups = [...new Set(plan.tasks.map(t => t.parallel_group))].length;
+    const estimate = await planEstimates.estimatePlan(plan);
 
-    await supabase.from('decomposition_plans').insert({
+    const { data: planRow } = await supabase.from('decomposition_plans').insert({
       project_id: projectId,
       mission_id: missionId,
       plan_json: plan,
@@ -160,20 +193,20 @@ async function decomposeProject({ projectId, missionId, directive, frasierAgentI
       end_state: plan.end_state,
       decomposed_by: 'frasier',
       approach_memory_used: approaches.length > 0,
-      status: 'active'
-    });
+      status: awaitingApproval ? 'pending_approval' : 'active',
+      revision: 1,
+      planner_agent_id: frasierAgentId,
+      estimate,
+      estimated_cost_usd: estimate.totalCostUsd,
+      estimated_duration_ms: estimate.totalDurationMs
+    }).select().single();
+
+    if (awaitingApproval) {
+      return await holdPlanForApproval({ planRow, plan, missionId, fallback, estimate });
+    }
 
     // 7. Proactive hiring — hire BEFORE creating steps so agents are ready
-    if (plan.hiring_needed && plan.hiring_needed.length > 0) {
-      for (const hire of plan.hiring_needed) {
-        try {
-          await agents.autoHireGapAgent(hire.role_title);
-          console.log(`[decomposition] Hired agent for role: ${hire.role_title}`);
-        } catch (hireErr) {
-          console.error(`[decomposition] Failed to hire for ${hire.role_title}: ${hireErr.message}`);
-        }
-      }
-    }
+    await hirePlanRoles(plan);
 
     // 8. Escalation — log and return early (no steps created)
     if (plan.escalation_needed) {
@@ -193,53 +226,243 @@ async function decomposeProject({ projectId, missionId, directive, frasierAgentI
         details: { reason: plan.escalation_reason }
       });
 
-      return { plan, error: null, fallback, escalated: true };
+      return { plan, error: null, fallback, escalated: true, estimate };
     }
 
-    // 9. Build agent map — find best agent for each required role
-    const uniqueRoles = [...new Set(plan.tasks.map(t => t.required_role))];
-    const agentMap = {};
+    // 9-12. Agent map → mission steps → Linear → approach memory
+    await activatePlan({ missionId, plan, directive, frasierAgentId });
 
-    for (const role of uniqueRoles) {
-      const agent = await agents.findBestAgentAcrossTeams(role);
-      if (agent) {
-        agentMap[role] = agent.id;
-      }
+    return { plan, error: null, fallback, estimate };
+  } catch (err) {
+    console.error(`[decomposition] Failed to decompose project ${projectId}: ${err.message}`);
+    return { plan: null, error: err.message, fallback: false };
+  }
+}
+
+// ============================================================
+// PLAN ACTIVATION
+// ============================================================
+
+/**
+ * Hire for every role the plan says is missing.
+ * Non-blocking per hire — a failed hire leaves that role unassigned.
+ */
+async function hirePlanRoles(plan) {
+  if (!plan.hiring_needed || plan.hiring_needed.length === 0) return;
+
+  for (const hire of plan.hiring_needed) {
+    try {
+      await agents.autoHireGapAgent(hire.role_title);
+      console.log(`[decomposition] Hired agent for role: ${hire.role_title}`);
+    } catch (hireErr) {
+      console.error(`[decomposition] Failed to hire for ${hire.role_title}: ${hireErr.message}`);
     }
+  }
+}
+
+/**
+ * Best current agent for each role in the plan: { role: { id, name } | null }.
+ */
+async function buildAgentMap(plan) {
+  const agentMap = {};
+  for (const role of [...new Set(plan.tasks.map(t => t.required_role))]) {
+    const agent = await agents.findBestAgentAcrossTeams(role);
+    agentMap[role] = agent ? { id: agent.id, name: agent.display_name || agent.name || agent.id } : null;
+  }
+  return agentMap;
+}
+
+/**
+ * Turn a plan into work: assign agents, create the mission steps and their
+ * dependencies, sync Linear and remember the approach.
+ * Runs straight after decomposition, or from plan_approval.approvePlan().
+ *
+ * @param {Object} params
+ * @param {number} params.missionId
+ * @param {Object} params.plan - Validated plan ({ tasks, ... })
+ * @param {string} params.directive - The project directive (for approach memory)
+ * @param {string} params.frasierAgentId
+ * @returns {{ stepCount: number }}
+ */
+async function activatePlan({ missionId, plan, directive, frasierAgentId }) {
+  // 9. Build agent map — find best agent for each required role
+  const agentMap = {};
+  for (const [role, agent] of Object.entries(await buildAgentMap(plan))) {
+    if (agent) agentMap[role] = agent.id;
+  }
+
+  // 10. Create mission steps from plan
+  await createStepsFromPlan(missionId, plan, agentMap);
+
+  // 11. Sync to Linear (fire-and-forget — failure doesn't block execution)
+  // WHY: syncMissionToLinear expects a mission object ({id, title, description}),
+  // not just the ID. Fetch the full row so Linear gets a proper project name.
+  const { data: missionObj } = await supabase
+    .from('missions')
+    .select('id, title, description')
+    .eq('id', missionId)
+    .single();
+  if (missionObj) {
+    linear.syncMissionToLinear(missionObj).catch(err =>
+      console.error(`[linear] Mission sync failed (non-blocking): ${err.message}`)
+    );
+  }
+
+  // 12. Save approach memory for future decompositions
+  const parallelGroups = [...new Set(plan.tasks.map(t => t.parallel_group))].length;
+  await approachMemory.save({
+    agentId: frasierAgentId,
+    missionStepId: null,  // WHY: Decomposition-level memory isn't tied to a specific step. 0 triggers FK violation.
+    taskSummary: directive,
+    topicTags: directive.toLowerCase().split(/\s+/).slice(0, 5),
+    decomposition: { taskCount: plan.tasks.length, parallelGroups },
+    searchQueries: [],
+    effectiveQueries: [],
+    critiqueScore: 0
+  });
+
+  return { stepCount: plan.tasks.length };
+}
+
+// ============================================================
+// PLAN APPROVAL GATE
+// ============================================================
+
+/**
+ * Does this plan need Zero's approval before any step is created?
+ * Reads plan_approval_enabled / plan_approval_min_tasks from the decomposition policy.
+ */
+async function requiresPlanApproval(plan) {
+  const row = await policy.getPolicy('decomposition');
+  const rules = row?.rules || {};
+  if (rules.plan_approval_enabled === false) return false;
+
+  const minTasks = rules.plan_approval_min_tasks ?? DEFAULT_PLAN_APPROVAL_MIN_TASKS;
+  return plan.tasks.length >= minTasks;
+}
+
+/**
+ * Record who would do each task, then stop. The estimate is already on the row.
+ * No hiring and no steps until approval — a dropped task shouldn't leave a new hire behind.
+ */
+async function holdPlanForApproval({ planRow, plan, missionId, fallback, estimate }) {
+  const agentMap = await buildAgentMap(plan);
+  const estimatedCostUsd = estimate.totalCostUsd;
+
+  if (planRow) {
+    const { error } = await supabase
+      .from('decomposition_plans')
+      .update({ agent_map: agentMap })
+      .eq('id', planRow.id);
+    if (error) console.error(`[decomposition] Failed to save assignments for plan #${planRow.id}: ${error.message}`);
+  }
+
+  await events.logEvent({
+    eventType: 'plan_awaiting_approval',
+    severity: 'info',
+    description: `Plan for mission #${missionId} (${plan.tasks.length} tasks) is waiting for founder approval`,
+    data: { missionId, planId: planRow?.id || null, taskCount: plan.tasks.length, estimatedCostUsd }
+  });
+
+  console.log(`[decomposition] Mission #${missionId}: ${plan.tasks.length}-task plan held for approval (plan #${planRow?.id})`);
+  return { plan, planId: planRow?.id || null, awaitingApproval: true, error: null, fallback, estimate };
+}
+
+// ============================================================
+// REPLAN (founder feedback, failed steps)
+// ============================================================
 
-    // 10. Create mission steps from plan
-    await createStepsFromPlan(missionId, plan, agentMap);
-
-    // 11. Sync to Linear (fire-and-forget — failure doesn't block execution)
-    // WHY: syncMissionToLinear expects a mission object ({id, title, description}),
-    // not just the ID. Fetch the full row so Linear gets a proper project name.
-    const { data: missionObj } = await supabase
-      .from('missions')
-      .select('id, title, description')
-      .eq('id', missionId)
-      .single();
-    if (missionObj) {
-      linear.syncMissionToLinear(missionObj).catch(err =>
-        console.error(`[linear] Mission sync failed (non-blocking): ${err.message}`)
-      );
+/**
+ * Re-decompose a directive with Zero's feedback on the previous plan.
+ * Same schema, cycle check and feasibility review as decomposeProject(), but a
+ * single attempt: the result goes back to Zero for approval anyway, with any
+ * remaining feasibility issues listed.
+ *
+ * @param {Object} params
+ * @param {string} params.directive
+ * @param {Object} params.previousPlan
+ * @param {string} params.feedback - Zero's !plan replan text
+ * @param {string} params.frasierAgentId
+ * @returns {{ plan: Object|null, issues: Array, error: string|null }}
+ */
+async function replanProject({ directive, previousPlan, feedback, frasierAgentId }) {
+  try {
+    const roster = await buildRoster();
+    const userMessage = buildDecompositionPrompt(directive, roster, null, null, { previousPlan, feedback });
+
+    const llmResult = await structured.callLLMJson({
+      systemPrompt: DECOMPOSITION_SYSTEM_PROMPT,
+      userMessage,
+      agentId: frasierAgentId,
+      forceTier: 'tier2',
+      schema: PLAN_SCHEMA
+    });
+    if (llmResult.error) {
+      return { plan: null, issues: [], error: `Replan failed (${llmResult.error.code}): ${llmResult.error.message}` };
     }
 
-    // 12. Save approach memory for future decompositions
-    await approachMemory.save({
+    const plan = llmResult.data;
+    if (plan.tasks.length > 1) validateDependencyGraph(plan.tasks);
+
+    const feasibility = await capabilities.validatePlanFeasibility(plan, frasierAgentId);
+    return { plan, issues: feasibility.feasible ? [] : feasibility.issues, error: null };
+  } catch (err) {
+    console.error(`[decomposition] Replan failed: ${err.message}`);
+    return { plan: null, issues: [], error: err.message };
+  }
+}
+
+/**
+ * Ask Frasier for tasks that replace one failed task of a running plan.
+ * Replacement ids become <failed id>R1, R2, ... in the failed task's parallel
+ * group; dependencies may only point at completed tasks or other replacements,
+ * so the new tasks can't wait on work that itself waits on the failed task.
+ *
+ * @param {Object} params
+ * @param {string} params.directive
+ * @param {Object} params.failedTask - Plan task whose step failed
+ * @param {string} params.error - The failed step's error
+ * @param {Array} params.completedOutputs - [{ taskId, description, result }]
+ * @param {Array} params.remainingTasks - Plan tasks not yet completed
+ * @param {string} params.frasierAgentId
+ * @returns {{ tasks: Array|null, hiringNeeded: Array, error: string|null }}
+ */
+async function replaceFailedTask({ directive, failedTask, error, completedOutputs, remainingTasks, frasierAgentId }) {
+  try {
+    const roster = await buildRoster();
+    const userMessage = buildDecompositionPrompt(directive, roster, null, null, null, {
+      failedTask, error, completedOutputs, remainingTasks
+    });
+
+    const llmResult = await structured.callLLMJson({
+      systemPrompt: DECOMPOSITION_SYSTEM_PROMPT,
+      userMessage,
       agentId: frasierAgentId,
-      missionStepId: null,  // WHY: Decomposition-level memory isn't tied to a specific step. 0 triggers FK violation.
-      taskSummary: directive,
-      topicTags,
-      decomposition: { taskCount: plan.tasks.length, parallelGroups },
-      searchQueries: [],
-      effectiveQueries: [],
-      critiqueScore: 0
+      forceTier: 'tier2',
+      schema: PLAN_SCHEMA
     });
+    if (llmResult.error) {
+      return { tasks: null, hiringNeeded: [], error: `Replacement plan failed (${llmResult.error.code}): ${llmResult.error.message}` };
+    }
+
+    const raw = llmResult.data.tasks;
+    if (raw.length === 0) return { tasks: null, hiringNeeded: [], error: 'Replacement plan had no tasks' };
+
+    const idMap = Object.fromEntries(raw.map((t, i) => [t.id, `${failedTask.id}R${i + 1}`]));
+    const allowed = new Set([...completedOutputs.map(c => c.taskId), ...Object.values(idMap)]);
+
+    const tasks = raw.map(t => ({
+      ...t,
+      id: idMap[t.id],
+      parallel_group: failedTask.parallel_group,
+      depends_on: [...new Set((t.depends_on || []).map(d => idMap[d] || d))].filter(d => allowed.has(d))
+    }));
+    if (tasks.length > 1) validateDependencyGraph(tasks);
 
-    return { plan, error: null, fallback };
+    return { tasks, hiringNeeded: llmResult.data.hiring_needed || [], error: null };
   } catch (err) {
-    console.error(`[decomposition] Failed to decompose project ${projectId}: ${err.message}`);
-    return { plan: null, error: err.message, fallback: false };
+    console.error(`[decomposition] Replacing task ${failedTask.id} failed: ${err.message}`);
+    return { tasks: null, hiringNeeded: [], error: err.message };
   }
 }
 
@@ -298,8 +521,12 @@ function validateDependencyGraph(tasks) {
  * Two-pass step creation:
  * Pass 1: Create all mission_steps (step_order = parallel_group)
  * Pass 2: Create step_dependencies rows using taskId→stepId map
+ *
+ * existingStepIds maps tasks that already have steps (completed work a
+ * replacement task depends on) so their edges are created too.
+ * @returns {Object} taskId → stepId for the steps created here
  */
-async function createStepsFromPlan(missionId, plan, agentMap) {
+async function createStepsFromPlan(missionId, plan, agentMap, existingStepIds = {}) {
   const taskIdToStepId = {};
 
   // Pass 1: create one mission_step per task
@@ -313,7 +540,9 @@ async function createStepsFromPlan(missionId, plan, agentMap) {
       description,
       assignedAgentId: agentMap[task.required_role] || null,
       modelTier: 'tier2',
-      stepOrder: task.parallel_group
+      stepOrder: task.parallel_group,
+      requiredRole: task.required_role || null,
+      planTaskId: task.id
     });
 
     taskIdToStepId[task.id] = step.id;
@@ -323,7 +552,7 @@ async function createStepsFromPlan(missionId, plan, agentMap) {
   for (const task of plan.tasks) {
     for (const dep of (task.depends_on || [])) {
       const stepId = taskIdToStepId[task.id];
-      const dependsOnStepId = taskIdToStepId[dep];
+      const dependsOnStepId = taskIdToStepId[dep] ?? existingStepIds[dep];
 
       if (stepId !== undefined && dependsOnStepId !== undefined) {
         await supabase.from('step_dependencies').insert({
@@ -334,13 +563,26 @@ async function createStepsFromPlan(missionId, plan, agentMap) {
       }
     }
   }
+
+  return taskIdToStepId;
 }
 
 // ============================================================
 // HELPERS
 // ============================================================
 
-function buildDecompositionPrompt(directive, roster, approachHints, feasibilityFeedback) {
+async function buildRoster() {
+  const { data: activeAgents } = await supabase
+    .from('agents')
+    .select()
+    .eq('status', 'active');
+
+  return (activeAgents || [])
+    .map(a => `- ${a.display_name || a.name} (${a.role})`)
+    .join('\n');
+}
+
+function buildDecompositionPrompt(directive, roster, approachHints, feasibilityFeedback, founderRevision = null, stepFailure = null) {
   const capabilityManifest = capabilities.buildCapabilityManifest();
 
   let prompt = `Decompose this directive into a structured task plan:
@@ -368,6 +610,38 @@ ${feasibilityFeedback}
 `;
   }
 
+  // WHY: !plan replan — Zero saw the previous plan and said what to change
+  if (founderRevision) {
+    prompt += `\n## PREVIOUS PLAN — REVISE PER FOUNDER FEEDBACK
+${JSON.stringify(founderRevision.previousPlan.tasks, null, 2)}
+
+Founder feedback: ${founderRevision.feedback}
+Produce a complete new plan that addresses this feedback. Keep tasks the feedback doesn't touch.
+`;
+  }
+
+  // WHY: A step of the running plan failed — replace just that task, using
+  // what the completed tasks already produced
+  if (stepFailure) {
+    const { failedTask, error, completedOutputs, remainingTasks } = stepFailure;
+    const completed = completedOutputs.length > 0
+      ? completedOutputs.map(c => `### ${c.taskId}: ${c.description}\n${c.result}`).join('\n\n')
+      : '(none yet)';
+    prompt += `\n## STEP FAILED — PLAN REPLACEMENT TASKS
+Task ${failedTask.id} (${failedTask.required_role}) failed: ${failedTask.description}
+Error: ${error}
+
+Completed tasks and their output:
+${completed}
+
+Tasks still to run (do not repeat them):
+${JSON.stringify(remainingTasks, null, 2)}
+
+Return ONLY the tasks that replace ${failedTask.id}, taking a different approach than the one that failed.
+They may depend on completed task ids or on each other. Tasks that waited on ${failedTask.id} will wait on your replacements.
+`;
+  }
+
   prompt += `
 ## CRITICAL PLANNING RULES
 - Every task MUST be achievable using ONLY the assigned role's listed tools and capabilities
@@ -423,7 +697,7 @@ function determineEscalationType(reason) {
  * (it creates steps on it). This function bridges project creation
  * and decomposition by: creating mission → linking to project → decomposing.
  *
- * Returns { success, missionId, taskCount, parallelGroups, plan, error, escalated }
+ * Returns { success, missionId, taskCount, parallelGroups, plan, estimate, error, escalated, awaitingApproval, planId }
  */
 async function handleNewProjectDecomposition({ projectId, projectName, content, frasierAgentId }) {
   // 1. Create mission directly — bypass the proposal→heartbeat→accept flow
@@ -459,12 +733,26 @@ async function handleNewProjectDecomposition({ projectId, projectName, content,
     return { success: true, escalated: true, missionId: mission.id, plan: result.plan };
   }
 
+  if (result.awaitingApproval) {
+    return {
+      success: true,
+      awaitingApproval: true,
+      missionId: mission.id,
+      planId: result.planId,
+      taskCount: result.plan.tasks.length,
+      parallelGroups: [...new Set(result.plan.tasks.map(t => t.parallel_group))].length,
+      plan: result.plan,
+      estimate: result.estimate
+    };
+  }
+
   return {
     success: true,
     missionId: mission.id,
     taskCount: result.plan.tasks.length,
     parallelGroups: [...new Set(result.plan.tasks.map(t => t.parallel_group))].length,
-    plan: result.plan
+    plan: result.plan,
+    estimate: result.estimate
   };
 }
 
@@ -472,5 +760,12 @@ module.exports = {
   decomposeProject,
   handleNewProjectDecomposition,
   validateDependencyGraph,
-  createStepsFromPlan
+  createStepsFromPlan,
+  hirePlanRoles,
+  buildAgentMap,
+  activatePlan,
+  requiresPlanApproval,
+  replanProject,
+  replaceFailedTask,
+  DEFAULT_PLAN_APPROVAL_MIN_TASKS
 };
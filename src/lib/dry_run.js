@@ -0,0 +1,390 @@
+// dry_run.js — Simulation mode for the whole orchestration loop (FRASIER_DRY_RUN)
+// WHY: There was no way to exercise heartbeat + worker end-to-end without paying
+// for LLM calls and writing to the live Supabase project. With FRASIER_DRY_RUN=1:
+//   - supabase.js hands out the in-memory store from tests/mocks/supabase.js
+//   - models.callLLM() gets scripted responses (matched on the prompt) instead of HTTP
+//   - web.js serves fixture search results and pages
+//   - Linear, Notion, Drive, Buffer, GitHub and alerts become no-op recorders
+//   - rate_limit.rateLimitedFetch() refuses to touch the network at all
+// Everything that happens is appended to an in-process trace, which
+// scripts/replay.js prints after pushing a founder message through the loop.
+//
+// A scenario file (FRASIER_DRY_RUN_SCENARIO, JSON) can override any of it:
+//   { "llm":    [{ "match": "<regex on the prompt>", "content": "<response>" }],
+//     "search": [{ "match": "<regex on the query>", "results": [{ "title", "url", "snippet" }] }],
+//     "pages":  [{ "match": "<regex on the url>", "title": "...", "content": "..." }],
+//     "seed":   { "<table>": [rows] } }
+// Scenario rules are tried before the built-in ones; seed rows replace a table's defaults.
+
+const fs = require('fs');
+const path = require('path');
+
+// Column defaults the real schema applies on insert (sql/*.sql). The in-memory
+// store only knows what it is told, so status/processed/etc. must be filled in here.
+const COLUMN_DEFAULTS = {
+  mission_proposals: { status: 'pending', priority: 'normal', processed: false, announced: false },
+  missions: { status: 'in_progress', priority: 'normal' },
+  mission_steps: { status: 'pending', model_tier: 'tier1', step_order: 0, processed: false, announced: false, attempt_count: 0 },
+  approval_chain: { status: 'pending', revision_number: 1 },
+  agents: { status: 'active', agent_type: 'sub_agent' },
+  agent_memories: { importance: 5, topic_tags: [], related_agent_ids: [], metadata: {} },
+  projects: { status: 'active', phase: 'discovery' },
+  pipeline_phases: { metadata: {} },
+  events: { severity: 'info', data: {} }
+};
+
+// Minimal org: Frasier plus a research team with a lead and QA
+const DEFAULT_SEED = {
+  teams: [
+    { id: 'team-research', name: 'Research', status: 'active', lead_agent_id: 'agent-gendo' }
+  ],
+  agents: [
+    { id: 'agent-frasier', name: 'frasier', display_name: 'Frasier', role: 'Chief of Staff', agent_type: 'chief_of_staff', team_id: null, status: 'active' },
+    { id: 'agent-gendo', name: 'gendo', display_name: 'Gendo', role: 'Research Strategist', agent_type: 'team_lead', team_id: 'team-research', status: 'active' },
+    { id: 'agent-rei', name: 'rei', display_name: 'Rei', role: 'Research Analyst', agent_type: 'sub_agent', team_id: 'team-research', status: 'active' },
+    { id: 'agent-ritsuko', name: 'ritsuko', display_name: 'Ritsuko', role: 'QA Engineer', agent_type: 'qa', team_id: 'team-research', status: 'active' }
+  ],
+  agent_personas: [
+    { id: 1, agent_id: 'agent-frasier', full_sep_prompt: 'You are Frasier, Chief of Staff. You route the founder\'s requests to the right team.' },
+    { id: 2, agent_id: 'agent-gendo', full_sep_prompt: 'You are Gendo, Research Strategist and team lead.' },
+    { id: 3, agent_id: 'agent-rei', full_sep_prompt: 'You are Rei, a meticulous research analyst.' },
+    { id: 4, agent_id: 'agent-ritsuko', full_sep_prompt: 'You are Ritsuko, QA engineer. You review deliverables strictly.' }
+  ]
+};
+
+let store = null;
+let scenario = null;
+const trace = [];
+
+function isDryRun() {
+  return ['1', 'true', 'yes'].includes(String(process.env.FRASIER_DRY_RUN || '').toLowerCase());
+}
+
+/**
+ * True when scripts/replay.js is driving the loop. heartbeat.js, worker.js and
+ * discord_bot.js then skip their own startup and only export their handlers.
+ * WHY not require.main: PM2 fork mode loads the scripts via require().
+ */
+function isReplay() {
+  return isDryRun() && process.env.FRASIER_REPLAY === '1';
+}
+
+// ============================================================
+// TRACE
+// ============================================================
+
+/**
+ * Append one entry to the dry-run trace.
+ * @param {string} source - llm | web | linear | notion | discord | event | ...
+ * @param {string} action - What happened (phase, method, event type)
+ * @param {string} [detail]
+ */
+function record(source, action, detail = null) {
+  trace.push({ seq: trace.length + 1, at: new Date().toISOString(), source, action, detail });
+}
+
+function getTrace() {
+  return trace.slice();
+}
+
+function resetTrace() {
+  trace.length = 0;
+}
+
+function preview(text, max = 100) {
+  const flat = String(text ?? '').replace(/\s+/g, ' ').trim();
+  return flat.length > max ? `${flat.substring(0, max - 1)}…` : flat;
+}
+
+/**
+ * Render the trace as aligned text lines for the terminal.
+ */
+function formatTrace(entries = trace) {
+  return entries
+    .map(e => `${String(e.seq).padStart(4)}  ${e.source.padEnd(9)} ${e.action.padEnd(22)} ${e.detail ? preview(e.detail, 110) : ''}`.trimEnd())
+    .join('\n');
+}
+
+// ============================================================
+// SCENARIO + IN-MEMORY STORE
+// ============================================================
+
+function loadScenario() {
+  if (scenario) return scenario;
+  scenario = { llm: [], search: [], pages: [], seed: {} };
+
+  const file = process.env.FRASIER_DRY_RUN_SCENARIO;
+  if (file) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+      scenario = { ...scenario, ...parsed };
+    } catch (err) {
+      console.error(`[dry_run] Failed to load scenario ${file}: ${err.message}`);
+    }
+  }
+  return scenario;
+}
+
+/**
+ * The in-memory Supabase stand-in, created and seeded on first use.
+ */
+function getStore() {
+  if (store) return store;
+
+  // WHY from tests/mocks: it is the store the test suite already exercises against
+  // every query shape the libs use, so dry runs and tests can't drift apart
+  const createMockSupabase = require('../../tests/mocks/supabase');
+  store = createMockSupabase({ defaults: COLUMN_DEFAULTS });
+
+  const seed = { ...DEFAULT_SEED, ...loadScenario().seed };
+  for (const [table, rows] of Object.entries(seed)) {
+    store.__setData(table, rows);
+  }
+  return store;
+}
+
+// ============================================================
+// SCRIPTED LLM
+// ============================================================
+
+const PROJECT_WORDS = /\b(build|launch|platform|product line|full project|end-to-end)\b/i;
+const CASUAL_WORDS = /^(hi|hey|hello|thanks|thank you|good (morning|night)|how (are|was))\b/i;
+
+function json(value) {
+  return JSON.stringify(value);
+}
+
+function quotedMessage(userMessage) {
+  const match = userMessage.match(/MESSAGE: "([\s\S]*?)"\n/) || userMessage.match(/via Discord:\n\n"([\s\S]*?)"\n/);
+  return match ? match[1] : '';
+}
+
+// Built-in responses, one per prompt the orchestration loop sends.
+// `match` runs against system prompt + user message.
+const DEFAULT_SCRIPT = [
+  {
+    name: 'classify',
+    match: /Classify this message from the founder/,
+    respond: ({ userMessage }) => {
+      const message = quotedMessage(userMessage);
+      if (CASUAL_WORDS.test(message)) return json({ classification: 'casual', confidence: 0.9, reasoning: 'Dry run: small talk' });
+      return json(PROJECT_WORDS.test(message)
+        ? { classification: 'full_project', confidence: 0.9, reasoning: 'Dry run: multi-phase initiative' }
+        : { classification: 'simple_task', confidence: 0.9, reasoning: 'Dry run: single deliverable' });
+    }
+  },
+  {
+    name: 'frasier',
+    match: /CRITICAL ACTION TAGS/,
+    respond: ({ userMessage }) => {
+      const message = quotedMessage(userMessage);
+      if (CASUAL_WORDS.test(message)) {
+        return 'Doing well, thanks for asking. The team is ready whenever you are.\n\n[ACTION:RESPONSE]';
+      }
+      if (/identified this as a FULL PROJECT/.test(userMessage)) {
+        return 'On it. I\'ll have the team break this down into a plan.\n\n[PROJECT_DETAILS]\n' +
+          `NAME: Dry Run Project\nDESCRIPTION: ${preview(message, 200)}\n[/PROJECT_DETAILS]\n\n[ACTION:NEW_PROJECT]`;
+      }
+      return 'Routing this to Rei (Research Analyst). You\'ll have the deliverable shortly.\n\n[ACTION:PROPOSAL]';
+    }
+  },
+  {
+    name: 'project_roles',
+    match: /determine what specialist roles are needed/,
+    respond: () => json([{ title: 'Market Research Analyst', category: 'research', reason: 'Dry run' }])
+  },
+  {
+    name: 'plan',
+    match: /Decompose project directives/,
+    respond: () => json({
+      tasks: [
+        { id: 'T1', description: 'Research the market landscape', required_role: 'research', parallel_group: 1, depends_on: [], acceptance_criteria: 'Sized market with sources' },
+        { id: 'T2', description: 'Recommend a go-to-market approach', required_role: 'research', parallel_group: 2, depends_on: ['T1'], acceptance_criteria: 'Three ranked options' }
+      ],
+      end_state: 'production_docs',
+      escalation_needed: false,
+      hiring_needed: []
+    })
+  },
+  { name: 'feasibility', match: /capability auditor/, respond: () => json({ feasible: true, issues: [] }) },
+  {
+    name: 'decompose',
+    match: /## DECOMPOSE THIS TASK/,
+    respond: () => json({
+      subQuestions: ['How big is the market?', 'Who are the main competitors?'],
+      searchQueries: ['market size 2026', 'top competitors'],
+      keyRequirements: ['Cite sources']
+    })
+  },
+  { name: 'refine_queries', match: /## REFINE_QUERIES/, respond: () => json({ refinedQueries: ['market size report 2026'] }) },
+  { name: 'gap_analysis', match: /## GAP ANALYSIS/, respond: () => json({ gaps: [], additionalQueries: [], sufficient: true }) },
+  {
+    name: 'synthesize',
+    match: /## SYNTHESIZE/,
+    respond: () => '# Market Brief (dry run)\n\n## Summary\nThe market is worth $2.3B and growing 36% a year ' +
+      '(https://example.com/market-report).\n\n## Competitors\n1. Acme — 40% share (https://example.com/competitors)\n' +
+      '2. Globex — 25% share\n\n## Recommendation\nEnter through the mid-market segment first.'
+  },
+  {
+    name: 'critique',
+    match: /## CRITIQUE YOUR OWN WORK/,
+    respond: () => json({
+      scores: { completeness: 4, accuracy: 4, actionability: 4, depth: 4 },
+      overallScore: 4,
+      gaps: [],
+      lesson: 'Lead with the market size and its source.'
+    })
+  },
+  {
+    name: 'revise',
+    match: /## REVISE YOUR DELIVERABLE/,
+    respond: () => '# Market Brief (dry run, revised)\n\nThe market is worth $2.3B (https://example.com/market-report).'
+  },
+  {
+    name: 'review',
+    match: /### VERDICT/,
+    respond: () => '### SCORES\n- Relevance: 4/5\n- Depth: 4/5\n- Actionability: 4/5\n- Accuracy: 4/5\n' +
+      '- Executive Quality: 4/5\n- Overall: 4/5\n\n### VERDICT\n[APPROVE]\n\n### FEEDBACK\nClear and sourced.'
+  }
+];
+
+function scenarioRules() {
+  return (loadScenario().llm || []).map((rule, i) => ({
+    name: rule.name || `scenario#${i + 1}`,
+    match: new RegExp(rule.match),
+    respond: () => rule.content
+  }));
+}
+
+/**
+ * Stand-in for a provider round trip. Called by models.makeAPICall() in dry runs,
+ * so routing, the budget guard, the response cache and model_usage logging all
+ * still run against the in-memory store.
+ *
+ * @returns {{ content: string, usage: Object }}
+ */
+async function scriptedCompletion({ modelConfig, systemPrompt = '', userMessage = '' }) {
+  const prompt = `${systemPrompt}\n${userMessage}`;
+  const rule = [...scenarioRules(), ...DEFAULT_SCRIPT].find(r => r.match.test(prompt));
+
+  const content = rule ? rule.respond({ systemPrompt, userMessage }) : 'Dry-run response.';
+  record('llm', `${modelConfig?.tier || '?'} ${rule ? rule.name : 'unscripted'}`, content);
+
+  // Rough token counts (~4 chars/token) so budget and cost reporting have numbers
+  const promptTokens = Math.ceil(prompt.length / 4);
+  const completionTokens = Math.ceil(content.length / 4);
+  return {
+    content,
+    usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens }
+  };
+}
+
+// ============================================================
+// WEB FIXTURES
+// ============================================================
+
+function slug(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 40) || 'page';
+}
+
+/**
+ * Fixture search results for web.searchWeb().
+ * @returns {{ results: Array<{title, url, snippet}>, error: null }}
+ */
+function searchFixture(query, maxResults = 5) {
+  const rule = (loadScenario().search || []).find(r => new RegExp(r.match, 'i').test(query));
+  const results = rule
+    ? rule.results
+    : [1, 2, 3].map(n => ({
+      title: `${query} — source ${n}`,
+      url: `https://example.com/${slug(query)}/${n}`,
+      snippet: `Fixture result ${n} for "${query}".`
+    }));
+
+  record('web', 'search', query);
+  return { results: results.slice(0, maxResults), error: null };
+}
+
+/**
+ * Fixture page for web.fetchPage().
+ * @returns {{ content, title, url, error: null }}
+ */
+function pageFixture(url, maxChars = 8000) {
+  const rule = (loadScenario().pages || []).find(r => new RegExp(r.match, 'i').test(url));
+  const title = rule ? rule.title : `Fixture page: ${url}`;
+  const content = rule
+    ? rule.content
+    : `${title}. According to the 2026 industry report, the market reached $2.3 billion in revenue, ` +
+      'growing 36% year over year. Acme holds 40% share, Globex 25%, and the long tail the remaining 35%. ' +
+      'Customer acquisition cost averages $120 with a 14-month payback period. '.repeat(4);
+
+  record('web', 'fetch', url);
+  return { content: content.substring(0, maxChars), title, url, error: null };
+}
+
+// ============================================================
+// INTEGRATION RECORDERS
+// ============================================================
+
+/**
+ * Replace a module's async exports with no-op recorders. Sync helpers and
+ * constants pass through untouched (they don't talk to the outside world).
+ *
+ * @param {string} name - Trace source (linear, notion, ...)
+ * @param {Object} moduleExports - The real module.exports
+ * @param {Object} [returns] - method → value to resolve with (default null)
+ */
+function recordIntegration(name, moduleExports, returns = {}) {
+  const recorded = {};
+  for (const [key, value] of Object.entries(moduleExports)) {
+    if (typeof value === 'function' && value.constructor.name === 'AsyncFunction') {
+      recorded[key] = async (...args) => {
+        record(name, key, args.map(a => (typeof a === 'object' ? JSON.stringify(a) : String(a))).join(', '));
+        return key in returns ? returns[key] : null;
+      };
+    } else {
+      recorded[key] = value;
+    }
+  }
+  return recorded;
+}
+
+/**
+ * A stand-in for a discord.js Message. Replies and channel posts go to the trace.
+ */
+function createFakeMessage(content, { id = `dry-run-${Date.now()}` } = {}) {
+  const sent = [];
+  const post = async (text) => {
+    const body = typeof text === 'string' ? text : text?.content || '';
+    sent.push(body);
+    record('discord', 'reply', body);
+    return { id: `${id}-reply-${sent.length}` };
+  };
+
+  return {
+    id,
+    content,
+    author: { id: process.env.DISCORD_ZERO_ID || 'zero', bot: false },
+    attachments: new Map(),
+    reply: post,
+    channel: { send: post, sendTyping: async () => {} },
+    sent
+  };
+}
+
+module.exports = {
+  isDryRun,
+  isReplay,
+  record,
+  getTrace,
+  resetTrace,
+  formatTrace,
+  getStore,
+  scriptedCompletion,
+  searchFixture,
+  pageFixture,
+  recordIntegration,
+  createFakeMessage,
+  COLUMN_DEFAULTS,
+  DEFAULT_SEED
+};
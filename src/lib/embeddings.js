@@ -0,0 +1,224 @@
+// embeddings.js — Pluggable text embeddings for semantic memory retrieval
+// WHY: memory.getTopicMemories() and approach_memory.findSimilar() only match exact
+// strings in topic_tags, so a memory tagged "pricing" never surfaces for a task
+// about "monetization". Memories, lessons and approaches now store an embedding
+// on save, and retrieval ranks candidates by cosine similarity to the task text.
+//
+// Embedders are pluggable: { model, minSimilarity, embed(text) → number[] }.
+//   - openai — text-embedding-3-small via the OpenAI API (used when OPENAI_API_KEY is set)
+//   - local  — deterministic feature hashing, no network, no cost (default; used in tests)
+// EMBEDDINGS_PROVIDER overrides the choice. registerEmbedder() adds new ones.
+//
+// Vectors from different embedders are NOT comparable, so every stored vector
+// carries its embedding_model and similarity() refuses to compare across models.
+//
+// Fail-open: an embedding failure returns null and callers fall back to tag matching.
+
+const rateLimit = require('./rate_limit');
+
+// Small vectors keep the JSONB column and the retrieval candidate pool cheap.
+// text-embedding-3 models accept a `dimensions` parameter, so both embedders match.
+const EMBEDDING_DIMENSIONS = 256;
+
+// Long memories are embedded from their first N characters
+const MAX_EMBED_CHARS = 8000;
+
+// ============================================================
+// LOCAL EMBEDDER (deterministic feature hashing)
+// ============================================================
+
+/**
+ * FNV-1a 32-bit hash. Stable across processes, which is the whole point.
+ */
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Words plus character trigrams of each word. Trigrams give partial credit to
+ * related word forms ("pricing" / "price") that exact tags miss.
+ */
+function localFeatures(text) {
+  const words = text.toLowerCase().match(/[a-z0-9]+/g) || [];
+  const features = [];
+  for (const word of words) {
+    if (word.length < 3) continue;
+    features.push(`w:${word}`);
+    const padded = `#${word}#`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      features.push(`t:${padded.slice(i, i + 3)}`);
+    }
+  }
+  return features;
+}
+
+const localEmbedder = {
+  model: `local-hash-${EMBEDDING_DIMENSIONS}`,
+  // Unrelated texts land near 0; a shared word or stem lifts a pair past 0.2
+  minSimilarity: 0.2,
+  async embed(text) {
+    const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+    for (const feature of localFeatures(text)) {
+      const hash = fnv1a(feature);
+      // Whole words count more than their trigrams
+      const weight = feature.startsWith('w:') ? 2 : 1;
+      vector[hash % EMBEDDING_DIMENSIONS] += (hash & 0x80000000) ? -weight : weight;
+    }
+    return normalize(vector);
+  }
+};
+
+// ============================================================
+// OPENAI EMBEDDER
+// ============================================================
+
+const openaiEmbedder = {
+  model: process.env.EMBEDDINGS_MODEL || 'text-embedding-3-small',
+  minSimilarity: 0.3,
+  async embed(text) {
+    const apiKey = process.env.OPENAI_API_KEY;
+    if (!apiKey) throw new Error('Missing API key: OPENAI_API_KEY');
+
+    const response = await rateLimit.rateLimitedFetch('openai', process.env.EMBEDDINGS_URL || 'https://api.openai.com/v1/embeddings', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
+      body: JSON.stringify({ model: this.model, input: text, dimensions: EMBEDDING_DIMENSIONS })
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      throw new Error(`Embeddings API ${response.status}: ${body.substring(0, 200)}`);
+    }
+
+    const data = await response.json();
+    const vector = data.data?.[0]?.embedding;
+    if (!Array.isArray(vector)) throw new Error('No embedding returned');
+    return vector;
+  }
+};
+
+// ============================================================
+// REGISTRY
+// ============================================================
+
+const EMBEDDERS = {
+  local: localEmbedder,
+  openai: openaiEmbedder
+};
+
+let activeName = null;
+
+/**
+ * Register (or replace) an embedder.
+ *
+ * @param {string} name
+ * @param {Object} embedder - { model: string, embed(text): Promise<number[]>, minSimilarity?: number }
+ * @returns {Object} The registered embedder
+ */
+function registerEmbedder(name, embedder) {
+  if (!embedder || typeof embedder.embed !== 'function' || !embedder.model) {
+    throw new Error(`Embedder "${name}" must have a model name and an embed() function`);
+  }
+  EMBEDDERS[name] = { minSimilarity: 0.3, ...embedder };
+  return EMBEDDERS[name];
+}
+
+/**
+ * Switch the active embedder at runtime (tests, or a one-off re-embed job).
+ * Pass null to go back to the env-based default.
+ */
+function setEmbedder(name) {
+  if (name !== null && !EMBEDDERS[name]) {
+    throw new Error(`Unknown embedder: ${name}`);
+  }
+  activeName = name;
+}
+
+/**
+ * Active embedder: setEmbedder() → EMBEDDINGS_PROVIDER → openai if keyed → local.
+ */
+function getEmbedder() {
+  const name = activeName
+    || process.env.EMBEDDINGS_PROVIDER
+    || (process.env.OPENAI_API_KEY ? 'openai' : 'local');
+  return EMBEDDERS[name] || EMBEDDERS.local;
+}
+
+// ============================================================
+// EMBED + COMPARE
+// ============================================================
+
+/**
+ * Embed text with the active embedder. Never throws.
+ *
+ * @param {string} text
+ * @returns {Promise<{ embedding: number[], model: string }|null>} null on empty input or failure
+ */
+async function embedText(text) {
+  if (!text || !text.trim()) return null;
+  const embedder = getEmbedder();
+  try {
+    const embedding = await embedder.embed(text.substring(0, MAX_EMBED_CHARS));
+    return { embedding, model: embedder.model };
+  } catch (err) {
+    console.error(`[embeddings] ${embedder.model} failed: ${err.message}`);
+    return null;
+  }
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm === 0 ? vector : vector.map(v => v / norm);
+}
+
+/**
+ * Cosine similarity of two vectors. 0 for mismatched or empty input.
+ */
+function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length === 0 || a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Similarity between a query (from embedText) and a stored row.
+ *
+ * @param {{ embedding, model }} query
+ * @param {Object} row - Any row with embedding + embedding_model columns
+ * @returns {number|null} null when the row has no comparable embedding
+ */
+function similarity(query, row) {
+  if (!query || !row || !Array.isArray(row.embedding) || row.embedding_model !== query.model) return null;
+  return cosineSimilarity(query.embedding, row.embedding);
+}
+
+/**
+ * Noise floor for the active embedder — below this, a match is a coincidence.
+ */
+function getMinSimilarity() {
+  return getEmbedder().minSimilarity;
+}
+
+module.exports = {
+  EMBEDDING_DIMENSIONS,
+  registerEmbedder,
+  setEmbedder,
+  getEmbedder,
+  embedText,
+  cosineSimilarity,
+  similarity,
+  getMinSimilarity
+};
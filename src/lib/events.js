@@ -4,6 +4,7 @@
 // and by Frasier for daily summaries.
 
 const supabase = require('./supabase');
+const dryRun = require('./dry_run');
 
 /**
  * Log an event.
@@ -24,6 +25,8 @@ async function logEvent({
   description = null,
   data = {}
 }) {
+  if (dryRun.isDryRun()) dryRun.record('event', eventType, description);
+
   const { error } = await supabase
     .from('events')
     .insert({
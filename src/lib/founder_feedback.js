@@ -0,0 +1,214 @@
+// founder_feedback.js — Zero's verdict on delivered work
+// WHY: Agents only learned from QA rejections (worker.generateLessonFromRejection).
+// Zero reads every announced deliverable but had no way to rate it, so the one
+// judgment that matters most never reached the agents or the critique scores.
+//
+// Capture:
+//   - 👍 / 👎 reaction on a step announcement (discord_bot.js)
+//   - !feedback <step_id> [👍|👎|N/5] <text>
+// Each piece of feedback:
+//   1. Is stored in founder_feedback with the step's self-critique score at the time
+//   2. Becomes an importance-9 lesson for the agent who did the work
+//   3. Is a calibration point — critique_eval.loadFeedbackItems() re-critiques it
+
+const supabase = require('./supabase');
+const memory = require('./memory');
+const events = require('./events');
+const pipeline = require('./pipeline');
+
+// Above QA rejection lessons (8) — the founder is the final judge
+const FEEDBACK_IMPORTANCE = 9;
+
+const REACTION_SENTIMENT = {
+  '👍': 'positive',
+  '👎': 'negative'
+};
+
+// ============================================================
+// PARSING
+// ============================================================
+
+/**
+ * Parse `!feedback <step_id> [👍|👎|+|-|N/5] <text>`.
+ * The rating must be written as N/5 so a comment that starts with a number
+ * ("3 of the sources were dead") isn't read as a score.
+ *
+ * @param {string[]} args - Command arguments after `!feedback`
+ * @returns {{ stepId, sentiment, rating, comment, error }}
+ */
+function parseFeedbackArgs(args) {
+  const stepId = parseInt(String(args[0] || '').replace('#', ''));
+  if (!stepId) {
+    return { stepId: null, sentiment: null, rating: null, comment: null, error: 'Usage: `!feedback <step_id> [👍|👎|N/5] <what was good or missing>`' };
+  }
+
+  const rest = args.slice(1);
+  let sentiment = null;
+  let rating = null;
+
+  const first = rest[0] || '';
+  const ratingMatch = first.match(/^(\d(?:\.\d)?)\/5$/);
+  if (REACTION_SENTIMENT[first] || first === '+' || first === '-') {
+    sentiment = REACTION_SENTIMENT[first] || (first === '+' ? 'positive' : 'negative');
+    rest.shift();
+  } else if (ratingMatch) {
+    rating = parseFloat(ratingMatch[1]);
+    if (rating < 1 || rating > 5) {
+      return { stepId, sentiment: null, rating: null, comment: null, error: 'Rating must be between 1/5 and 5/5.' };
+    }
+    rest.shift();
+  }
+
+  const comment = rest.join(' ').trim() || null;
+  if (!comment && !sentiment && rating === null) {
+    return { stepId, sentiment: null, rating: null, comment: null, error: 'Add a rating (👍, 👎 or N/5) or some feedback text.' };
+  }
+
+  return { stepId, sentiment, rating, comment, error: null };
+}
+
+// ============================================================
+// RECORDING
+// ============================================================
+
+/**
+ * Turn feedback into a lesson in the agent's own voice of experience.
+ * The self-critique score is included so the agent sees where its own
+ * judgment diverged from Zero's.
+ */
+function buildFeedbackLesson({ step, sentiment, rating, comment, critiqueScore }) {
+  const task = (step.description || '').substring(0, 100);
+
+  let verdict = 'Founder feedback on';
+  if (rating !== null) verdict = `Founder rated ${rating}/5`;
+  else if (sentiment === 'negative') verdict = 'Founder was not satisfied with';
+  else if (sentiment === 'positive') verdict = 'Founder was happy with';
+
+  let lesson = `${verdict} delivered work: "${task}".`;
+  if (comment) lesson += ` Feedback: ${comment.substring(0, 400)}`;
+  if (critiqueScore !== null && critiqueScore !== undefined) {
+    lesson += ` (My self-critique had scored it ${critiqueScore}/5.)`;
+  }
+  return lesson;
+}
+
+/**
+ * Store one piece of founder feedback, save it as a lesson for the step's
+ * agent and log a founder_feedback event.
+ * Repeating the same reaction on a step is a no-op; switching 👍 → 👎 is new feedback.
+ *
+ * @param {Object} params
+ * @param {number} params.stepId
+ * @param {string} params.source - 'reaction' | 'command'
+ * @param {string} [params.sentiment] - 'positive' | 'negative'
+ * @param {number} [params.rating] - 1-5, same scale as the self-critique
+ * @param {string} [params.comment]
+ * @param {string} [params.discordMessageId]
+ * @returns {{ feedback: Object|null, lesson: Object|null, duplicate: boolean, error: string|null }}
+ */
+async function recordFeedback({ stepId, source, sentiment = null, rating = null, comment = null, discordMessageId = null }) {
+  const { data: step, error: stepErr } = await supabase
+    .from('mission_steps')
+    .select('*')
+    .eq('id', stepId)
+    .maybeSingle();
+
+  if (stepErr || !step) {
+    return { feedback: null, lesson: null, duplicate: false, error: `Step #${stepId} not found.` };
+  }
+  if (!step.result) {
+    return { feedback: null, lesson: null, duplicate: false, error: `Step #${stepId} has no deliverable yet.` };
+  }
+
+  if (source === 'reaction') {
+    const { data: existing } = await supabase
+      .from('founder_feedback')
+      .select('*')
+      .eq('mission_step_id', stepId)
+      .eq('source', 'reaction')
+      .order('id', { ascending: false })
+      .limit(1);
+
+    if (existing?.[0]?.sentiment === sentiment) {
+      return { feedback: existing[0], lesson: null, duplicate: true, error: null };
+    }
+  }
+
+  const critique = await pipeline.getCritiquePhase(stepId);
+  const critiqueScore = critique?.score ?? null;
+
+  const lesson = step.assigned_agent_id
+    ? await memory.saveLesson({
+      agentId: step.assigned_agent_id,
+      lesson: buildFeedbackLesson({ step, sentiment, rating, comment, critiqueScore }),
+      context: `Founder feedback (${source}) on step #${stepId}: "${(step.description || '').substring(0, 150)}"`,
+      category: 'founder-feedback',
+      importance: FEEDBACK_IMPORTANCE,
+      sourceMissionId: step.mission_id,
+      metadata: { stepId, sentiment, rating, critiqueScore }
+    })
+    : null;
+
+  const { data: feedback, error } = await supabase
+    .from('founder_feedback')
+    .insert({
+      mission_step_id: stepId,
+      mission_id: step.mission_id,
+      agent_id: step.assigned_agent_id,
+      source,
+      sentiment,
+      rating,
+      comment,
+      critique_score: critiqueScore,
+      lesson_id: lesson?.id || null,
+      discord_message_id: discordMessageId
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error(`[founder_feedback] Failed to save feedback for step #${stepId}:`, error.message);
+    return { feedback: null, lesson, duplicate: false, error: error.message };
+  }
+
+  const label = rating !== null ? `${rating}/5` : (sentiment || 'comment');
+  await events.logEvent({
+    eventType: 'founder_feedback',
+    agentId: step.assigned_agent_id,
+    severity: 'info',
+    description: `Founder feedback on step #${stepId}: ${label}${comment ? ` — ${comment.substring(0, 100)}` : ''}`,
+    data: { stepId, missionId: step.mission_id, source, sentiment, rating, critiqueScore, feedbackId: feedback.id }
+  });
+
+  console.log(`[founder_feedback] Step #${stepId} (${step.assigned_agent_id}): ${label}`);
+  return { feedback, lesson, duplicate: false, error: null };
+}
+
+/**
+ * The step whose announcement is this Discord message, if any.
+ * @returns {Object|null}
+ */
+async function findStepByAnnouncement(messageId) {
+  if (!messageId) return null;
+
+  const { data, error } = await supabase
+    .from('mission_steps')
+    .select('*')
+    .eq('announcement_message_id', messageId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[founder_feedback] Announcement lookup failed:', error.message);
+    return null;
+  }
+  return data;
+}
+
+module.exports = {
+  parseFeedbackArgs,
+  buildFeedbackLesson,
+  recordFeedback,
+  findStepByAnnouncement,
+  REACTION_SENTIMENT,
+  FEEDBACK_IMPORTANCE
+};
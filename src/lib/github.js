@@ -7,6 +7,7 @@
 // Requires: GITHUB_TOKEN and GITHUB_REPO in .env
 
 const supabase = require('./supabase');
+const rateLimit = require('./rate_limit');
 
 const GITHUB_API = 'https://api.github.com';
 
@@ -43,7 +44,7 @@ async function githubRequest(method, path, body = null) {
   }
 
   try {
-    const response = await fetch(`${GITHUB_API}${path}`, options);
+    const response = await rateLimit.rateLimitedFetch('github', `${GITHUB_API}${path}`, options);
 
     if (!response.ok) {
       const error = await response.text();
@@ -209,3 +210,7 @@ module.exports = {
   pushFile,
   pushDailyState
 };
+
+// Dry run: outbound calls are recorded to the trace instead of sent
+const dryRun = require('./dry_run');
+if (dryRun.isDryRun()) module.exports = dryRun.recordIntegration('github', module.exports);
@@ -184,9 +184,10 @@ async function findOrCreateFolder(drive, name, parentId) {
  * @param {string} params.agentName - Who created it
  * @param {number} params.missionId - For reference
  * @param {number} params.stepId - For reference
+ * @param {string} [params.dag] - Mission DAG as Mermaid (missions.exportDag), appended to the doc
  * @returns {Object|null} { id, url } or null on failure
  */
-async function publishDeliverable({ title, content, teamId, agentName, missionId, stepId }) {
+async function publishDeliverable({ title, content, teamId, agentName, missionId, stepId, dag = null }) {
   const drive = getDriveClient();
   if (!drive) return null;
 
@@ -197,7 +198,9 @@ async function publishDeliverable({ title, content, teamId, agentName, missionId
 
   // Add metadata header to the content
   const dateStr = new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
-  const fullContent = `Agent: ${agentName} | Mission #${missionId} | Step #${stepId} | ${dateStr}\n${'─'.repeat(60)}\n\n${content}`;
+  let fullContent = `Agent: ${agentName} | Mission #${missionId} | Step #${stepId} | ${dateStr}\n${'─'.repeat(60)}\n\n${content}`;
+  // Docs can't render Mermaid — the source is kept so it can be pasted into any Mermaid viewer
+  if (dag) fullContent += `\n\n${'─'.repeat(60)}\nMISSION DAG (Mermaid)\n\n${dag}`;
 
   try {
     // Create a Google Doc (with Workspace impersonation, storage counts against the user)
@@ -366,3 +369,7 @@ module.exports = {
   backupDatabase,
   clearCache
 };
+
+// Dry run: outbound calls are recorded to the trace instead of sent
+const dryRun = require('./dry_run');
+if (dryRun.isDryRun()) module.exports = dryRun.recordIntegration('google_drive', module.exports);
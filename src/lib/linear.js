@@ -9,7 +9,8 @@
 
 const crypto = require('crypto');
 const supabase = require('./supabase');
-const models = require('./models');
+const rateLimit = require('./rate_limit');
+const structured = require('./structured_output');
 
 const LINEAR_API_URL = 'https://api.linear.app/graphql';
 
@@ -64,7 +65,7 @@ async function linearRequest(query, variables = {}) {
   }
 
   try {
-    const response = await fetch(LINEAR_API_URL, {
+    const response = await rateLimit.rateLimitedFetch('linear', LINEAR_API_URL, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -109,6 +110,15 @@ function truncateForLinear(str, max = 255) {
 // LLM TITLE POLISHING
 // ============================================================
 
+const POLISH_SCHEMA = {
+  type: 'object',
+  required: ['title', 'description'],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    description: { type: 'string' }
+  }
+};
+
 /**
  * Rewrite raw task text into a clean, professional title + description.
  * Uses tier-1 (MiniMax) — cheapest model for a simple formatting task.
@@ -117,26 +127,26 @@ async function polishTitleAndDescription(rawText) {
   const truncated = (rawText || '').substring(0, 500);
 
   try {
-    const result = await models.callLLM({
+    const result = await structured.callLLMJson({
       systemPrompt: 'You are a project management assistant. Rewrite raw task descriptions into clean, professional titles and descriptions for a project management tool.',
       userMessage: `Rewrite this into a professional ticket.\n\nRaw text: "${truncated}"\n\nRespond ONLY with JSON:\n{"title": "concise title (max 80 chars)", "description": "organized 1-3 sentence description"}`,
       agentId: 'system',
       forceTier: 'tier1',
-      taskDescription: 'linear title polish'
+      taskDescription: 'linear title polish',
+      cache: true,
+      schema: POLISH_SCHEMA
     });
 
-    if (result.error || !result.content) {
+    if (result.error) {
       return { title: truncated.substring(0, 80), description: truncated };
     }
 
-    const cleaned = result.content.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
-    const parsed = JSON.parse(cleaned);
     return {
-      title: (parsed.title || truncated).substring(0, 80),
-      description: parsed.description || truncated
+      title: (result.data.title || truncated).substring(0, 80),
+      description: result.data.description || truncated
     };
   } catch (e) {
-    // JSON parse failed or any other error — fall back to raw text
+    // Any unexpected error — fall back to raw text
     return { title: truncated.substring(0, 80), description: truncated };
   }
 }
@@ -1185,3 +1195,7 @@ module.exports = {
   __resetPollTime,
   __resetInitialized
 };
+
+// Dry run: outbound calls are recorded to the trace instead of sent
+const dryRun = require('./dry_run');
+if (dryRun.isDryRun()) module.exports = dryRun.recordIntegration('linear', module.exports);
@@ -0,0 +1,305 @@
+// llm_fixtures.js — Record and replay LLM round trips as fixture files
+// WHY: Tests hand-mock callLLM() responses, so a prompt change never breaks a
+// test — the mock answers whatever it is sent. With recorded fixtures the
+// request itself is the key: change a prompt and replay misses, showing the
+// diff against the closest recorded request.
+//
+//   FRASIER_LLM_FIXTURES=record  — every makeAPICall() response is written to a fixture
+//   FRASIER_LLM_FIXTURES=replay  — makeAPICall() answers from fixtures; no provider calls
+//   FRASIER_LLM_FIXTURES_DIR     — where fixtures live (default tests/fixtures/llm)
+//
+// Tests switch modes with configure({ mode, dir }) instead of env vars.
+//
+// A fixture is keyed by a hash of tier + system prompt + user message. The model
+// name is stored but not hashed, so swapping a tier's provider doesn't invalidate
+// every fixture. Each fixture also keeps the step's pipeline_phases rows at call
+// time, so it's clear which phase of which run a request came from.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const supabase = require('./supabase');
+
+const DEFAULT_DIR = path.resolve(__dirname, '../../tests/fixtures/llm');
+const MODES = ['record', 'replay'];
+
+// Lines of unchanged prompt shown around each change in a miss diff
+const DIFF_CONTEXT_LINES = 2;
+const MAX_DIFF_LINES = 60;
+
+let override = null;
+const misses = [];
+
+/**
+ * Set the mode and directory for this process (tests). Pass null to go back to env vars.
+ * @param {Object|null} params
+ * @param {string|null} params.mode - record | replay | null (off)
+ * @param {string} [params.dir]
+ */
+function configure(params) {
+  override = params ? { mode: params.mode || null, dir: params.dir || DEFAULT_DIR } : null;
+  misses.length = 0;
+}
+
+function getMode() {
+  const mode = override ? override.mode : process.env.FRASIER_LLM_FIXTURES;
+  return MODES.includes(mode) ? mode : null;
+}
+
+function getDir() {
+  if (override) return override.dir;
+  return process.env.FRASIER_LLM_FIXTURES_DIR ? path.resolve(process.env.FRASIER_LLM_FIXTURES_DIR) : DEFAULT_DIR;
+}
+
+function isRecording() {
+  return getMode() === 'record';
+}
+
+function isReplaying() {
+  return getMode() === 'replay';
+}
+
+function requestHash({ tier, systemPrompt, userMessage }) {
+  return crypto
+    .createHash('sha256')
+    .update(`${tier || ''}\n${systemPrompt || ''}\n${userMessage || ''}`)
+    .digest('hex')
+    .substring(0, 16);
+}
+
+// ============================================================
+// RECORD
+// ============================================================
+
+/**
+ * The step's pipeline_phases rows at call time. A row still streaming is the
+ * phase this request belongs to; non-streaming phases log their row afterwards,
+ * so for those the context shows the phases already done.
+ */
+async function getPhaseContext(missionStepId) {
+  if (!missionStepId) return [];
+
+  const { data, error } = await supabase
+    .from('pipeline_phases')
+    .select('*')
+    .eq('mission_step_id', missionStepId)
+    .order('created_at', { ascending: true });
+
+  if (error || !data) return [];
+  return data.map(row => ({
+    phase_name: row.phase_name,
+    phase_order: row.phase_order,
+    model_tier: row.model_tier,
+    status: row.metadata?.status || 'completed'
+  }));
+}
+
+/**
+ * Write one request/response pair as a fixture. Never throws — a recording
+ * failure must not fail the real call it is recording.
+ *
+ * @param {Object} params
+ * @param {Object} params.modelConfig - The tier's model config
+ * @param {string} params.systemPrompt
+ * @param {string} params.userMessage
+ * @param {Object} params.result - { content, usage } from the provider
+ * @param {Object} [params.context] - { agentId, missionStepId }
+ * @returns {string|null} Path of the fixture written
+ */
+async function recordFixture({ modelConfig, systemPrompt, userMessage, result, context = {} }) {
+  try {
+    const tier = modelConfig.tier;
+    const hash = requestHash({ tier, systemPrompt, userMessage });
+    const fixture = {
+      hash,
+      recordedAt: new Date().toISOString(),
+      request: { tier, provider: modelConfig.provider || 'openrouter', model: modelConfig.model, systemPrompt, userMessage },
+      response: { content: result.content, usage: result.usage || null },
+      context: {
+        agentId: context.agentId || null,
+        missionStepId: context.missionStepId || null,
+        phases: await getPhaseContext(context.missionStepId)
+      }
+    };
+
+    const dir = getDir();
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `${hash}.json`);
+    fs.writeFileSync(file, `${JSON.stringify(fixture, null, 2)}\n`);
+    console.log(`[llm_fixtures] Recorded ${tier} request ${hash}`);
+    return file;
+  } catch (err) {
+    console.error(`[llm_fixtures] Failed to record fixture: ${err.message}`);
+    return null;
+  }
+}
+
+// ============================================================
+// REPLAY
+// ============================================================
+
+function loadFixtures() {
+  const dir = getDir();
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.json'))
+    .map(name => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+      } catch (err) {
+        console.error(`[llm_fixtures] Skipping unreadable fixture ${name}: ${err.message}`);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Answer a request from its fixture. On a miss, throws an error whose message
+ * carries the diff against the closest recorded request (err.fixtureMiss = true).
+ *
+ * @returns {{ content: string, usage: Object|null }}
+ */
+async function replayFixture({ modelConfig, systemPrompt, userMessage }) {
+  const tier = modelConfig.tier;
+  const hash = requestHash({ tier, systemPrompt, userMessage });
+  const file = path.join(getDir(), `${hash}.json`);
+
+  if (fs.existsSync(file)) {
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { content: fixture.response.content, usage: fixture.response.usage };
+  }
+
+  const request = { tier, systemPrompt, userMessage };
+  const closest = findClosestFixture(request, loadFixtures());
+  const miss = {
+    hash,
+    tier,
+    closestHash: closest ? closest.hash : null,
+    diff: closest ? diffRequests(closest.request, request) : null
+  };
+  misses.push(miss);
+
+  const err = new Error(closest
+    ? `LLM fixture miss (${tier} ${hash}). Closest recorded request ${closest.hash} differs:\n${miss.diff}`
+    : `LLM fixture miss (${tier} ${hash}). No fixtures recorded in ${getDir()}.`);
+  err.fixtureMiss = true;
+  throw err;
+}
+
+/**
+ * Misses since the last configure() — tests assert this is empty.
+ */
+function getMisses() {
+  return misses.slice();
+}
+
+// ============================================================
+// MISS DIAGNOSTICS
+// ============================================================
+
+function splitLines(text) {
+  return String(text || '').split('\n');
+}
+
+// Longest-common-subsequence table over lines; prompts are a few hundred lines at most
+function lcsTable(a, b) {
+  const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+  return table;
+}
+
+function similarity(a, b) {
+  const linesA = splitLines(a);
+  const linesB = splitLines(b);
+  return lcsTable(linesA, linesB)[0][0] / Math.max(linesA.length, linesB.length);
+}
+
+/**
+ * The recorded request most like this one: same tier preferred, then the
+ * highest share of identical prompt lines.
+ */
+function findClosestFixture(request, fixtures) {
+  let best = null;
+  let bestScore = -1;
+  for (const fixture of fixtures) {
+    const score = (fixture.request.tier === request.tier ? 1 : 0) +
+      similarity(fixture.request.systemPrompt, request.systemPrompt) +
+      similarity(fixture.request.userMessage, request.userMessage);
+    if (score > bestScore) {
+      best = fixture;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Line diff of two texts: "-" recorded, "+" current, with a little unchanged
+ * context around each change.
+ */
+function diffLines(recorded, current) {
+  const a = splitLines(recorded);
+  const b = splitLines(current);
+  const table = lcsTable(a, b);
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (i < a.length && (j >= b.length || table[i + 1][j] >= table[i][j + 1])) {
+      ops.push({ type: '-', line: a[i] });
+      i++;
+    } else {
+      ops.push({ type: '+', line: b[j] });
+      j++;
+    }
+  }
+
+  const keep = ops.map((op, idx) => op.type !== ' ' ||
+    ops.slice(Math.max(0, idx - DIFF_CONTEXT_LINES), idx + DIFF_CONTEXT_LINES + 1).some(o => o.type !== ' '));
+
+  const out = [];
+  ops.forEach((op, idx) => {
+    if (keep[idx]) out.push(`${op.type} ${op.line}`);
+    else if (out[out.length - 1] !== '  ...') out.push('  ...');
+  });
+  return out;
+}
+
+function diffRequests(recorded, current) {
+  const sections = [];
+  if (recorded.tier !== current.tier) sections.push(`tier: ${recorded.tier} → ${current.tier}`);
+  for (const field of ['systemPrompt', 'userMessage']) {
+    if (recorded[field] === current[field]) continue;
+    sections.push(`--- ${field}`, ...diffLines(recorded[field], current[field]));
+  }
+
+  const lines = sections.length > 0 ? sections : ['(identical prompts — fixture file was renamed or hashed differently)'];
+  if (lines.length > MAX_DIFF_LINES) {
+    return [...lines.slice(0, MAX_DIFF_LINES), `... ${lines.length - MAX_DIFF_LINES} more lines`].join('\n');
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  configure,
+  getMode,
+  isRecording,
+  isReplaying,
+  requestHash,
+  recordFixture,
+  replayFixture,
+  getMisses,
+  diffLines,
+  DEFAULT_DIR
+};
@@ -5,13 +5,49 @@
 //   Identity (static .md in agent_personas table) + Memory (cumulative rows in agent_memories)
 //   are SEPARATE systems. Identity defines who the agent is. Memory defines what they've experienced.
 //
-// Retrieval strategy (hybrid, zero extra cost):
+// Retrieval strategy (hybrid):
 //   1. RECENCY  — last 10 actions/conversations by this agent
-//   2. TOPIC    — top 10 memories matching current task's topic tags
-//   3. LESSONS  — top 5 highest-importance lessons for this agent
-//   Total: ~25 memories per prompt
+//   2. TOPIC    — top 15 memories ranked by similarity to the task, recency and importance
+//   3. LESSONS  — top 5 lessons, reranked by the same blend
+//   4. SUMMARIES — top 3 consolidated digests (long-term context, see memory_consolidation.js)
+//   5. PINNED   — memories and lessons Zero pinned (!pin), always included
+//   Total: ~33 memories per prompt, plus pins
+//
+// Zero can curate memory from Discord (!memory, !lessons, !forget, !pin, !importance).
+// !forget is a soft delete: the row stays (memory never resets) but deleted_at is
+// set and every read path here filters it out, so it is never injected again.
+// Memories and lessons carry an embedding (see embeddings.js) computed on save.
+// Rows without a comparable embedding (older rows, or a failed embed) are still
+// found through exact topic_tags overlap, so nothing that matched before is lost.
 
 const supabase = require('./supabase');
+const embeddings = require('./embeddings');
+
+// Blend weights for ranked retrieval (sum to 1)
+const RETRIEVAL_WEIGHTS = { similarity: 0.6, recency: 0.25, importance: 0.15 };
+
+// Recency score halves every N days
+const RECENCY_HALF_LIFE_DAYS = 14;
+
+// Most recent memories scored for similarity on each retrieval.
+// WHY bounded: similarity is computed in Node, not Postgres. Older memories
+// still surface through topic_tags overlap.
+const SEMANTIC_CANDIDATE_POOL = 100;
+
+// Similarity credited to a tag-matched row that has no comparable embedding
+const TAG_MATCH_SIMILARITY = 0.5;
+
+// Lessons reranked per retrieval (top by importance first)
+const LESSON_CANDIDATE_POOL = 25;
+
+// Consolidated digests reranked per retrieval
+const SUMMARY_CANDIDATE_POOL = 20;
+
+// Cap on pinned rows injected per prompt (lowest importance dropped first)
+const MAX_PINNED = 10;
+
+// Curation commands address either table
+const CURATION_TABLES = { memory: 'agent_memories', lesson: 'lessons_learned' };
 
 // ============================================================
 // WRITE OPERATIONS (every action creates a memory)
@@ -23,7 +59,7 @@ const supabase = require('./supabase');
  *
  * @param {Object} params
  * @param {string} params.agentId - The agent's ID
- * @param {string} params.memoryType - conversation | decision | task | lesson | relationship | observation
+ * @param {string} params.memoryType - conversation | decision | task | lesson | relationship | observation | summary
  * @param {string} params.content - Full content of the memory
  * @param {string} [params.summary] - Brief summary for quick scan
  * @param {string[]} [params.topicTags] - Tags for retrieval matching
@@ -51,6 +87,8 @@ async function saveMemory({
     return null;
   }
 
+  const vector = await embeddings.embedText(content);
+
   const { data, error } = await supabase
     .from('agent_memories')
     .insert({
@@ -63,7 +101,9 @@ async function saveMemory({
       source_type: sourceType,
       source_id: sourceId,
       related_agent_ids: relatedAgentIds,
-      metadata
+      metadata,
+      embedding: vector ? vector.embedding : null,
+      embedding_model: vector ? vector.model : null
     })
     .select()
     .single();
@@ -90,6 +130,8 @@ async function saveLesson({
   sourceMissionId = null,
   metadata = {}
 }) {
+  const vector = await embeddings.embedText(context ? `${lesson}\n${context}` : lesson);
+
   const { data, error } = await supabase
     .from('lessons_learned')
     .insert({
@@ -99,7 +141,9 @@ async function saveLesson({
       category,
       importance,
       source_mission_id: sourceMissionId,
-      metadata
+      metadata,
+      embedding: vector ? vector.embedding : null,
+      embedding_model: vector ? vector.model : null
     })
     .select()
     .single();
@@ -192,27 +236,44 @@ async function saveConversation({
 /**
  * Retrieve memories for an agent using the hybrid strategy:
  *   1. RECENCY  — last 10 memories (most recent actions)
- *   2. TOPIC    — top 10 memories matching task's topic tags
- *   3. LESSONS  — top 5 highest-importance lessons
+ *   2. TOPIC    — top 15 memories by similarity + recency + importance
+ *   3. LESSONS  — top 5 lessons, reranked by the same blend
+ *   4. SUMMARIES — top 3 consolidated digests of older memories
+ *   5. PINNED   — every pinned memory and lesson (up to 10 each)
  *
- * Returns ~25 deduplicated memories formatted for prompt injection.
+ * Returns ~33 deduplicated memories (plus pins) formatted for prompt injection.
+ * Soft-deleted rows are never returned.
  *
  * @param {string} agentId - The agent to retrieve memories for
  * @param {string[]} [topicTags] - Tags relevant to the current task
- * @returns {Object} { recent, topicMatched, lessons, formatted }
+ * @param {Object} [options]
+ * @param {string} [options.queryText] - Task text to rank by similarity (defaults to the tags)
+ * @returns {Object} { recent, topicMatched, lessons, summaries, pinned, formatted }
  */
-async function retrieveMemories(agentId, topicTags = []) {
+async function retrieveMemories(agentId, topicTags = [], { queryText = null } = {}) {
+  const query = queryText || topicTags.join(' ');
+  const queryVector = query ? await embeddings.embedText(query) : null;
+
   // Pull 15 topic-matched memories (up from 10) to ensure full multi-turn
   // conversations are retrieved even days later. A 5-turn casual chat = 10 memory
   // rows (5 from Zero, 5 responses). 15 gives us room for the full exchange.
-  const [recent, topicMatched, lessons] = await Promise.all([
+  const [allRecent, topicMatched, rankedLessons, summaries, pinned, pinnedLessons] = await Promise.all([
     getRecentMemories(agentId, 10),
-    topicTags.length > 0 ? getTopicMemories(agentId, topicTags, 15) : [],
-    getLessons(agentId, 5)
+    query ? rankTopicMemories(agentId, topicTags, queryVector, 15) : [],
+    getRankedLessons(agentId, queryVector, 5),
+    getRankedSummaries(agentId, queryVector, 3),
+    getPinned(agentId, 'memory'),
+    getPinned(agentId, 'lesson')
   ]);
 
-  // Deduplicate: topic matches might overlap with recent
-  const seenIds = new Set(recent.map(m => m.id));
+  // Pins are shown in their own section, so drop them from the others
+  const pinnedIds = new Set(pinned.map(m => m.id));
+  const recent = allRecent.filter(m => !pinnedIds.has(m.id));
+  const pinnedLessonIds = new Set(pinnedLessons.map(l => l.id));
+  const lessons = [...pinnedLessons, ...rankedLessons.filter(l => !pinnedLessonIds.has(l.id))];
+
+  // Deduplicate: topic matches might overlap with recent (or be a digest/pin already shown)
+  const seenIds = new Set([...recent, ...summaries, ...pinned].map(m => m.id));
   const uniqueTopicMatched = topicMatched.filter(m => {
     if (seenIds.has(m.id)) return false;
     seenIds.add(m.id);
@@ -220,25 +281,157 @@ async function retrieveMemories(agentId, topicTags = []) {
   });
 
   // Format for prompt injection
-  const formatted = formatMemoriesForPrompt(recent, uniqueTopicMatched, lessons);
+  const formatted = formatMemoriesForPrompt(recent, uniqueTopicMatched, lessons, summaries, pinned);
 
   return {
     recent,
     topicMatched: uniqueTopicMatched,
     lessons,
-    totalCount: recent.length + uniqueTopicMatched.length + lessons.length,
+    summaries,
+    pinned,
+    totalCount: recent.length + uniqueTopicMatched.length + lessons.length + summaries.length + pinned.length,
     formatted
   };
 }
 
+/**
+ * Search an agent's memories by meaning, not just exact tags.
+ * Used by retrieval and by the recall_memory tool.
+ *
+ * @param {string} agentId
+ * @param {string} queryText - What to look for
+ * @param {Object} [options]
+ * @param {string[]} [options.topicTags] - Exact tags that also count as a match
+ * @param {number} [options.limit=10]
+ * @returns {Array} Memories, best blended score first
+ */
+async function searchMemories(agentId, queryText, { topicTags = [], limit = 10 } = {}) {
+  const queryVector = queryText ? await embeddings.embedText(queryText) : null;
+  return rankTopicMemories(agentId, topicTags, queryVector, limit);
+}
+
+/**
+ * Candidates = recent pool (scored by similarity) + exact tag matches.
+ * Without a query vector this is exactly getTopicMemories().
+ */
+async function rankTopicMemories(agentId, topicTags, queryVector, limit) {
+  if (!queryVector) {
+    return topicTags.length > 0 ? getTopicMemories(agentId, topicTags, limit) : [];
+  }
+
+  const [pool, tagged] = await Promise.all([
+    getRecentMemories(agentId, SEMANTIC_CANDIDATE_POOL),
+    topicTags.length > 0 ? getTopicMemories(agentId, topicTags, limit) : []
+  ]);
+
+  const taggedIds = new Set(tagged.map(m => m.id));
+  const candidates = new Map([...pool, ...tagged].map(m => [m.id, m]));
+  const minSimilarity = embeddings.getMinSimilarity();
+
+  const scored = [];
+  for (const m of candidates.values()) {
+    const similarity = embeddings.similarity(queryVector, m);
+    const tagMatch = taggedIds.has(m.id);
+    if (!tagMatch && (similarity === null || similarity < minSimilarity)) continue;
+    const effective = tagMatch ? Math.max(similarity || 0, TAG_MATCH_SIMILARITY) : similarity;
+    scored.push({ memory: m, score: blendScore(effective, m.created_at, m.importance) });
+  }
+
+  return scored
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(s => s.memory);
+}
+
+/**
+ * Top lessons by importance, reranked toward the current task.
+ * Lessons are always included (no similarity floor) — only the order changes.
+ */
+async function getRankedLessons(agentId, queryVector, limit = 5) {
+  if (!queryVector) return getLessons(agentId, limit);
+
+  const pool = await getLessons(agentId, LESSON_CANDIDATE_POOL);
+  return pool
+    .map(l => ({ lesson: l, score: blendScore(embeddings.similarity(queryVector, l) || 0, l.created_at, l.importance) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(s => s.lesson);
+}
+
+/**
+ * Pinned, non-deleted rows for an agent (most important first).
+ *
+ * @param {string} agentId
+ * @param {'memory'|'lesson'} kind
+ */
+async function getPinned(agentId, kind) {
+  const { data, error } = await supabase
+    .from(CURATION_TABLES[kind])
+    .select('*')
+    .eq('agent_id', agentId)
+    .eq('pinned', true)
+    .is('deleted_at', null)
+    .order('importance', { ascending: false })
+    .limit(MAX_PINNED);
+
+  if (error) {
+    console.error(`[memory] Failed to get pinned ${kind}s for ${agentId}:`, error.message);
+    return [];
+  }
+
+  return data || [];
+}
+
+/**
+ * Consolidated digests, most relevant to the task first (newest first without a query).
+ */
+async function getRankedSummaries(agentId, queryVector, limit = 3) {
+  const { data, error } = await supabase
+    .from('agent_memories')
+    .select('*')
+    .eq('agent_id', agentId)
+    .eq('memory_type', 'summary')
+    .is('deleted_at', null)
+    .order('created_at', { ascending: false })
+    .limit(SUMMARY_CANDIDATE_POOL);
+
+  if (error) {
+    console.error(`[memory] Failed to get summaries for ${agentId}:`, error.message);
+    return [];
+  }
+
+  const pool = data || [];
+  if (!queryVector) return pool.slice(0, limit);
+
+  return pool
+    .map(m => ({ memory: m, score: blendScore(embeddings.similarity(queryVector, m) || 0, m.created_at, m.importance) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(s => s.memory);
+}
+
+/**
+ * Blend similarity (0–1), recency (exponential decay) and importance (1–10).
+ */
+function blendScore(similarity, createdAt, importance) {
+  const ageDays = createdAt ? Math.max(0, (Date.now() - new Date(createdAt).getTime()) / 86400000) : Infinity;
+  const recency = Number.isFinite(ageDays) ? Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS) : 0;
+  return RETRIEVAL_WEIGHTS.similarity * similarity
+    + RETRIEVAL_WEIGHTS.recency * recency
+    + RETRIEVAL_WEIGHTS.importance * ((importance || 5) / 10);
+}
+
 /**
  * Get the most recent memories for an agent (recency retrieval).
+ * Excludes consolidated digests — they are written "now" but describe the past.
  */
 async function getRecentMemories(agentId, limit = 10) {
   const { data, error } = await supabase
     .from('agent_memories')
     .select('*')
     .eq('agent_id', agentId)
+    .neq('memory_type', 'summary')
+    .is('deleted_at', null)
     .order('created_at', { ascending: false })
     .limit(limit);
 
@@ -260,6 +453,7 @@ async function getTopicMemories(agentId, topicTags, limit = 10) {
     .select('*')
     .eq('agent_id', agentId)
     .overlaps('topic_tags', topicTags)
+    .is('deleted_at', null)
     .order('importance', { ascending: false })
     .order('created_at', { ascending: false })
     .limit(limit);
@@ -281,6 +475,7 @@ async function getLessons(agentId, limit = 5) {
     .from('lessons_learned')
     .select('*')
     .eq('agent_id', agentId)
+    .is('deleted_at', null)
     .order('importance', { ascending: false })
     .order('applied_count', { ascending: false })
     .limit(limit);
@@ -321,9 +516,28 @@ async function getRecentConversations(agentId, limit = 5) {
  * Format retrieved memories into a string block for LLM prompt injection.
  * Structured so the LLM can clearly distinguish memory types.
  */
-function formatMemoriesForPrompt(recent, topicMatched, lessons) {
+function formatMemoriesForPrompt(recent, topicMatched, lessons, summaries = [], pinned = []) {
   const sections = [];
 
+  if (pinned.length > 0) {
+    sections.push('## Pinned Memories (always keep these in mind)');
+    for (const m of pinned) {
+      sections.push(`- ${m.summary || m.content.substring(0, 200)}`);
+    }
+    sections.push('');
+  }
+
+  if (summaries.length > 0) {
+    sections.push('## Long-Term Memory (digests of older experience)');
+    for (const m of summaries) {
+      const period = [m.metadata?.periodStart, m.metadata?.periodEnd]
+        .map(d => (d ? new Date(d).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : '?'))
+        .join(' – ');
+      sections.push(`### ${m.summary} (${period})\n${m.content}`);
+    }
+    sections.push('');
+  }
+
   if (recent.length > 0) {
     sections.push('## Your Recent Activity');
     for (const m of recent) {
@@ -429,13 +643,18 @@ async function getAgentPersona(agentId) {
  *
  * This is the core function that makes agents feel alive.
  * Called before every single LLM call.
+ *
+ * @param {string} agentId
+ * @param {string[]} [topicTags]
+ * @param {Object} [options]
+ * @param {string} [options.queryText] - Task or message text for similarity-ranked memory retrieval
  */
-async function buildAgentPrompt(agentId, topicTags = []) {
+async function buildAgentPrompt(agentId, topicTags = [], { queryText = null } = {}) {
   const skills = require('./skills');
 
   const [personaData, memories, agentSkills] = await Promise.all([
     getAgentPersona(agentId),
-    retrieveMemories(agentId, topicTags),
+    retrieveMemories(agentId, topicTags, { queryText }),
     skills.getAgentSkills(agentId)
   ]);
 
@@ -495,6 +714,161 @@ The system will queue it to Buffer for publishing. Only use this when the task s
   };
 }
 
+// ============================================================
+// CURATION (founder commands: !memory, !lessons, !forget, !pin, !importance)
+// ============================================================
+
+/**
+ * Browse an agent's memories: search by meaning, or newest first.
+ * Includes digests; never includes forgotten rows.
+ *
+ * @param {string} agentId
+ * @param {Object} [options]
+ * @param {string} [options.query] - Search text (semantic + exact tag match)
+ * @param {number} [options.limit=15]
+ * @returns {Array}
+ */
+async function listMemories(agentId, { query = null, limit = 15 } = {}) {
+  if (query) {
+    const tags = query.toLowerCase().split(/\W+/).filter(w => w.length > 2);
+    return searchMemories(agentId, query, { topicTags: tags, limit });
+  }
+
+  const { data, error } = await supabase
+    .from('agent_memories')
+    .select('*')
+    .eq('agent_id', agentId)
+    .is('deleted_at', null)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    console.error(`[memory] Failed to list memories for ${agentId}:`, error.message);
+    return [];
+  }
+
+  return data || [];
+}
+
+/**
+ * Patch one memory or lesson that hasn't been forgotten.
+ * @returns {{ row: Object|null, error: string|null }}
+ */
+async function updateCuratedRow(kind, id, patch) {
+  const table = CURATION_TABLES[kind];
+  if (!table) return { row: null, error: `Unknown memory kind "${kind}"` };
+
+  const { data: existing } = await supabase
+    .from(table)
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (!existing || existing.deleted_at) {
+    return { row: null, error: `No ${kind} #${id} found.` };
+  }
+
+  const { data, error } = await supabase
+    .from(table)
+    .update(patch)
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error(`[memory] Failed to update ${kind} #${id}:`, error.message);
+    return { row: null, error: `Failed to update ${kind} #${id}.` };
+  }
+
+  return { row: data, error: null };
+}
+
+/**
+ * Soft-delete a memory or lesson. The row is kept (memory never resets) but is
+ * excluded from every retrieval path, so it is never injected into a prompt again.
+ *
+ * @param {number} id
+ * @param {Object} [options]
+ * @param {'memory'|'lesson'} [options.kind='memory']
+ * @returns {{ row, error }}
+ */
+async function forgetMemory(id, { kind = 'memory' } = {}) {
+  return updateCuratedRow(kind, id, { deleted_at: new Date().toISOString(), pinned: false });
+}
+
+/**
+ * Pin (or unpin) a memory or lesson. Pinned rows are always injected by buildAgentPrompt().
+ *
+ * @param {number} id
+ * @param {boolean} pinned
+ * @param {Object} [options]
+ * @param {'memory'|'lesson'} [options.kind='memory']
+ * @returns {{ row, error }}
+ */
+async function setPinned(id, pinned, { kind = 'memory' } = {}) {
+  return updateCuratedRow(kind, id, { pinned: !!pinned });
+}
+
+/**
+ * Change a memory's or lesson's importance (1-10). Importance feeds retrieval ranking.
+ *
+ * @param {number} id
+ * @param {number} importance
+ * @param {Object} [options]
+ * @param {'memory'|'lesson'} [options.kind='memory']
+ * @returns {{ row, error }}
+ */
+async function setImportance(id, importance, { kind = 'memory' } = {}) {
+  if (!Number.isInteger(importance) || importance < 1 || importance > 10) {
+    return { row: null, error: 'Importance must be a whole number from 1 to 10.' };
+  }
+  return updateCuratedRow(kind, id, { importance });
+}
+
+/**
+ * Discord view of an agent's memories (for !memory).
+ *
+ * @param {Object} agent - agents row
+ * @param {Object} view
+ * @param {Array} view.pinned - From retrieval of pinned rows
+ * @param {Array} view.items - From listMemories()
+ * @param {string} [view.query]
+ * @param {Object} [view.stats] - From getMemoryStats()
+ */
+function formatMemoryList(agent, { pinned = [], items = [], query = null, stats = null }) {
+  const lines = [`**${agent.display_name}'s memory**${stats ? ` (${stats.memories} memories, ${stats.lessons} lessons)` : ''}`];
+  const line = m => {
+    const date = new Date(m.created_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    const text = (m.summary || m.content || '').substring(0, 150).replace(/\n/g, ' ');
+    return `\`#${m.id}\` [${date}] (${m.memory_type}, imp ${m.importance})${m.pinned ? ' [pinned]' : ''} ${text}`;
+  };
+
+  if (pinned.length > 0) {
+    lines.push('\n**Pinned**');
+    lines.push(...pinned.map(line));
+  }
+
+  lines.push(query ? `\n**Matching "${query}"**` : '\n**Most recent**');
+  lines.push(items.length > 0 ? items.map(line).join('\n') : 'Nothing found.');
+
+  lines.push('\n`!forget <id>` · `!pin <id>` · `!unpin <id>` · `!importance <id> <1-10>` (prefix `lesson` for lessons)');
+  return lines.join('\n');
+}
+
+/**
+ * Discord view of an agent's lessons (for !lessons).
+ */
+function formatLessonList(agent, lessons) {
+  if (lessons.length === 0) return `**${agent.display_name}** has no lessons yet.`;
+
+  const lines = [`**${agent.display_name}'s lessons**`];
+  for (const l of lessons) {
+    lines.push(`\`#${l.id}\` (imp ${l.importance}, applied ${l.applied_count || 0}×)${l.pinned ? ' [pinned]' : ''} ${l.lesson}`);
+  }
+  lines.push('\n`!forget lesson <id>` · `!pin lesson <id>` · `!importance lesson <id> <1-10>`');
+  return lines.join('\n');
+}
+
 // ============================================================
 // MEMORY STATISTICS
 // ============================================================
@@ -506,12 +880,14 @@ async function getMemoryStats(agentId) {
   const { count: totalMemories } = await supabase
     .from('agent_memories')
     .select('*', { count: 'exact', head: true })
-    .eq('agent_id', agentId);
+    .eq('agent_id', agentId)
+    .is('deleted_at', null);
 
   const { count: totalLessons } = await supabase
     .from('lessons_learned')
     .select('*', { count: 'exact', head: true })
-    .eq('agent_id', agentId);
+    .eq('agent_id', agentId)
+    .is('deleted_at', null);
 
   const { count: totalDecisions } = await supabase
     .from('decisions_log')
@@ -533,10 +909,19 @@ module.exports = {
   saveConversation,
   // Read
   retrieveMemories,
+  searchMemories,
   getRecentMemories,
   getTopicMemories,
   getLessons,
   getRecentConversations,
+  getPinned,
+  // Curation
+  listMemories,
+  forgetMemory,
+  setPinned,
+  setImportance,
+  formatMemoryList,
+  formatLessonList,
   // Identity + Memory combined
   getAgentPersona,
   buildAgentPrompt,
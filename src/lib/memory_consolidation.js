@@ -0,0 +1,355 @@
+// memory_consolidation.js — Nightly compaction of old memories into summary digests
+// WHY: Memory never resets (see memory.js), but nothing compacted it either. An agent
+// with thousands of agent_memories rows only ever saw its latest 10 plus whatever
+// tags happened to match. This pass clusters each agent's older memories by topic
+// and writes one `memory_type: 'summary'` digest per cluster. buildAgentPrompt()
+// then injects the most relevant digests as long-term context.
+//
+// Nothing is deleted. Source rows stay as they are, plus consolidated_into = the
+// digest's id, so every summary links back to what it was built from (and the
+// digest's metadata.sourceMemoryIds links forward).
+//
+// The same LLM call reports which of the agent's lessons the memories show being
+// applied; those lessons_learned.applied_count values are incremented.
+//
+// Scheduled by heartbeat at 2:00am ET. One tier1 call per cluster.
+
+const supabase = require('./supabase');
+const memory = require('./memory');
+const structured = require('./structured_output');
+
+// Only memories older than this are consolidated — recent ones are still "recent"
+const CONSOLIDATION_MIN_AGE_DAYS = 7;
+
+// A topic needs this many unconsolidated memories before it's worth a digest
+const MIN_CLUSTER_SIZE = 5;
+
+// Bigger topics are split into several digests of at most this many memories
+const MAX_CLUSTER_SIZE = 30;
+
+// Oldest-first cap per agent per run, so a backlog drains over several nights
+const MAX_MEMORIES_PER_RUN = 300;
+
+// Pages of MAX_MEMORIES_PER_RUN read per agent per run while looking for topics
+// big enough to digest. Bounds the scan when most old topics are too small.
+const MAX_PAGES_PER_RUN = 10;
+
+// Lessons offered to the model when asking which ones were applied
+const MAX_LESSONS_CONSIDERED = 20;
+
+// Per-memory text shown to the summarizer
+const MAX_MEMORY_CHARS = 500;
+
+const DIGEST_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'digest'],
+  properties: {
+    summary: { type: 'string', minLength: 10 },
+    digest: { type: 'string', minLength: 40 },
+    appliedLessons: { type: 'array', items: { type: 'integer', minimum: 1 } }
+  }
+};
+
+const CONSOLIDATION_SYSTEM_PROMPT = `You maintain an AI agent's long-term memory. Condense a batch of the agent's past memories on one topic into a single digest, written in the first person ("I ...").
+Keep concrete facts, numbers, names, decisions and outcomes. Drop chatter and repetition.
+Respond with ONLY valid JSON. No markdown, no explanation.`;
+
+// ============================================================
+// CLUSTERING
+// ============================================================
+
+/**
+ * Group memories by topic. Each memory joins the cluster of its most common tag
+ * (counted across the whole batch), so related memories with partially different
+ * tags still land together. Untagged memories cluster by memory_type.
+ *
+ * @param {Array} memories
+ * @returns {Map<string, Array>} topic → memories (input order preserved)
+ */
+function clusterByTopic(memories) {
+  const tagCounts = new Map();
+  for (const m of memories) {
+    for (const tag of m.topic_tags || []) {
+      tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
+    }
+  }
+
+  const clusters = new Map();
+  for (const m of memories) {
+    const tags = m.topic_tags || [];
+    const topic = tags.length > 0
+      ? tags.reduce((best, tag) => (tagCounts.get(tag) > tagCounts.get(best) ? tag : best))
+      : m.memory_type;
+    if (!clusters.has(topic)) clusters.set(topic, []);
+    clusters.get(topic).push(m);
+  }
+  return clusters;
+}
+
+/**
+ * Split a cluster into digest-sized batches. A short tail waits for next time.
+ */
+function chunkCluster(cluster) {
+  const chunks = [];
+  for (let i = 0; i < cluster.length; i += MAX_CLUSTER_SIZE) {
+    const chunk = cluster.slice(i, i + MAX_CLUSTER_SIZE);
+    if (chunk.length >= MIN_CLUSTER_SIZE) chunks.push(chunk);
+  }
+  return chunks;
+}
+
+// ============================================================
+// SUMMARIZATION
+// ============================================================
+
+function buildConsolidationPrompt(topic, chunk, lessons) {
+  const memoryLines = chunk.map((m, i) => {
+    const date = String(m.created_at || '').slice(0, 10);
+    const text = (m.content || m.summary || '').substring(0, MAX_MEMORY_CHARS);
+    return `${i + 1}. [${date}] (${m.memory_type}) ${text}`;
+  });
+
+  const lessonLines = lessons.map((l, i) => `${i + 1}. ${l.lesson}`);
+
+  return `## TOPIC: ${topic}
+
+## MEMORIES (oldest first)
+${memoryLines.join('\n')}
+
+## YOUR LESSONS
+${lessonLines.length > 0 ? lessonLines.join('\n') : '(none yet)'}
+
+Return JSON:
+{
+  "summary": "One line (under 200 characters) saying what this period on ${topic} was about",
+  "digest": "The condensed memory — a few short paragraphs or bullets",
+  "appliedLessons": [numbers of lessons above that these memories show you actually applying]
+}`;
+}
+
+/**
+ * Top tags across a chunk, topic first.
+ */
+function summaryTags(topic, chunk) {
+  const counts = new Map();
+  for (const m of chunk) {
+    for (const tag of m.topic_tags || []) counts.set(tag, (counts.get(tag) || 0) + 1);
+  }
+  const ranked = [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([tag]) => tag);
+  return [...new Set([topic, ...ranked])].slice(0, 5);
+}
+
+/**
+ * Summarize one chunk, save the digest, link the sources, credit applied lessons.
+ * @returns {{ summaryId: number, lessonIds: number[] }|null}
+ */
+async function consolidateChunk(agentId, topic, chunk, lessons) {
+  const result = await structured.callLLMJson({
+    systemPrompt: CONSOLIDATION_SYSTEM_PROMPT,
+    userMessage: buildConsolidationPrompt(topic, chunk, lessons),
+    agentId,
+    forceTier: 'tier1',
+    schema: DIGEST_SCHEMA
+  });
+
+  if (result.error) {
+    console.error(`[consolidation] ${agentId}/${topic}: ${result.error.code} — ${result.error.message}`);
+    return null;
+  }
+
+  const sourceIds = chunk.map(m => m.id);
+  const saved = await memory.saveMemory({
+    agentId,
+    memoryType: 'summary',
+    content: result.data.digest,
+    summary: result.data.summary,
+    topicTags: summaryTags(topic, chunk),
+    importance: Math.max(...chunk.map(m => m.importance || 5)),
+    sourceType: 'consolidation',
+    metadata: {
+      topic,
+      sourceMemoryIds: sourceIds,
+      sourceCount: sourceIds.length,
+      periodStart: chunk[0].created_at,
+      periodEnd: chunk[chunk.length - 1].created_at
+    }
+  });
+  if (!saved) return null;
+
+  const { error } = await supabase
+    .from('agent_memories')
+    .update({ consolidated_into: saved.id })
+    .in('id', sourceIds);
+
+  if (error) {
+    // The digest exists but sources stay unlinked — they'll be re-summarized next run.
+    console.error(`[consolidation] Failed to link ${sourceIds.length} memories to summary #${saved.id}: ${error.message}`);
+  }
+
+  const lessonIds = [...new Set(result.data.appliedLessons || [])]
+    .map(n => lessons[n - 1])
+    .filter(Boolean)
+    .map(l => l.id);
+
+  return { summaryId: saved.id, lessonIds };
+}
+
+/**
+ * Increment applied_count once per digest that reported the lesson.
+ */
+async function creditLessons(lessons, appliedCounts) {
+  let credited = 0;
+  for (const lesson of lessons) {
+    const times = appliedCounts.get(lesson.id);
+    if (!times) continue;
+
+    const { error } = await supabase
+      .from('lessons_learned')
+      .update({ applied_count: (lesson.applied_count || 0) + times })
+      .eq('id', lesson.id);
+
+    if (error) {
+      console.error(`[consolidation] Failed to update lesson #${lesson.id}: ${error.message}`);
+      continue;
+    }
+    credited++;
+  }
+  return credited;
+}
+
+// ============================================================
+// ENTRY POINTS
+// ============================================================
+
+/**
+ * One page of an agent's old, unconsolidated memories after `afterId`.
+ * Keyset on id (BIGSERIAL, so insertion order = oldest first).
+ */
+async function loadCandidatePage(agentId, cutoff, afterId) {
+  let query = supabase
+    .from('agent_memories')
+    .select('*')
+    .eq('agent_id', agentId)
+    .neq('memory_type', 'summary')
+    .is('consolidated_into', null)
+    .is('deleted_at', null)
+    .lt('created_at', cutoff);
+  if (afterId !== null) query = query.gt('id', afterId);
+
+  return query
+    .order('id', { ascending: true })
+    .limit(MAX_MEMORIES_PER_RUN);
+}
+
+/**
+ * Pick up to MAX_MEMORIES_PER_RUN memories' worth of digest-sized chunks, oldest
+ * first. WHY paging: reading only the oldest MAX_MEMORIES_PER_RUN rows starved
+ * everything newer once that window filled up with topics too small to digest.
+ * Memories that didn't make a chunk carry into the next page, so a small old topic
+ * can still join newer memories on the same topic.
+ *
+ * @returns {Array<{ topic: string, chunk: Array }>}
+ */
+async function collectChunks(agentId, cutoff) {
+  const chunks = [];
+  let selected = 0;
+  let carried = [];
+  let afterId = null;
+
+  for (let page = 0; page < MAX_PAGES_PER_RUN; page++) {
+    const { data: rows, error } = await loadCandidatePage(agentId, cutoff, afterId);
+    if (error) {
+      console.error(`[consolidation] Failed to load memories for ${agentId}: ${error.message}`);
+      break;
+    }
+    if (!rows || rows.length === 0) break;
+    afterId = rows[rows.length - 1].id;
+
+    const pending = [...carried, ...rows];
+    carried = [];
+    for (const [topic, cluster] of clusterByTopic(pending)) {
+      const taken = new Set();
+      for (const chunk of chunkCluster(cluster)) {
+        if (selected + chunk.length > MAX_MEMORIES_PER_RUN) break;
+        chunks.push({ topic, chunk });
+        selected += chunk.length;
+        for (const m of chunk) taken.add(m.id);
+      }
+      carried.push(...cluster.filter(m => !taken.has(m.id)));
+    }
+    carried.sort((a, b) => a.id - b.id);
+
+    if (rows.length < MAX_MEMORIES_PER_RUN || selected >= MAX_MEMORIES_PER_RUN) break;
+  }
+
+  return chunks;
+}
+
+/**
+ * Consolidate one agent's old, unconsolidated memories.
+ *
+ * @param {string} agentId
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Clock override (tests)
+ * @returns {{ summaries: number, memoriesConsolidated: number, lessonsApplied: number }}
+ */
+async function consolidateAgentMemories(agentId, { now = new Date() } = {}) {
+  const stats = { summaries: 0, memoriesConsolidated: 0, lessonsApplied: 0 };
+  const cutoff = new Date(now.getTime() - CONSOLIDATION_MIN_AGE_DAYS * 86400000).toISOString();
+
+  const chunks = await collectChunks(agentId, cutoff);
+  if (chunks.length === 0) return stats;
+
+  const lessons = await memory.getLessons(agentId, MAX_LESSONS_CONSIDERED);
+  const appliedCounts = new Map();
+
+  for (const { topic, chunk } of chunks) {
+    const outcome = await consolidateChunk(agentId, topic, chunk, lessons);
+    if (!outcome) continue;
+    stats.summaries++;
+    stats.memoriesConsolidated += chunk.length;
+    for (const id of outcome.lessonIds) appliedCounts.set(id, (appliedCounts.get(id) || 0) + 1);
+  }
+
+  stats.lessonsApplied = await creditLessons(lessons, appliedCounts);
+
+  if (stats.summaries > 0) {
+    console.log(`[consolidation] ${agentId}: ${stats.memoriesConsolidated} memories → ${stats.summaries} summaries, ${stats.lessonsApplied} lessons credited`);
+  }
+  return stats;
+}
+
+/**
+ * Run consolidation for a list of agents, one at a time.
+ * A failure on one agent never stops the others.
+ *
+ * @param {string[]} agentIds
+ * @returns {{ agents: number, summaries: number, memoriesConsolidated: number, lessonsApplied: number }}
+ */
+async function runConsolidation(agentIds, options = {}) {
+  const totals = { agents: 0, summaries: 0, memoriesConsolidated: 0, lessonsApplied: 0 };
+
+  for (const agentId of agentIds) {
+    try {
+      const stats = await consolidateAgentMemories(agentId, options);
+      totals.agents++;
+      totals.summaries += stats.summaries;
+      totals.memoriesConsolidated += stats.memoriesConsolidated;
+      totals.lessonsApplied += stats.lessonsApplied;
+    } catch (err) {
+      console.error(`[consolidation] ${agentId} failed: ${err.message}`);
+    }
+  }
+
+  return totals;
+}
+
+module.exports = {
+  runConsolidation,
+  consolidateAgentMemories,
+  clusterByTopic,
+  CONSOLIDATION_MIN_AGE_DAYS,
+  MIN_CLUSTER_SIZE,
+  MAX_CLUSTER_SIZE,
+  MAX_MEMORIES_PER_RUN
+};
@@ -41,6 +41,34 @@ const ROLE_KEYWORDS = {
   knowledge: ['knowledge', 'documentation', 'curator']
 };
 
+// Step leases: a claimed step belongs to its worker only while the lease is fresh.
+// The worker renews it every LEASE_RENEW_INTERVAL_MS for as long as the step runs;
+// heartbeat requeues steps whose lease expired (worker crashed or was killed).
+const STEP_LEASE_MS = 5 * 60 * 1000;
+const LEASE_RENEW_INTERVAL_MS = 60 * 1000;
+
+// A step whose lease expires this many times is failed instead of requeued
+const MAX_STEP_ATTEMPTS = 3;
+
+// Steps claimed before leases existed have no expiry — treat them as abandoned
+// once they've been in progress this long
+const UNLEASED_CLAIM_STALE_MS = 2 * 60 * 60 * 1000;
+
+// Scheduling classes and their weights. Under weighted fair queuing a mission's
+// share of worker slots is proportional to its weight (urgent gets 8x low).
+const PRIORITY_WEIGHTS = { urgent: 8, high: 4, normal: 2, low: 1 };
+
+// Aging: every PRIORITY_AGING_MS a step waits adds one unit of weight (a low
+// step's whole base weight), so old low-priority work can't starve forever
+const PRIORITY_AGING_MS = 30 * 60 * 1000;
+
+// Aging stops just short of doubling a step's weight. Each class has twice the
+// weight of the one below, so no amount of waiting lifts a step into the next
+// class. WHY: a decomposed plan creates all its steps up front, so created_at
+// counts hours spent waiting on dependencies, and an old normal step outranked
+// a brand-new urgent one.
+const PRIORITY_AGING_MAX_FRACTION = 0.95;
+
 // ============================================================
 // PROPOSALS (input queue)
 // ============================================================
@@ -90,14 +118,16 @@ async function getPendingProposals() {
     .select('*')
     .eq('status', 'pending')
     .eq('processed', false)
-    .order('priority', { ascending: true })  // urgent first
     .order('created_at', { ascending: true });
 
   if (error) {
     console.error('[missions] Failed to get pending proposals:', error.message);
     return [];
   }
-  return data || [];
+
+  // Urgent first, oldest first within a class.
+  // WHY in JS: ordering the text column put 'normal' ahead of 'urgent'.
+  return (data || []).sort((a, b) => priorityWeight(b.priority) - priorityWeight(a.priority));
 }
 
 /**
@@ -132,7 +162,8 @@ async function acceptProposal(proposalId, teamId) {
     proposalId,
     teamId,
     title: proposal.title,
-    description: proposal.description
+    description: proposal.description,
+    priority: proposal.priority
   });
 
   return mission;
@@ -168,7 +199,8 @@ async function createMission({
   proposalId = null,
   teamId,
   title,
-  description = null
+  description = null,
+  priority = 'normal'
 }) {
   const { data, error } = await supabase
     .from('missions')
@@ -176,7 +208,8 @@ async function createMission({
       proposal_id: proposalId,
       team_id: teamId,
       title,
-      description
+      description,
+      priority: normalizePriority(priority)
     })
     .select()
     .single();
@@ -335,6 +368,10 @@ async function failMission(missionId, reason = null) {
 
 /**
  * Create a mission step (task for an agent).
+ * Without an explicit priority the step inherits its mission's.
+ * Decomposed steps also record their plan task id and role, which
+ * plan_estimates.js uses to bucket history. Sub-tasks (subtasks.js) record
+ * the step that spawned them.
  */
 async function createStep({
   missionId,
@@ -342,8 +379,14 @@ async function createStep({
   assignedAgentId = null,
   modelTier = 'tier1',
   stepOrder = 0,
-  parentStepId = null
+  parentStepId = null,
+  priority = null,
+  requiredRole = null,
+  planTaskId = null,
+  spawnedByStepId = null
 }) {
+  const stepPriority = priority ? normalizePriority(priority) : await getMissionPriority(missionId);
+
   const { data, error } = await supabase
     .from('mission_steps')
     .insert({
@@ -352,7 +395,11 @@ async function createStep({
       assigned_agent_id: assignedAgentId,
       model_tier: modelTier,
       step_order: stepOrder,
-      parent_step_id: parentStepId
+      parent_step_id: parentStepId,
+      priority: stepPriority,
+      required_role: requiredRole,
+      plan_task_id: planTaskId,
+      spawned_by_step_id: spawnedByStepId
     })
     .select()
     .single();
@@ -377,11 +424,12 @@ async function createStep({
  * Only returns steps assigned to active agents.
  * Multi-step blocking: steps with step_order > 1 are only eligible
  * if ALL prior steps in the same mission have status = 'completed'.
+ * Order across missions comes from scheduleSteps() (priority + fair share).
  */
 async function getPendingSteps(limit = 5) {
   const { data, error } = await supabase
     .from('mission_steps')
-    .select('*, missions!inner(status, team_id)')
+    .select('*, missions!inner(status, team_id, priority)')
     .eq('status', 'pending')
     .eq('processed', false)
     .eq('missions.status', 'in_progress')
@@ -398,45 +446,52 @@ async function getPendingSteps(limit = 5) {
 
   if (!data || data.length === 0) return [];
 
-  // Post-fetch blocking check: DAG path (v0.9.0) or legacy step_order path
-  const eligible = [];
-  for (const step of data) {
-    // Check DAG dependencies first (v0.9.0 decomposed missions)
-    const dagResult = await areAllDependenciesMet(step.id);
-
-    if (dagResult === true) {
-      // DAG path: all deps met → eligible
-      eligible.push(step);
-    } else if (dagResult === false) {
-      // DAG path: some deps not met → blocked
-      continue;
-    } else {
-      // Legacy path (no DAG deps) — fall back to step_order check
-      if (!step.step_order || step.step_order <= 1) {
-        eligible.push(step);
-      } else {
-        const ready = await isPreviousStepComplete(step.mission_id, step.step_order);
-        if (ready) {
-          eligible.push(step);
-        }
-      }
-    }
+  // Steps already running count against their mission's fair share
+  const { data: running } = await supabase
+    .from('mission_steps')
+    .select('mission_id')
+    .eq('status', 'in_progress');
 
-    if (eligible.length >= limit) break;
+  const inFlightByMission = {};
+  for (const row of running || []) {
+    inFlightByMission[row.mission_id] = (inFlightByMission[row.mission_id] || 0) + 1;
   }
 
-  return eligible;
+  return scheduleSteps(data, { isReady: isStepReady, inFlightByMission, limit });
+}
+
+/**
+ * Post-fetch blocking check: DAG path (v0.9.0) or legacy step_order path.
+ */
+async function isStepReady(step) {
+  // Check DAG dependencies first (v0.9.0 decomposed missions)
+  const dagResult = await areAllDependenciesMet(step.id);
+
+  // DAG path: all deps met → eligible; some deps not met → blocked
+  if (dagResult !== null) return dagResult;
+
+  // Legacy path (no DAG deps) — fall back to step_order check
+  if (!step.step_order || step.step_order <= 1) return true;
+  return isPreviousStepComplete(step.mission_id, step.step_order);
 }
 
 /**
  * Claim a step (set to in_progress). Prevents double-pickup.
+ * The claim is a lease: it names its owner and expires unless renewed (renewLease).
+ *
+ * @param {number} stepId
+ * @param {Object} [options]
+ * @param {string} [options.owner] - Worker id holding the lease
+ * @param {number} [options.leaseMs] - Lease duration
  */
-async function claimStep(stepId) {
+async function claimStep(stepId, { owner = null, leaseMs = STEP_LEASE_MS } = {}) {
   const { data, error } = await supabase
     .from('mission_steps')
     .update({
       status: 'in_progress',
       processed: true,
+      lease_owner: owner,
+      lease_expires_at: new Date(Date.now() + leaseMs).toISOString(),
       started_at: new Date().toISOString(),
       updated_at: new Date().toISOString()
     })
@@ -462,10 +517,38 @@ async function claimStep(stepId) {
 }
 
 /**
- * Complete a step with its result.
+ * Extend a step's lease. Only the current owner can renew, and only while the
+ * step is still in progress.
+ * @returns {boolean} false if the lease was lost (expired and requeued, or step moved on)
  */
-async function completeStep(stepId, result, resultFormat = 'text') {
+async function renewLease(stepId, owner, leaseMs = STEP_LEASE_MS) {
   const { data, error } = await supabase
+    .from('mission_steps')
+    .update({ lease_expires_at: new Date(Date.now() + leaseMs).toISOString() })
+    .eq('id', stepId)
+    .eq('status', 'in_progress')
+    .eq('lease_owner', owner)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error(`[missions] Failed to renew lease on step #${stepId}:`, error.message);
+    return false;
+  }
+  return !!data;
+}
+
+/**
+ * Complete a step with its result. Only an in-progress step is completed: a
+ * !cancel that lands after the worker's last stop check must not be turned back
+ * into in_review.
+ * With `owner`, the step must also still be leased to that worker — a worker
+ * whose lease expired (and whose step was requeued or reclaimed) must not
+ * overwrite the new attempt. Same guard as releaseStoppedStep().
+ * @returns {Object|null} the updated step, or null if it failed or the step moved on
+ */
+async function completeStep(stepId, result, resultFormat = 'text', { owner = null } = {}) {
+  let query = supabase
     .from('mission_steps')
     .update({
       status: 'in_review',  // Goes to approval chain, not straight to completed
@@ -475,11 +558,13 @@ async function completeStep(stepId, result, resultFormat = 'text') {
       updated_at: new Date().toISOString()
     })
     .eq('id', stepId)
-    .select()
-    .single();
+    .eq('status', 'in_progress');
+  if (owner) query = query.eq('lease_owner', owner);
 
-  if (error) {
-    console.error(`[missions] Failed to complete step #${stepId}:`, error.message);
+  const { data, error } = await query.select().maybeSingle();
+
+  if (error || !data) {
+    console.error(`[missions] Failed to complete step #${stepId}:`, error?.message || 'step is no longer in progress for this worker');
     return null;
   }
 
@@ -758,12 +843,14 @@ function canTeamHandle(teamAgents, roleCategory) {
 async function failBlockedSteps(missionId) {
   const { data: steps, error } = await supabase
     .from('mission_steps')
-    .select('id, status, step_order')
+    .select('id, status, step_order, replan_status, spawned_by_step_id')
     .eq('mission_id', missionId);
 
   if (error || !steps || steps.length === 0) return 0;
 
-  const failedSteps = steps.filter(s => s.status === 'failed');
+  // Cancelled steps block their dependents just like failed ones.
+  // A failed step that re-planning replaced no longer blocks anything.
+  const failedSteps = steps.filter(s => (s.status === 'failed' && !isSettledFailure(s, steps)) || s.status === 'cancelled');
   if (failedSteps.length === 0) return 0;
 
   // WHY step_order > (not >=): parallel steps at the same order as the failed step
@@ -784,6 +871,606 @@ async function failBlockedSteps(missionId) {
   return blockedSteps.length;
 }
 
+// ============================================================
+// STEP SCHEDULING (priority classes + weighted fair queuing)
+// ============================================================
+// WHY: Ordering by step_order alone made an urgent founder request wait behind
+// every step of a 20-step decomposed project. Each mission now gets a share of
+// worker slots proportional to its priority weight, and waiting steps age so
+// low-priority work still gets through.
+
+function normalizePriority(priority) {
+  const key = String(priority || '').toLowerCase();
+  return PRIORITY_WEIGHTS[key] ? key : 'normal';
+}
+
+function priorityWeight(priority) {
+  return PRIORITY_WEIGHTS[normalizePriority(priority)];
+}
+
+async function getMissionPriority(missionId) {
+  const { data } = await supabase
+    .from('missions')
+    .select('priority')
+    .eq('id', missionId)
+    .maybeSingle();
+  return normalizePriority(data?.priority);
+}
+
+/**
+ * A step's scheduling weight: its priority class plus one unit per
+ * PRIORITY_AGING_MS it has been waiting, capped below the next class.
+ */
+function effectiveWeight(step, nowMs = Date.now()) {
+  const base = priorityWeight(step.priority || step.missions?.priority);
+  const queuedAt = step.created_at ? new Date(step.created_at).getTime() : nowMs;
+  const waitedMs = Math.max(0, nowMs - queuedAt);
+  return base + Math.min(waitedMs / PRIORITY_AGING_MS, base * PRIORITY_AGING_MAX_FRACTION);
+}
+
+/**
+ * Pick which pending steps run next, by weighted fair queuing across missions.
+ * Each mission's next step gets a virtual finish time of
+ * (its steps in flight + already picked + 1) / effectiveWeight; lowest goes next.
+ * Within a mission steps keep their given order. A step `isReady` rejects is
+ * skipped without using up its mission's share.
+ *
+ * @param {Object[]} steps - Pending steps, ordered by step_order within each mission
+ * @param {Object} params
+ * @param {Function} params.isReady - async (step) => boolean
+ * @param {Object} [params.inFlightByMission] - missionId → steps already running
+ * @param {number} [params.limit]
+ * @param {Date} [params.now]
+ * @returns {Promise<Object[]>}
+ */
+async function scheduleSteps(steps, { isReady, inFlightByMission = {}, limit = 5, now = new Date() }) {
+  const queues = new Map();
+  for (const step of steps) {
+    if (!queues.has(step.mission_id)) queues.set(step.mission_id, []);
+    queues.get(step.mission_id).push(step);
+  }
+
+  const served = { ...inFlightByMission };
+  const nowMs = now.getTime();
+  const picked = [];
+
+  while (picked.length < limit && queues.size > 0) {
+    let next = null;
+    for (const [missionId, queue] of queues) {
+      const head = queue[0];
+      const finish = ((served[missionId] || 0) + 1) / effectiveWeight(head, nowMs);
+      // Ties go to the step that has waited longest
+      if (!next || finish < next.finish ||
+          (finish === next.finish && (head.created_at || '') < (next.head.created_at || ''))) {
+        next = { missionId, head, finish };
+      }
+    }
+
+    const queue = queues.get(next.missionId);
+    queue.shift();
+    if (queue.length === 0) queues.delete(next.missionId);
+
+    if (await isReady(next.head)) {
+      picked.push(next.head);
+      served[next.missionId] = (served[next.missionId] || 0) + 1;
+    }
+  }
+
+  return picked;
+}
+
+// ============================================================
+// MISSION CONTROL (cancel / pause / resume / retry)
+// ============================================================
+// WHY: Zero's only lifecycle levers were !approve and team activate/deactivate.
+// These transitions back !cancel, !pause, !resume and !retry. Work already in a
+// worker isn't killed mid-LLM-call: the pipeline checks getStopSignal() at each
+// phase boundary and stops there (a paused step goes back to pending and later
+// resumes from its persisted phases).
+
+// Steps that still represent outstanding work (cancel sweeps these)
+const OPEN_STEP_STATUSES = ['pending', 'in_progress', 'in_review', 'budget_blocked'];
+
+// failBlockedSteps() marks cascade failures with this result prefix
+const CASCADE_FAILURE_PREFIX = 'ERROR: Auto-failed: predecessor step failed';
+
+async function getMission(missionId) {
+  const { data, error } = await supabase
+    .from('missions')
+    .select('*')
+    .eq('id', missionId)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`[missions] Failed to load mission #${missionId}:`, error.message);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Move a mission between statuses, only if it is still in one of `from`.
+ * @returns {{ mission, error }}
+ */
+async function transitionMission(missionId, from, patch) {
+  const current = await getMission(missionId);
+  if (!current) return { mission: null, error: `No mission #${missionId} found.` };
+  if (!from.includes(current.status)) {
+    return { mission: current, error: `Mission #${missionId} is ${current.status}.` };
+  }
+
+  const { data, error } = await supabase
+    .from('missions')
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq('id', missionId)
+    .eq('status', current.status)
+    .select()
+    .maybeSingle();
+
+  if (error || !data) {
+    console.error(`[missions] Failed to move mission #${missionId} to ${patch.status}:`, error?.message || 'status changed underneath');
+    return { mission: current, error: `Could not update mission #${missionId} — try again.` };
+  }
+  return { mission: data, error: null };
+}
+
+/**
+ * Cancel a mission and all of its open steps. In-flight steps stop at their
+ * next phase boundary; pending reviews are withdrawn.
+ *
+ * @param {number} missionId
+ * @param {Object} [options]
+ * @param {string} [options.reason]
+ * @returns {{ mission, cancelledStepIds: number[], error }}
+ */
+async function cancelMission(missionId, { reason = 'Cancelled by Zero' } = {}) {
+  const now = new Date().toISOString();
+  const { mission, error } = await transitionMission(missionId, ['in_progress', 'paused'], {
+    status: 'cancelled',
+    completed_at: now
+  });
+  if (error) return { mission, cancelledStepIds: [], error };
+
+  const { data: openSteps } = await supabase
+    .from('mission_steps')
+    .select('id, status')
+    .eq('mission_id', missionId)
+    .in('status', OPEN_STEP_STATUSES);
+
+  const stepIds = (openSteps || []).map(s => s.id);
+  if (stepIds.length > 0) {
+    const { error: stepError } = await supabase
+      .from('mission_steps')
+      .update({ status: 'cancelled', result: `CANCELLED: ${reason}`, completed_at: now, updated_at: now })
+      .in('id', stepIds);
+    if (stepError) {
+      console.error(`[missions] Failed to cancel steps of mission #${missionId}:`, stepError.message);
+    }
+
+    // Withdraw reviews so the worker doesn't review cancelled work
+    const { error: approvalError } = await supabase
+      .from('approval_chain')
+      .update({ status: 'cancelled', updated_at: now })
+      .in('mission_step_id', stepIds)
+      .eq('status', 'pending');
+    if (approvalError) {
+      console.error(`[missions] Failed to withdraw reviews for mission #${missionId}:`, approvalError.message);
+    }
+  }
+
+  await events.logEvent({
+    eventType: 'mission_cancelled',
+    teamId: mission.team_id,
+    severity: 'warning',
+    description: `Mission #${missionId}: "${mission.title}" cancelled — ${reason} (${stepIds.length} open step(s))`,
+    data: { missionId, reason, cancelledStepIds: stepIds }
+  });
+
+  // Sync to Linear (fire-and-forget)
+  linear.cancelProject(missionId).catch(err =>
+    console.error(`[linear] Mission cancel sync failed (non-blocking): ${err.message}`)
+  );
+  for (const stepId of stepIds) {
+    linear.updateIssueStatus(stepId, 'Canceled').catch(err =>
+      console.error(`[linear] Step cancel sync failed (non-blocking): ${err.message}`)
+    );
+  }
+
+  return { mission, cancelledStepIds: stepIds, error: null };
+}
+
+/**
+ * Pause a mission. No new steps are picked up (getPendingSteps only sees
+ * in_progress missions); in-flight steps stop at their next phase boundary.
+ *
+ * @returns {{ mission, inFlightStepIds: number[], error }}
+ */
+async function pauseMission(missionId) {
+  const { mission, error } = await transitionMission(missionId, ['in_progress'], { status: 'paused' });
+  if (error) return { mission, inFlightStepIds: [], error };
+
+  const { data: inFlight } = await supabase
+    .from('mission_steps')
+    .select('id')
+    .eq('mission_id', missionId)
+    .eq('status', 'in_progress');
+  const inFlightStepIds = (inFlight || []).map(s => s.id);
+
+  await events.logEvent({
+    eventType: 'mission_paused',
+    teamId: mission.team_id,
+    severity: 'info',
+    description: `Mission #${missionId}: "${mission.title}" paused (${inFlightStepIds.length} step(s) in flight)`,
+    data: { missionId, inFlightStepIds }
+  });
+
+  return { mission, inFlightStepIds, error: null };
+}
+
+/**
+ * Resume a paused mission. Its pending steps become eligible again.
+ * @returns {{ mission, error }}
+ */
+async function resumeMission(missionId) {
+  const { mission, error } = await transitionMission(missionId, ['paused'], { status: 'in_progress' });
+  if (error) return { mission, error };
+
+  await events.logEvent({
+    eventType: 'mission_resumed',
+    teamId: mission.team_id,
+    severity: 'info',
+    description: `Mission #${missionId}: "${mission.title}" resumed`,
+    data: { missionId }
+  });
+
+  return { mission, error: null };
+}
+
+/**
+ * Change a live mission's scheduling class (!prioritize). Its open steps move
+ * with it; steps already running keep going.
+ *
+ * @param {number} missionId
+ * @param {string} [priority] - urgent | high | normal | low
+ * @returns {{ mission, updatedStepCount: number, error }}
+ */
+async function setMissionPriority(missionId, priority = 'urgent') {
+  const level = String(priority || '').toLowerCase();
+  if (!PRIORITY_WEIGHTS[level]) {
+    return { mission: null, updatedStepCount: 0, error: `Unknown priority "${priority}" — use ${Object.keys(PRIORITY_WEIGHTS).join(', ')}.` };
+  }
+
+  const mission = await getMission(missionId);
+  if (!mission) return { mission: null, updatedStepCount: 0, error: `No mission #${missionId} found.` };
+  if (!['in_progress', 'paused'].includes(mission.status)) {
+    return { mission, updatedStepCount: 0, error: `Mission #${missionId} is ${mission.status}.` };
+  }
+
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from('missions')
+    .update({ priority: level, updated_at: now })
+    .eq('id', missionId);
+
+  if (error) {
+    console.error(`[missions] Failed to set priority of mission #${missionId}:`, error.message);
+    return { mission, updatedStepCount: 0, error: `Could not update mission #${missionId} — try again.` };
+  }
+
+  const { data: openSteps } = await supabase
+    .from('mission_steps')
+    .select('id')
+    .eq('mission_id', missionId)
+    .in('status', OPEN_STEP_STATUSES);
+
+  const stepIds = (openSteps || []).map(s => s.id);
+  if (stepIds.length > 0) {
+    const { error: stepError } = await supabase
+      .from('mission_steps')
+      .update({ priority: level, updated_at: now })
+      .in('id', stepIds);
+    if (stepError) {
+      console.error(`[missions] Failed to reprioritize steps of mission #${missionId}:`, stepError.message);
+    }
+  }
+  const updatedStepCount = stepIds.length;
+
+  await events.logEvent({
+    eventType: 'mission_prioritized',
+    teamId: mission.team_id,
+    severity: 'info',
+    description: `Mission #${missionId}: "${mission.title}" priority ${mission.priority || 'normal'} → ${level}`,
+    data: { missionId, from: mission.priority || 'normal', to: level, updatedStepCount }
+  });
+
+  return { mission: { ...mission, priority: level }, updatedStepCount, error: null };
+}
+
+/**
+ * Ids of every step downstream of `step` (transitive dependents). Follows
+ * step_dependencies; legacy missions without any chain by step_order.
+ */
+async function getDownstreamStepIds(step, steps) {
+  const { data: deps, error } = await supabase
+    .from('step_dependencies')
+    .select('step_id, depends_on_step_id')
+    .in('step_id', steps.map(s => s.id));
+
+  if (error) console.error(`[missions] Failed to load dependencies of mission #${step.mission_id}:`, error.message);
+  if (!deps || deps.length === 0) {
+    return new Set(steps.filter(s => s.step_order > (step.step_order || 0)).map(s => s.id));
+  }
+
+  const dependents = new Map();
+  for (const d of deps) {
+    if (!dependents.has(d.depends_on_step_id)) dependents.set(d.depends_on_step_id, []);
+    dependents.get(d.depends_on_step_id).push(d.step_id);
+  }
+
+  const downstream = new Set();
+  const queue = [step.id];
+  while (queue.length > 0) {
+    for (const next of dependents.get(queue.shift()) || []) {
+      if (next === step.id || downstream.has(next)) continue;
+      downstream.add(next);
+      queue.push(next);
+    }
+  }
+  return downstream;
+}
+
+/**
+ * Put a failed or cancelled step back in the queue, along with its dependents
+ * that failBlockedSteps() auto-failed. Reopens the mission if it had already
+ * failed. Retrying in a cancelled mission reopens the whole mission: every step
+ * the cancel stopped goes back in the queue, so none is left behind to fail it.
+ *
+ * @param {number} stepId
+ * @returns {{ step, requeuedStepIds: number[], error }}
+ */
+async function retryStep(stepId) {
+  const { data: step, error: loadError } = await supabase
+    .from('mission_steps')
+    .select('*')
+    .eq('id', stepId)
+    .maybeSingle();
+
+  if (loadError || !step) return { step: null, requeuedStepIds: [], error: `No step #${stepId} found.` };
+  if (step.status !== 'failed' && step.status !== 'cancelled') {
+    return { step, requeuedStepIds: [], error: `Step #${stepId} is ${step.status} — only failed or cancelled steps can be retried.` };
+  }
+  if (step.replan_status === 'replaced') {
+    return { step, requeuedStepIds: [], error: `Step #${stepId} was replaced by re-planning — retry its replacement steps instead.` };
+  }
+
+  const mission = await getMission(step.mission_id);
+  const { data: steps } = await supabase
+    .from('mission_steps')
+    .select('id, mission_id, status, step_order, result')
+    .eq('mission_id', step.mission_id);
+  const others = (steps || []).filter(s => s.id !== stepId);
+
+  // Dependents that only failed because this one did — not cascade failures in
+  // other branches of the DAG
+  const downstream = await getDownstreamStepIds(step, steps || [step]);
+  const cascaded = others.filter(s =>
+    downstream.has(s.id) &&
+    s.status === 'failed' &&
+    (s.result || '').startsWith(CASCADE_FAILURE_PREFIX)
+  );
+  const uncancelled = mission?.status === 'cancelled' ? others.filter(s => s.status === 'cancelled') : [];
+
+  const requeuedStepIds = [stepId, ...cascaded.map(s => s.id), ...uncancelled.map(s => s.id)];
+  const { error } = await supabase
+    .from('mission_steps')
+    .update({
+      status: 'pending',
+      processed: false,
+      result: null,
+      completed_at: null,
+      started_at: null,
+      attempt_count: 0,
+      lease_owner: null,
+      lease_expires_at: null,
+      updated_at: new Date().toISOString()
+    })
+    .in('id', requeuedStepIds);
+
+  if (error) {
+    console.error(`[missions] Failed to retry step #${stepId}:`, error.message);
+    return { step, requeuedStepIds: [], error: `Could not requeue step #${stepId}.` };
+  }
+
+  // A failed/cancelled mission has to be live again for the worker to see the step
+  const reopened = await transitionMission(step.mission_id, ['failed', 'cancelled'], {
+    status: 'in_progress',
+    completed_at: null
+  });
+
+  await events.logEvent({
+    eventType: 'step_retried',
+    agentId: step.assigned_agent_id,
+    severity: 'info',
+    description: `Step #${stepId} requeued by Zero` +
+      (cascaded.length > 0 ? ` with ${cascaded.length} dependent step(s)` : '') +
+      (uncancelled.length > 0 ? ` and ${uncancelled.length} cancelled step(s)` : '') +
+      (reopened.error ? '' : ` — mission #${step.mission_id} reopened`),
+    data: { stepId, missionId: step.mission_id, requeuedStepIds }
+  });
+
+  for (const id of requeuedStepIds) {
+    linear.updateIssueStatus(id, 'Backlog').catch(err =>
+      console.error(`[linear] Retry sync failed (non-blocking): ${err.message}`)
+    );
+  }
+
+  return { step, requeuedStepIds, error: null };
+}
+
+/**
+ * Should an in-flight step stop at this phase boundary?
+ * Checked by the pipeline between phases.
+ *
+ * @param {number} stepId
+ * @param {Object} [options]
+ * @param {string} [options.owner] - Worker id; a step leased to someone else has been requeued
+ * @returns {'cancelled'|'paused'|'lease_lost'|null}
+ */
+async function getStopSignal(stepId, { owner = null } = {}) {
+  const { data: step, error } = await supabase
+    .from('mission_steps')
+    .select('status, mission_id, lease_owner')
+    .eq('id', stepId)
+    .maybeSingle();
+
+  // Fail open: a missed check only means stopping one phase later
+  if (error || !step) return null;
+  if (step.status === 'cancelled') return 'cancelled';
+  if (step.status !== 'in_progress' || (owner && step.lease_owner && step.lease_owner !== owner)) {
+    return 'lease_lost';
+  }
+
+  const mission = await getMission(step.mission_id);
+  if (mission?.status === 'cancelled') return 'cancelled';
+  if (mission?.status === 'paused') return 'paused';
+  return null;
+}
+
+/**
+ * Hand back a step its worker stopped at a phase boundary. A paused step returns
+ * to pending (it resumes from its persisted phases); a cancelled one stays cancelled.
+ */
+async function releaseStoppedStep(stepId, signal, { owner = null } = {}) {
+  if (signal !== 'paused') return;
+
+  let query = supabase
+    .from('mission_steps')
+    .update({
+      status: 'pending',
+      processed: false,
+      started_at: null,
+      lease_owner: null,
+      lease_expires_at: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', stepId)
+    .eq('status', 'in_progress');
+  if (owner) query = query.eq('lease_owner', owner);
+
+  const { error } = await query;
+  if (error) {
+    console.error(`[missions] Failed to release paused step #${stepId}:`, error.message);
+    return;
+  }
+
+  linear.updateIssueStatus(stepId, 'Backlog').catch(err =>
+    console.error(`[linear] Pause sync failed (non-blocking): ${err.message}`)
+  );
+}
+
+// ============================================================
+// STALE CLAIM RECOVERY (step leases)
+// ============================================================
+
+/**
+ * In-progress steps whose worker stopped renewing: expired leases, plus
+ * unleased claims older than UNLEASED_CLAIM_STALE_MS.
+ */
+async function getExpiredLeases(now) {
+  const [leased, unleased] = await Promise.all([
+    supabase
+      .from('mission_steps')
+      .select('id, mission_id, lease_owner, lease_expires_at, attempt_count, started_at')
+      .eq('status', 'in_progress')
+      .lt('lease_expires_at', now.toISOString()),
+    supabase
+      .from('mission_steps')
+      .select('id, mission_id, lease_owner, lease_expires_at, attempt_count, started_at')
+      .eq('status', 'in_progress')
+      .is('lease_expires_at', null)
+      .lt('started_at', new Date(now.getTime() - UNLEASED_CLAIM_STALE_MS).toISOString())
+  ]);
+
+  for (const { error } of [leased, unleased]) {
+    if (error) console.error('[missions] Failed to load expired leases:', error.message);
+  }
+  return [...(leased.data || []), ...(unleased.data || [])];
+}
+
+/**
+ * Requeue steps whose lease expired. Each expiry counts as an attempt; the step
+ * goes back to pending until MAX_STEP_ATTEMPTS, then fails, and failBlockedSteps()
+ * cascades the failure to its dependents.
+ *
+ * WHY the update is conditional on the lease we saw: a worker that renews between
+ * our read and our write keeps the step — the sweep then matches no row.
+ *
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Clock override (tests)
+ * @returns {{ requeued: number[], failed: number[] }} Step ids
+ */
+async function sweepExpiredLeases({ now = new Date() } = {}) {
+  const result = { requeued: [], failed: [] };
+  const expired = await getExpiredLeases(now);
+
+  for (const step of expired) {
+    const attempts = (step.attempt_count || 0) + 1;
+    const exhausted = attempts >= MAX_STEP_ATTEMPTS;
+    const owner = step.lease_owner || 'unknown worker';
+
+    const patch = exhausted
+      ? {
+        status: 'failed',
+        result: `ERROR: Abandoned ${attempts} times — worker lease expired (last owner: ${owner})`,
+        completed_at: now.toISOString()
+      }
+      : { status: 'pending', processed: false, started_at: null };
+
+    let query = supabase
+      .from('mission_steps')
+      .update({
+        ...patch,
+        attempt_count: attempts,
+        lease_owner: null,
+        lease_expires_at: null,
+        updated_at: now.toISOString()
+      })
+      .eq('id', step.id)
+      .eq('status', 'in_progress');
+    if (step.lease_expires_at) query = query.eq('lease_expires_at', step.lease_expires_at);
+
+    const { data, error } = await query.select().maybeSingle();
+    if (error) {
+      console.error(`[missions] Failed to recover step #${step.id}:`, error.message);
+      continue;
+    }
+    if (!data) continue; // Renewed or moved on since we looked
+
+    linear.updateIssueStatus(step.id, exhausted ? 'Canceled' : 'Backlog').catch(err =>
+      console.error(`[linear] Lease recovery sync failed (non-blocking): ${err.message}`)
+    );
+
+    await events.logEvent({
+      eventType: exhausted ? 'step_abandoned' : 'step_requeued',
+      severity: exhausted ? 'error' : 'warning',
+      description: exhausted
+        ? `Step #${step.id} failed after ${attempts} expired leases (last owner: ${owner})`
+        : `Step #${step.id} requeued — lease held by ${owner} expired (attempt ${attempts}/${MAX_STEP_ATTEMPTS})`,
+      data: { stepId: step.id, missionId: step.mission_id, owner: step.lease_owner, attempts }
+    });
+
+    (exhausted ? result.failed : result.requeued).push(step.id);
+  }
+
+  // No cascade here: heartbeat's per-mission loop decides what a failed step means
+  // for its dependents — re-planning first, then failBlockedSteps().
+
+  if (result.requeued.length + result.failed.length > 0) {
+    console.log(`[missions] Lease sweep: ${result.requeued.length} requeued, ${result.failed.length} failed`);
+  }
+  return result;
+}
+
 // ============================================================
 // MULTI-STEP MISSION HELPERS
 // ============================================================
@@ -910,7 +1597,7 @@ async function areAllDependenciesMet(stepId) {
  * upstream dependencies instead of a single parent.
  *
  * @param {number} stepId - The step to get predecessor outputs for
- * @returns {Array<{ agentName: string, result: string }>}
+ * @returns {Array<{ stepId: number, agentName: string, result: string }>}
  */
 async function getPredecessorOutputs(stepId) {
   const { data: deps, error } = await supabase
@@ -938,6 +1625,7 @@ async function getPredecessorOutputs(stepId) {
       .single();
 
     outputs.push({
+      stepId: dep.depends_on_step_id,
       agentName: agent?.display_name || depStep.assigned_agent_id,
       result: depStep.result.substring(0, 6000) // RAM safety: 6KB per predecessor
     });
@@ -946,6 +1634,159 @@ async function getPredecessorOutputs(stepId) {
   return outputs;
 }
 
+// ============================================================
+// DAG EXPORT (Mermaid / Graphviz DOT)
+// ============================================================
+// WHY: step_dependencies hold the mission's full DAG, but Linear only shows flat
+// relations. The export is posted by !dag and published next to the deliverable.
+// Fill = status, border colour = critique score, border width = tier; the label
+// carries the agent, tier and score.
+
+const DAG_STATUS_COLORS = {
+  pending: { fill: '#f1f3f5', stroke: '#868e96' },
+  in_progress: { fill: '#d0ebff', stroke: '#1c7ed6' },
+  in_review: { fill: '#fff3bf', stroke: '#f08c00' },
+  completed: { fill: '#d3f9d8', stroke: '#2b8a3e' },
+  failed: { fill: '#ffe3e3', stroke: '#c92a2a' },
+  cancelled: { fill: '#e9ecef', stroke: '#495057' },
+  budget_blocked: { fill: '#ffe8cc', stroke: '#e8590c' },
+  replaced: { fill: '#f3d9fa', stroke: '#9c36b5' }
+};
+
+const DAG_TIER_WIDTHS = { tier1: 1, tier2: 2, tier3: 4 };
+
+// Critique scores are out of 5
+function critiqueColor(score) {
+  if (score === null || score === undefined) return null;
+  if (score >= 4) return '#2b8a3e';
+  if (score >= 3) return '#f08c00';
+  return '#c92a2a';
+}
+
+/**
+ * One node per step: what the export shows about it.
+ */
+function describeDagNode(step, agentNames, scores) {
+  const status = step.status === 'failed' && step.replan_status === 'replaced' ? 'replaced' : step.status;
+  const colors = DAG_STATUS_COLORS[status] || DAG_STATUS_COLORS.pending;
+  const score = scores[step.id] ?? null;
+  const title = (step.description || '').split('\n')[0];
+
+  return {
+    id: `s${step.id}`,
+    status,
+    title: `#${step.id}${step.plan_task_id ? ` ${step.plan_task_id}` : ''} · ${title.length > 40 ? `${title.substring(0, 39)}…` : title}`,
+    detail: [
+      agentNames[step.assigned_agent_id] || step.assigned_agent_id || 'unassigned',
+      step.model_tier || 'tier1',
+      score !== null ? `critique ${score}/5` : null,
+      status
+    ].filter(Boolean).join(' · '),
+    fill: colors.fill,
+    stroke: critiqueColor(score) || colors.stroke,
+    width: DAG_TIER_WIDTHS[step.model_tier] || 1
+  };
+}
+
+function renderMermaid(mission, nodes, edges) {
+  const esc = text => text.replace(/"/g, '#quot;').replace(/</g, '#lt;').replace(/>/g, '#gt;');
+  const lines = [
+    'flowchart TD',
+    `  %% Mission #${mission.id}: ${esc(mission.title || '')}`,
+    '  %% fill = status, border colour = critique score, border width = tier'
+  ];
+  for (const n of nodes) lines.push(`  ${n.id}["${esc(n.title)}<br/>${esc(n.detail)}"]`);
+  for (const e of edges) lines.push(`  ${e.from} ${e.subtask ? '-.->' : '-->'} ${e.to}`);
+  for (const n of nodes) lines.push(`  style ${n.id} fill:${n.fill},stroke:${n.stroke},stroke-width:${n.width}px`);
+  return lines.join('\n');
+}
+
+function renderDot(mission, nodes, edges) {
+  const esc = text => text.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+  const lines = [
+    `digraph mission_${mission.id} {`,
+    `  label="Mission #${mission.id}: ${esc(mission.title || '')}";`,
+    '  rankdir=TB;',
+    '  node [shape=box, style="rounded,filled", fontname="Helvetica", fontsize=10];'
+  ];
+  for (const n of nodes) {
+    lines.push(`  ${n.id} [label="${esc(n.title)}\\n${esc(n.detail)}", fillcolor="${n.fill}", color="${n.stroke}", penwidth=${n.width}];`);
+  }
+  for (const e of edges) lines.push(`  ${e.from} -> ${e.to}${e.subtask ? ' [style=dashed]' : ''};`);
+  lines.push('}');
+  return lines.join('\n');
+}
+
+/**
+ * Export a mission's step DAG as Mermaid and Graphviz DOT.
+ * Edges run from a step to the steps that depend on it (step_dependencies);
+ * missions without any use the legacy parent_step_id chain. Edges from a
+ * sub-task to the step that spawned it are dashed.
+ *
+ * @param {number} missionId
+ * @returns {{ missionId, title, mermaid: string, dot: string, nodeCount: number, edgeCount: number, error: null } | { error: string }}
+ */
+async function exportDag(missionId) {
+  const mission = await getMission(missionId);
+  if (!mission) return { error: `Mission #${missionId} not found.` };
+
+  const { data: steps, error } = await supabase
+    .from('mission_steps')
+    .select('*')
+    .eq('mission_id', missionId)
+    .order('step_order', { ascending: true })
+    .order('id', { ascending: true });
+
+  if (error) {
+    console.error(`[missions] Failed to load steps for DAG of mission #${missionId}:`, error.message);
+    return { error: `Could not load the steps of mission #${missionId}.` };
+  }
+  if (!steps || steps.length === 0) return { error: `Mission #${missionId} has no steps yet.` };
+
+  const stepIds = steps.map(s => s.id);
+  const spawnedBy = Object.fromEntries(steps.map(s => [s.id, s.spawned_by_step_id]));
+
+  const { data: deps } = await supabase
+    .from('step_dependencies')
+    .select('step_id, depends_on_step_id')
+    .in('step_id', stepIds);
+
+  const edges = (deps || []).length > 0
+    ? deps.map(d => ({ from: `s${d.depends_on_step_id}`, to: `s${d.step_id}`, subtask: spawnedBy[d.depends_on_step_id] === d.step_id }))
+    : steps.filter(s => s.parent_step_id && stepIds.includes(s.parent_step_id))
+      .map(s => ({ from: `s${s.parent_step_id}`, to: `s${s.id}`, subtask: false }));
+
+  const agentIds = [...new Set(steps.map(s => s.assigned_agent_id).filter(Boolean))];
+  const { data: agentRows } = agentIds.length > 0
+    ? await supabase.from('agents').select('id, display_name').in('id', agentIds)
+    : { data: [] };
+  const agentNames = Object.fromEntries((agentRows || []).map(a => [a.id, a.display_name]));
+
+  // Latest critique per step (revisions leave several)
+  const { data: critiques } = await supabase
+    .from('pipeline_phases')
+    .select('mission_step_id, score, id')
+    .eq('phase_name', 'critique')
+    .in('mission_step_id', stepIds)
+    .order('id', { ascending: true });
+  const scores = {};
+  for (const row of critiques || []) {
+    if (row.score !== null && row.score !== undefined) scores[row.mission_step_id] = Number(row.score);
+  }
+
+  const nodes = steps.map(s => describeDagNode(s, agentNames, scores));
+
+  return {
+    missionId,
+    title: mission.title,
+    mermaid: renderMermaid(mission, nodes, edges),
+    dot: renderDot(mission, nodes, edges),
+    nodeCount: nodes.length,
+    edgeCount: edges.length,
+    error: null
+  };
+}
+
 // ============================================================
 // SMART ROUTING (keyword-based agent assignment)
 // ============================================================
@@ -981,6 +1822,32 @@ function routeByKeywords(taskDescription) {
   return bestRole || 'research'; // Default to research if no match
 }
 
+/**
+ * A failed step that no longer counts against its mission: re-planning replaced
+ * it, or it was a sub-task whose spawning step was replaced (the failed child
+ * failed its parent, and the parent's replacements took over its work).
+ *
+ * @param {Object} step - mission_steps row (status, replan_status, spawned_by_step_id)
+ * @param {Array<Object>} steps - The mission's steps (with id)
+ */
+function isSettledFailure(step, steps) {
+  if (step.replan_status === 'replaced') return true;
+  if (!step.spawned_by_step_id) return false;
+  const parent = steps.find(s => s.id === step.spawned_by_step_id);
+  return !!parent && parent.replan_status === 'replaced';
+}
+
+/**
+ * A failed plan step the heartbeat hasn't offered to re-planning yet
+ * (replanning.findReplanCandidates() picks the same steps).
+ */
+function awaitsReplan(step) {
+  return step.status === 'failed' &&
+    !!step.plan_task_id &&
+    !step.replan_status &&
+    !(step.result || '').startsWith(CASCADE_FAILURE_PREFIX);
+}
+
 /**
  * Check if all steps for a mission are completed.
  * If so, mark the mission as completed.
@@ -988,17 +1855,29 @@ function routeByKeywords(taskDescription) {
 async function checkMissionCompletion(missionId) {
   const { data: steps, error } = await supabase
     .from('mission_steps')
-    .select('status')
+    .select('id, status, result, plan_task_id, replan_status, spawned_by_step_id')
     .eq('mission_id', missionId);
 
   if (error || !steps) return false;
   if (steps.length === 0) return false;
 
-  const allDone = steps.every(s => s.status === 'completed' || s.status === 'failed');
+  // WHY: The worker and heartbeat approval paths check completion right after an
+  // approval. A plan step that failed since the last heartbeat tick may still be
+  // re-planned — settling the mission now would take it out of the active set
+  // before re-planning ever sees it. Lazy require: replanning.js requires this module.
+  if (steps.some(awaitsReplan)) {
+    const used = steps.filter(s => s.replan_status === 'replaced').length;
+    if (used < await require('./replanning').getReplanLimit()) return false;
+  }
+
+  // A cancelled step (left behind when Zero retries part of a cancelled mission) is
+  // finished but unsuccessful, like a failed one. A failed step that re-planning
+  // replaced is settled by its replacements.
+  const allDone = steps.every(s => ['completed', 'failed', 'cancelled'].includes(s.status));
   if (allDone) {
-    const anyFailed = steps.some(s => s.status === 'failed');
+    const anyFailed = steps.some(s => (s.status === 'failed' && !isSettledFailure(s, steps)) || s.status === 'cancelled');
     if (anyFailed) {
-      await failMission(missionId, 'One or more steps failed');
+      await failMission(missionId, 'One or more steps failed or were cancelled');
     } else {
       await completeMission(missionId);
     }
@@ -1022,6 +1901,7 @@ module.exports = {
   createStep,
   getPendingSteps,
   claimStep,
+  renewLease,
   completeStep,
   failStep,
   sendBackForRevision,
@@ -1044,8 +1924,31 @@ module.exports = {
   // DAG dependency checking (v0.9.0)
   areAllDependenciesMet,
   getPredecessorOutputs,
+  // DAG export (Mermaid / DOT)
+  exportDag,
   // Stalled mission cleanup (ISS-028)
   failBlockedSteps,
+  CASCADE_FAILURE_PREFIX,
+  // Step scheduling (priority classes + weighted fair queuing)
+  scheduleSteps,
+  effectiveWeight,
+  normalizePriority,
+  PRIORITY_WEIGHTS,
+  PRIORITY_AGING_MS,
+  // Mission control (cancel / pause / resume / retry)
+  getMission,
+  cancelMission,
+  pauseMission,
+  resumeMission,
+  setMissionPriority,
+  retryStep,
+  getStopSignal,
+  releaseStoppedStep,
+  // Stale claim recovery (step leases)
+  sweepExpiredLeases,
+  STEP_LEASE_MS,
+  LEASE_RENEW_INTERVAL_MS,
+  MAX_STEP_ATTEMPTS,
   EXPERTISE_MAP,
   ROLE_TITLES,
   ROLE_KEYWORDS
@@ -4,8 +4,233 @@
 //
 // Every call is logged to model_usage for cost tracking.
 // Fallback chain: T3→T2→T1 (always degrade gracefully, never fail silently).
+//
+// Tiers default to OpenRouter. Any tier can be pointed at another provider via env:
+//   LLM_TIER2_PROVIDER=anthropic LLM_TIER2_MODEL=claude-sonnet-4-5
 
+const crypto = require('crypto');
 const supabase = require('./supabase');
+const routing = require('./routing');
+const budget = require('./budget');
+const rateLimit = require('./rate_limit');
+const dryRun = require('./dry_run');
+const llmFixtures = require('./llm_fixtures');
+
+// ============================================================
+// PROVIDER REGISTRY
+// ============================================================
+// WHY: OpenRouter is the default transport for every tier, but we want the option
+// to back a tier with Anthropic's native Messages API, a direct OpenAI key, or a
+// local OpenAI-compatible server (llama.cpp / Ollama) without touching callers.
+// Each provider owns its request/response adapter, usage parsing, and cost table.
+// Adapters normalize usage to OpenAI field names (prompt_tokens / completion_tokens)
+// so callLLM, logModelUsage and pipeline.js never see provider differences.
+
+/**
+ * Build an OpenAI chat-completions request. Shared by openrouter, openai and local.
+ */
+function buildOpenAIRequest(modelConfig, systemPrompt, userMessage, apiKey) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+  return {
+    url: modelConfig.endpoint,
+    headers,
+    body: {
+      model: modelConfig.model,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userMessage }
+      ],
+      max_tokens: modelConfig.maxTokens,
+      temperature: 0.7
+    }
+  };
+}
+
+function parseOpenAIResponse(data) {
+  if (!data.choices || data.choices.length === 0) {
+    throw new Error('No choices returned from LLM');
+  }
+
+  return {
+    content: data.choices[0].message.content,
+    usage: data.usage || null
+  };
+}
+
+/**
+ * Turn on SSE streaming for an OpenAI chat-completions body.
+ * include_usage makes the final chunk carry token counts (ignored by servers that lack it).
+ */
+function enableOpenAIStreaming(body) {
+  body.stream = true;
+  body.stream_options = { include_usage: true };
+  return body;
+}
+
+/**
+ * Parse one OpenAI SSE `data:` payload → { delta, usage }.
+ */
+function parseOpenAIStreamEvent(data) {
+  if (data.error) {
+    throw new Error(`Stream error: ${data.error.message || JSON.stringify(data.error)}`);
+  }
+  return {
+    delta: data.choices?.[0]?.delta?.content || '',
+    usage: data.usage || null
+  };
+}
+
+const PROVIDERS = {
+  openrouter: {
+    name: 'openrouter',
+    endpoint: 'https://openrouter.ai/api/v1/chat/completions',
+    apiKeyEnv: 'OPENROUTER_API_KEY',
+    requiresApiKey: true,
+    buildRequest(modelConfig, systemPrompt, userMessage, apiKey) {
+      const request = buildOpenAIRequest(modelConfig, systemPrompt, userMessage, apiKey);
+      // OpenRouter requires HTTP-Referer and X-Title
+      request.headers['HTTP-Referer'] = 'https://frasier.ai';
+      request.headers['X-Title'] = 'Frasier';
+      return request;
+    },
+    parseResponse: parseOpenAIResponse,
+    enableStreaming: enableOpenAIStreaming,
+    parseStreamEvent: parseOpenAIStreamEvent,
+    // Per-1k-token USD pricing (approximate, varies)
+    costs: {
+      'minimax/minimax-01': { input: 0.0004, output: 0.0016 },
+      'anthropic/claude-sonnet-4.5': { input: 0.003, output: 0.015 },
+      'anthropic/claude-opus-4': { input: 0.015, output: 0.075 }
+    }
+  },
+
+  openai: {
+    name: 'openai',
+    endpoint: 'https://api.openai.com/v1/chat/completions',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    requiresApiKey: true,
+    buildRequest: buildOpenAIRequest,
+    parseResponse: parseOpenAIResponse,
+    enableStreaming: enableOpenAIStreaming,
+    parseStreamEvent: parseOpenAIStreamEvent,
+    costs: {
+      'gpt-4o-mini': { input: 0.00015, output: 0.0006 },
+      'gpt-4o': { input: 0.0025, output: 0.01 },
+      'gpt-4.1': { input: 0.002, output: 0.008 }
+    }
+  },
+
+  anthropic: {
+    name: 'anthropic',
+    endpoint: 'https://api.anthropic.com/v1/messages',
+    apiKeyEnv: 'ANTHROPIC_API_KEY',
+    requiresApiKey: true,
+    buildRequest(modelConfig, systemPrompt, userMessage, apiKey) {
+      // WHY: The Messages API takes the system prompt as a top-level field, not as
+      // a message, and authenticates with x-api-key instead of a Bearer token.
+      return {
+        url: modelConfig.endpoint,
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01'
+        },
+        body: {
+          model: modelConfig.model,
+          system: systemPrompt,
+          messages: [{ role: 'user', content: userMessage }],
+          max_tokens: modelConfig.maxTokens,
+          temperature: 0.7
+        }
+      };
+    },
+    parseResponse(data) {
+      const blocks = Array.isArray(data.content) ? data.content : [];
+      const text = blocks.filter(b => b.type === 'text').map(b => b.text).join('');
+
+      if (blocks.length === 0) {
+        throw new Error('No content returned from LLM');
+      }
+
+      const usage = data.usage ? {
+        prompt_tokens: data.usage.input_tokens || 0,
+        completion_tokens: data.usage.output_tokens || 0,
+        total_tokens: (data.usage.input_tokens || 0) + (data.usage.output_tokens || 0)
+      } : null;
+
+      return { content: text, usage };
+    },
+    enableStreaming(body) {
+      body.stream = true;
+      return body;
+    },
+    parseStreamEvent(data) {
+      // Messages API streams typed events; usage arrives split across start/delta events
+      switch (data.type) {
+        case 'content_block_delta':
+          return { delta: data.delta?.type === 'text_delta' ? data.delta.text : '', usage: null };
+        case 'message_start':
+          return { delta: '', usage: { prompt_tokens: data.message?.usage?.input_tokens || 0 } };
+        case 'message_delta':
+          return { delta: '', usage: { completion_tokens: data.usage?.output_tokens || 0 } };
+        case 'error':
+          throw new Error(`Stream error: ${data.error?.message || 'unknown'}`);
+        default:
+          return { delta: '', usage: null };
+      }
+    },
+    costs: {
+      'claude-haiku-4-5': { input: 0.001, output: 0.005 },
+      'claude-sonnet-4-5': { input: 0.003, output: 0.015 },
+      'claude-opus-4-1': { input: 0.015, output: 0.075 }
+    }
+  },
+
+  local: {
+    name: 'local',
+    // Ollama's OpenAI-compatible endpoint by default; llama.cpp server works too
+    endpoint: process.env.LOCAL_LLM_URL || 'http://localhost:11434/v1/chat/completions',
+    apiKeyEnv: 'LOCAL_LLM_API_KEY',
+    requiresApiKey: false,
+    buildRequest: buildOpenAIRequest,
+    parseResponse: parseOpenAIResponse,
+    enableStreaming: enableOpenAIStreaming,
+    parseStreamEvent: parseOpenAIStreamEvent,
+    // Self-hosted — no per-token cost
+    costs: {}
+  }
+};
+
+/**
+ * Register (or replace) a provider adapter.
+ * An adapter needs: endpoint, apiKeyEnv, buildRequest(), parseResponse(), costs.
+ * Optional: enableStreaming(body) + parseStreamEvent(data) for SSE support.
+ *
+ * @param {string} name - Provider key referenced by MODELS[tier].provider
+ * @param {Object} adapter
+ * @returns {Object} The registered adapter
+ */
+function registerProvider(name, adapter) {
+  if (!adapter || typeof adapter.buildRequest !== 'function' || typeof adapter.parseResponse !== 'function') {
+    throw new Error(`Provider "${name}" must implement buildRequest() and parseResponse()`);
+  }
+  PROVIDERS[name] = { name, requiresApiKey: true, costs: {}, ...adapter };
+  return PROVIDERS[name];
+}
+
+/**
+ * Look up the adapter for a tier config. Missing provider → openrouter (legacy configs).
+ */
+function getProvider(modelConfig) {
+  const name = modelConfig.provider || 'openrouter';
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+  return provider;
+}
 
 // ============================================================
 // MODEL CONFIGURATION
@@ -15,6 +240,7 @@ const MODELS = {
   tier1: {
     name: 'minimax',
     tier: 'tier1',
+    provider: 'openrouter',
     endpoint: 'https://openrouter.ai/api/v1/chat/completions',
     model: 'minimax/minimax-01',
     apiKeyEnv: 'OPENROUTER_API_KEY',
@@ -25,6 +251,7 @@ const MODELS = {
   tier2: {
     name: 'claude-sonnet-4.5',
     tier: 'tier2',
+    provider: 'openrouter',
     endpoint: 'https://openrouter.ai/api/v1/chat/completions',
     model: 'anthropic/claude-sonnet-4.5',
     apiKeyEnv: 'OPENROUTER_API_KEY',
@@ -35,6 +262,7 @@ const MODELS = {
   tier3: {
     name: 'claude-opus-4.5',
     tier: 'tier3',
+    provider: 'openrouter',
     endpoint: 'https://openrouter.ai/api/v1/chat/completions',
     model: 'anthropic/claude-opus-4',
     apiKeyEnv: 'OPENROUTER_API_KEY',
@@ -44,23 +272,14 @@ const MODELS = {
   }
 };
 
-// Task complexity keywords that trigger Tier 2 (Sonnet)
-const COMPLEX_KEYWORDS = [
-  'strategy', 'analysis', 'architecture', 'financial', 'research',
-  'deep dive', 'multi-step', 'persona generation', 'competitive',
-  'business plan', 'market analysis', 'code review', 'security audit',
-  'long-form', 'comprehensive', 'detailed report',
-  'requirements', 'specification',
-  'go-to-market', 'pricing model', 'revenue model',
-  'technical design', 'system design'
-];
-
-// High-stakes deliverable keywords that trigger Tier 3 (Opus)
-const TIER3_KEYWORDS = [
-  'product requirements', 'product specification', 'design document',
-  'final deliverable', 'executive report', 'project plan',
-  'product roadmap', 'business case', 'investment memo'
-];
+for (const modelConfig of Object.values(MODELS)) {
+  applyTierOverride(modelConfig);
+}
+
+// Seed keyword sets. Live routing rules come from the tier_routing policy (routing.js);
+// these stay exported for callers that only need the defaults.
+const COMPLEX_KEYWORDS = routing.DEFAULT_ROUTING_RULES.tier2_keywords;
+const TIER3_KEYWORDS = routing.DEFAULT_ROUTING_RULES.tier3_keywords;
 
 // ============================================================
 // CORE LLM CALL
@@ -74,9 +293,15 @@ const TIER3_KEYWORDS = [
  * @param {string} params.userMessage - The task/question for the agent
  * @param {string} [params.agentId] - Agent making the call (for logging)
  * @param {number} [params.missionStepId] - Mission step (for logging)
+ * @param {string} [params.leaseOwner] - Worker holding the step's lease; a budget
+ *   block only parks the step while that worker still owns it
  * @param {string} [params.forceTier] - Override auto-routing: 'tier1' | 'tier2' | 'tier3'
  * @param {boolean} [params.isComplex] - Flag from Team Lead or Frasier
  * @param {string} [params.taskDescription] - Used for auto-complexity detection
+ * @param {Function} [params.onProgress] - Enables SSE streaming; called with
+ *   { content, deltaChars } as tokens arrive (partial content so far)
+ * @param {boolean|Object} [params.cache] - Opt-in response cache for deterministic calls:
+ *   true (default TTL) or { ttlMs }. Hits skip the API and log a zero-cost model_usage row.
  * @returns {Object} { content, model, tier, usage, error }
  */
 async function callLLM({
@@ -84,12 +309,82 @@ async function callLLM({
   userMessage,
   agentId = null,
   missionStepId = null,
+  leaseOwner = null,
   forceTier = null,
   isComplex = false,
-  taskDescription = ''
+  taskDescription = '',
+  onProgress = null,
+  cache = null
 }) {
-  // Determine which tier to use
-  const tier = forceTier || selectTier(isComplex, taskDescription);
+  // Determine which tier to use. Auto-routed calls record the policy rule that matched.
+  let tier = forceTier;
+  let routingMeta = {};
+  if (!tier) {
+    const route = await routing.resolveTier({ isComplex, taskDescription, agentId });
+    tier = route.tier;
+    routingMeta = { routingRule: route.rule, routingPolicyVersion: route.policyVersion };
+  }
+
+  // Response cache — checked before the budget guard because a hit costs nothing
+  const cacheTtlMs = cache ? (cache.ttlMs || DEFAULT_CACHE_TTL_MS) : null;
+  const cacheTier = tier;
+  const cacheKey = cacheTtlMs ? buildCacheKey(MODELS[tier], systemPrompt, userMessage) : null;
+  if (cacheKey) {
+    const cached = await getCachedResponse(cacheKey);
+    if (cached) {
+      const cachedConfig = MODELS[tier];
+      await logModelUsage({
+        agentId,
+        missionStepId,
+        modelName: cachedConfig.name,
+        modelTier: cachedConfig.tier,
+        inputTokens: 0,
+        outputTokens: 0,
+        estimatedCost: 0,
+        responseTimeMs: 0,
+        success: true,
+        metadata: {
+          ...routingMeta,
+          cacheHit: true,
+          savedUsd: estimateCost(cachedConfig, cached.usage),
+          savedTokens: (cached.usage?.prompt_tokens || 0) + (cached.usage?.completion_tokens || 0)
+        }
+      });
+      console.log(`[models] Cache hit for ${cachedConfig.name} (${cacheKey.substring(0, 12)})`);
+      return {
+        content: cached.content,
+        model: cachedConfig.name,
+        tier: cachedConfig.tier,
+        usage: cached.usage,
+        error: null
+      };
+    }
+  }
+
+  // Budget guard — runs before the request so limits are hard, not after-the-fact alerts.
+  // Applies to forced tiers too: a budget breach outranks a caller's tier preference.
+  const guard = await budget.checkBudget({
+    tier,
+    modelConfigs: MODELS,
+    agentId,
+    missionStepId,
+    leaseOwner,
+    promptChars: (systemPrompt || '').length + (userMessage || '').length
+  });
+  if (guard.action === 'block' || guard.action === 'refuse') {
+    return {
+      content: null,
+      model: MODELS[tier].name,
+      tier,
+      usage: null,
+      error: guard.reason
+    };
+  }
+  if (guard.action === 'downgrade') {
+    routingMeta = { ...routingMeta, budgetDowngradeFrom: tier, budgetScope: guard.scope };
+    tier = guard.tier;
+  }
+
   const modelConfig = MODELS[tier];
 
   // Tier 3 info log (no approval gate — auto-routed by keywords)
@@ -98,9 +393,10 @@ async function callLLM({
   }
 
   const startTime = Date.now();
+  const requestContext = { agentId, missionStepId };
 
   try {
-    const result = await makeAPICall(modelConfig, systemPrompt, userMessage);
+    const result = await makeAPICall(modelConfig, systemPrompt, userMessage, onProgress, requestContext);
     const responseTimeMs = Date.now() - startTime;
 
     // Log usage
@@ -113,11 +409,17 @@ async function callLLM({
       outputTokens: result.usage?.completion_tokens || 0,
       estimatedCost: estimateCost(modelConfig, result.usage),
       responseTimeMs,
-      success: true
+      success: true,
+      metadata: routingMeta
     });
 
     console.log(`[models] ${modelConfig.name} responded in ${responseTimeMs}ms (${result.usage?.total_tokens || '?'} tokens)`);
 
+    // Only cache answers from the tier the key was built for (not budget downgrades/fallbacks)
+    if (cacheKey && tier === cacheTier) {
+      await setCachedResponse(cacheKey, modelConfig, result, cacheTtlMs);
+    }
+
     return {
       content: result.content,
       model: modelConfig.name,
@@ -139,15 +441,22 @@ async function callLLM({
       estimatedCost: 0,
       responseTimeMs,
       success: false,
-      errorMessage: err.message
+      errorMessage: err.message,
+      metadata: routingMeta
     });
 
+    // A fixture miss is deterministic — retries and fallbacks would only miss again
+    if (err.fixtureMiss) {
+      console.error(`[models] ${err.message}`);
+      return { content: null, model: modelConfig.name, tier: modelConfig.tier, usage: null, error: err.message };
+    }
+
     // If Tier 1 fails, retry once after 5 seconds
     if (tier === 'tier1' && !forceTier) {
       console.log(`[models] Tier 1 failed: ${err.message}. Retrying in 5s...`);
       await sleep(5000);
       try {
-        const retryResult = await makeAPICall(modelConfig, systemPrompt, userMessage);
+        const retryResult = await makeAPICall(modelConfig, systemPrompt, userMessage, onProgress, requestContext);
         const retryTime = Date.now() - startTime;
 
         await logModelUsage({
@@ -181,7 +490,7 @@ async function callLLM({
       console.log(`[models] Tier 3 (${modelConfig.name}) failed: ${err.message}. Falling back to tier2...`);
       try {
         const t2Config = MODELS['tier2'];
-        const t2Result = await makeAPICall(t2Config, systemPrompt, userMessage);
+        const t2Result = await makeAPICall(t2Config, systemPrompt, userMessage, onProgress, requestContext);
         const t2Time = Date.now() - startTime;
 
         await logModelUsage({
@@ -209,7 +518,7 @@ async function callLLM({
         console.log(`[models] Tier 2 fallback also failed: ${t2Err.message}. Falling back to tier1...`);
         try {
           const t1Config = MODELS['tier1'];
-          const t1Result = await makeAPICall(t1Config, systemPrompt, userMessage);
+          const t1Result = await makeAPICall(t1Config, systemPrompt, userMessage, onProgress, requestContext);
           const t1Time = Date.now() - startTime;
 
           await logModelUsage({
@@ -245,7 +554,7 @@ async function callLLM({
       console.log(`[models] Tier 2 (${modelConfig.name}) failed: ${err.message}. Falling back to tier1...`);
       try {
         const fallbackConfig = MODELS['tier1'];
-        const fallbackResult = await makeAPICall(fallbackConfig, systemPrompt, userMessage);
+        const fallbackResult = await makeAPICall(fallbackConfig, systemPrompt, userMessage, onProgress, requestContext);
         const fallbackTime = Date.now() - startTime;
 
         await logModelUsage({
@@ -292,6 +601,7 @@ async function callLLM({
 /**
  * Auto-select the appropriate tier based on complexity flags, keywords, and step context.
  * Routing: T3 keywords → tier3, isComplex/T2 keywords → tier2, default → tier1.
+ * Synchronous and uses the default rule set — use routing.resolveTier() for live policy rules.
  *
  * @param {boolean} isComplex - Explicit complexity flag
  * @param {string} taskDescription - Task text for keyword matching
@@ -300,69 +610,103 @@ async function callLLM({
  * @returns {string} 'tier1' | 'tier2' | 'tier3'
  */
 function selectTier(isComplex, taskDescription = '', stepContext = {}) {
-  if (isComplex) return 'tier2';
+  return routing.routeTier({ isComplex, taskDescription, stepContext }).tier;
+}
 
-  // Final step in multi-step mission → always tier2 for quality
-  if (stepContext && stepContext.isFinalStep) return 'tier2';
+// ============================================================
+// API CALL (dispatched through the provider registry)
+// ============================================================
 
-  const lower = taskDescription.toLowerCase();
+/**
+ * Point a tier at a different provider/model from env (LLM_TIERn_PROVIDER / LLM_TIERn_MODEL).
+ * Endpoint and key env come from the provider; pricing from its cost table when the
+ * model is listed there. Mutates and returns modelConfig.
+ *
+ * @param {Object} modelConfig - A MODELS entry
+ * @param {Object} [env=process.env]
+ * @returns {Object} modelConfig
+ */
+function applyTierOverride(modelConfig, env = process.env) {
+  const prefix = `LLM_${modelConfig.tier.toUpperCase()}_`;
+  const providerName = env[`${prefix}PROVIDER`];
+  const modelName = env[`${prefix}MODEL`];
+  if (!providerName && !modelName) return modelConfig;
+
+  const provider = PROVIDERS[providerName || modelConfig.provider];
+  if (!provider) {
+    console.error(`[models] Unknown provider "${providerName}" for ${modelConfig.tier} — keeping ${modelConfig.provider}`);
+    return modelConfig;
+  }
 
-  // Check T3 keywords first (high-stakes deliverables)
-  for (const keyword of TIER3_KEYWORDS) {
-    if (lower.includes(keyword)) {
-      return 'tier3';
-    }
+  modelConfig.provider = provider.name;
+  modelConfig.endpoint = provider.endpoint;
+  modelConfig.apiKeyEnv = provider.apiKeyEnv;
+  if (modelName) {
+    modelConfig.model = modelName;
+    modelConfig.name = modelName;
   }
 
-  // Check T2 keywords (complex reasoning tasks)
-  for (const keyword of COMPLEX_KEYWORDS) {
-    if (lower.includes(keyword)) {
-      return 'tier2';
-    }
+  // Unlisted models keep the tier's existing pricing — better an approximate cost than $0
+  const pricing = provider.costs[modelConfig.model]
+    || (provider.requiresApiKey ? null : { input: 0, output: 0 });
+  if (pricing) {
+    modelConfig.costPer1kInput = pricing.input;
+    modelConfig.costPer1kOutput = pricing.output;
   }
 
-  return 'tier1';
+  console.log(`[models] ${modelConfig.tier} → ${provider.name} (${modelConfig.model})`);
+  return modelConfig;
 }
 
-// ============================================================
-// API CALL (OpenRouter-compatible)
-// ============================================================
+/**
+ * One round trip to the tier's model, as { content, usage }.
+ * Goes through the LLM fixture recorder/replayer (llm_fixtures.js) when enabled;
+ * context ({ agentId, missionStepId }) is stored with recorded fixtures.
+ */
+async function makeAPICall(modelConfig, systemPrompt, userMessage, onProgress = null, context = {}) {
+  // Replay: recorded response by request hash; a miss throws with the prompt diff
+  if (llmFixtures.isReplaying()) {
+    return llmFixtures.replayFixture({ modelConfig, systemPrompt, userMessage });
+  }
+
+  const result = await sendRequest(modelConfig, systemPrompt, userMessage, onProgress);
+  if (llmFixtures.isRecording()) {
+    await llmFixtures.recordFixture({ modelConfig, systemPrompt, userMessage, result, context });
+  }
+  return result;
+}
 
 /**
  * Make the actual HTTP call to the LLM endpoint.
- * Uses OpenRouter format (OpenAI-compatible) for Tier 1 and Tier 3.
- * Manus uses its own format (to be configured when API details are provided).
+ * The tier's provider adapter builds the request and normalizes the response
+ * to { content, usage } with OpenAI-style usage fields.
+ * With onProgress (and a provider that supports it) the response is streamed.
  */
-async function makeAPICall(modelConfig, systemPrompt, userMessage) {
-  const apiKey = process.env[modelConfig.apiKeyEnv];
-
-  if (!apiKey) {
-    throw new Error(`Missing API key: ${modelConfig.apiKeyEnv}`);
+async function sendRequest(modelConfig, systemPrompt, userMessage, onProgress) {
+  // Dry run: scripted response instead of HTTP; routing, budget and usage logging still run
+  if (dryRun.isDryRun()) {
+    return dryRun.scriptedCompletion({ modelConfig, systemPrompt, userMessage });
   }
 
-  const endpoint = modelConfig.endpoint;
-  const headers = {
-    'Content-Type': 'application/json',
-    'Authorization': `Bearer ${apiKey}`
-  };
+  const provider = getProvider(modelConfig);
+  const apiKeyEnv = modelConfig.apiKeyEnv || provider.apiKeyEnv;
+  const apiKey = process.env[apiKeyEnv];
 
-  // OpenRouter requires HTTP-Referer and X-Title
-  if (endpoint.includes('openrouter.ai')) {
-    headers['HTTP-Referer'] = 'https://frasier.ai';
-    headers['X-Title'] = 'Frasier';
+  if (!apiKey && provider.requiresApiKey) {
+    throw new Error(`Missing API key: ${apiKeyEnv}`);
   }
 
-  const body = {
-    model: modelConfig.model,
-    messages: [
-      { role: 'system', content: systemPrompt },
-      { role: 'user', content: userMessage }
-    ],
-    max_tokens: modelConfig.maxTokens,
-    temperature: 0.7
-  };
+  const { url, headers, body } = provider.buildRequest(
+    { ...modelConfig, endpoint: modelConfig.endpoint || provider.endpoint },
+    systemPrompt,
+    userMessage,
+    apiKey
+  );
+
+  const streaming = typeof onProgress === 'function' && typeof provider.parseStreamEvent === 'function';
+  if (streaming) provider.enableStreaming(body);
 
-  const response = await fetch(endpoint, {
+  const response = await rateLimit.rateLimitedFetch(modelConfig.provider || 'openrouter', url, {
     method: 'POST',
     headers,
     body: JSON.stringify(body)
@@ -373,16 +717,163 @@ async function makeAPICall(modelConfig, systemPrompt, userMessage) {
     throw new Error(`API ${response.status}: ${errorBody}`);
   }
 
+  if (streaming) {
+    return readSSEStream(response, provider, onProgress);
+  }
+
   const data = await response.json();
+  return provider.parseResponse(data);
+}
 
-  if (!data.choices || data.choices.length === 0) {
-    throw new Error('No choices returned from LLM');
-  }
+/**
+ * Consume an SSE response body, reporting partial content as it arrives.
+ * WHY: A tier3 synthesize can run for minutes. Streaming lets the pipeline persist
+ * partial output + heartbeats so a watchdog can tell "slow" from "hung".
+ *
+ * @returns {{ content: string, usage: Object|null }}
+ */
+async function readSSEStream(response, provider, onProgress) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let content = '';
+  let usage = null;
+  let done = false;
+
+  const handleLine = (line) => {
+    if (!line.startsWith('data:')) return; // event:/id:/comments carry nothing we need
+    const payload = line.slice(5).trim();
+    if (!payload) return;
+    if (payload === '[DONE]') {
+      done = true;
+      return;
+    }
 
-  return {
-    content: data.choices[0].message.content,
-    usage: data.usage || null
+    let data;
+    try {
+      data = JSON.parse(payload);
+    } catch {
+      return; // Partial/keep-alive garbage — skip
+    }
+
+    const event = provider.parseStreamEvent(data);
+    if (event.usage) usage = { ...(usage || {}), ...event.usage };
+    if (event.delta) {
+      content += event.delta;
+      const progress = { content, deltaChars: event.delta.length };
+      // Progress reporting must never break the call itself
+      Promise.resolve()
+        .then(() => onProgress(progress))
+        .catch(err => console.error(`[models] onProgress handler failed: ${err.message}`));
+    }
   };
+
+  try {
+    while (!done) {
+      const { value, done: streamDone } = await reader.read();
+      if (streamDone) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        handleLine(line.trim());
+        if (done) break;
+      }
+    }
+    if (!done && buffer.trim()) handleLine(buffer.trim());
+  } finally {
+    // However we leave (early [DONE], a parse error), stop the stream — that also
+    // frees the provider's rate-limit concurrency slot
+    if (typeof reader.cancel === 'function') reader.cancel().catch(() => {});
+  }
+
+  if (!content) {
+    throw new Error('Empty stream from LLM');
+  }
+
+  if (usage) {
+    usage.total_tokens = usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+  }
+
+  return { content, usage };
+}
+
+// ============================================================
+// RESPONSE CACHE (opt-in, Supabase-backed)
+// ============================================================
+// WHY: Classification, Linear title polish and feasibility checks re-run on identical
+// input after retries and restarts. Content-addressed by provider + model + prompts,
+// so any prompt change is a miss. Cache failures never fail the call.
+
+const DEFAULT_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+function buildCacheKey(modelConfig, systemPrompt, userMessage) {
+  return crypto
+    .createHash('sha256')
+    .update(`${modelConfig.provider || 'openrouter'}\n${modelConfig.model}\n${systemPrompt || ''}\n${userMessage || ''}`)
+    .digest('hex');
+}
+
+async function getCachedResponse(cacheKey) {
+  const { data, error } = await supabase
+    .from('llm_response_cache')
+    .select('*')
+    .eq('cache_key', cacheKey)
+    .gte('expires_at', new Date().toISOString())
+    .maybeSingle();
+
+  if (error) {
+    console.error('[models] Cache lookup failed:', error.message);
+    return null;
+  }
+  if (!data) return null;
+
+  // Hit counter is informational — a failed update doesn't invalidate the hit
+  const { error: hitError } = await supabase
+    .from('llm_response_cache')
+    .update({ hit_count: (data.hit_count || 0) + 1, last_hit_at: new Date().toISOString() })
+    .eq('cache_key', cacheKey);
+
+  if (hitError) {
+    console.error('[models] Cache hit count update failed:', hitError.message);
+  }
+
+  return data;
+}
+
+async function setCachedResponse(cacheKey, modelConfig, result, ttlMs) {
+  const { error } = await supabase
+    .from('llm_response_cache')
+    .upsert({
+      cache_key: cacheKey,
+      model_name: modelConfig.name,
+      model_tier: modelConfig.tier,
+      content: result.content,
+      usage: result.usage || null,
+      hit_count: 0,
+      expires_at: new Date(Date.now() + ttlMs).toISOString()
+    }, { onConflict: 'cache_key' });
+
+  if (error) {
+    console.error('[models] Cache write failed:', error.message);
+  }
+}
+
+/**
+ * Delete expired cache rows. Called daily from heartbeat.
+ */
+async function pruneResponseCache() {
+  const { error } = await supabase
+    .from('llm_response_cache')
+    .delete()
+    .lt('expires_at', new Date().toISOString());
+
+  if (error) {
+    console.error('[models] Cache prune failed:', error.message);
+    return false;
+  }
+  return true;
 }
 
 // ============================================================
@@ -391,8 +882,11 @@ async function makeAPICall(modelConfig, systemPrompt, userMessage) {
 
 function estimateCost(modelConfig, usage) {
   if (!usage) return 0;
-  const inputCost = (usage.prompt_tokens || 0) / 1000 * modelConfig.costPer1kInput;
-  const outputCost = (usage.completion_tokens || 0) / 1000 * modelConfig.costPer1kOutput;
+  const pricing = getProvider(modelConfig).costs[modelConfig.model] || {};
+  const perInput = modelConfig.costPer1kInput ?? pricing.input ?? 0;
+  const perOutput = modelConfig.costPer1kOutput ?? pricing.output ?? 0;
+  const inputCost = (usage.prompt_tokens || 0) / 1000 * perInput;
+  const outputCost = (usage.completion_tokens || 0) / 1000 * perOutput;
   return inputCost + outputCost;
 }
 
@@ -433,7 +927,9 @@ async function logModelUsage({
 
   if (error) {
     console.error(`[models] Failed to log model usage:`, error.message);
+    return;
   }
+  budget.recordSpend({ agentId: sanitizedAgentId, missionStepId, cost: estimatedCost });
 }
 
 /**
@@ -443,7 +939,7 @@ async function logModelUsage({
 async function getModelCosts(since) {
   const { data, error } = await supabase
     .from('model_usage')
-    .select('model_tier, estimated_cost_usd, input_tokens, output_tokens')
+    .select('model_tier, estimated_cost_usd, input_tokens, output_tokens, metadata')
     .gte('created_at', since)
     .eq('success', true);
 
@@ -456,10 +952,16 @@ async function getModelCosts(since) {
     tier1: { calls: 0, cost: 0, tokens: 0 },
     tier2: { calls: 0, cost: 0, tokens: 0 },
     tier3: { calls: 0, cost: 0, tokens: 0 },
-    total: { calls: 0, cost: 0, tokens: 0 }
+    total: { calls: 0, cost: 0, tokens: 0 },
+    cache: { hits: 0, savedCost: 0, savedTokens: 0 }
   };
 
   for (const row of (data || [])) {
+    if (row.metadata && row.metadata.cacheHit) {
+      summary.cache.hits++;
+      summary.cache.savedCost += parseFloat(row.metadata.savedUsd) || 0;
+      summary.cache.savedTokens += row.metadata.savedTokens || 0;
+    }
     const tier = row.model_tier;
     if (summary[tier]) {
       summary[tier].calls++;
@@ -492,6 +994,13 @@ module.exports = {
   selectTier,
   getModelCosts,
   MODELS,
+  PROVIDERS,
+  registerProvider,
+  applyTierOverride,
+  estimateCost,
+  buildCacheKey,
+  pruneResponseCache,
+  DEFAULT_CACHE_TTL_MS,
   COMPLEX_KEYWORDS,
   TIER3_KEYWORDS
 };
@@ -4,6 +4,7 @@
 // Deliverables are created as child pages under the team's page.
 
 const supabase = require('./supabase');
+const rateLimit = require('./rate_limit');
 
 const NOTION_API_URL = 'https://api.notion.com/v1';
 const NOTION_VERSION = '2022-06-28';
@@ -32,7 +33,7 @@ async function notionRequest(method, path, body = null) {
     options.body = JSON.stringify(body);
   }
 
-  const response = await fetch(`${NOTION_API_URL}${path}`, options);
+  const response = await rateLimit.rateLimitedFetch('notion', `${NOTION_API_URL}${path}`, options);
 
   if (!response.ok) {
     const error = await response.text();
@@ -110,9 +111,10 @@ async function getTeamPages() {
  * @param {string} params.agentName - Who created it
  * @param {number} params.missionId - For reference
  * @param {number} params.stepId - For reference
+ * @param {string} [params.dag] - Mission DAG as Mermaid (missions.exportDag), shown below the deliverable
  * @returns {Object|null} The created page, or null on failure
  */
-async function publishDeliverable({ title, content, teamId, agentName, missionId, stepId }) {
+async function publishDeliverable({ title, content, teamId, agentName, missionId, stepId, dag = null }) {
   const pages = await getTeamPages();
   if (!pages) return null;
 
@@ -143,7 +145,8 @@ async function publishDeliverable({ title, content, teamId, agentName, missionId
         }
       },
       { object: 'block', type: 'divider', divider: {} },
-      ...blocks
+      ...blocks,
+      ...(dag ? dagToBlocks(dag) : [])
     ]
   });
 
@@ -302,6 +305,21 @@ function contentToBlocks(content) {
   return blocks;
 }
 
+/**
+ * A mission DAG as a Mermaid code block, which Notion renders as a diagram.
+ * Notion caps each rich_text item at 2000 chars, so the source is chunked.
+ */
+function dagToBlocks(mermaid) {
+  const chunks = [];
+  for (let i = 0; i < mermaid.length && chunks.length < 50; i += 1900) {
+    chunks.push({ text: { content: mermaid.substring(i, i + 1900) } });
+  }
+  return [
+    { object: 'block', type: 'heading_2', heading_2: { rich_text: [{ text: { content: 'Mission DAG' } }] } },
+    { object: 'block', type: 'code', code: { language: 'mermaid', rich_text: chunks } }
+  ];
+}
+
 function truncate(text, maxLen) {
   if (text.length <= maxLen) return text;
   return text.substring(0, maxLen - 3) + '...';
@@ -532,6 +550,7 @@ module.exports = {
   publishDeliverable,
   publishDailySummary,
   getTeamPages,
+  dagToBlocks,
   // Task boards (Decision 24)
   getOrCreateTaskBoard,
   createTask,
@@ -539,3 +558,7 @@ module.exports = {
   getTeamTasks,
   clearCache
 };
+
+// Dry run: outbound calls are recorded to the trace instead of sent
+const dryRun = require('./dry_run');
+if (dryRun.isDryRun()) module.exports = dryRun.recordIntegration('notion', module.exports, { getTeamTasks: [] });
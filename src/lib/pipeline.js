@@ -13,12 +13,78 @@
 // - Revise phase capped at 2 attempts (prevents loops)
 // - skipResearch config for engineering/creative tasks
 // - skipPipeline config for trivial tasks (legacy single-shot)
+// - Synthesize/revise stream: partial output + heartbeat timestamps land in
+//   pipeline_phases while the LLM is still writing (watchdog: findHungPhases)
+// - Synthesize runs a tool loop (tools.js): the model can search, fetch, read
+//   predecessor output or recall memory mid-writing; each call is its own
+//   pipeline_phases row ('tool_call') and counts against RESEARCH_LIMITS
+// - Resume: a retried step (crash, expired lease, revision) reuses completed
+//   decompose/research rows and — within the same revision round — the latest
+//   deliverable, rebuilding state from pipeline_phases.metadata (loadResumeState)
 
 const supabase = require('./supabase');
 const models = require('./models');
+const structured = require('./structured_output');
 const web = require('./web');
+const tools = require('./tools');
 const { RESEARCH_LIMITS } = require('./capabilities');
 
+// Streaming progress: write partial output at most this often (keeps Supabase writes sane)
+const STREAM_HEARTBEAT_MS = 5000;
+// A streaming phase with no heartbeat for this long is considered hung, not slow
+const HUNG_PHASE_MS = 5 * 60 * 1000;
+// Persisted phases older than this are redone on retry (research goes stale)
+const RESUME_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Self-critique runs on the cheap tier; critique_eval.js calibrates exactly this setup
+const CRITIQUE_TIER = 'tier1';
+const CRITIQUE_SYSTEM_PROMPT = 'You are a quality reviewer. Evaluate work honestly and respond only with valid JSON.';
+
+// ============================================================
+// RESPONSE SCHEMAS (meta-phases answer in JSON via callLLMJson)
+// ============================================================
+
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+
+const DECOMPOSE_SCHEMA = {
+  type: 'object',
+  required: ['subQuestions', 'searchQueries'],
+  properties: {
+    subQuestions: STRING_LIST,
+    searchQueries: STRING_LIST,
+    keyRequirements: STRING_LIST
+  }
+};
+
+const REFINE_QUERIES_SCHEMA = {
+  type: 'object',
+  required: ['refinedQueries'],
+  properties: { refinedQueries: STRING_LIST }
+};
+
+const GAP_ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['sufficient'],
+  properties: {
+    gaps: STRING_LIST,
+    additionalQueries: STRING_LIST,
+    sufficient: { type: 'boolean' }
+  }
+};
+
+const SCORE = { type: 'number', minimum: 1, maximum: 5 };
+
+const CRITIQUE_SCHEMA = {
+  type: 'object',
+  required: ['overallScore'],
+  properties: {
+    scores: { type: 'object' },
+    overallScore: SCORE,
+    gaps: STRING_LIST,
+    lesson: { type: ['string', 'null'] }
+  }
+};
+
 // ============================================================
 // PHASE PROMPTS
 // ============================================================
@@ -226,29 +292,26 @@ async function runDecompose(step, taskDescription, approachHints) {
   const startTime = Date.now();
   const prompt = buildDecomposePrompt(taskDescription, approachHints);
 
-  const result = await models.callLLM({
+  const result = await structured.callLLMJson({
     systemPrompt: 'You are a task decomposition assistant. Respond only with valid JSON.',
     userMessage: prompt,
     agentId: step.assigned_agent_id,
     missionStepId: step.id,
-    forceTier: 'tier1'
+    leaseOwner: step.lease_owner,
+    forceTier: 'tier1',
+    schema: DECOMPOSE_SCHEMA
   });
 
   const durationMs = Date.now() - startTime;
 
-  if (result.error) {
-    return { error: result.error, durationMs };
+  if (result.error?.code === structured.ERROR_CODES.LLM_ERROR) {
+    return { error: result.error.message, durationMs };
   }
 
-  // Parse the JSON response — handle malformed gracefully
-  let parsed;
-  try {
-    // Strip markdown fences if the LLM wrapped the JSON
-    const cleaned = result.content.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
-    parsed = JSON.parse(cleaned);
-  } catch (e) {
-    // LLM returned non-JSON — use defaults
-    console.log(`[pipeline] Step #${step.id}: Decompose returned non-JSON, using defaults`);
+  let parsed = result.data;
+  if (result.error) {
+    // Still malformed after the repair retry — use defaults
+    console.log(`[pipeline] Step #${step.id}: Decompose returned ${result.error.code}, using defaults`);
     parsed = {
       subQuestions: [taskDescription],
       searchQueries: [taskDescription],
@@ -336,7 +399,7 @@ function buildStructuredSources(researchData) {
  * Uses T1 (cheap) since this is meta-work.
  */
 async function generateRefinedQueries(step, originalQueries, taskDescription) {
-  const result = await models.callLLM({
+  const result = await structured.callLLMJson({
     systemPrompt: 'You are a search query optimization assistant. Respond only with valid JSON.',
     userMessage: `## REFINE_QUERIES — Generate better search queries
 
@@ -349,18 +412,13 @@ Generate 2-3 refined queries that are more specific and likely to return data-ri
 Respond with ONLY JSON: {"refinedQueries": ["query1", "query2"]}`,
     agentId: step.assigned_agent_id,
     missionStepId: step.id,
-    forceTier: 'tier1'
+    leaseOwner: step.lease_owner,
+    forceTier: 'tier1',
+    schema: REFINE_QUERIES_SCHEMA
   });
 
   if (result.error) return [];
-
-  try {
-    const cleaned = result.content.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
-    const parsed = JSON.parse(cleaned);
-    return parsed.refinedQueries || [];
-  } catch (e) {
-    return [];
-  }
+  return result.data.refinedQueries;
 }
 
 /**
@@ -379,7 +437,7 @@ async function runGapAnalysis(step, taskDescription, researchData, subQuestions)
     `- [${r.title}]: ${(r.content || '').slice(0, 150)}...`
   ).join('\n');
 
-  const result = await models.callLLM({
+  const result = await structured.callLLMJson({
     systemPrompt: 'You are a research quality auditor. Identify gaps in collected research. Respond only with valid JSON.',
     userMessage: `## GAP ANALYSIS — Is this research sufficient?
 
@@ -407,27 +465,25 @@ Rules:
 - If sources are thin but cover the right topics, suggest deeper queries for the same topics`,
     agentId: step.assigned_agent_id,
     missionStepId: step.id,
-    forceTier: 'tier1'
+    leaseOwner: step.lease_owner,
+    forceTier: 'tier1',
+    schema: GAP_ANALYSIS_SCHEMA,
+    // WHY no repair: a failed gap analysis already means "proceed with what we
+    // have" — a second call would only add latency to every research round
+    repair: false
   });
 
   if (result.error) {
     // Gap analysis failure is non-fatal — proceed with what we have
-    console.log(`[pipeline] Step #${step.id}: Gap analysis LLM error, proceeding: ${result.error}`);
+    console.log(`[pipeline] Step #${step.id}: Gap analysis failed (${result.error.code}), proceeding: ${result.error.message}`);
     return { gaps: [], additionalQueries: [], sufficient: true };
   }
 
-  try {
-    const cleaned = result.content.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
-    const parsed = JSON.parse(cleaned);
-    return {
-      gaps: parsed.gaps || [],
-      additionalQueries: parsed.additionalQueries || [],
-      sufficient: parsed.sufficient !== false
-    };
-  } catch (e) {
-    console.log(`[pipeline] Step #${step.id}: Gap analysis returned non-JSON, proceeding`);
-    return { gaps: [], additionalQueries: [], sufficient: true };
-  }
+  return {
+    gaps: result.data.gaps || [],
+    additionalQueries: result.data.additionalQueries || [],
+    sufficient: result.data.sufficient !== false
+  };
 }
 
 /**
@@ -532,31 +588,87 @@ async function runResearch(step, searchQueries, taskDescription, subQuestions) {
  * Execute the synthesize phase. Produces the actual deliverable using the agent's
  * full persona/memory prompt + research data.
  *
- * @returns {{ content, tokens, durationMs }}
+ * Tool loop: if the model answers with [TOOL:...] calls instead of a deliverable,
+ * the calls are executed (within the step's RESEARCH_LIMITS budget), logged as
+ * 'tool_call' phases, and fed back for another round — at most MAX_TOOL_ROUNDS
+ * rounds, after which the model must write the deliverable.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.useTools=true] - Offer mid-synthesis tools
+ * @returns {{ content, tokens, durationMs, phaseRow, toolCalls, toolSources }}
  */
-async function runSynthesize(step, promptData, taskDescription, researchData, subQuestions, effectiveTier, budgetUsed) {
+async function runSynthesize(step, promptData, taskDescription, researchData, subQuestions, effectiveTier, budgetUsed, { useTools = true } = {}) {
   const startTime = Date.now();
-  const userMessage = buildSynthesizePrompt(taskDescription, researchData, subQuestions, budgetUsed);
+  const basePrompt = buildSynthesizePrompt(taskDescription, researchData, subQuestions, budgetUsed);
+  const progress = await startStreamingPhase(step.id, 'synthesize', 3, effectiveTier);
 
-  const result = await models.callLLM({
-    systemPrompt: promptData.systemPrompt,
-    userMessage,
-    agentId: step.assigned_agent_id,
-    missionStepId: step.id,
-    forceTier: effectiveTier
-  });
+  const toolBudget = tools.createToolBudget(budgetUsed);
+  const toolResults = [];
+  const toolSources = [];
+  const tokens = { prompt_tokens: 0, completion_tokens: 0 };
+  let userMessage = useTools ? `${basePrompt}\n\n${tools.buildToolsPrompt(toolBudget)}` : basePrompt;
 
-  const durationMs = Date.now() - startTime;
+  for (let round = 0; ; round++) {
+    const result = await models.callLLM({
+      systemPrompt: promptData.systemPrompt,
+      userMessage,
+      agentId: step.assigned_agent_id,
+      missionStepId: step.id,
+      leaseOwner: step.lease_owner,
+      forceTier: effectiveTier,
+      onProgress: progress.onProgress
+    });
 
-  if (result.error) {
-    return { error: result.error, durationMs };
-  }
+    if (result.error) {
+      await progress.close();
+      await markPhaseFailed(progress.phaseRow, result.error);
+      return { error: result.error, durationMs: Date.now() - startTime };
+    }
 
-  return {
-    content: result.content,
-    tokens: result.usage,
-    durationMs
-  };
+    tokens.prompt_tokens += result.usage?.prompt_tokens || 0;
+    tokens.completion_tokens += result.usage?.completion_tokens || 0;
+
+    const calls = useTools ? tools.parseToolCalls(result.content) : [];
+    const lastRound = round >= tools.MAX_TOOL_ROUNDS;
+    if (calls.length === 0 || lastRound) {
+      await progress.close();
+      const content = calls.length > 0 ? tools.stripToolCalls(result.content) : result.content;
+      if (!content) {
+        await markPhaseFailed(progress.phaseRow, 'Only tool calls, no deliverable');
+        return { error: 'Only tool calls, no deliverable', durationMs: Date.now() - startTime };
+      }
+      return {
+        content,
+        tokens,
+        durationMs: Date.now() - startTime,
+        phaseRow: progress.phaseRow,
+        toolCalls: toolBudget.toolCalls,
+        toolSources
+      };
+    }
+
+    console.log(`[pipeline] Step #${step.id}: Synthesize round ${round + 1} requested ${calls.length} tool call(s)`);
+    for (const call of calls) {
+      const callStart = Date.now();
+      // A fetch or search can outlast the hung-phase window with no tokens streaming
+      await progress.heartbeat();
+      const outcome = await tools.executeToolCall(call, { step, budget: toolBudget });
+      await progress.heartbeat();
+      toolResults.push({ call, result: outcome });
+      if (outcome.source) toolSources.push(outcome.source);
+
+      await logPhase(step.id, 'tool_call', 3, {
+        content: outcome.output.slice(0, tools.MAX_TOOL_RESULT_CHARS),
+        durationMs: Date.now() - callStart,
+        metadata: { tool: call.tool, args: call.args, round: round + 1, status: outcome.status }
+      });
+    }
+
+    const nextStep = round + 1 >= tools.MAX_TOOL_ROUNDS
+      ? 'TOOLS ARE NO LONGER AVAILABLE. Write the complete final deliverable now using what you have.'
+      : tools.buildToolsPrompt(toolBudget);
+    userMessage = `${basePrompt}\n\n## TOOL RESULTS\n${tools.formatToolResults(toolResults)}\n\n${nextStep}`;
+  }
 }
 
 /**
@@ -567,43 +679,43 @@ async function runSynthesize(step, promptData, taskDescription, researchData, su
  * @param {string} taskDescription - The original task description
  * @param {string} deliverable - The deliverable content to critique
  * @param {number} [citationScore] - Optional citation score from Phase 2 research quality (0-1)
- * @returns {{ overallScore, scores, gaps, lesson, raw, tokens, durationMs }}
+ * @returns {{ overallScore, scores, gaps, lesson, raw, defaulted, tokens, durationMs }} - defaulted: the 3.0 fallback, not a real score
  */
 async function runCritique(step, taskDescription, deliverable, citationScore) {
   const startTime = Date.now();
   const prompt = buildCritiquePrompt(taskDescription, deliverable, citationScore);
 
-  const result = await models.callLLM({
-    systemPrompt: 'You are a quality reviewer. Evaluate work honestly and respond only with valid JSON.',
+  const result = await structured.callLLMJson({
+    systemPrompt: CRITIQUE_SYSTEM_PROMPT,
     userMessage: prompt,
     agentId: step.assigned_agent_id,
     missionStepId: step.id,
-    forceTier: 'tier1'
+    leaseOwner: step.lease_owner,
+    forceTier: CRITIQUE_TIER,
+    schema: CRITIQUE_SCHEMA
   });
 
   const durationMs = Date.now() - startTime;
 
-  if (result.error) {
+  if (result.error?.code === structured.ERROR_CODES.LLM_ERROR) {
     // Critique failure is non-fatal — default to moderate score
-    console.log(`[pipeline] Step #${step.id}: Critique LLM failed: ${result.error}, defaulting to score 3.0`);
+    console.log(`[pipeline] Step #${step.id}: Critique LLM failed: ${result.error.message}, defaulting to score 3.0`);
     return {
       overallScore: 3.0,
       gaps: [],
       lesson: null,
       raw: null,
+      defaulted: true,
       tokens: result.usage,
       durationMs
     };
   }
 
-  // Parse critique JSON — handle malformed gracefully
-  let parsed;
-  try {
-    const cleaned = result.content.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
-    parsed = JSON.parse(cleaned);
-  } catch (e) {
-    // Non-JSON critique — try to extract a score from the text
-    console.log(`[pipeline] Step #${step.id}: Critique returned non-JSON, defaulting to score 3.0`);
+  let parsed = result.data;
+  const defaulted = Boolean(result.error);
+  if (result.error) {
+    // Still malformed after the repair retry — neutral score rather than a guess
+    console.log(`[pipeline] Step #${step.id}: Critique returned ${result.error.code}, defaulting to score 3.0`);
     parsed = {
       scores: { completeness: 3, accuracy: 3, actionability: 3, depth: 3 },
       overallScore: 3.0,
@@ -627,6 +739,7 @@ async function runCritique(step, taskDescription, deliverable, citationScore) {
     gaps: parsed.gaps || [],
     lesson: parsed.lesson || null,
     raw: result.content,
+    defaulted,
     tokens: result.usage,
     durationMs
   };
@@ -638,28 +751,34 @@ async function runCritique(step, taskDescription, deliverable, citationScore) {
  *
  * @returns {{ content, tokens, durationMs }}
  */
-async function runRevise(step, promptData, taskDescription, originalContent, critiqueData, researchData, effectiveTier) {
+async function runRevise(step, promptData, taskDescription, originalContent, critiqueData, researchData, effectiveTier, phaseOrder = 5) {
   const startTime = Date.now();
   const userMessage = buildRevisePrompt(taskDescription, originalContent, critiqueData, researchData);
+  const progress = await startStreamingPhase(step.id, 'revise', phaseOrder, effectiveTier);
 
   const result = await models.callLLM({
     systemPrompt: promptData.systemPrompt,
     userMessage,
     agentId: step.assigned_agent_id,
     missionStepId: step.id,
-    forceTier: effectiveTier
+    leaseOwner: step.lease_owner,
+    forceTier: effectiveTier,
+    onProgress: progress.onProgress
   });
 
   const durationMs = Date.now() - startTime;
+  await progress.close();
 
   if (result.error) {
+    await markPhaseFailed(progress.phaseRow, result.error);
     return { error: result.error, durationMs };
   }
 
   return {
     content: result.content,
     tokens: result.usage,
-    durationMs
+    durationMs,
+    phaseRow: progress.phaseRow
   };
 }
 
@@ -716,9 +835,11 @@ function validateSourceCitations(output, researchSources) {
 
 /**
  * Save a phase record to the pipeline_phases table.
+ * If the phase was streamed (phaseRow from startStreamingPhase), the existing
+ * row is finalized in place instead of inserting a second one.
  */
-async function logPhase(stepId, phaseName, phaseOrder, { content, modelTier, tokens, durationMs, score, metadata }) {
-  const { error } = await supabase.from('pipeline_phases').insert({
+async function logPhase(stepId, phaseName, phaseOrder, { content, modelTier, tokens, durationMs, score, metadata, phaseRow }) {
+  const record = {
     mission_step_id: stepId,
     phase_name: phaseName,
     phase_order: phaseOrder,
@@ -728,13 +849,321 @@ async function logPhase(stepId, phaseName, phaseOrder, { content, modelTier, tok
     duration_ms: durationMs || 0,
     score: score || null,
     metadata: metadata || {}
-  });
+  };
+
+  let error;
+  if (phaseRow) {
+    record.metadata = {
+      ...(phaseRow.metadata || {}),
+      ...record.metadata,
+      status: 'completed',
+      heartbeatAt: new Date().toISOString(),
+      streamedChars: (content || '').length
+    };
+    ({ error } = await supabase.from('pipeline_phases').update(record).eq('id', phaseRow.id));
+  } else {
+    ({ error } = await supabase.from('pipeline_phases').insert(record));
+  }
 
   if (error) {
     console.error(`[pipeline] Failed to log phase ${phaseName} for step #${stepId}: ${error.message}`);
   }
 }
 
+// ============================================================
+// STREAMING PROGRESS
+// ============================================================
+
+/**
+ * Open a pipeline_phases row for a streaming phase and return a throttled
+ * progress handler that writes partial output + heartbeat timestamps to it.
+ *
+ * heartbeat() bumps heartbeatAt without new output, for work between LLM rounds
+ * (tool calls) that would otherwise look like a silent, hung stream.
+ *
+ * close() must be awaited before finalizing the row — it stops further writes and
+ * waits for an in-flight one, so a late partial never overwrites the final content.
+ *
+ * @returns {{ phaseRow: Object|null, onProgress: Function|null, heartbeat: Function, close: Function }}
+ */
+async function startStreamingPhase(stepId, phaseName, phaseOrder, modelTier) {
+  const now = new Date().toISOString();
+  const { data: phaseRow, error } = await supabase
+    .from('pipeline_phases')
+    .insert({
+      mission_step_id: stepId,
+      phase_name: phaseName,
+      phase_order: phaseOrder,
+      output_content: null,
+      model_tier: modelTier || null,
+      metadata: { status: 'streaming', startedAt: now, heartbeatAt: now, streamedChars: 0 }
+    })
+    .select()
+    .single();
+
+  if (error || !phaseRow) {
+    // No row → no streaming; the phase still runs and logPhase inserts as before
+    console.error(`[pipeline] Failed to open ${phaseName} phase row for step #${stepId}: ${error?.message}`);
+    return { phaseRow: null, onProgress: null, heartbeat: async () => {}, close: async () => {} };
+  }
+
+  let lastWriteAt = 0;
+  let inFlight = Promise.resolve();
+  let closed = false;
+  let streamedChars = 0;
+
+  const onProgress = ({ content }) => {
+    const nowMs = Date.now();
+    if (closed || nowMs - lastWriteAt < STREAM_HEARTBEAT_MS) return;
+    lastWriteAt = nowMs;
+    streamedChars = content.length;
+
+    inFlight = inFlight.then(async () => {
+      if (closed) return;
+      const { error: updateError } = await supabase
+        .from('pipeline_phases')
+        .update({
+          output_content: content,
+          metadata: {
+            ...phaseRow.metadata,
+            heartbeatAt: new Date(nowMs).toISOString(),
+            streamedChars: content.length
+          }
+        })
+        .eq('id', phaseRow.id);
+
+      if (updateError) {
+        console.error(`[pipeline] Progress write failed for step #${stepId} ${phaseName}: ${updateError.message}`);
+      }
+    });
+  };
+
+  const heartbeat = async () => {
+    if (closed) return;
+    const nowMs = Date.now();
+    lastWriteAt = nowMs;
+
+    inFlight = inFlight.then(async () => {
+      if (closed) return;
+      const { error: updateError } = await supabase
+        .from('pipeline_phases')
+        .update({
+          metadata: {
+            ...phaseRow.metadata,
+            heartbeatAt: new Date(nowMs).toISOString(),
+            streamedChars
+          }
+        })
+        .eq('id', phaseRow.id);
+
+      if (updateError) {
+        console.error(`[pipeline] Heartbeat write failed for step #${stepId} ${phaseName}: ${updateError.message}`);
+      }
+    });
+    await inFlight;
+  };
+
+  const close = async () => {
+    closed = true;
+    await inFlight;
+  };
+
+  return { phaseRow, onProgress, heartbeat, close };
+}
+
+/**
+ * Mark a streamed phase row as failed (partial output is kept for debugging).
+ */
+async function markPhaseFailed(phaseRow, errorMessage) {
+  if (!phaseRow) return;
+  const { error } = await supabase
+    .from('pipeline_phases')
+    .update({
+      metadata: {
+        ...(phaseRow.metadata || {}),
+        status: 'failed',
+        error: errorMessage,
+        heartbeatAt: new Date().toISOString()
+      }
+    })
+    .eq('id', phaseRow.id);
+
+  if (error) {
+    console.error(`[pipeline] Failed to mark phase #${phaseRow.id} failed: ${error.message}`);
+  }
+}
+
+/**
+ * Find streaming phases whose heartbeat has gone quiet — hung, not just slow.
+ * A slow phase keeps bumping heartbeatAt as tokens arrive; a hung one doesn't.
+ *
+ * @param {Object} [params]
+ * @param {number} [params.silenceMs] - Max heartbeat silence before a phase counts as hung
+ * @returns {Array<{ id, missionStepId, phaseName, heartbeatAt, silentMs, streamedChars }>}
+ */
+async function findHungPhases({ silenceMs = HUNG_PHASE_MS } = {}) {
+  const now = Date.now();
+  const since = new Date(now - 24 * 60 * 60 * 1000).toISOString();
+  const quietSince = new Date(now - silenceMs).toISOString();
+
+  // WHY: Heartbeat runs this every tick. Filtering in the query (partial index in
+  // sql/022_hung_phase_index.sql) keeps it to the few streaming rows instead of a
+  // day of phase output. heartbeatAt is always an ISO string (startStreamingPhase / onProgress / heartbeat),
+  // so comparing it as text orders it correctly.
+  const { data, error } = await supabase
+    .from('pipeline_phases')
+    .select('id, mission_step_id, phase_name, metadata, created_at')
+    .eq('metadata->>status', 'streaming')
+    .lt('metadata->>heartbeatAt', quietSince)
+    .gte('created_at', since);
+
+  if (error) {
+    console.error('[pipeline] Failed to scan for hung phases:', error.message);
+    return [];
+  }
+
+  return (data || []).map(p => ({
+    id: p.id,
+    missionStepId: p.mission_step_id,
+    phaseName: p.phase_name,
+    heartbeatAt: p.metadata.heartbeatAt,
+    silentMs: now - new Date(p.metadata.heartbeatAt).getTime(),
+    streamedChars: p.metadata.streamedChars || 0
+  }));
+}
+
+// ============================================================
+// RESUME (rebuild state from persisted phases)
+// ============================================================
+
+/**
+ * A row counts as finished if it was logged in one go (no status) or a streamed
+ * row was finalized. 'streaming' / 'failed' rows are where a previous run died.
+ */
+function isCompletedPhase(row) {
+  const status = row.metadata?.status;
+  return !status || status === 'completed';
+}
+
+/**
+ * Work out which phases a retried step can skip.
+ *
+ * - decompose: latest completed row.
+ * - research: latest completed row after that decompose, if it stored researchData.
+ * - deliverable: latest completed synthesize/revise after those, but only from the
+ *   same revision round and tier. WHY: after a QA/Team Lead rejection the old
+ *   deliverable is exactly what was rejected — research is reusable, the writing isn't.
+ *
+ * @param {Object} params
+ * @param {number} params.stepId
+ * @param {number} params.revisionRound - Rejections so far (countStepRejections)
+ * @param {string} params.effectiveTier
+ * @returns {{ decompose, research, deliverable, synthesize }} Rows (or null each)
+ */
+async function loadResumeState({ stepId, revisionRound, effectiveTier }) {
+  const empty = { decompose: null, research: null, deliverable: null, synthesize: null };
+  const since = new Date(Date.now() - RESUME_MAX_AGE_MS).toISOString();
+
+  const { data, error } = await supabase
+    .from('pipeline_phases')
+    .select('*')
+    .eq('mission_step_id', stepId)
+    .gte('created_at', since)
+    .order('id', { ascending: true });
+
+  if (error) {
+    console.error(`[pipeline] Failed to load phases for step #${stepId} (starting fresh): ${error.message}`);
+    return empty;
+  }
+
+  const rows = (data || []).filter(isCompletedPhase);
+  const latest = (predicate, afterId = 0) =>
+    rows.filter(r => r.id > afterId && predicate(r)).pop() || null;
+
+  const decompose = latest(r => r.phase_name === 'decompose' && Array.isArray(r.metadata?.subQuestions));
+  if (!decompose) return empty;
+
+  const research = latest(r => r.phase_name === 'research' && Array.isArray(r.metadata?.researchData), decompose.id);
+
+  const deliverable = latest(r =>
+    (r.phase_name === 'synthesize' || r.phase_name === 'revise') &&
+    r.output_content &&
+    r.metadata?.revisionRound === revisionRound &&
+    r.model_tier === effectiveTier,
+  research ? research.id : decompose.id);
+
+  // The synthesize row a reused revise builds on (for its tool-fetched sources)
+  const synthesize = deliverable
+    ? rows.filter(r => r.phase_name === 'synthesize' && r.id <= deliverable.id).pop() || null
+    : null;
+
+  return { decompose, research, deliverable, synthesize };
+}
+
+// ============================================================
+// STOP CHECKS (cancel / pause between phases)
+// ============================================================
+
+/**
+ * Phase boundary check. config.shouldStop (worker: missions.getStopSignal) reports
+ * whether Zero cancelled or paused the mission — or the lease moved to another
+ * worker — while this step was running. Phases are never interrupted mid-call.
+ *
+ * @returns {Object|null} A stopped result for execute() to return, or null to go on
+ */
+async function checkStop(step, config, nextPhase, phases, resumedPhases) {
+  if (!config.shouldStop) return null;
+
+  const signal = await config.shouldStop();
+  if (!signal) return null;
+
+  console.log(`[pipeline] Step #${step.id}: Stopping before ${nextPhase} (${signal})`);
+  return {
+    content: null,
+    critiqueScore: null,
+    critiqueLesson: null,
+    revised: false,
+    phases,
+    resumedPhases,
+    stopped: signal,
+    error: `Stopped before ${nextPhase}: ${signal}`
+  };
+}
+
+// ============================================================
+// PIPELINE CONFIG (which phases a step runs)
+// ============================================================
+
+/**
+ * Determine pipeline configuration based on step type and agent role.
+ * WHY: Research tasks need full pipeline, engineering tasks skip web research,
+ * and trivial tasks skip the pipeline entirely.
+ * Also used by plan_estimates.js to bucket historical cost/time by config.
+ */
+function determinePipelineConfig(step, agentRole) {
+  const desc = (step.description || '').toLowerCase();
+  const role = (agentRole || '').toLowerCase();
+
+  // Simple/trivial tasks — skip entire pipeline (legacy single-shot)
+  const simplePatterns = ['greet', 'respond to', 'acknowledge', 'thank', 'confirm'];
+  if (simplePatterns.some(p => desc.startsWith(p)) && desc.length < 100) {
+    return { skipPipeline: true };
+  }
+
+  // Engineering tasks — skip web research
+  if (role.includes('engineer') || ['code', 'build', 'deploy', 'api', 'database', 'debug', 'fix'].some(kw => desc.includes(kw))) {
+    return { skipResearch: true };
+  }
+
+  // Content/creative tasks — skip web research
+  if (role.includes('content') || role.includes('creative')) {
+    return { skipResearch: true };
+  }
+
+  // Default: full pipeline (research, analysis, strategy, etc.)
+  return {};
+}
+
 // ============================================================
 // MAIN EXECUTE FUNCTION
 // ============================================================
@@ -750,8 +1179,12 @@ async function logPhase(stepId, phaseName, phaseOrder, { content, modelTier, tok
  * @param {Object} [params.config] - Pipeline configuration overrides
  * @param {boolean} [params.config.skipResearch] - Skip web research (engineering/creative)
  * @param {boolean} [params.config.skipPipeline] - Skip entire pipeline (simple/trivial)
+ * @param {boolean} [params.config.skipTools] - Don't offer mid-synthesis tools
+ * @param {boolean} [params.config.resume=true] - Reuse completed phases from a previous run
+ * @param {number} [params.config.revisionRound=0] - Rejections so far; deliverables only resume within a round
+ * @param {Function} [params.config.shouldStop] - async () => stop reason|null, checked between phases
  *
- * @returns {{ content, critiqueScore, critiqueLesson, revised, phases, error }}
+ * @returns {{ content, critiqueScore, critiqueLesson, revised, phases, resumedPhases, stopped, error }}
  */
 async function execute({ step, promptData, userMessage, effectiveTier, config = {} }) {
   const phases = [];
@@ -766,6 +1199,7 @@ async function execute({ step, promptData, userMessage, effectiveTier, config =
       userMessage,
       agentId: step.assigned_agent_id,
       missionStepId: step.id,
+      leaseOwner: step.lease_owner,
       forceTier: effectiveTier
     });
 
@@ -783,28 +1217,47 @@ async function execute({ step, promptData, userMessage, effectiveTier, config =
     };
   }
 
+  // ──────────────────────────────────────────────
+  // RESUME: skip phases a previous run already paid for
+  // ──────────────────────────────────────────────
+  const revisionRound = config.revisionRound || 0;
+  const resume = config.resume === false
+    ? { decompose: null, research: null, deliverable: null, synthesize: null }
+    : await loadResumeState({ stepId: step.id, revisionRound, effectiveTier });
+  const resumedPhases = [];
+  let stop;
+
   // ──────────────────────────────────────────────
   // PHASE 1: DECOMPOSE
   // ──────────────────────────────────────────────
-  console.log(`[pipeline] Step #${step.id}: Starting DECOMPOSE phase`);
-  const decompose = await runDecompose(step, userMessage, null);
-
-  if (decompose.error) {
-    return { content: null, critiqueScore: null, critiqueLesson: null, revised: false, phases: [], error: `Decompose failed: ${decompose.error}` };
-  }
-
-  await logPhase(step.id, 'decompose', 1, {
-    content: decompose.raw,
-    modelTier: 'tier1',
-    tokens: decompose.tokens,
-    durationMs: decompose.durationMs,
-    metadata: {
-      subQuestions: decompose.subQuestions,
-      searchQueries: decompose.searchQueries,
-      keyRequirements: decompose.keyRequirements
+  if ((stop = await checkStop(step, config, 'decompose', phases, resumedPhases))) return stop;
+  let decompose;
+  if (resume.decompose) {
+    const { subQuestions, searchQueries, keyRequirements } = resume.decompose.metadata;
+    decompose = { subQuestions, searchQueries: searchQueries || [], keyRequirements: keyRequirements || [] };
+    resumedPhases.push('decompose');
+    console.log(`[pipeline] Step #${step.id}: Resuming — reusing DECOMPOSE from phase #${resume.decompose.id}`);
+  } else {
+    console.log(`[pipeline] Step #${step.id}: Starting DECOMPOSE phase`);
+    decompose = await runDecompose(step, userMessage, null);
+
+    if (decompose.error) {
+      return { content: null, critiqueScore: null, critiqueLesson: null, revised: false, phases: [], resumedPhases, error: `Decompose failed: ${decompose.error}` };
     }
-  });
-  phases.push({ name: 'decompose', durationMs: decompose.durationMs });
+
+    await logPhase(step.id, 'decompose', 1, {
+      content: decompose.raw,
+      modelTier: 'tier1',
+      tokens: decompose.tokens,
+      durationMs: decompose.durationMs,
+      metadata: {
+        subQuestions: decompose.subQuestions,
+        searchQueries: decompose.searchQueries,
+        keyRequirements: decompose.keyRequirements
+      }
+    });
+    phases.push({ name: 'decompose', durationMs: decompose.durationMs });
+  }
 
   // ──────────────────────────────────────────────
   // PHASE 2: RESEARCH (skippable, with iterative gap analysis — v0.11.0)
@@ -812,7 +1265,15 @@ async function execute({ step, promptData, userMessage, effectiveTier, config =
   let researchData = [];
   let structuredSources = [];
   let budgetUsed = null;
-  if (!config.skipResearch) {
+  if (!config.skipResearch && resume.research) {
+    const meta = resume.research.metadata;
+    researchData = meta.researchData;
+    structuredSources = meta.structuredSources || buildStructuredSources(researchData);
+    budgetUsed = meta.budgetUsed || null;
+    resumedPhases.push('research');
+    console.log(`[pipeline] Step #${step.id}: Resuming — reusing RESEARCH from phase #${resume.research.id} (${researchData.length} sources)`);
+  } else if (!config.skipResearch) {
+    if ((stop = await checkStop(step, config, 'research', phases, resumedPhases))) return stop;
     console.log(`[pipeline] Step #${step.id}: Starting RESEARCH phase (${decompose.searchQueries.length} queries)`);
     const research = await runResearch(step, decompose.searchQueries, userMessage, decompose.subQuestions);
     researchData = research.researchData;
@@ -829,7 +1290,8 @@ async function execute({ step, promptData, userMessage, effectiveTier, config =
         substantiveSources: research.substantiveSources,
         retriesAttempted: research.retriesAttempted,
         structuredSources: research.structuredSources,
-        budgetUsed: research.budgetUsed
+        budgetUsed: research.budgetUsed,
+        researchData // full page content, so a retry can skip research
       }
     });
     phases.push({ name: 'research', durationMs: research.durationMs });
@@ -838,23 +1300,50 @@ async function execute({ step, promptData, userMessage, effectiveTier, config =
   // ──────────────────────────────────────────────
   // PHASE 3: SYNTHESIZE (with budget tracker — v0.11.0)
   // ──────────────────────────────────────────────
-  console.log(`[pipeline] Step #${step.id}: Starting SYNTHESIZE phase (${effectiveTier})`);
-  const synthesize = await runSynthesize(
-    step, promptData, userMessage, researchData,
-    decompose.subQuestions, effectiveTier, budgetUsed
-  );
+  let synthesize;
+  let revised = false;
+  // A deliverable written without research can't stand in when research just ran fresh
+  if (resume.deliverable && (config.skipResearch || resume.research)) {
+    synthesize = {
+      content: resume.deliverable.output_content,
+      toolSources: resume.synthesize?.metadata?.toolSources || []
+    };
+    revised = resume.deliverable.phase_name === 'revise';
+    resumedPhases.push(resume.deliverable.phase_name);
+    console.log(`[pipeline] Step #${step.id}: Resuming — reusing ${resume.deliverable.phase_name.toUpperCase()} output from phase #${resume.deliverable.id}`);
+  } else {
+    if ((stop = await checkStop(step, config, 'synthesize', phases, resumedPhases))) return stop;
+    console.log(`[pipeline] Step #${step.id}: Starting SYNTHESIZE phase (${effectiveTier})`);
+    synthesize = await runSynthesize(
+      step, promptData, userMessage, researchData,
+      decompose.subQuestions, effectiveTier, budgetUsed,
+      { useTools: !config.skipTools }
+    );
+
+    if (synthesize.error) {
+      return { content: null, critiqueScore: null, critiqueLesson: null, revised: false, phases, resumedPhases, error: `Synthesize failed: ${synthesize.error}` };
+    }
 
-  if (synthesize.error) {
-    return { content: null, critiqueScore: null, critiqueLesson: null, revised: false, phases, error: `Synthesize failed: ${synthesize.error}` };
+    const synthesizeMetadata = { revisionRound };
+    if (synthesize.toolCalls > 0) synthesizeMetadata.toolCalls = synthesize.toolCalls;
+    if (synthesize.toolSources.length > 0) synthesizeMetadata.toolSources = synthesize.toolSources;
+
+    await logPhase(step.id, 'synthesize', 3, {
+      content: synthesize.content,
+      modelTier: effectiveTier,
+      tokens: synthesize.tokens,
+      durationMs: synthesize.durationMs,
+      phaseRow: synthesize.phaseRow,
+      metadata: synthesizeMetadata
+    });
+    phases.push({ name: 'synthesize', durationMs: synthesize.durationMs });
   }
 
-  await logPhase(step.id, 'synthesize', 3, {
-    content: synthesize.content,
-    modelTier: effectiveTier,
-    tokens: synthesize.tokens,
-    durationMs: synthesize.durationMs
-  });
-  phases.push({ name: 'synthesize', durationMs: synthesize.durationMs });
+  // Pages fetched mid-synthesis are sources too — revise and citation checks see them
+  if (synthesize.toolSources.length > 0) {
+    researchData = [...researchData, ...synthesize.toolSources];
+    structuredSources = [...structuredSources, ...buildStructuredSources(synthesize.toolSources)];
+  }
 
   // ──────────────────────────────────────────────
   // CITATION VALIDATION (zero LLM cost — string matching)
@@ -873,10 +1362,10 @@ async function execute({ step, promptData, userMessage, effectiveTier, config =
   const MAX_REVISIONS = 2;
   let currentContent = synthesize.content;
   let finalCritique = null;
-  let revised = false;
   let revisionCount = 0;
 
   for (let attempt = 0; attempt <= MAX_REVISIONS; attempt++) {
+    if ((stop = await checkStop(step, config, 'critique', phases, resumedPhases))) return stop;
     console.log(`[pipeline] Step #${step.id}: Starting CRITIQUE phase${attempt > 0 ? ` (post-revision ${attempt})` : ''}`);
     const critique = await runCritique(step, userMessage, currentContent, citationScore);
 
@@ -914,11 +1403,12 @@ async function execute({ step, promptData, userMessage, effectiveTier, config =
     if (!needsRevision || attempt >= MAX_REVISIONS) break;
 
     // ── REVISE ──
+    if ((stop = await checkStop(step, config, 'revise', phases, resumedPhases))) return stop;
     revisionCount++;
     console.log(`[pipeline] Step #${step.id}: Revision ${revisionCount}/${MAX_REVISIONS} — ${anyDimBelowThreshold ? 'dimension below 3.0' : 'average below 3.5'}`);
     const revise = await runRevise(
       step, promptData, userMessage, currentContent,
-      critique, researchData, effectiveTier
+      critique, researchData, effectiveTier, 5 + (attempt * 2)
     );
 
     if (!revise.error && revise.content) {
@@ -929,7 +1419,9 @@ async function execute({ step, promptData, userMessage, effectiveTier, config =
         content: revise.content,
         modelTier: effectiveTier,
         tokens: revise.tokens,
-        durationMs: revise.durationMs
+        durationMs: revise.durationMs,
+        phaseRow: revise.phaseRow,
+        metadata: { revisionRound }
       });
       phases.push({ name: 'revise', durationMs: revise.durationMs });
     } else {
@@ -938,7 +1430,10 @@ async function execute({ step, promptData, userMessage, effectiveTier, config =
     }
   }
 
-  console.log(`[pipeline] Step #${step.id}: Pipeline complete (${phases.length} phases, score: ${finalCritique.overallScore}, revised: ${revised}, revisions: ${revisionCount})`);
+  // Last boundary: don't hand a deliverable to review for a mission Zero just stopped
+  if ((stop = await checkStop(step, config, 'delivery', phases, resumedPhases))) return stop;
+
+  console.log(`[pipeline] Step #${step.id}: Pipeline complete (${phases.length} phases, score: ${finalCritique.overallScore}, revised: ${revised}, revisions: ${revisionCount}${resumedPhases.length > 0 ? `, resumed: ${resumedPhases.join(', ')}` : ''})`);
 
   return {
     content: currentContent,
@@ -946,6 +1441,7 @@ async function execute({ step, promptData, userMessage, effectiveTier, config =
     critiqueLesson: finalCritique.lesson,
     revised,
     phases,
+    resumedPhases,
     error: null
   };
 }
@@ -955,8 +1451,9 @@ async function execute({ step, promptData, userMessage, effectiveTier, config =
 // ============================================================
 
 /**
- * Retrieve the critique phase record for a given step.
+ * Retrieve the latest critique phase record for a given step.
  * Used by worker.js to extract lessons from the critique without an extra LLM call.
+ * WHY latest: revisions and resumed runs leave several critique rows per step.
  *
  * @param {number} missionStepId
  * @returns {Object|null} The critique phase record, or null if not found
@@ -967,6 +1464,8 @@ async function getCritiquePhase(missionStepId) {
     .select()
     .eq('mission_step_id', missionStepId)
     .eq('phase_name', 'critique')
+    .order('id', { ascending: false })
+    .limit(1)
     .maybeSingle();
 
   if (error || !data) return null;
@@ -975,6 +1474,16 @@ async function getCritiquePhase(missionStepId) {
 
 module.exports = {
   execute,
+  determinePipelineConfig,
+  loadResumeState,
   getCritiquePhase,
-  validateSourceCitations
+  validateSourceCitations,
+  findHungPhases,
+  runCritique,
+  buildCritiquePrompt,
+  STREAM_HEARTBEAT_MS,
+  HUNG_PHASE_MS,
+  RESUME_MAX_AGE_MS,
+  CRITIQUE_TIER,
+  CRITIQUE_SYSTEM_PROMPT
 };
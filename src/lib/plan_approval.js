@@ -0,0 +1,280 @@
+// plan_approval.js — Founder review of large decomposition plans
+// WHY: A decomposed project used to start executing the moment its plan existed;
+// the only check was an LLM feasibility review. decomposeProject() now holds large
+// plans as 'pending_approval' and Zero reviews the DAG in Discord:
+//
+//   !plan                          — show the pending plan
+//   !plan approve                  — create the steps (they become pending now)
+//   !plan edit T3 <description>    — rewrite one task
+//   !plan drop T5                  — remove a task (its dependents inherit its deps)
+//   !plan replan <feedback>        — Frasier re-decomposes with the feedback
+//
+// Every change writes a new decomposition_plans revision and supersedes the old
+// one, so the table keeps the full history of what Zero was shown.
+
+const supabase = require('./supabase');
+const missions = require('./missions');
+const events = require('./events');
+const decomposition = require('./decomposition');
+const planEstimates = require('./plan_estimates');
+
+// ============================================================
+// LOOKUP
+// ============================================================
+
+/**
+ * The plan Zero is currently reviewing — for one mission, or the most recent overall.
+ * @param {number} [missionId]
+ * @returns {Object|null} decomposition_plans row
+ */
+async function getPendingPlan(missionId = null) {
+  let query = supabase
+    .from('decomposition_plans')
+    .select('*')
+    .eq('status', 'pending_approval');
+  if (missionId) query = query.eq('mission_id', missionId);
+
+  const { data, error } = await query
+    .order('id', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    console.error('[plan_approval] Failed to load pending plan:', error.message);
+    return null;
+  }
+  return data?.[0] || null;
+}
+
+// ============================================================
+// RENDERING
+// ============================================================
+
+/**
+ * Render a plan row as a Discord message: tasks grouped by parallel group,
+ * role → assigned agent, dependencies, per-task and total estimates, and the commands.
+ */
+function formatPlan(planRow, { missionTitle = null } = {}) {
+  const plan = planRow.plan_json;
+  const agentMap = planRow.agent_map || {};
+  const title = missionTitle ? ` — ${missionTitle}` : '';
+  const taskEstimates = Object.fromEntries((planRow.estimate?.tasks || []).map(t => [t.taskId, t]));
+
+  const lines = [`**Plan for mission #${planRow.mission_id}${title}** (revision ${planRow.revision || 1}, awaiting approval)`];
+  if (planRow.revision_note) lines.push(`*Changed: ${planRow.revision_note}*`);
+
+  const groups = [...new Set(plan.tasks.map(t => t.parallel_group || 1))].sort((a, b) => a - b);
+  for (const group of groups) {
+    const tasks = plan.tasks.filter(t => (t.parallel_group || 1) === group);
+    lines.push(`\n__Group ${group}__${tasks.length > 1 ? ' (parallel)' : ''}`);
+    for (const task of tasks) {
+      const agent = agentMap[task.required_role];
+      const who = agent ? agent.name : 'unassigned — will hire';
+      const after = task.depends_on?.length ? ` ← ${task.depends_on.join(', ')}` : '';
+      const est = taskEstimates[task.id] ? ` · ${planEstimates.formatEstimate(taskEstimates[task.id])}` : '';
+      lines.push(`\`${task.id}\` ${task.required_role} → ${who}${after}${est}\n    ${task.description}`);
+    }
+  }
+
+  const cost = planRow.estimated_cost_usd !== null && planRow.estimated_cost_usd !== undefined
+    ? ` · est. ~$${Number(planRow.estimated_cost_usd).toFixed(2)}`
+    : '';
+  const duration = planRow.estimate ? ` · ~${planEstimates.formatDuration(planRow.estimate.totalDurationMs)}` : '';
+  lines.push(`\n${plan.tasks.length} tasks · ${groups.length} group(s)${plan.end_state ? ` · ${plan.end_state}` : ''}${cost}${duration}`);
+  if (planRow.estimate) lines.push(`*Estimate: ${planEstimates.describeBasis(planRow.estimate)}*`);
+  lines.push('`!plan approve` · `!plan edit <task> <description>` · `!plan drop <task>` · `!plan replan <feedback>`');
+
+  return lines.join('\n');
+}
+
+// ============================================================
+// REVISIONS
+// ============================================================
+
+/**
+ * Supersede planRow with a new pending revision holding newPlan.
+ * The supersede is conditional on the row still pending, so two edits racing
+ * (or an edit racing an approve) can't both win.
+ *
+ * @returns {{ plan: Object|null, error: string|null }}
+ */
+async function createRevision(planRow, newPlan, note) {
+  const { data: superseded, error: supersedeErr } = await supabase
+    .from('decomposition_plans')
+    .update({ status: 'superseded', updated_at: new Date().toISOString() })
+    .eq('id', planRow.id)
+    .eq('status', 'pending_approval')
+    .select()
+    .maybeSingle();
+
+  if (supersedeErr || !superseded) {
+    return { plan: null, error: `Plan #${planRow.id} is no longer awaiting approval.` };
+  }
+
+  const parallelGroups = [...new Set(newPlan.tasks.map(t => t.parallel_group))].length;
+  const estimate = await planEstimates.estimatePlan(newPlan);
+  const { data: revision, error } = await supabase
+    .from('decomposition_plans')
+    .insert({
+      project_id: planRow.project_id,
+      mission_id: planRow.mission_id,
+      plan_json: newPlan,
+      task_count: newPlan.tasks.length,
+      parallel_groups: parallelGroups,
+      estimated_phases: parallelGroups,
+      end_state: newPlan.end_state,
+      decomposed_by: planRow.decomposed_by,
+      approach_memory_used: planRow.approach_memory_used,
+      refinement_count: (planRow.refinement_count || 0) + 1,
+      status: 'pending_approval',
+      revision: (planRow.revision || 1) + 1,
+      parent_plan_id: planRow.id,
+      revision_note: note,
+      agent_map: await decomposition.buildAgentMap(newPlan),
+      estimate,
+      estimated_cost_usd: estimate.totalCostUsd,
+      estimated_duration_ms: estimate.totalDurationMs,
+      planner_agent_id: planRow.planner_agent_id
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error(`[plan_approval] Failed to save revision of plan #${planRow.id}:`, error.message);
+    return { plan: null, error: error.message };
+  }
+
+  await events.logEvent({
+    eventType: 'plan_revised',
+    severity: 'info',
+    description: `Plan for mission #${planRow.mission_id} revised (revision ${revision.revision}): ${note}`,
+    data: { missionId: planRow.mission_id, planId: revision.id, parentPlanId: planRow.id, note }
+  });
+
+  return { plan: revision, error: null };
+}
+
+function findTask(plan, taskId) {
+  const id = String(taskId || '').toUpperCase();
+  return plan.tasks.find(t => String(t.id).toUpperCase() === id) || null;
+}
+
+/**
+ * Replace one task's description.
+ * @returns {{ plan: Object|null, error: string|null }}
+ */
+async function editTask(planRow, taskId, description) {
+  const task = findTask(planRow.plan_json, taskId);
+  if (!task) return { plan: null, error: `No task ${taskId} in this plan.` };
+  if (!description || !description.trim()) return { plan: null, error: `Give the new description for ${task.id}.` };
+
+  const newPlan = {
+    ...planRow.plan_json,
+    tasks: planRow.plan_json.tasks.map(t => (t.id === task.id ? { ...t, description: description.trim() } : t))
+  };
+  return createRevision(planRow, newPlan, `edit ${task.id}`);
+}
+
+/**
+ * Remove one task. Tasks that waited on it wait on its dependencies instead,
+ * so the ordering the planner intended still holds.
+ * @returns {{ plan: Object|null, error: string|null }}
+ */
+async function dropTask(planRow, taskId) {
+  const plan = planRow.plan_json;
+  const task = findTask(plan, taskId);
+  if (!task) return { plan: null, error: `No task ${taskId} in this plan.` };
+  if (plan.tasks.length === 1) return { plan: null, error: 'Can\'t drop the only task — use `!cancel mission` instead.' };
+
+  const inherited = task.depends_on || [];
+  const newPlan = {
+    ...plan,
+    tasks: plan.tasks
+      .filter(t => t.id !== task.id)
+      .map(t => {
+        if (!(t.depends_on || []).includes(task.id)) return t;
+        const deps = t.depends_on.filter(d => d !== task.id);
+        return { ...t, depends_on: [...new Set([...deps, ...inherited])] };
+      })
+  };
+  return createRevision(planRow, newPlan, `drop ${task.id}`);
+}
+
+/**
+ * Ask Frasier for a new plan that addresses Zero's feedback.
+ * @returns {{ plan: Object|null, issues: Array, error: string|null }}
+ */
+async function replan(planRow, feedback) {
+  if (!feedback || !feedback.trim()) return { plan: null, issues: [], error: 'Say what should change: `!plan replan <feedback>`' };
+
+  const mission = await missions.getMission(planRow.mission_id);
+
+  const result = await decomposition.replanProject({
+    directive: mission?.description || '',
+    previousPlan: planRow.plan_json,
+    feedback: feedback.trim(),
+    frasierAgentId: planRow.planner_agent_id
+  });
+  if (result.error) return { plan: null, issues: [], error: result.error };
+
+  const revision = await createRevision(planRow, result.plan, `replan: ${feedback.trim().substring(0, 200)}`);
+  return { ...revision, issues: result.issues };
+}
+
+// ============================================================
+// APPROVAL
+// ============================================================
+
+/**
+ * Approve a pending plan: hire for missing roles, then create its steps.
+ * Steps only exist (and become pending for the worker) from this point.
+ *
+ * @returns {{ plan: Object|null, stepCount: number, error: string|null }}
+ */
+async function approvePlan(planRow) {
+  const mission = await missions.getMission(planRow.mission_id);
+  if (!mission) return { plan: null, stepCount: 0, error: `Mission #${planRow.mission_id} not found.` };
+  if (mission.status !== 'in_progress') {
+    return { plan: null, stepCount: 0, error: `Mission #${mission.id} is ${mission.status} — nothing to approve.` };
+  }
+
+  // Claim the approval first — a double !plan approve must not create the steps twice
+  const { data: approved, error } = await supabase
+    .from('decomposition_plans')
+    .update({ status: 'active', approved_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq('id', planRow.id)
+    .eq('status', 'pending_approval')
+    .select()
+    .maybeSingle();
+
+  if (error || !approved) {
+    return { plan: null, stepCount: 0, error: `Plan #${planRow.id} is no longer awaiting approval.` };
+  }
+
+  const plan = planRow.plan_json;
+  await decomposition.hirePlanRoles(plan);
+  const { stepCount } = await decomposition.activatePlan({
+    missionId: mission.id,
+    plan,
+    directive: mission.description || '',
+    frasierAgentId: planRow.planner_agent_id
+  });
+
+  await events.logEvent({
+    eventType: 'plan_approved',
+    severity: 'info',
+    description: `Plan for mission #${mission.id} approved (revision ${planRow.revision || 1}, ${stepCount} steps)`,
+    data: { missionId: mission.id, planId: planRow.id, revision: planRow.revision || 1, stepCount }
+  });
+
+  return { plan: approved, stepCount, error: null };
+}
+
+module.exports = {
+  getPendingPlan,
+  formatPlan,
+  createRevision,
+  editTask,
+  dropTask,
+  replan,
+  approvePlan
+};
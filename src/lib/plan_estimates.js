@@ -0,0 +1,515 @@
+// plan_estimates.js — Cost/time forecasts for decomposition plans
+// WHY: Zero approved plans knowing the tasks and the end state but not what they
+// would cost or how long they would take. Every completed step already leaves a
+// trail — model_usage (cost, response time) and pipeline_phases (phase durations) —
+// so the forecast comes from what similar steps actually cost.
+//
+// Forecast, per task (most specific bucket with enough history wins):
+//   role + tier + pipeline config → role + tier → tier → all steps → rough default
+// Total time is the critical path through the DAG (parallel groups overlap).
+//
+// When the mission completes, the heartbeat writes the actuals next to the
+// estimate (compareCompletedMissions) and logs how far off the forecast was.
+
+const supabase = require('./supabase');
+const models = require('./models');
+const events = require('./events');
+const pipeline = require('./pipeline');
+
+// How far back history reaches, and how much of it is read per estimate
+const HISTORY_DAYS = 90;
+const HISTORY_STEP_LIMIT = 500;
+
+// A bucket needs this many past steps before it is trusted over a broader one
+const MIN_SAMPLES = 3;
+
+// Decomposed steps are created at tier2 (decomposition.createStepsFromPlan)
+const PLAN_STEP_TIER = 'tier2';
+
+// No history at all: rough size of one step through the deep work pipeline
+// (decompose + synthesize + critique, mostly at the step's tier)
+const ROUGH_STEP_TOKENS = { input: 8000, output: 3000 };
+const DEFAULT_STEP_DURATION_MS = 4 * 60 * 1000;
+
+// Actual spend at or above this multiple of the estimate is logged as a warning
+const OVERRUN_RATIO = 1.5;
+
+// Completed missions older than this are not compared (heartbeat was down, pre-019 plans)
+const COMPARE_WINDOW_DAYS = 7;
+
+// ============================================================
+// HISTORY
+// ============================================================
+
+/**
+ * Name the pipeline config a step runs with (pipeline.determinePipelineConfig).
+ * @returns {'single_shot'|'no_research'|'full'}
+ */
+function pipelineConfigKey(config) {
+  if (config?.skipPipeline) return 'single_shot';
+  if (config?.skipResearch) return 'no_research';
+  return 'full';
+}
+
+function sumBy(rows, field) {
+  return rows.reduce((sum, r) => sum + (Number(r[field]) || 0), 0);
+}
+
+function groupByStep(rows) {
+  const byStep = {};
+  for (const row of rows || []) {
+    (byStep[row.mission_step_id] = byStep[row.mission_step_id] || []).push(row);
+  }
+  return byStep;
+}
+
+/**
+ * Cost and working time of each step: spend is the sum of its model_usage rows,
+ * time is the sum of its pipeline phase durations (or of its LLM response times
+ * for single-shot steps, which log no phases).
+ *
+ * @param {number[]} stepIds
+ * @returns {Object} stepId → { costUsd, durationMs } (steps with no usage are left out)
+ */
+async function loadStepCosts(stepIds) {
+  if (stepIds.length === 0) return {};
+
+  const { data: usage, error: usageErr } = await supabase
+    .from('model_usage')
+    .select('mission_step_id, estimated_cost_usd, response_time_ms')
+    .in('mission_step_id', stepIds);
+
+  if (usageErr) {
+    console.error('[plan_estimates] Failed to load model usage:', usageErr.message);
+    return {};
+  }
+
+  const { data: phases, error: phaseErr } = await supabase
+    .from('pipeline_phases')
+    .select('mission_step_id, duration_ms')
+    .in('mission_step_id', stepIds);
+
+  if (phaseErr) console.error('[plan_estimates] Failed to load pipeline phases:', phaseErr.message);
+
+  const usageByStep = groupByStep(usage);
+  const phasesByStep = groupByStep(phases);
+
+  const costs = {};
+  for (const [stepId, rows] of Object.entries(usageByStep)) {
+    const phaseMs = sumBy(phasesByStep[stepId] || [], 'duration_ms');
+    costs[stepId] = {
+      costUsd: sumBy(rows, 'estimated_cost_usd'),
+      durationMs: phaseMs > 0 ? phaseMs : sumBy(rows, 'response_time_ms')
+    };
+  }
+  return costs;
+}
+
+/**
+ * Recently completed steps with what they cost and how long they ran.
+ *
+ * @param {Object} [params]
+ * @param {number} [params.days]
+ * @param {number} [params.limit]
+ * @returns {Array} [{ stepId, role, tier, config, costUsd, durationMs }]
+ */
+async function loadHistory({ days = HISTORY_DAYS, limit = HISTORY_STEP_LIMIT } = {}) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  const { data: steps, error } = await supabase
+    .from('mission_steps')
+    .select('id, description, required_role, model_tier, completed_at')
+    .eq('status', 'completed')
+    .gte('completed_at', since)
+    .order('completed_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    console.error('[plan_estimates] Failed to load step history:', error.message);
+    return [];
+  }
+  if (!steps || steps.length === 0) return [];
+
+  const costs = await loadStepCosts(steps.map(s => s.id));
+
+  return steps
+    .filter(s => costs[s.id])
+    .map(s => ({
+      stepId: s.id,
+      role: s.required_role || null,
+      tier: s.model_tier || PLAN_STEP_TIER,
+      config: pipelineConfigKey(pipeline.determinePipelineConfig(s, s.required_role)),
+      ...costs[s.id]
+    }));
+}
+
+// ============================================================
+// BASELINE
+// ============================================================
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function bucketKeys({ role, tier, config }) {
+  const keys = [];
+  if (role) {
+    keys.push({ key: `${role}|${tier}|${config}`, basis: 'role+tier+config' });
+    keys.push({ key: `${role}|${tier}`, basis: 'role+tier' });
+  }
+  keys.push({ key: `tier:${tier}`, basis: 'tier' });
+  keys.push({ key: 'all', basis: 'all' });
+  return keys;
+}
+
+/**
+ * Median cost and duration per bucket.
+ * WHY median: one step stuck in a revision loop shouldn't inflate every forecast.
+ *
+ * @param {Array} samples - From loadHistory()
+ * @returns {Object} key → { n, costUsd, durationMs }
+ */
+function buildBaseline(samples) {
+  const grouped = {};
+  for (const sample of samples) {
+    for (const { key } of bucketKeys(sample)) {
+      (grouped[key] = grouped[key] || []).push(sample);
+    }
+  }
+
+  const baseline = {};
+  for (const [key, rows] of Object.entries(grouped)) {
+    baseline[key] = {
+      n: rows.length,
+      costUsd: median(rows.map(r => r.costUsd)),
+      durationMs: median(rows.map(r => r.durationMs))
+    };
+  }
+  return baseline;
+}
+
+// ============================================================
+// ESTIMATION
+// ============================================================
+
+/**
+ * Rough USD cost of one step at a tier's pricing.
+ * Returns null when the tier has no pricing (self-hosted or mocked models).
+ */
+function defaultStepCost(tier) {
+  const pricing = models.MODELS?.[tier];
+  if (!pricing || !Number.isFinite(pricing.costPer1kInput) || !Number.isFinite(pricing.costPer1kOutput)) return null;
+
+  return (ROUGH_STEP_TOKENS.input / 1000) * pricing.costPer1kInput +
+    (ROUGH_STEP_TOKENS.output / 1000) * pricing.costPer1kOutput;
+}
+
+function roundCost(usd) {
+  return usd === null ? null : Math.round(usd * 10000) / 10000;
+}
+
+/**
+ * Forecast one plan task from the most specific bucket with MIN_SAMPLES steps.
+ * @returns {{ taskId, role, tier, config, costUsd, durationMs, basis, samples }}
+ */
+function estimateTask(task, baseline) {
+  const role = task.required_role || null;
+  const tier = PLAN_STEP_TIER;
+  const config = pipelineConfigKey(pipeline.determinePipelineConfig(task, role));
+
+  const match = bucketKeys({ role, tier, config })
+    .find(({ key }) => baseline[key] && baseline[key].n >= MIN_SAMPLES);
+
+  if (!match) {
+    return {
+      taskId: task.id, role, tier, config,
+      costUsd: roundCost(defaultStepCost(tier)),
+      durationMs: DEFAULT_STEP_DURATION_MS,
+      basis: 'default',
+      samples: 0
+    };
+  }
+
+  const bucket = baseline[match.key];
+  return {
+    taskId: task.id, role, tier, config,
+    costUsd: roundCost(bucket.costUsd),
+    durationMs: Math.round(bucket.durationMs),
+    basis: match.basis,
+    samples: bucket.n
+  };
+}
+
+/**
+ * Longest chain of durations through the dependency graph.
+ * @param {Array} nodes - [{ id, dependsOn: [...] }]
+ * @param {Object} durations - id → ms
+ */
+function criticalPathMs(nodes, durations) {
+  const byId = Object.fromEntries(nodes.map(n => [String(n.id), n]));
+  const finish = {};
+
+  const visit = (id, seen) => {
+    if (finish[id] !== undefined) return finish[id];
+    const node = byId[id];
+    if (!node || seen.has(id)) return 0;  // unknown dep or cycle — plans are validated, but don't hang
+    seen.add(id);
+    const start = Math.max(0, ...(node.dependsOn || []).map(dep => visit(String(dep), seen)));
+    finish[id] = start + (durations[id] || 0);
+    return finish[id];
+  };
+
+  return Math.max(0, ...nodes.map(n => visit(String(n.id), new Set())));
+}
+
+/**
+ * Per-task and total cost/time forecast for a plan.
+ *
+ * @param {Object} plan - { tasks: [...] }
+ * @param {Object} [options]
+ * @param {Array} [options.history] - Samples from loadHistory(); loaded when omitted
+ * @returns {{ tasks: Array, totalCostUsd: number|null, totalDurationMs: number, workDurationMs: number, historySteps: number, generatedAt: string }}
+ */
+async function estimatePlan(plan, { history = null } = {}) {
+  const samples = history || await loadHistory();
+  const baseline = buildBaseline(samples);
+
+  const tasks = plan.tasks.map(task => estimateTask(task, baseline));
+  const durations = Object.fromEntries(tasks.map(t => [String(t.taskId), t.durationMs]));
+
+  return {
+    tasks,
+    // One unpriced task makes the total unknown rather than wrong
+    totalCostUsd: tasks.some(t => t.costUsd === null) ? null : roundCost(sumBy(tasks, 'costUsd')),
+    totalDurationMs: criticalPathMs(plan.tasks.map(t => ({ id: t.id, dependsOn: t.depends_on })), durations),
+    workDurationMs: sumBy(tasks, 'durationMs'),
+    historySteps: samples.length,
+    generatedAt: new Date().toISOString()
+  };
+}
+
+// ============================================================
+// FORMATTING
+// ============================================================
+
+function formatDuration(ms) {
+  const minutes = Math.round((ms || 0) / 60000);
+  if (minutes < 1) return '<1m';
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+function formatCost(usd) {
+  return usd === null || usd === undefined ? null : `$${Number(usd).toFixed(2)}`;
+}
+
+/**
+ * "~$0.34 · ~12m" for one task or a whole estimate.
+ */
+function formatEstimate({ costUsd, durationMs }) {
+  const cost = formatCost(costUsd);
+  return [cost && `~${cost}`, `~${formatDuration(durationMs)}`].filter(Boolean).join(' · ');
+}
+
+/**
+ * Where the numbers came from, for the plan footer.
+ */
+function describeBasis(estimate) {
+  const fromHistory = (estimate?.tasks || []).filter(t => t.basis !== 'default').length;
+  if (fromHistory === 0) return 'rough guess — no step history yet';
+  return `${fromHistory}/${estimate.tasks.length} task(s) from ${estimate.historySteps} past step(s)`;
+}
+
+// ============================================================
+// ACTUALS (heartbeat, on mission completion)
+// ============================================================
+
+/**
+ * What a mission's steps actually cost and how long they ran, per plan task,
+ * with the critical path taken over the real step dependencies.
+ *
+ * @returns {{ tasks: Array, totalCostUsd, totalDurationMs, workDurationMs, wallClockMs }|null}
+ */
+async function loadActuals(missionId) {
+  const { data: steps, error } = await supabase
+    .from('mission_steps')
+    .select('id, plan_task_id, status')
+    .eq('mission_id', missionId);
+
+  if (error || !steps) {
+    if (error) console.error(`[plan_estimates] Failed to load steps for mission #${missionId}:`, error.message);
+    return null;
+  }
+
+  const stepIds = steps.map(s => s.id);
+  const costs = await loadStepCosts(stepIds);
+
+  const { data: deps } = stepIds.length > 0
+    ? await supabase.from('step_dependencies').select('step_id, depends_on_step_id').in('step_id', stepIds)
+    : { data: [] };
+
+  const tasks = steps.map(s => ({
+    taskId: s.plan_task_id || null,
+    stepId: s.id,
+    costUsd: roundCost(costs[s.id]?.costUsd || 0),
+    durationMs: costs[s.id]?.durationMs || 0
+  }));
+
+  const nodes = steps.map(s => ({
+    id: s.id,
+    dependsOn: (deps || []).filter(d => d.step_id === s.id).map(d => d.depends_on_step_id)
+  }));
+  const durations = Object.fromEntries(tasks.map(t => [String(t.stepId), t.durationMs]));
+
+  const { data: mission } = await supabase
+    .from('missions')
+    .select('created_at, completed_at')
+    .eq('id', missionId)
+    .maybeSingle();
+  const { created_at: createdAt, completed_at: completedAt } = mission || {};
+
+  return {
+    tasks,
+    totalCostUsd: roundCost(sumBy(tasks, 'costUsd')),
+    totalDurationMs: criticalPathMs(nodes, durations),
+    workDurationMs: sumBy(tasks, 'durationMs'),
+    wallClockMs: createdAt && completedAt ? new Date(completedAt) - new Date(createdAt) : null
+  };
+}
+
+function ratio(actual, estimated) {
+  return estimated ? Math.round((actual / estimated) * 100) / 100 : null;
+}
+
+/**
+ * Line up actuals against the estimate, overall and per plan task.
+ */
+function compareToEstimate(estimate, actuals) {
+  const actualByTask = Object.fromEntries(actuals.tasks.filter(t => t.taskId).map(t => [t.taskId, t]));
+
+  return {
+    costRatio: ratio(actuals.totalCostUsd, estimate.totalCostUsd),
+    durationRatio: ratio(actuals.totalDurationMs, estimate.totalDurationMs),
+    tasks: estimate.tasks.map(t => ({
+      taskId: t.taskId,
+      estimatedCostUsd: t.costUsd,
+      actualCostUsd: actualByTask[t.taskId]?.costUsd ?? null,
+      estimatedDurationMs: t.durationMs,
+      actualDurationMs: actualByTask[t.taskId]?.durationMs ?? null
+    }))
+  };
+}
+
+/**
+ * Record actuals on a completed mission's active plan and log the comparison.
+ * No-op for plans without an estimate or whose actuals are already recorded.
+ *
+ * @param {Object} planRow - decomposition_plans row
+ * @returns {{ actuals: Object, comparison: Object }|null}
+ */
+async function recordPlanActuals(planRow) {
+  if (!planRow?.estimate || planRow.actuals_recorded_at) return null;
+
+  const actuals = await loadActuals(planRow.mission_id);
+  if (!actuals) return null;
+
+  const estimate = planRow.estimate;
+  const comparison = compareToEstimate(estimate, actuals);
+
+  const { error } = await supabase
+    .from('decomposition_plans')
+    .update({ actuals: { ...actuals, comparison }, actuals_recorded_at: new Date().toISOString() })
+    .eq('id', planRow.id);
+
+  if (error) {
+    console.error(`[plan_estimates] Failed to save actuals for plan #${planRow.id}:`, error.message);
+    return null;
+  }
+
+  const overrun = comparison.costRatio !== null && comparison.costRatio >= OVERRUN_RATIO;
+  const costText = estimate.totalCostUsd !== null
+    ? `${formatCost(actuals.totalCostUsd)} vs ~${formatCost(estimate.totalCostUsd)} estimated${comparison.costRatio !== null ? ` (${comparison.costRatio}×)` : ''}`
+    : `${formatCost(actuals.totalCostUsd)} (no cost estimate)`;
+
+  await events.logEvent({
+    eventType: 'plan_estimate_compared',
+    severity: overrun ? 'warning' : 'info',
+    description: `Mission #${planRow.mission_id} finished at ${costText}, ${formatDuration(actuals.totalDurationMs)} vs ~${formatDuration(estimate.totalDurationMs)} of pipeline time`,
+    data: {
+      missionId: planRow.mission_id,
+      planId: planRow.id,
+      estimatedCostUsd: estimate.totalCostUsd,
+      actualCostUsd: actuals.totalCostUsd,
+      costRatio: comparison.costRatio,
+      estimatedDurationMs: estimate.totalDurationMs,
+      actualDurationMs: actuals.totalDurationMs,
+      durationRatio: comparison.durationRatio,
+      wallClockMs: actuals.wallClockMs
+    }
+  });
+
+  console.log(`[plan_estimates] Mission #${planRow.mission_id}: ${costText}`);
+  return { actuals, comparison };
+}
+
+/**
+ * Heartbeat sweep: compare actuals for recently completed missions whose plan
+ * hasn't been compared yet. Missions complete in the worker as often as in the
+ * heartbeat, so this looks at completed missions rather than hooking completion.
+ *
+ * @returns {number} Plans compared this pass
+ */
+async function compareCompletedMissions({ windowDays = COMPARE_WINDOW_DAYS } = {}) {
+  const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000).toISOString();
+
+  const { data: completed, error } = await supabase
+    .from('missions')
+    .select('id')
+    .eq('status', 'completed')
+    .gte('completed_at', since);
+
+  if (error) {
+    console.error('[plan_estimates] Failed to load completed missions:', error.message);
+    return 0;
+  }
+  if (!completed || completed.length === 0) return 0;
+
+  const { data: plans, error: planErr } = await supabase
+    .from('decomposition_plans')
+    .select('*')
+    .eq('status', 'active')
+    .is('actuals_recorded_at', null)
+    .in('mission_id', completed.map(m => m.id));
+
+  if (planErr) {
+    console.error('[plan_estimates] Failed to load plans awaiting actuals:', planErr.message);
+    return 0;
+  }
+
+  let compared = 0;
+  for (const planRow of plans || []) {
+    if (await recordPlanActuals(planRow)) compared++;
+  }
+  return compared;
+}
+
+module.exports = {
+  loadHistory,
+  buildBaseline,
+  estimateTask,
+  estimatePlan,
+  criticalPathMs,
+  pipelineConfigKey,
+  formatDuration,
+  formatEstimate,
+  describeBasis,
+  loadActuals,
+  compareToEstimate,
+  recordPlanActuals,
+  compareCompletedMissions,
+  MIN_SAMPLES,
+  OVERRUN_RATIO,
+  DEFAULT_STEP_DURATION_MS
+};
@@ -0,0 +1,444 @@
+// rate_limit.js — Shared rate limiting, retry-with-backoff and circuit breaking
+// WHY: Every outbound API client (LLM providers, Brave, Linear, Notion, Buffer,
+// GitHub) called fetch() directly. Nothing honored HTTP 429 / Retry-After, Brave's
+// 1 req/sec free tier was ignored, and a provider outage meant every step hammered
+// it until its own timeout. All clients now go through rateLimitedFetch(service, ...).
+//
+// Per service:
+//   - Token bucket (ratePerSec + burst) and a max-concurrency cap, both local
+//   - Retry on retryable statuses with Retry-After or jittered exponential backoff
+//   - A 429 pauses the WHOLE service (not just the caller) until the server says go
+//   - Circuit breaker: N consecutive failures → open (fail fast) → half-open trial
+//
+// Throttles and breaker transitions are reported through events.logEvent.
+//
+// WHY limits are split per process: limiter state lives in memory, so every PM2
+// process (discord_bot, heartbeat and WORKER_INSTANCES workers) keeps its own
+// buckets while they all share one API key per provider. SERVICE_DEFAULTS are the
+// providers' account-wide limits; each process takes an even share of ratePerSec
+// and burst (RATE_LIMIT_PROCESSES, default WORKER_INSTANCES + 2). A 429 still
+// pauses only the process that got it. configureService() overrides are per process.
+//
+// WHY LLM providers only retry 429: callLLM() already has a T3→T2→T1 fallback
+// chain for 5xx/network failures. Retrying here too would multiply the latency.
+
+const events = require('./events');
+const dryRun = require('./dry_run');
+
+// ============================================================
+// SERVICE DEFAULTS
+// ============================================================
+
+const BASE_DEFAULTS = {
+  ratePerSec: 5,
+  burst: 5,
+  maxConcurrent: 4,
+  maxRetries: 3,
+  retryStatuses: [429, 502, 503, 504],
+  retryNetworkErrors: true,
+  baseDelayMs: 500,
+  maxDelayMs: 30000,
+  failureThreshold: 5,
+  cooldownMs: 60000
+};
+
+const LLM_DEFAULTS = {
+  ratePerSec: 5,
+  burst: 10,
+  maxConcurrent: 4,
+  maxRetries: 2,
+  retryStatuses: [429],
+  retryNetworkErrors: false
+};
+
+const SERVICE_DEFAULTS = {
+  openrouter: LLM_DEFAULTS,
+  anthropic: LLM_DEFAULTS,
+  openai: LLM_DEFAULTS,
+  local: { ...LLM_DEFAULTS, ratePerSec: 50, burst: 50, maxConcurrent: 2 },
+  brave: { ratePerSec: 1, burst: 1, maxConcurrent: 1, maxRetries: 2 },   // Free tier: 1 req/sec per key
+  linear: { ratePerSec: 0.4, burst: 60, maxConcurrent: 2 },              // 1,500 req/hour per key
+  notion: { ratePerSec: 3, burst: 3, maxConcurrent: 2 },                 // Documented average: 3 req/sec
+  buffer: { ratePerSec: 1, burst: 5, maxConcurrent: 1 },                 // 60 req/min per token
+  github: { ratePerSec: 1, burst: 10, maxConcurrent: 2 }                 // 5,000 req/hour per token
+};
+
+// How often a caller re-checks for a free concurrency slot
+const CONCURRENCY_POLL_MS = 50;
+
+const overrides = {};
+const states = new Map();
+
+/**
+ * Processes sharing each API key: the bot, heartbeat and the worker instances.
+ */
+function getProcessCount() {
+  const explicit = parseInt(process.env.RATE_LIMIT_PROCESSES || '', 10);
+  if (explicit > 0) return explicit;
+  return Math.max(1, parseInt(process.env.WORKER_INSTANCES || '1', 10) || 1) + 2;
+}
+
+/**
+ * This process's share of a service's account-wide default limits.
+ */
+function processShare(defaults) {
+  const processes = getProcessCount();
+  const share = { ...defaults };
+  if (defaults.ratePerSec != null) share.ratePerSec = defaults.ratePerSec / processes;
+  if (defaults.burst != null) share.burst = Math.max(1, Math.floor(defaults.burst / processes));
+  return share;
+}
+
+/**
+ * Effective config for a service (base → this process's share of the service
+ * default → runtime override).
+ */
+function getServiceConfig(service) {
+  return { ...processShare({ ...BASE_DEFAULTS, ...(SERVICE_DEFAULTS[service] || {}) }), ...(overrides[service] || {}) };
+}
+
+/**
+ * Override limits for a service at runtime (e.g. a paid Brave plan, or tests).
+ */
+function configureService(service, config) {
+  overrides[service] = { ...(overrides[service] || {}), ...config };
+  states.delete(service); // rebuild the bucket with the new burst size
+}
+
+function getState(service) {
+  if (!states.has(service)) {
+    const config = getServiceConfig(service);
+    states.set(service, {
+      tokens: config.burst,
+      lastRefill: Date.now(),
+      inFlight: 0,
+      pausedUntil: 0,
+      consecutiveFailures: 0,
+      circuit: 'closed',   // closed | open | half_open
+      openedAt: null,
+      trialInFlight: false // half_open: the one request allowed through hasn't settled
+    });
+  }
+  return states.get(service);
+}
+
+/**
+ * Snapshot of a service's limiter state (for health checks and tests).
+ */
+function getServiceState(service) {
+  const state = getState(service);
+  return {
+    circuit: state.circuit,
+    consecutiveFailures: state.consecutiveFailures,
+    inFlight: state.inFlight,
+    tokens: state.tokens,
+    pausedUntil: state.pausedUntil || null,
+    trialInFlight: state.trialInFlight
+  };
+}
+
+/**
+ * Drop all limiter state and overrides. Tests use this between cases.
+ */
+function resetLimiters() {
+  states.clear();
+  for (const key of Object.keys(overrides)) delete overrides[key];
+}
+
+// ============================================================
+// TOKEN BUCKET
+// ============================================================
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function refill(state, config) {
+  const now = Date.now();
+  const elapsedSec = (now - state.lastRefill) / 1000;
+  state.tokens = Math.min(config.burst, state.tokens + elapsedSec * config.ratePerSec);
+  state.lastRefill = now;
+}
+
+/**
+ * Wait for a token AND a concurrency slot. Honors a service-wide 429 pause.
+ */
+async function acquire(service, config) {
+  const state = getState(service);
+  for (;;) {
+    const now = Date.now();
+    if (state.pausedUntil > now) {
+      await sleep(state.pausedUntil - now);
+      continue;
+    }
+
+    refill(state, config);
+    if (state.tokens >= 1 && state.inFlight < config.maxConcurrent) {
+      state.tokens -= 1;
+      state.inFlight++;
+      return;
+    }
+
+    const waitMs = state.tokens >= 1
+      ? CONCURRENCY_POLL_MS
+      : Math.ceil(((1 - state.tokens) / config.ratePerSec) * 1000);
+    await sleep(waitMs);
+  }
+}
+
+function release(service) {
+  const state = getState(service);
+  state.inFlight = Math.max(0, state.inFlight - 1);
+}
+
+// ============================================================
+// BACKOFF
+// ============================================================
+
+/**
+ * Parse Retry-After (seconds or HTTP date) or GitHub-style x-ratelimit-reset.
+ * @returns {number|null} Milliseconds to wait, or null if the server didn't say
+ */
+function parseRetryAfter(response) {
+  const headers = response && response.headers;
+  if (!headers || typeof headers.get !== 'function') return null;
+
+  const retryAfter = headers.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+
+  if (headers.get('x-ratelimit-remaining') === '0') {
+    const reset = Number(headers.get('x-ratelimit-reset'));
+    if (reset) return Math.max(0, reset * 1000 - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Exponential backoff with full jitter: random in [0, base * 2^attempt], capped.
+ */
+function computeBackoffMs(attempt, config, random = Math.random) {
+  const ceiling = Math.min(config.maxDelayMs, config.baseDelayMs * 2 ** attempt);
+  return Math.round(random() * ceiling);
+}
+
+/**
+ * GitHub signals exhausted quota with 403 + x-ratelimit-remaining: 0, not 429.
+ */
+function isThrottled(response) {
+  if (response.status === 429) return true;
+  return response.status === 403 && response.headers?.get?.('x-ratelimit-remaining') === '0';
+}
+
+// ============================================================
+// CIRCUIT BREAKER
+// ============================================================
+
+/**
+ * Throws while the circuit is open, and while a half-open trial is in flight.
+ * @returns {boolean} true if this caller is the half-open trial
+ */
+function checkCircuit(service, config) {
+  const state = getState(service);
+  if (state.circuit === 'closed') return false;
+
+  if (state.circuit === 'open') {
+    const remainingMs = state.openedAt + config.cooldownMs - Date.now();
+    if (remainingMs > 0) {
+      throw new Error(`Circuit open for ${service} — retry in ${Math.ceil(remainingMs / 1000)}s`);
+    }
+    state.circuit = 'half_open';
+  }
+
+  // Half-open: let one trial request through; everyone else fails fast until it settles
+  if (state.trialInFlight) {
+    throw new Error(`Circuit half-open for ${service} — waiting on a trial request`);
+  }
+  state.trialInFlight = true;
+  return true;
+}
+
+function recordSuccess(service) {
+  const state = getState(service);
+  const wasOpen = state.circuit !== 'closed';
+  state.consecutiveFailures = 0;
+  state.circuit = 'closed';
+  state.openedAt = null;
+  if (wasOpen) {
+    console.log(`[rate_limit] Circuit closed for ${service}`);
+    report('circuit_closed', 'info', `${service} recovered — circuit closed`, { service });
+  }
+}
+
+function recordFailure(service, config, reason) {
+  const state = getState(service);
+  state.consecutiveFailures++;
+
+  const shouldOpen = state.circuit === 'half_open' || state.consecutiveFailures >= config.failureThreshold;
+  if (shouldOpen && state.circuit !== 'open') {
+    state.circuit = 'open';
+    state.openedAt = Date.now();
+    console.error(`[rate_limit] Circuit OPEN for ${service} after ${state.consecutiveFailures} failures: ${reason}`);
+    report('circuit_open', 'error', `${service} circuit opened after ${state.consecutiveFailures} consecutive failures`, {
+      service, reason, cooldownMs: config.cooldownMs
+    });
+  }
+}
+
+function report(eventType, severity, description, data) {
+  // Fire-and-forget: reporting a throttle must never add to the caller's latency
+  events.logEvent({ eventType, severity, description, data })
+    .catch(err => console.error(`[rate_limit] Failed to report ${eventType}: ${err.message}`));
+}
+
+// ============================================================
+// FETCH WRAPPER
+// ============================================================
+
+/**
+ * fetch() with the service's rate limit, retry policy and circuit breaker.
+ * Returns the final Response (which may still be non-ok — callers keep their
+ * existing error handling). Throws when the circuit is open or a network error
+ * exhausts its retries. The concurrency slot is held until the body has been
+ * read or cancelled, so callers must always consume or cancel it.
+ *
+ * @param {string} service - openrouter | anthropic | openai | local | brave | linear | notion | buffer | github
+ * @param {string} url
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Response>}
+ */
+async function rateLimitedFetch(service, url, options = {}) {
+  // Safety net: anything not already faked in dry run must not reach a real API
+  if (dryRun.isDryRun()) throw new Error(`Network disabled in dry run (${service})`);
+
+  const config = getServiceConfig(service);
+
+  for (let attempt = 0; ; attempt++) {
+    const trial = checkCircuit(service, config);
+    await acquire(service, config);
+
+    let response;
+    try {
+      response = await fetch(url, options);
+    } catch (err) {
+      if (trial) getState(service).trialInFlight = false;
+      release(service);
+      recordFailure(service, config, err.message);
+      if (!config.retryNetworkErrors || attempt >= config.maxRetries) throw err;
+      const delayMs = computeBackoffMs(attempt, config);
+      console.log(`[rate_limit] ${service} network error (${err.message}), retry ${attempt + 1}/${config.maxRetries} in ${delayMs}ms`);
+      await sleep(delayMs);
+      continue;
+    }
+    response = holdSlotUntilBodyDone(service, response);
+    // Settled: recordSuccess() / recordFailure() below run before any other caller can
+    if (trial) getState(service).trialInFlight = false;
+
+    const throttled = isThrottled(response);
+    const retryable = throttled || config.retryStatuses.includes(response.status);
+    if (!retryable) {
+      // 4xx other than throttling is the caller's problem, not the service's health
+      if (response.ok || response.status < 500) recordSuccess(service);
+      else recordFailure(service, config, `HTTP ${response.status}`);
+      return response;
+    }
+
+    const serverDelay = parseRetryAfter(response);
+    const delayMs = Math.min(config.maxDelayMs, serverDelay ?? computeBackoffMs(attempt, config));
+
+    if (throttled) {
+      // Everyone waits, not just this caller — the quota is shared
+      const state = getState(service);
+      state.pausedUntil = Math.max(state.pausedUntil, Date.now() + delayMs);
+      report('rate_limited', 'warning', `${service} returned ${response.status} — backing off ${delayMs}ms`, {
+        service, status: response.status, attempt: attempt + 1, delayMs, source: serverDelay !== null ? 'retry-after' : 'backoff'
+      });
+    } else {
+      recordFailure(service, config, `HTTP ${response.status}`);
+    }
+
+    if (attempt >= config.maxRetries) {
+      if (throttled) recordFailure(service, config, `HTTP ${response.status} after ${attempt + 1} attempts`);
+      return response;
+    }
+
+    console.log(`[rate_limit] ${service} HTTP ${response.status}, retry ${attempt + 1}/${config.maxRetries} in ${delayMs}ms`);
+    await drain(response);
+    await sleep(delayMs);
+  }
+}
+
+/**
+ * Re-wrap a Response so its concurrency slot is released when the body ends,
+ * errors or is cancelled, rather than when the headers arrive.
+ * WHY: An SSE synthesize holds the connection for minutes after the headers;
+ * releasing early let maxConcurrent streams pile up without limit.
+ * Bodiless responses (and non-Response test doubles) release immediately.
+ */
+function holdSlotUntilBodyDone(service, response) {
+  if (!(response instanceof Response) || !response.body) {
+    release(service);
+    return response;
+  }
+
+  let released = false;
+  const done = () => {
+    if (released) return;
+    released = true;
+    release(service);
+  };
+
+  const reader = response.body.getReader();
+  const body = new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done: ended } = await reader.read();
+        if (ended) {
+          done();
+          controller.close();
+        } else {
+          controller.enqueue(value);
+        }
+      } catch (err) {
+        done();
+        controller.error(err);
+      }
+    },
+    cancel(reason) {
+      done();
+      return reader.cancel(reason);
+    }
+  });
+
+  return new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers
+  });
+}
+
+/**
+ * Discard a response body we're about to retry past (frees the socket).
+ */
+async function drain(response) {
+  try {
+    if (typeof response.text === 'function') await response.text();
+  } catch {
+    // Body already consumed or stream errored — nothing to free
+  }
+}
+
+module.exports = {
+  rateLimitedFetch,
+  configureService,
+  getServiceConfig,
+  getProcessCount,
+  getServiceState,
+  resetLimiters,
+  parseRetryAfter,
+  computeBackoffMs,
+  SERVICE_DEFAULTS
+};
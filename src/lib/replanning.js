@@ -0,0 +1,347 @@
+// replanning.js — Recover a decomposed mission when one of its steps fails
+// WHY: A failed step used to doom the mission: failBlockedSteps() failed every
+// step downstream and checkMissionCompletion() failed the mission. For decomposed
+// projects the heartbeat now re-plans instead (before that cleanup runs):
+//
+//   1. Frasier gets the failed task, its error, the completed tasks' output and
+//      the tasks still to run, and proposes replacement tasks (decomposition prompt)
+//   2. Replacement steps are created in the failed step's group; steps that waited
+//      on the failed one now wait on the replacements (new step_dependencies edges)
+//   3. The failed step is marked replan_status = 'replaced' so it no longer blocks
+//      or fails the mission, and the active plan gets a new revision
+//
+// Capped per mission by the decomposition policy's max_replans_per_mission.
+// Cancelled steps, cascade failures and steps outside a plan are left alone.
+
+const supabase = require('./supabase');
+const missions = require('./missions');
+const events = require('./events');
+const policy = require('./policy');
+const decomposition = require('./decomposition');
+const planEstimates = require('./plan_estimates');
+
+// Used when the decomposition policy row is missing or predates re-planning
+const DEFAULT_MAX_REPLANS = 2;
+
+// Completed output shown to Frasier per task, and how many tasks' worth
+const OUTPUT_PREVIEW_CHARS = 1500;
+const MAX_COMPLETED_OUTPUTS = 8;
+
+// ============================================================
+// LOOKUP
+// ============================================================
+
+/**
+ * Re-plans allowed per mission (decomposition policy: max_replans_per_mission).
+ */
+async function getReplanLimit() {
+  const row = await policy.getPolicy('decomposition');
+  const limit = row?.rules?.max_replans_per_mission;
+  return Number.isInteger(limit) && limit >= 0 ? limit : DEFAULT_MAX_REPLANS;
+}
+
+/**
+ * Re-plans a mission has already used: failed steps that were replaced.
+ */
+async function countReplans(missionId) {
+  const { data, error } = await supabase
+    .from('mission_steps')
+    .select('id')
+    .eq('mission_id', missionId)
+    .eq('replan_status', 'replaced');
+
+  if (error) {
+    console.error(`[replanning] Failed to count re-plans for mission #${missionId}:`, error.message);
+    return 0;
+  }
+  return data?.length || 0;
+}
+
+async function getActivePlan(missionId) {
+  const { data, error } = await supabase
+    .from('decomposition_plans')
+    .select('*')
+    .eq('mission_id', missionId)
+    .eq('status', 'active')
+    .order('id', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    console.error(`[replanning] Failed to load plan for mission #${missionId}:`, error.message);
+    return null;
+  }
+  return data?.[0] || null;
+}
+
+/**
+ * Failed plan steps re-planning hasn't handled yet. Cascade failures are left
+ * out — they only failed because of another step and are handled with it.
+ */
+async function findReplanCandidates(missionId) {
+  const { data, error } = await supabase
+    .from('mission_steps')
+    .select('*')
+    .eq('mission_id', missionId)
+    .eq('status', 'failed')
+    .is('replan_status', null)
+    .order('id', { ascending: true });
+
+  if (error) {
+    console.error(`[replanning] Failed to load failed steps for mission #${missionId}:`, error.message);
+    return [];
+  }
+  return (data || []).filter(s =>
+    s.plan_task_id && !(s.result || '').startsWith(missions.CASCADE_FAILURE_PREFIX)
+  );
+}
+
+async function markStep(stepId, replanStatus) {
+  const { error } = await supabase
+    .from('mission_steps')
+    .update({ replan_status: replanStatus, updated_at: new Date().toISOString() })
+    .eq('id', stepId);
+  if (error) console.error(`[replanning] Failed to mark step #${stepId} ${replanStatus}:`, error.message);
+}
+
+// ============================================================
+// REPLACEMENT
+// ============================================================
+
+/**
+ * The plan after replacing failedTaskId: replacements take its place, and tasks
+ * that depended on it depend on the replacements nothing else depends on.
+ */
+function spliceReplacement(plan, failedTaskId, replacements) {
+  const sinks = replacements
+    .filter(r => !replacements.some(other => (other.depends_on || []).includes(r.id)))
+    .map(r => r.id);
+
+  const tasks = [];
+  for (const task of plan.tasks) {
+    if (task.id === failedTaskId) {
+      tasks.push(...replacements);
+      continue;
+    }
+    const deps = task.depends_on || [];
+    tasks.push(deps.includes(failedTaskId)
+      ? { ...task, depends_on: [...new Set([...deps.filter(d => d !== failedTaskId), ...sinks])] }
+      : task);
+  }
+  return { plan: { ...plan, tasks }, sinks };
+}
+
+/**
+ * Supersede the active plan with the re-planned one.
+ * @returns {Object|null} New decomposition_plans row
+ */
+async function saveReplanRevision(planRow, newPlan, failedStep, note) {
+  const { data: superseded } = await supabase
+    .from('decomposition_plans')
+    .update({ status: 'superseded', updated_at: new Date().toISOString() })
+    .eq('id', planRow.id)
+    .eq('status', 'active')
+    .select()
+    .maybeSingle();
+
+  if (!superseded) {
+    console.error(`[replanning] Plan #${planRow.id} is no longer active — revision not saved`);
+    return null;
+  }
+
+  const parallelGroups = [...new Set(newPlan.tasks.map(t => t.parallel_group))].length;
+  const estimate = await planEstimates.estimatePlan(newPlan);
+  const { data: revision, error } = await supabase
+    .from('decomposition_plans')
+    .insert({
+      project_id: planRow.project_id,
+      mission_id: planRow.mission_id,
+      plan_json: newPlan,
+      task_count: newPlan.tasks.length,
+      parallel_groups: parallelGroups,
+      estimated_phases: parallelGroups,
+      end_state: newPlan.end_state,
+      decomposed_by: planRow.decomposed_by,
+      approach_memory_used: planRow.approach_memory_used,
+      refinement_count: planRow.refinement_count || 0,
+      status: 'active',
+      revision: (planRow.revision || 1) + 1,
+      parent_plan_id: planRow.id,
+      revision_note: note,
+      failed_step_id: failedStep.id,
+      agent_map: await decomposition.buildAgentMap(newPlan),
+      estimate,
+      estimated_cost_usd: estimate.totalCostUsd,
+      estimated_duration_ms: estimate.totalDurationMs,
+      planner_agent_id: planRow.planner_agent_id,
+      approved_at: planRow.approved_at || null
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error(`[replanning] Failed to save re-planned revision of plan #${planRow.id}:`, error.message);
+    return null;
+  }
+  return revision;
+}
+
+/**
+ * Replace one failed step with new steps from Frasier and rewire the DAG.
+ *
+ * @param {Object} params
+ * @param {number} params.missionId
+ * @param {Object} params.step - The failed mission_steps row
+ * @param {Object} params.planRow - The mission's active decomposition_plans row
+ * @returns {{ plan: Object|null, stepIds: number[], error: string|null }}
+ */
+async function replaceFailedStep({ missionId, step, planRow }) {
+  const plan = planRow.plan_json;
+  const failedTask = plan.tasks.find(t => t.id === step.plan_task_id);
+  if (!failedTask) return { plan: null, stepIds: [], error: `Task ${step.plan_task_id} is not in the active plan` };
+
+  const { data: steps } = await supabase
+    .from('mission_steps')
+    .select('*')
+    .eq('mission_id', missionId)
+    .order('id', { ascending: true });
+
+  const completed = (steps || []).filter(s => s.status === 'completed' && s.plan_task_id);
+  const completedTaskIds = new Set(completed.map(s => s.plan_task_id));
+  const tasksById = Object.fromEntries(plan.tasks.map(t => [t.id, t]));
+
+  const mission = await missions.getMission(missionId);
+  const result = await decomposition.replaceFailedTask({
+    directive: mission?.description || '',
+    failedTask,
+    error: (step.result || 'unknown error').replace(/^ERROR: /, ''),
+    completedOutputs: completed.slice(-MAX_COMPLETED_OUTPUTS).map(s => ({
+      taskId: s.plan_task_id,
+      description: tasksById[s.plan_task_id]?.description || s.description.split('\n')[0],
+      result: (s.result || '').substring(0, OUTPUT_PREVIEW_CHARS)
+    })),
+    remainingTasks: plan.tasks
+      .filter(t => t.id !== failedTask.id && !completedTaskIds.has(t.id))
+      .map(t => ({ id: t.id, description: t.description, required_role: t.required_role, depends_on: t.depends_on || [] })),
+    frasierAgentId: planRow.planner_agent_id
+  });
+  if (result.error) return { plan: null, stepIds: [], error: result.error };
+
+  const replacements = result.tasks;
+  const { plan: newPlan, sinks } = spliceReplacement(plan, failedTask.id, replacements);
+
+  // Hire before creating steps, same as a fresh plan
+  await decomposition.hirePlanRoles({ hiring_needed: result.hiringNeeded });
+
+  const agentMap = {};
+  for (const [role, agent] of Object.entries(await decomposition.buildAgentMap({ tasks: replacements }))) {
+    if (agent) agentMap[role] = agent.id;
+  }
+  const existingStepIds = Object.fromEntries(completed.map(s => [s.plan_task_id, s.id]));
+  const taskIdToStepId = await decomposition.createStepsFromPlan(missionId, { tasks: replacements }, agentMap, existingStepIds);
+
+  // Steps that waited on the failed one wait on the replacements instead
+  const { data: dependents } = await supabase
+    .from('step_dependencies')
+    .select('*')
+    .eq('depends_on_step_id', step.id);
+
+  for (const edge of dependents || []) {
+    const { error: deleteErr } = await supabase.from('step_dependencies').delete().eq('id', edge.id);
+    if (deleteErr) console.error(`[replanning] Failed to drop dependency #${edge.id} on step #${step.id}:`, deleteErr.message);
+    for (const sink of sinks) {
+      await supabase.from('step_dependencies').insert({
+        step_id: edge.step_id,
+        depends_on_step_id: taskIdToStepId[sink],
+        dependency_type: 'blocks'
+      });
+    }
+  }
+
+  await markStep(step.id, 'replaced');
+
+  const note = `step #${step.id} (${failedTask.id}) failed — replaced with ${replacements.map(r => r.id).join(', ')}`;
+  const revision = await saveReplanRevision(planRow, newPlan, step, note);
+
+  return { plan: revision, stepIds: Object.values(taskIdToStepId), error: null };
+}
+
+// ============================================================
+// HEARTBEAT ENTRY POINT
+// ============================================================
+
+/**
+ * Re-plan every unhandled failed step of a decomposed mission, within the cap.
+ * Must run before missions.failBlockedSteps() so dependents aren't failed first.
+ *
+ * @param {number} missionId
+ * @returns {number} Steps replaced this pass
+ */
+async function replanFailedSteps(missionId) {
+  const candidates = await findReplanCandidates(missionId);
+  if (candidates.length === 0) return 0;
+
+  // Without an active plan there is nothing to splice into; let the cascade run
+  // (missions.checkMissionCompletion() keeps waiting on unmarked candidates)
+  let planRow = await getActivePlan(missionId);
+  if (!planRow) {
+    for (const step of candidates) await markStep(step.id, 'failed');
+    return 0;
+  }
+
+  const limit = await getReplanLimit();
+  let replaced = 0;
+
+  for (const step of candidates) {
+    const used = await countReplans(missionId);
+
+    if (used >= limit) {
+      await markStep(step.id, 'capped');
+      await events.logEvent({
+        eventType: 'replan_cap_reached',
+        agentId: step.assigned_agent_id,
+        severity: 'warning',
+        description: `Mission #${missionId}: step #${step.id} failed and the mission has used all ${limit} re-plan(s)`,
+        data: { missionId, stepId: step.id, taskId: step.plan_task_id, replans: used, limit }
+      });
+      continue;
+    }
+
+    const result = await replaceFailedStep({ missionId, step, planRow });
+
+    if (result.error) {
+      await markStep(step.id, 'failed');
+      await events.logEvent({
+        eventType: 'replan_failed',
+        agentId: step.assigned_agent_id,
+        severity: 'warning',
+        description: `Mission #${missionId}: could not re-plan failed step #${step.id} — ${result.error}`,
+        data: { missionId, stepId: step.id, taskId: step.plan_task_id, error: result.error }
+      });
+      continue;
+    }
+
+    replaced++;
+    if (result.plan) planRow = result.plan;
+
+    await events.logEvent({
+      eventType: 'mission_replanned',
+      agentId: step.assigned_agent_id,
+      severity: 'info',
+      description: `Mission #${missionId}: step #${step.id} (${step.plan_task_id}) failed — re-planned with ${result.stepIds.length} new step(s) (re-plan ${used + 1}/${limit})`,
+      data: { missionId, stepId: step.id, taskId: step.plan_task_id, newStepIds: result.stepIds, planId: result.plan?.id || null, replan: used + 1, limit }
+    });
+    console.log(`[replanning] Mission #${missionId}: replaced step #${step.id} with steps ${result.stepIds.join(', ')}`);
+  }
+
+  return replaced;
+}
+
+module.exports = {
+  replanFailedSteps,
+  replaceFailedStep,
+  findReplanCandidates,
+  spliceReplacement,
+  getReplanLimit,
+  countReplans,
+  DEFAULT_MAX_REPLANS
+};
@@ -0,0 +1,302 @@
+// routing.js — Policy-driven tier routing (which model tier handles a call)
+// WHY: Tier keywords used to be hardcoded arrays in models.js, so every tweak was a
+// code deploy. The rules now live in the `tier_routing` policy row (versioned,
+// 5-minute cache via policy.js) and can be edited from Discord with !routing.
+//
+// Rule evaluation order (each step can change the tier; the trace records all of them):
+//   1. Base tier   — explicit step assignment, complexity flag, final step, keywords
+//   2. Role override   — agent role contains a configured substring → fixed tier
+//   3. Project minimum — project never routes below its floor
+//   4. Agent ceiling   — hard cap, applied last so nothing can exceed it
+//
+// Every resolved route carries the rule that decided it, so we can audit why a
+// step went to Opus.
+
+const policy = require('./policy');
+
+const TIERS = ['tier1', 'tier2', 'tier3'];
+const ROUTING_POLICY_TYPE = 'tier_routing';
+
+// ============================================================
+// DEFAULT RULES (seed values — the policy row overrides these)
+// ============================================================
+
+const DEFAULT_ROUTING_RULES = {
+  // Task complexity keywords that trigger Tier 2 (Sonnet)
+  tier2_keywords: [
+    'strategy', 'analysis', 'architecture', 'financial', 'research',
+    'deep dive', 'multi-step', 'persona generation', 'competitive',
+    'business plan', 'market analysis', 'code review', 'security audit',
+    'long-form', 'comprehensive', 'detailed report',
+    'requirements', 'specification',
+    'go-to-market', 'pricing model', 'revenue model',
+    'technical design', 'system design'
+  ],
+  // High-stakes deliverable keywords that trigger Tier 3 (Opus)
+  tier3_keywords: [
+    'product requirements', 'product specification', 'design document',
+    'final deliverable', 'executive report', 'project plan',
+    'product roadmap', 'business case', 'investment memo'
+  ],
+  role_overrides: {},     // { 'product manager': 'tier3' }
+  project_min_tiers: {},  // { '12': 'tier2' }
+  agent_ceilings: {}      // { 'agent-abc': 'tier1' }
+};
+
+// ============================================================
+// RULE LOADING
+// ============================================================
+
+/**
+ * Merge stored rules over the defaults so a partial policy row still routes sanely.
+ */
+function normalizeRules(rules) {
+  const r = rules || {};
+  return {
+    tier2_keywords: Array.isArray(r.tier2_keywords) ? r.tier2_keywords : DEFAULT_ROUTING_RULES.tier2_keywords,
+    tier3_keywords: Array.isArray(r.tier3_keywords) ? r.tier3_keywords : DEFAULT_ROUTING_RULES.tier3_keywords,
+    role_overrides: { ...(r.role_overrides || {}) },
+    project_min_tiers: { ...(r.project_min_tiers || {}) },
+    agent_ceilings: { ...(r.agent_ceilings || {}) }
+  };
+}
+
+/**
+ * Get the active routing rules (policy row merged over defaults).
+ * Falls back to defaults if the policy row is missing — routing must never block a call.
+ *
+ * @returns {Object} Normalized rules
+ */
+async function getRoutingRules() {
+  try {
+    const row = await policy.getPolicy(ROUTING_POLICY_TYPE);
+    return normalizeRules(row?.rules);
+  } catch (err) {
+    console.error('[routing] Failed to load routing policy, using defaults:', err.message);
+    return normalizeRules(null);
+  }
+}
+
+// ============================================================
+// ROUTING
+// ============================================================
+
+function tierRank(tier) {
+  return TIERS.indexOf(tier);
+}
+
+/**
+ * Pure routing function — no I/O. Decides a tier and records which rule matched.
+ *
+ * @param {Object} params
+ * @param {boolean} [params.isComplex] - Explicit complexity flag
+ * @param {string} [params.taskDescription] - Task text for keyword matching
+ * @param {Object} [params.stepContext] - { isFinalStep }
+ * @param {string} [params.assignedTier] - Tier stored on the step; tier2/tier3 are respected as-is
+ * @param {string} [params.autoCeiling] - Cap for keyword-derived tiers (worker keeps auto-upgrades at tier2)
+ * @param {string} [params.agentId]
+ * @param {string} [params.agentRole]
+ * @param {string|number} [params.projectId]
+ * @param {Object} [rules] - Normalized rules (defaults if omitted)
+ * @returns {{ tier: string, rule: string, trace: string[] }}
+ */
+function routeTier({
+  isComplex = false,
+  taskDescription = '',
+  stepContext = {},
+  assignedTier = null,
+  autoCeiling = null,
+  agentId = null,
+  agentRole = null,
+  projectId = null
+} = {}, rules = null) {
+  const r = rules ? normalizeRules(rules) : normalizeRules(null);
+  const trace = [];
+  let tier;
+  let rule;
+
+  // 1. Base tier
+  if (assignedTier && assignedTier !== 'tier1' && TIERS.includes(assignedTier)) {
+    tier = assignedTier;
+    rule = `assigned:${assignedTier}`;
+  } else if (isComplex) {
+    tier = 'tier2';
+    rule = 'complex_flag';
+  } else if (stepContext && stepContext.isFinalStep) {
+    // Final step in multi-step mission → always tier2 for quality
+    tier = 'tier2';
+    rule = 'final_step';
+  } else {
+    const lower = (taskDescription || '').toLowerCase();
+    const t3 = r.tier3_keywords.find(k => lower.includes(k.toLowerCase()));
+    const t2 = t3 ? null : r.tier2_keywords.find(k => lower.includes(k.toLowerCase()));
+    if (t3) {
+      tier = 'tier3';
+      rule = `tier3_keyword:${t3}`;
+    } else if (t2) {
+      tier = 'tier2';
+      rule = `tier2_keyword:${t2}`;
+    } else {
+      tier = 'tier1';
+      rule = 'default';
+    }
+
+    if (autoCeiling && tierRank(tier) > tierRank(autoCeiling)) {
+      trace.push(rule);
+      tier = autoCeiling;
+      rule = `auto_ceiling:${autoCeiling}`;
+    }
+  }
+  trace.push(rule);
+
+  // 2. Role override — first configured substring found in the role wins
+  if (agentRole) {
+    const role = agentRole.toLowerCase();
+    const key = Object.keys(r.role_overrides).find(k => role.includes(k.toLowerCase()));
+    if (key && TIERS.includes(r.role_overrides[key])) {
+      tier = r.role_overrides[key];
+      rule = `role_override:${key}`;
+      trace.push(rule);
+    }
+  }
+
+  // 3. Project minimum
+  if (projectId != null) {
+    const floor = r.project_min_tiers[String(projectId)];
+    if (floor && tierRank(tier) < tierRank(floor)) {
+      tier = floor;
+      rule = `project_min:${projectId}`;
+      trace.push(rule);
+    }
+  }
+
+  // 4. Agent ceiling — last, so it is a true cap
+  if (agentId) {
+    const ceiling = r.agent_ceilings[agentId];
+    if (ceiling && tierRank(tier) > tierRank(ceiling)) {
+      tier = ceiling;
+      rule = `agent_ceiling:${agentId}`;
+      trace.push(rule);
+    }
+  }
+
+  return { tier, rule, trace };
+}
+
+/**
+ * Route using the live policy rules and log the decision.
+ *
+ * @param {Object} params - Same as routeTier()
+ * @returns {{ tier: string, rule: string, trace: string[], policyVersion: number|null }}
+ */
+async function resolveTier(params = {}) {
+  const row = await policy.getPolicy(ROUTING_POLICY_TYPE).catch(() => null);
+  const result = routeTier(params, row?.rules || null);
+  console.log(`[routing] ${params.agentId || 'system'} → ${result.tier} (rule: ${result.rule})`);
+  return { ...result, policyVersion: row?.version || null };
+}
+
+// ============================================================
+// EDITING (used by the !routing Discord command)
+// ============================================================
+
+/**
+ * Apply one edit to a rules object. Returns { rules, message } or { error }.
+ * Does not persist — caller saves via saveRoutingRules().
+ *
+ * Supported edits:
+ *   add tier2|tier3 <keyword...>      remove tier2|tier3 <keyword...>
+ *   role <role substring> <tier|clear>
+ *   project <project_id> <tier|clear>
+ *   agent <agent_id> <tier|clear>
+ *
+ * @param {Object} rules - Current rules
+ * @param {string[]} args - Command arguments after "!routing"
+ */
+function applyRoutingEdit(rules, args) {
+  const next = normalizeRules(rules);
+  next.tier2_keywords = [...next.tier2_keywords];
+  next.tier3_keywords = [...next.tier3_keywords];
+  const [sub, ...rest] = args;
+
+  switch ((sub || '').toLowerCase()) {
+    case 'add':
+    case 'remove': {
+      const set = (rest[0] || '').toLowerCase();
+      const keyword = rest.slice(1).join(' ').trim().toLowerCase();
+      if (!['tier2', 'tier3'].includes(set) || !keyword) {
+        return { error: `Usage: !routing ${sub} tier2|tier3 <keyword>` };
+      }
+      const field = `${set}_keywords`;
+      if (sub.toLowerCase() === 'add') {
+        if (next[field].includes(keyword)) return { error: `"${keyword}" is already a ${set} keyword.` };
+        next[field].push(keyword);
+        return { rules: next, message: `Added "${keyword}" to ${set} keywords.` };
+      }
+      if (!next[field].includes(keyword)) return { error: `"${keyword}" is not a ${set} keyword.` };
+      next[field] = next[field].filter(k => k !== keyword);
+      return { rules: next, message: `Removed "${keyword}" from ${set} keywords.` };
+    }
+
+    case 'role':
+    case 'project':
+    case 'agent': {
+      const value = (rest[rest.length - 1] || '').toLowerCase();
+      const key = rest.slice(0, -1).join(' ').trim();
+      if (!key || (value !== 'clear' && !TIERS.includes(value))) {
+        return { error: `Usage: !routing ${sub} <${sub === 'role' ? 'role' : `${sub}_id`}> tier1|tier2|tier3|clear` };
+      }
+      const field = { role: 'role_overrides', project: 'project_min_tiers', agent: 'agent_ceilings' }[sub.toLowerCase()];
+      const mapKey = sub.toLowerCase() === 'role' ? key.toLowerCase() : key;
+      if (value === 'clear') {
+        delete next[field][mapKey];
+        return { rules: next, message: `Cleared ${sub} rule for "${mapKey}".` };
+      }
+      next[field][mapKey] = value;
+      return { rules: next, message: `Set ${sub} rule: "${mapKey}" → ${value}.` };
+    }
+
+    default:
+      return { error: 'Usage: !routing [add|remove tier2|tier3 <keyword> | role <role> <tier|clear> | project <id> <tier|clear> | agent <id> <tier|clear> | test <text>]' };
+  }
+}
+
+/**
+ * Persist rules to the tier_routing policy (bumps the version, invalidates cache).
+ *
+ * @returns {Object|null} Updated policy row
+ */
+async function saveRoutingRules(rules) {
+  return policy.updatePolicy(ROUTING_POLICY_TYPE, normalizeRules(rules));
+}
+
+/**
+ * Render rules for Discord.
+ */
+function formatRoutingRules(rules, version = null) {
+  const r = normalizeRules(rules);
+  const mapLines = (obj) => {
+    const entries = Object.entries(obj);
+    return entries.length > 0 ? entries.map(([k, v]) => `  - ${k} → ${v}`).join('\n') : '  (none)';
+  };
+
+  let out = `**Tier Routing${version ? ` (v${version})` : ''}**\n`;
+  out += `**Tier 3 keywords:** ${r.tier3_keywords.join(', ') || '(none)'}\n`;
+  out += `**Tier 2 keywords:** ${r.tier2_keywords.join(', ') || '(none)'}\n`;
+  out += `**Role overrides:**\n${mapLines(r.role_overrides)}\n`;
+  out += `**Project minimum tiers:**\n${mapLines(r.project_min_tiers)}\n`;
+  out += `**Agent ceilings:**\n${mapLines(r.agent_ceilings)}`;
+  return out;
+}
+
+module.exports = {
+  TIERS,
+  ROUTING_POLICY_TYPE,
+  DEFAULT_ROUTING_RULES,
+  getRoutingRules,
+  routeTier,
+  resolveTier,
+  applyRoutingEdit,
+  saveRoutingRules,
+  formatRoutingRules
+};
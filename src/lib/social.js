@@ -7,6 +7,7 @@
 // Requires: BUFFER_ACCESS_TOKEN in .env
 
 const supabase = require('./supabase');
+const rateLimit = require('./rate_limit');
 
 const BUFFER_API = 'https://api.bufferapp.com/1';
 
@@ -35,7 +36,7 @@ async function bufferRequest(method, path, body = null) {
   }
 
   try {
-    const response = await fetch(url, options);
+    const response = await rateLimit.rateLimitedFetch('buffer', url, options);
 
     if (!response.ok) {
       const error = await response.text();
@@ -230,3 +231,7 @@ module.exports = {
   resolveSocialTags,
   clearCache
 };
+
+// Dry run: outbound calls are recorded to the trace instead of sent
+const dryRun = require('./dry_run');
+if (dryRun.isDryRun()) module.exports = dryRun.recordIntegration('social', module.exports, { getPendingPosts: [] });
@@ -0,0 +1,251 @@
+// structured_output.js — JSON output mode for LLM calls (schema validation + repair)
+// WHY: Every caller that wanted JSON back had its own fence-stripping + JSON.parse
+// block, and each one silently fell back to defaults when the model drifted off
+// format. callLLMJson() centralizes that: parse → validate against a (small)
+// JSON schema → on failure retry ONCE with the validation errors fed back to the
+// model → return typed data or a structured error the caller can act on.
+//
+// WHY a separate module instead of models.js: it is built purely on callLLM(), so
+// tests that stub models.callLLM exercise parsing, validation and repair too.
+//
+// Supported schema keywords (deliberately small, no dependency):
+//   type (string or array), properties, required, items, enum,
+//   minimum, maximum, minItems, maxItems, minLength
+
+const models = require('./models');
+
+const ERROR_CODES = {
+  LLM_ERROR: 'LLM_ERROR',             // callLLM itself failed (API, budget, empty)
+  INVALID_JSON: 'INVALID_JSON',       // response could not be parsed as JSON
+  SCHEMA_MISMATCH: 'SCHEMA_MISMATCH'  // parsed, but does not match the schema
+};
+
+// How much of the bad response to echo back in the repair prompt
+const MAX_REPAIR_ECHO_CHARS = 2000;
+
+// ============================================================
+// PARSING
+// ============================================================
+
+/**
+ * Parse JSON from raw LLM output. Handles markdown fences and prose around the
+ * payload by falling back to the outermost {...} or [...] span.
+ *
+ * @param {string} content - Raw LLM response
+ * @returns {{ value: *, error: string|null }}
+ */
+function parseJsonContent(content) {
+  if (typeof content !== 'string' || !content.trim()) {
+    return { value: null, error: 'Empty response' };
+  }
+
+  const cleaned = content.replace(/```(?:json)?\s*/gi, '').replace(/```/g, '').trim();
+  try {
+    return { value: JSON.parse(cleaned), error: null };
+  } catch (err) {
+    // Model wrapped the JSON in prose — try the outermost object/array span,
+    // whichever opens first
+    const spans = [['{', '}'], ['[', ']']]
+      .map(([open, close]) => [cleaned.indexOf(open), cleaned.lastIndexOf(close)])
+      .filter(([start, end]) => start !== -1 && end > start)
+      .sort((a, b) => a[0] - b[0]);
+    for (const [start, end] of spans) {
+      try {
+        return { value: JSON.parse(cleaned.slice(start, end + 1)), error: null };
+      } catch (e) {
+        // try the next span
+      }
+    }
+    return { value: null, error: err.message };
+  }
+}
+
+// ============================================================
+// SCHEMA VALIDATION
+// ============================================================
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Validate a value against a JSON schema subset.
+ *
+ * @param {*} value - Parsed JSON
+ * @param {Object} schema - Schema (see module header for supported keywords)
+ * @param {string} [path] - JSON path used in error messages
+ * @returns {string[]} Validation errors (empty = valid)
+ */
+function validateSchema(value, schema, path = '$') {
+  if (!schema) return [];
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push(`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors; // nested checks are meaningless on the wrong type
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(e => e === value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map(e => JSON.stringify(e)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${path}: must be at least ${schema.minLength} characters`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propSchema, `${path}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+// ============================================================
+// callLLMJson
+// ============================================================
+
+/**
+ * Check raw content against the schema.
+ * @returns {{ data: *, error: Object|null }}
+ */
+function checkContent(content, schema) {
+  const { value, error: parseError } = parseJsonContent(content);
+  if (parseError) {
+    return {
+      data: null,
+      error: { code: ERROR_CODES.INVALID_JSON, message: `Response is not valid JSON: ${parseError}`, details: [parseError], raw: content }
+    };
+  }
+
+  const details = validateSchema(value, schema);
+  if (details.length > 0) {
+    return {
+      data: null,
+      error: { code: ERROR_CODES.SCHEMA_MISMATCH, message: `Response does not match schema (${details.length} error(s))`, details, raw: content }
+    };
+  }
+
+  return { data: value, error: null };
+}
+
+/**
+ * Build the repair prompt: original request + what was wrong + the schema.
+ */
+function buildRepairMessage(userMessage, schema, failure) {
+  const echo = (failure.raw || '').slice(0, MAX_REPAIR_ECHO_CHARS);
+  return `${userMessage}
+
+## YOUR PREVIOUS RESPONSE WAS INVALID
+${echo}
+
+Problems:
+${failure.details.map(d => `- ${d}`).join('\n')}
+
+Respond again with ONLY valid JSON (no markdown, no explanation) matching this JSON schema:
+${JSON.stringify(schema, null, 2)}`;
+}
+
+/**
+ * Call the LLM and return schema-validated JSON.
+ * Accepts every callLLM() parameter plus `schema`. On an unparseable or
+ * non-conforming response, retries once with the validation errors appended.
+ *
+ * @param {Object} params
+ * @param {Object} params.schema - JSON schema the response must satisfy
+ * @param {boolean} [params.repair=true] - Allow the single repair retry
+ * @returns {{ data, content, model, tier, usage, repaired, error: null|{ code, message, details, raw } }}
+ */
+async function callLLMJson({ schema, repair = true, ...llmParams }) {
+  const first = await models.callLLM(llmParams);
+  if (first.error || !first.content) {
+    return llmFailure(first);
+  }
+
+  const checked = checkContent(first.content, schema);
+  if (!checked.error) {
+    return { ...pick(first), data: checked.data, repaired: false, error: null };
+  }
+
+  if (!repair) {
+    return { ...pick(first), data: null, repaired: false, error: checked.error };
+  }
+
+  console.log(`[structured] ${checked.error.code} from ${first.model}, retrying with repair prompt: ${checked.error.details.slice(0, 3).join('; ')}`);
+
+  const retry = await models.callLLM({
+    ...llmParams,
+    userMessage: buildRepairMessage(llmParams.userMessage, schema, checked.error),
+    onProgress: null // repair output is not a deliverable — don't stream it
+  });
+  if (retry.error || !retry.content) {
+    return llmFailure(retry);
+  }
+
+  const rechecked = checkContent(retry.content, schema);
+  if (rechecked.error) {
+    console.error(`[structured] Repair failed (${rechecked.error.code}): ${rechecked.error.details.slice(0, 3).join('; ')}`);
+    return { ...pick(retry), data: null, repaired: false, error: rechecked.error };
+  }
+
+  return { ...pick(retry), data: rechecked.data, repaired: true, error: null };
+}
+
+function pick(result) {
+  return { content: result.content, model: result.model, tier: result.tier, usage: result.usage };
+}
+
+function llmFailure(result) {
+  return {
+    ...pick(result),
+    data: null,
+    repaired: false,
+    error: { code: ERROR_CODES.LLM_ERROR, message: result.error || 'Empty response from LLM', details: [], raw: result.content || null }
+  };
+}
+
+module.exports = {
+  callLLMJson,
+  validateSchema,
+  parseJsonContent,
+  ERROR_CODES
+};
@@ -0,0 +1,365 @@
+// subtasks.js — Executing steps spawn child steps ([SPAWN_SUBTASKS])
+// WHY: Decomposition happens once, up front. A research step that finds out it
+// needs 10 competitor deep-dives had to cram them into one RESEARCH_LIMITS budget.
+// Now a step can ask for sub-tasks while it runs:
+//
+//   1. The agent ends its output with a [SPAWN_SUBTASKS] block (JSON task list)
+//   2. The tasks are checked against agent capabilities (capabilities.js) and
+//      become child steps; infeasible ones are dropped
+//   3. The parent goes back to pending with spawn_status = 'waiting' and a
+//      step_dependencies edge to each child, so it only runs again once they complete
+//   4. That second run is a synthesis pass: the children's output is injected and
+//      the agent merges it into the deliverable (no further spawning)
+//
+// One level only — children can't spawn. Capped by the decomposition policy's
+// max_subtasks_per_step.
+
+const supabase = require('./supabase');
+const missions = require('./missions');
+const agents = require('./agents');
+const events = require('./events');
+const policy = require('./policy');
+const capabilities = require('./capabilities');
+const structured = require('./structured_output');
+
+// Used when the decomposition policy row is missing or predates sub-tasks
+const DEFAULT_MAX_SUBTASKS = 10;
+
+// Child output shown to the synthesis pass, per child
+const CHILD_OUTPUT_CHARS = 4000;
+
+const SPAWN_BLOCK_RE = /\[SPAWN_SUBTASKS\]([\s\S]*?)\[\/SPAWN_SUBTASKS\]/;
+
+// ============================================================
+// LOOKUP
+// ============================================================
+
+/**
+ * Sub-tasks one step may spawn (decomposition policy: max_subtasks_per_step).
+ * 0 turns spawning off.
+ */
+async function getSubtaskLimit() {
+  const row = await policy.getPolicy('decomposition');
+  const limit = row?.rules?.max_subtasks_per_step;
+  return Number.isInteger(limit) && limit >= 0 ? limit : DEFAULT_MAX_SUBTASKS;
+}
+
+/**
+ * Only a step's first run may spawn, and never a child.
+ */
+function canSpawn(step) {
+  return !step.spawned_by_step_id && !step.spawn_status;
+}
+
+/**
+ * A step that spawned children runs again to merge their output.
+ */
+function isSynthesisPass(step) {
+  return !!step.spawn_status;
+}
+
+/**
+ * The step's children, oldest first.
+ */
+async function getChildren(stepId) {
+  const { data, error } = await supabase
+    .from('mission_steps')
+    .select('*')
+    .eq('spawned_by_step_id', stepId)
+    .order('id', { ascending: true });
+
+  if (error) {
+    console.error(`[subtasks] Failed to load sub-tasks of step #${stepId}:`, error.message);
+    return [];
+  }
+  return data || [];
+}
+
+// ============================================================
+// PROMPTS
+// ============================================================
+
+/**
+ * Tells a step's agent how to ask for sub-tasks. Appended to the task context.
+ */
+function buildSpawnInstructions(limit) {
+  const { MAX_QUERIES_PER_STEP, MAX_FETCHES_PER_STEP } = capabilities.RESEARCH_LIMITS;
+  return `## SPAWNING SUB-TASKS (only if this task is too big for one step)
+This step has ${MAX_QUERIES_PER_STEP} searches and ${MAX_FETCHES_PER_STEP} page fetches. If doing the task properly needs clearly more
+(e.g. 10 separate competitor deep-dives), deliver what you have so far and end your output with:
+[SPAWN_SUBTASKS]
+{"tasks": [{"description": "...", "required_role": "research", "acceptance_criteria": "..."}]}
+[/SPAWN_SUBTASKS]
+- At most ${limit} sub-tasks, each self-contained and achievable within one step's budget
+- required_role is one of: ${Object.keys(capabilities.ROLE_CAPABILITIES).join(', ')}
+- Each sub-task runs as its own step; this task then runs again to synthesize their output
+- Keep the block in your output through any revision. Don't spawn if the budget is enough.`;
+}
+
+/**
+ * The synthesis pass: the first run's notes and each child's output, with the
+ * instruction to merge them. Prepended to the task context.
+ *
+ * @param {Object} step - The parent mission_steps row (result = first-run notes)
+ * @param {Array<Object>} children - getChildren(step.id)
+ */
+function buildSynthesisContext(step, children) {
+  const parts = [`## SUB-TASK SYNTHESIS
+You split this task into ${children.length} sub-task(s) and they are done. Merge their output below
+(and your earlier notes) into the complete deliverable for YOUR TASK. Do not spawn sub-tasks again.`];
+
+  if (step.result) {
+    parts.push(`## YOUR EARLIER NOTES\n${step.result.substring(0, CHILD_OUTPUT_CHARS)}`);
+  }
+  children.forEach((child, i) => {
+    const title = child.description.split('\n')[0];
+    parts.push(`## SUB-TASK ${i + 1} OUTPUT (step #${child.id}: ${title})\n${(child.result || '(no output)').substring(0, CHILD_OUTPUT_CHARS)}`);
+  });
+
+  return `${parts.join('\n\n---\n\n')}\n\n---\n\n`;
+}
+
+// ============================================================
+// PARSING
+// ============================================================
+
+/**
+ * Read a [SPAWN_SUBTASKS] block from step output.
+ * Accepts {"tasks": [...]} or a bare array; tasks without a description are dropped.
+ *
+ * @param {string} content - Step output
+ * @returns {{ tasks: Array<{ id, description, required_role, acceptance_criteria }>, remainder: string }|null}
+ *   null when there is no block; remainder is the output without it
+ */
+function parseSpawnRequest(content) {
+  const match = (content || '').match(SPAWN_BLOCK_RE);
+  if (!match) return null;
+
+  const remainder = stripSpawnRequest(content);
+  const { value, error } = structured.parseJsonContent(match[1]);
+  if (error) {
+    console.log(`[subtasks] Unreadable [SPAWN_SUBTASKS] block, ignoring: ${error}`);
+    return { tasks: [], remainder };
+  }
+
+  const raw = Array.isArray(value) ? value : (value?.tasks || []);
+  const tasks = raw
+    .filter(t => t && typeof t.description === 'string' && t.description.trim())
+    .map((t, i) => ({
+      id: `S${i + 1}`,
+      description: t.description.trim(),
+      required_role: String(t.required_role || '').toLowerCase().trim(),
+      acceptance_criteria: String(t.acceptance_criteria || '').trim()
+    }));
+
+  return { tasks, remainder };
+}
+
+/**
+ * Output without any [SPAWN_SUBTASKS] block.
+ */
+function stripSpawnRequest(content) {
+  return (content || '').replace(new RegExp(SPAWN_BLOCK_RE.source, 'g'), '').trim();
+}
+
+// ============================================================
+// SPAWNING
+// ============================================================
+
+/**
+ * Turn a spawn request into child steps and park the parent until they finish.
+ * Unknown roles fall back to the parent's role; tasks the feasibility check
+ * flags are dropped. Nothing is created if no task survives.
+ *
+ * @param {Object} params
+ * @param {Object} params.step - The running parent mission_steps row
+ * @param {Object} params.request - parseSpawnRequest() result
+ * @param {string} [params.owner] - Worker id holding the parent's lease
+ * @returns {{ children: Object[], dropped: Array<{ description, reason }>, error: string|null }}
+ */
+async function spawnSubtasks({ step, request, owner = null }) {
+  const limit = await getSubtaskLimit();
+  const dropped = [];
+  if (limit === 0) return { children: [], dropped, error: 'Sub-tasks are disabled (max_subtasks_per_step = 0)' };
+
+  let tasks = request.tasks.map(t => ({
+    ...t,
+    required_role: capabilities.ROLE_CAPABILITIES[t.required_role] ? t.required_role : (step.required_role || 'research')
+  }));
+  for (const t of tasks.slice(limit)) dropped.push({ description: t.description, reason: `over the limit of ${limit}` });
+  tasks = tasks.slice(0, limit);
+
+  if (tasks.length > 0) {
+    const feasibility = await capabilities.validatePlanFeasibility({ tasks }, step.assigned_agent_id);
+    const issues = Object.fromEntries((feasibility.issues || []).map(i => [i.taskId, i.issue]));
+    for (const t of tasks.filter(t => issues[t.id])) dropped.push({ description: t.description, reason: issues[t.id] });
+    tasks = tasks.filter(t => !issues[t.id]);
+  }
+
+  if (tasks.length === 0) return { children: [], dropped, error: 'No feasible sub-tasks' };
+
+  // Park the parent before creating anything. WHY: the park is conditional on our
+  // lease; if the step was cancelled or requeued meanwhile, children spawned
+  // first would be orphans running for a parent nobody is waiting on.
+  // processed = true holds it out of getPendingSteps() until the edges exist.
+  // The first run's output (minus the block) is kept as notes for the synthesis pass.
+  let park = supabase
+    .from('mission_steps')
+    .update({
+      status: 'pending',
+      processed: true,
+      spawn_status: 'waiting',
+      result: request.remainder || null,
+      lease_owner: null,
+      lease_expires_at: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', step.id)
+    .eq('status', 'in_progress');
+  if (owner) park = park.eq('lease_owner', owner);
+
+  const { data: parked, error: parkError } = await park.select().maybeSingle();
+  if (parkError) {
+    console.error(`[subtasks] Failed to park step #${step.id} behind its sub-tasks:`, parkError.message);
+    return { children: [], dropped, error: `Failed to park step: ${parkError.message}` };
+  }
+  if (!parked) {
+    return { children: [], dropped, error: 'Step is no longer in progress under this lease' };
+  }
+
+  // Children start where the parent did: after the parent's own dependencies
+  const { data: parentDeps } = await supabase
+    .from('step_dependencies')
+    .select('depends_on_step_id')
+    .eq('step_id', step.id);
+
+  const children = [];
+  for (const task of tasks) {
+    const agent = await agents.findBestAgentAcrossTeams(task.required_role);
+    const child = await missions.createStep({
+      missionId: step.mission_id,
+      description: task.acceptance_criteria
+        ? `${task.description}\n\nAcceptance Criteria: ${task.acceptance_criteria}`
+        : task.description,
+      assignedAgentId: agent?.id || step.assigned_agent_id,
+      modelTier: step.model_tier,
+      stepOrder: step.step_order,
+      priority: step.priority,
+      requiredRole: task.required_role,
+      spawnedByStepId: step.id
+    });
+    if (!child) continue;
+    children.push(child);
+
+    for (const dep of parentDeps || []) {
+      await supabase.from('step_dependencies').insert({ step_id: child.id, depends_on_step_id: dep.depends_on_step_id, dependency_type: 'blocks' });
+    }
+    await supabase.from('step_dependencies').insert({ step_id: step.id, depends_on_step_id: child.id, dependency_type: 'blocks' });
+  }
+
+  if (children.length === 0) {
+    // Nothing to wait on: hand the step back to us so the worker delivers the first run
+    const { error: restoreError } = await supabase
+      .from('mission_steps')
+      .update({
+        status: 'in_progress',
+        spawn_status: null,
+        result: null,
+        lease_owner: owner,
+        lease_expires_at: new Date(Date.now() + missions.STEP_LEASE_MS).toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', step.id)
+      .eq('status', 'pending')
+      .eq('spawn_status', 'waiting');
+    if (restoreError) console.error(`[subtasks] Failed to restore step #${step.id}:`, restoreError.message);
+    return { children, dropped, error: 'Failed to create sub-task steps' };
+  }
+
+  // Back in the queue: the new edges keep it waiting until the children complete
+  const { error } = await supabase
+    .from('mission_steps')
+    .update({ processed: false, started_at: null, updated_at: new Date().toISOString() })
+    .eq('id', step.id)
+    .eq('spawn_status', 'waiting');
+  if (error) console.error(`[subtasks] Failed to queue step #${step.id} behind its sub-tasks:`, error.message);
+
+  await events.logEvent({
+    eventType: 'subtasks_spawned',
+    agentId: step.assigned_agent_id,
+    severity: 'info',
+    description: `Step #${step.id} spawned ${children.length} sub-task(s)${dropped.length > 0 ? ` (${dropped.length} dropped)` : ''}`,
+    data: { stepId: step.id, missionId: step.mission_id, childStepIds: children.map(c => c.id), dropped }
+  });
+  console.log(`[subtasks] Step #${step.id} spawned steps ${children.map(c => c.id).join(', ')}`);
+
+  return { children, dropped, error: null };
+}
+
+/**
+ * Record that a parent delivered its synthesis pass.
+ */
+async function markSynthesized(stepId) {
+  const { error } = await supabase
+    .from('mission_steps')
+    .update({ spawn_status: 'synthesized', updated_at: new Date().toISOString() })
+    .eq('id', stepId);
+  if (error) console.error(`[subtasks] Failed to mark step #${stepId} synthesized:`, error.message);
+}
+
+// ============================================================
+// HEARTBEAT ENTRY POINT
+// ============================================================
+
+/**
+ * Fail waiting parents whose child failed or was cancelled — they could never
+ * become ready. Runs before re-planning, which can then replace the parent.
+ *
+ * @param {number} missionId
+ * @returns {number} Parents failed
+ */
+async function failStrandedParents(missionId) {
+  const { data: waiting, error } = await supabase
+    .from('mission_steps')
+    .select('*')
+    .eq('mission_id', missionId)
+    .eq('status', 'pending')
+    .eq('spawn_status', 'waiting');
+
+  if (error) {
+    console.error(`[subtasks] Failed to load waiting steps for mission #${missionId}:`, error.message);
+    return 0;
+  }
+
+  let failed = 0;
+  for (const parent of waiting || []) {
+    const broken = (await getChildren(parent.id)).find(c => c.status === 'failed' || c.status === 'cancelled');
+    if (!broken) continue;
+
+    await missions.failStep(parent.id, `Sub-task step #${broken.id} ${broken.status}`);
+    await events.logEvent({
+      eventType: 'task_failed',
+      agentId: parent.assigned_agent_id,
+      severity: 'error',
+      description: `Step #${parent.id} failed: sub-task step #${broken.id} ${broken.status}`,
+      data: { stepId: parent.id, childStepId: broken.id }
+    });
+    failed++;
+  }
+  return failed;
+}
+
+module.exports = {
+  DEFAULT_MAX_SUBTASKS,
+  getSubtaskLimit,
+  canSpawn,
+  isSynthesisPass,
+  getChildren,
+  buildSpawnInstructions,
+  buildSynthesisContext,
+  parseSpawnRequest,
+  stripSpawnRequest,
+  spawnSubtasks,
+  markSynthesized,
+  failStrandedParents
+};
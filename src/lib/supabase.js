@@ -2,6 +2,14 @@
 // WHY singleton: avoids creating multiple connections from the same process
 
 require('dotenv').config();
+const dryRun = require('./dry_run');
+
+// Dry run: every process in this Node instance shares one in-memory store
+if (dryRun.isDryRun()) {
+  module.exports = dryRun.getStore();
+  return;
+}
+
 const { createClient } = require('@supabase/supabase-js');
 
 if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
@@ -0,0 +1,263 @@
+// tools.js — Mid-synthesis tool use for agents
+// WHY: Agents could only reach the web through the fixed RESEARCH phase (queries
+// chosen before any writing starts) or via [WEB_SEARCH:]/[WEB_FETCH:] tags the
+// worker resolved AFTER the deliverable was done. Neither lets an agent notice a
+// gap while writing and go look it up. The synthesize phase now runs a tool loop:
+// the model may answer with tool calls instead of a deliverable, the pipeline runs
+// them and feeds the results back, up to MAX_TOOL_ROUNDS rounds.
+//
+// Protocol (text, provider-agnostic — same idea as our other [TAG:] protocols):
+//   [TOOL:search]{"query": "..."}[/TOOL]
+//
+// Every call is checked against capabilities.RESEARCH_LIMITS. Searches and fetches
+// draw on the SAME per-step budget as the research phase; a call over budget is
+// rejected (the model is told why) rather than silently dropped.
+
+const web = require('./web');
+const missions = require('./missions');
+const memory = require('./memory');
+const { RESEARCH_LIMITS } = require('./capabilities');
+const { parseJsonContent } = require('./structured_output');
+
+// Rounds of tool calls before the model must produce the deliverable
+const MAX_TOOL_ROUNDS = 3;
+
+// Cap on a single tool result fed back into the prompt
+const MAX_TOOL_RESULT_CHARS = RESEARCH_LIMITS.MAX_CHARS_PER_PAGE;
+
+const TOOL_CALL_REGEX = /\[TOOL:([a-z_]+)\]([\s\S]*?)\[\/TOOL\]/g;
+
+// ============================================================
+// TOOL DEFINITIONS
+// ============================================================
+
+const TOOL_DEFINITIONS = {
+  search: {
+    description: 'Web search. Returns titles, URLs and snippets.',
+    args: '{"query": "specific search query"}',
+    validate: args => typeof args.query === 'string' && args.query.trim() ? null : 'query (string) is required'
+  },
+  fetch: {
+    description: 'Fetch a web page as plain text.',
+    args: '{"url": "https://..."}',
+    validate: args => /^https?:\/\//.test(args.url || '') ? null : 'url (http/https) is required'
+  },
+  read_predecessor: {
+    description: 'Read the full output of an upstream step this task depends on.',
+    args: '{"index": 1}  (optional — omit to list all predecessors)',
+    validate: args => args.index === undefined || Number.isInteger(args.index) ? null : 'index must be an integer'
+  },
+  recall_memory: {
+    description: 'Search your own long-term memory for relevant past work.',
+    args: '{"query": "topic keywords"}',
+    validate: args => typeof args.query === 'string' && args.query.trim() ? null : 'query (string) is required'
+  }
+};
+
+/**
+ * Build the per-step tool budget, continuing from what the research phase used.
+ *
+ * @param {Object|null} budgetUsed - From runResearch() ({ queriesUsed, fetchesUsed })
+ * @returns {{ queriesUsed, fetchesUsed, toolCalls }}
+ */
+function createToolBudget(budgetUsed) {
+  return {
+    queriesUsed: budgetUsed?.queriesUsed || 0,
+    fetchesUsed: budgetUsed?.fetchesUsed || 0,
+    toolCalls: 0
+  };
+}
+
+/**
+ * Prompt section describing the tools and what budget remains.
+ */
+function buildToolsPrompt(budget) {
+  const lines = Object.entries(TOOL_DEFINITIONS)
+    .map(([name, def]) => `- **${name}** — ${def.description} Args: ${def.args}`);
+
+  return `## TOOLS (optional — use only if you are missing something you need)
+If you need more information before writing, respond with ONLY tool calls, one per line:
+[TOOL:search]{"query": "..."}[/TOOL]
+You will get the results back and can then write the deliverable (or call more tools).
+If you have what you need, skip this and write the deliverable directly.
+
+${lines.join('\n')}
+
+Remaining budget for this step:
+- Searches: ${Math.max(0, RESEARCH_LIMITS.MAX_QUERIES_PER_STEP - budget.queriesUsed)} of ${RESEARCH_LIMITS.MAX_QUERIES_PER_STEP}
+- Page fetches: ${Math.max(0, RESEARCH_LIMITS.MAX_FETCHES_PER_STEP - budget.fetchesUsed)} of ${RESEARCH_LIMITS.MAX_FETCHES_PER_STEP}
+- Tool calls: ${Math.max(0, RESEARCH_LIMITS.MAX_TOOL_CALLS_PER_STEP - budget.toolCalls)} of ${RESEARCH_LIMITS.MAX_TOOL_CALLS_PER_STEP}`;
+}
+
+// ============================================================
+// PARSING
+// ============================================================
+
+/**
+ * Extract tool calls from an LLM response.
+ *
+ * @param {string} text
+ * @returns {Array<{ tool: string, args: Object, error: string|null }>}
+ */
+function parseToolCalls(text) {
+  if (!text) return [];
+  const calls = [];
+  for (const match of text.matchAll(TOOL_CALL_REGEX)) {
+    const tool = match[1];
+    const raw = match[2].trim();
+    const { value, error } = raw ? parseJsonContent(raw) : { value: {}, error: null };
+    const args = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+    calls.push({ tool, args, error: error ? `Arguments are not valid JSON: ${error}` : null });
+  }
+  return calls;
+}
+
+/**
+ * Remove any tool-call tags (used when the model keeps calling tools past the limit).
+ */
+function stripToolCalls(text) {
+  return (text || '').replace(TOOL_CALL_REGEX, '').trim();
+}
+
+// ============================================================
+// EXECUTION
+// ============================================================
+
+/**
+ * Check a call against RESEARCH_LIMITS and the step's running budget.
+ * @returns {string|null} Rejection reason, or null if allowed
+ */
+function checkLimits(tool, budget) {
+  if (budget.toolCalls >= RESEARCH_LIMITS.MAX_TOOL_CALLS_PER_STEP) {
+    return `Tool call limit reached (${RESEARCH_LIMITS.MAX_TOOL_CALLS_PER_STEP} per step)`;
+  }
+  if (tool === 'search' && budget.queriesUsed >= RESEARCH_LIMITS.MAX_QUERIES_PER_STEP) {
+    return `Search budget exhausted (${RESEARCH_LIMITS.MAX_QUERIES_PER_STEP} per step)`;
+  }
+  if (tool === 'fetch' && budget.fetchesUsed >= RESEARCH_LIMITS.MAX_FETCHES_PER_STEP) {
+    return `Fetch budget exhausted (${RESEARCH_LIMITS.MAX_FETCHES_PER_STEP} per step)`;
+  }
+  return null;
+}
+
+/**
+ * Run one tool call. Never throws — failures come back as status 'error' so the
+ * model can see them and carry on.
+ *
+ * @param {Object} call - From parseToolCalls()
+ * @param {Object} ctx
+ * @param {Object} ctx.step - The mission step being executed
+ * @param {Object} ctx.budget - From createToolBudget() (mutated)
+ * @returns {{ status: 'ok'|'rejected'|'error', output: string, source: Object|null }}
+ */
+async function executeToolCall(call, { step, budget }) {
+  const def = TOOL_DEFINITIONS[call.tool];
+  if (!def) {
+    return { status: 'rejected', output: `Unknown tool "${call.tool}". Available: ${Object.keys(TOOL_DEFINITIONS).join(', ')}`, source: null };
+  }
+  const argError = call.error || def.validate(call.args);
+  if (argError) {
+    return { status: 'rejected', output: `Invalid call to ${call.tool}: ${argError}`, source: null };
+  }
+  const limitError = checkLimits(call.tool, budget);
+  if (limitError) {
+    return { status: 'rejected', output: limitError, source: null };
+  }
+
+  budget.toolCalls++;
+  try {
+    switch (call.tool) {
+      case 'search': return await runSearch(call.args, budget);
+      case 'fetch': return await runFetch(call.args, budget);
+      case 'read_predecessor': return await runReadPredecessor(call.args, step);
+      case 'recall_memory': return await runRecallMemory(call.args, step);
+    }
+  } catch (err) {
+    console.error(`[tools] Step #${step.id}: ${call.tool} failed: ${err.message}`);
+    return { status: 'error', output: `${call.tool} failed: ${err.message}`, source: null };
+  }
+}
+
+async function runSearch({ query }, budget) {
+  budget.queriesUsed++;
+  const result = await web.searchWeb(query, RESEARCH_LIMITS.MAX_URLS_PER_QUERY);
+  if (result.error || result.results.length === 0) {
+    return { status: 'error', output: `No results for "${query}"${result.error ? ` (${result.error})` : ''}`, source: null };
+  }
+  const output = result.results
+    .map((r, i) => `${i + 1}. ${r.title}\n   ${r.url}\n   ${r.snippet}`)
+    .join('\n');
+  return { status: 'ok', output, source: null };
+}
+
+async function runFetch({ url }, budget) {
+  budget.fetchesUsed++;
+  const page = await web.fetchPage(url, RESEARCH_LIMITS.MAX_CHARS_PER_PAGE);
+  if (page.error || !page.content) {
+    return { status: 'error', output: `Fetch failed for ${url}: ${page.error || 'empty page'}`, source: null };
+  }
+  // Fetched pages become citable sources, same as research-phase pages
+  return {
+    status: 'ok',
+    output: `${page.title || url}\n${page.content}`,
+    source: { title: page.title || url, url, content: page.content }
+  };
+}
+
+async function runReadPredecessor({ index }, step) {
+  let outputs = await missions.getPredecessorOutputs(step.id);
+  if (outputs.length === 0 && step.parent_step_id) {
+    const parent = await missions.getParentStepResult(step.parent_step_id);
+    if (parent) outputs = [{ agentName: parent.agentName, result: parent.result }];
+  }
+  if (outputs.length === 0) {
+    return { status: 'error', output: 'This step has no completed predecessor outputs.', source: null };
+  }
+
+  if (index === undefined) {
+    const list = outputs.map((p, i) => `${i + 1}. from ${p.agentName} (${p.result.length} chars): ${p.result.slice(0, 200)}...`);
+    return { status: 'ok', output: `Predecessors (call again with {"index": N} to read one):\n${list.join('\n')}`, source: null };
+  }
+
+  const picked = outputs[index - 1];
+  if (!picked) {
+    return { status: 'error', output: `No predecessor #${index} (this step has ${outputs.length})`, source: null };
+  }
+  return { status: 'ok', output: `From ${picked.agentName}:\n${picked.result}`, source: null };
+}
+
+async function runRecallMemory({ query }, step) {
+  const tags = query.toLowerCase().split(/\W+/).filter(w => w.length > 3).slice(0, 5);
+  if (tags.length === 0) {
+    return { status: 'error', output: 'Query needs at least one keyword longer than 3 characters.', source: null };
+  }
+  const memories = await memory.searchMemories(step.assigned_agent_id, query, { topicTags: tags, limit: 5 });
+  if (memories.length === 0) {
+    return { status: 'ok', output: `No memories matched: ${tags.join(', ')}`, source: null };
+  }
+  const output = memories
+    .map(m => `- [${m.memory_type}, ${String(m.created_at || '').slice(0, 10)}] ${m.summary || ''}\n  ${(m.content || '').slice(0, 600)}`)
+    .join('\n');
+  return { status: 'ok', output, source: null };
+}
+
+/**
+ * Format executed calls for the follow-up prompt.
+ */
+function formatToolResults(executed) {
+  return executed.map(({ call, result }) =>
+    `### ${call.tool} ${JSON.stringify(call.args)} → ${result.status}\n${result.output.slice(0, MAX_TOOL_RESULT_CHARS)}`
+  ).join('\n\n');
+}
+
+module.exports = {
+  TOOL_DEFINITIONS,
+  MAX_TOOL_ROUNDS,
+  MAX_TOOL_RESULT_CHARS,
+  createToolBudget,
+  buildToolsPrompt,
+  parseToolCalls,
+  stripToolCalls,
+  executeToolCall,
+  formatToolResults
+};
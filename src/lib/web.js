@@ -10,6 +10,9 @@
 // CRITICAL: Must use a real browser User-Agent. DuckDuckGo returns empty/different
 // HTML for bot UAs. Learned this the hard way — a bot UA got zero results.
 
+const rateLimit = require('./rate_limit');
+const dryRun = require('./dry_run');
+
 const BROWSER_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
 
 // ============================================================
@@ -26,6 +29,8 @@ const BROWSER_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36
  * @returns {{ content: string, title: string, url: string, error: string|null }}
  */
 async function fetchPage(url, maxChars = 8000) {
+  if (dryRun.isDryRun()) return dryRun.pageFixture(url, maxChars);
+
   try {
     const response = await fetch(url, {
       headers: {
@@ -77,6 +82,8 @@ async function fetchPage(url, maxChars = 8000) {
  * @returns {{ results: Array<{title, url, snippet}>, error: string|null }}
  */
 async function searchWeb(query, maxResults = 5) {
+  if (dryRun.isDryRun()) return dryRun.searchFixture(query, maxResults);
+
   const braveKey = process.env.BRAVE_API_KEY;
 
   // Try Brave first — structured JSON, won't break on HTML changes
@@ -92,12 +99,12 @@ async function searchWeb(query, maxResults = 5) {
 
 /**
  * Search via Brave Search API. Returns structured JSON — no HTML parsing needed.
- * Free tier: 2,000 queries/month, 1 req/sec.
+ * Free tier: 2,000 queries/month, 1 req/sec (paced by rate_limit.js 'brave').
  */
 async function searchBrave(query, apiKey, maxResults = 5) {
   try {
     const encoded = encodeURIComponent(query);
-    const response = await fetch(`https://api.search.brave.com/res/v1/web/search?q=${encoded}&count=${maxResults}`, {
+    const response = await rateLimit.rateLimitedFetch('brave', `https://api.search.brave.com/res/v1/web/search?q=${encoded}&count=${maxResults}`, {
       headers: {
         'Accept': 'application/json',
         'Accept-Encoding': 'gzip',
@@ -374,6 +381,8 @@ function extractYouTubeId(url) {
  * @returns {{ content: string, title: string, error: string|null }}
  */
 async function fetchYouTube(videoId, maxChars = 6000) {
+  if (dryRun.isDryRun()) return dryRun.pageFixture(`https://www.youtube.com/watch?v=${videoId}`, maxChars);
+
   try {
     const pageUrl = `https://www.youtube.com/watch?v=${videoId}`;
     const response = await fetch(pageUrl, {
@@ -0,0 +1,223 @@
+// worker_pool.js — Bounded concurrency for step execution + per-worker liveness
+// WHY: processNextStep() claimed up to 3 steps and then ran them one after another
+// (1GB RAM). The step_dependencies DAG was built for parallel work that never
+// happened. Steps now run in a pool bounded by BOTH a slot count and a memory
+// budget, using a rough per-step memory estimate. Several worker processes can run
+// side by side (ecosystem.config.js WORKER_INSTANCES); claimStep()'s conditional
+// update (status = 'pending') keeps claims race-safe across processes, and the
+// pool refuses to start the same step twice inside one process.
+//
+// Liveness: every worker upserts its own row in worker_heartbeats each poll
+// (in-flight steps, capacity, RSS). Heartbeat flags workers that go quiet.
+//
+// Config (env):
+//   WORKER_CONCURRENCY       — max steps in flight per process (default 2)
+//   WORKER_MEMORY_BUDGET_MB  — memory the pool may commit to steps (default 180)
+//   WORKER_ID                — stable worker name (default hostname-pm2 instance)
+
+const os = require('os');
+const supabase = require('./supabase');
+
+const DEFAULT_CONCURRENCY = 2;
+
+// WHY 180: worker restarts at 300M (ecosystem.config.js) and idles around 100MB
+const DEFAULT_MEMORY_BUDGET_MB = 180;
+
+// Rough peak heap per running step. Higher tiers write longer outputs and run
+// more revise passes; prefetching pasted URLs holds page bodies in memory.
+const STEP_MEMORY_ESTIMATES_MB = {
+  tier1: 40,
+  tier2: 55,
+  tier3: 70
+};
+const URL_PREFETCH_MEMORY_MB = 25;
+
+// A worker whose heartbeat row is older than this is considered dead
+const WORKER_STALE_MS = 2 * 60 * 1000;
+
+// ============================================================
+// CONFIG
+// ============================================================
+
+/**
+ * Pool limits from env, with safe defaults.
+ */
+function getPoolConfig() {
+  const maxConcurrent = parseInt(process.env.WORKER_CONCURRENCY, 10);
+  const memoryBudgetMb = parseInt(process.env.WORKER_MEMORY_BUDGET_MB, 10);
+  return {
+    maxConcurrent: maxConcurrent > 0 ? maxConcurrent : DEFAULT_CONCURRENCY,
+    memoryBudgetMb: memoryBudgetMb > 0 ? memoryBudgetMb : DEFAULT_MEMORY_BUDGET_MB
+  };
+}
+
+/**
+ * Stable id for this worker process. PM2 sets NODE_APP_INSTANCE per instance.
+ */
+function resolveWorkerId() {
+  return process.env.WORKER_ID || `${os.hostname()}-${process.env.NODE_APP_INSTANCE || 0}`;
+}
+
+/**
+ * Estimate a step's peak memory in MB (tier + URL prefetch).
+ */
+function estimateStepMemoryMb(step) {
+  const base = STEP_MEMORY_ESTIMATES_MB[step.model_tier] || STEP_MEMORY_ESTIMATES_MB.tier1;
+  const hasUrls = /https?:\/\//.test(step.description || '');
+  return base + (hasUrls ? URL_PREFETCH_MEMORY_MB : 0);
+}
+
+// ============================================================
+// POOL
+// ============================================================
+
+/**
+ * Create a step pool. Steps start without blocking the caller; the pool tracks
+ * slots and committed memory until each one settles.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxConcurrent]
+ * @param {number} [options.memoryBudgetMb]
+ * @param {Function} [options.estimate] - step → MB (default estimateStepMemoryMb)
+ */
+function createStepPool({
+  maxConcurrent = DEFAULT_CONCURRENCY,
+  memoryBudgetMb = DEFAULT_MEMORY_BUDGET_MB,
+  estimate = estimateStepMemoryMb
+} = {}) {
+  const running = new Map(); // stepId → { promise, memoryMb, startedAt }
+  let committedMb = 0;
+
+  const pool = {
+    maxConcurrent,
+    memoryBudgetMb,
+
+    freeSlots() {
+      return Math.max(0, maxConcurrent - running.size);
+    },
+
+    isRunning(stepId) {
+      return running.has(stepId);
+    },
+
+    /**
+     * Would this step fit right now? An idle pool always admits one step,
+     * so a step estimated above the whole budget still runs (alone).
+     */
+    canAdmit(step) {
+      if (running.has(step.id) || running.size >= maxConcurrent) return false;
+      if (running.size === 0) return true;
+      return committedMb + estimate(step) <= memoryBudgetMb;
+    },
+
+    /**
+     * Start a step. Never throws — failures are logged and the slot is released.
+     * @returns {Promise|null} Settles when the step finishes; null if not admitted
+     */
+    start(step, fn) {
+      if (!pool.canAdmit(step)) return null;
+
+      const memoryMb = estimate(step);
+      committedMb += memoryMb;
+
+      const promise = Promise.resolve()
+        .then(fn)
+        .catch(err => console.error(`[worker_pool] Step #${step.id} crashed: ${err.message}`))
+        .finally(() => {
+          running.delete(step.id);
+          committedMb -= memoryMb;
+        });
+
+      running.set(step.id, { promise, memoryMb, startedAt: Date.now() });
+      return promise;
+    },
+
+    /**
+     * Wait for every in-flight step (graceful shutdown).
+     */
+    async drain() {
+      await Promise.allSettled([...running.values()].map(r => r.promise));
+    },
+
+    snapshot() {
+      return {
+        inFlight: [...running.keys()],
+        capacity: maxConcurrent,
+        committedMb,
+        memoryBudgetMb
+      };
+    }
+  };
+
+  return pool;
+}
+
+// ============================================================
+// LIVENESS
+// ============================================================
+
+/**
+ * Upsert this worker's liveness row. Fails open — a missed report only means
+ * heartbeat may briefly consider the worker stale.
+ *
+ * @param {Object} params
+ * @param {string} params.workerId
+ * @param {Object} params.pool - From createStepPool()
+ * @param {string} [params.status] - running | stopping | stopped
+ * @param {string} params.startedAt - ISO time the process started
+ */
+async function reportLiveness({ workerId, pool, status = 'running', startedAt }) {
+  const snap = pool.snapshot();
+  const { error } = await supabase
+    .from('worker_heartbeats')
+    .upsert({
+      id: workerId,
+      pid: process.pid,
+      hostname: os.hostname(),
+      status,
+      in_flight_step_ids: snap.inFlight,
+      capacity: snap.capacity,
+      committed_memory_mb: snap.committedMb,
+      rss_mb: Math.round(process.memoryUsage().rss / 1024 / 1024),
+      started_at: startedAt,
+      last_seen_at: new Date().toISOString()
+    }, { onConflict: 'id' });
+
+  if (error) {
+    console.error(`[worker_pool] Liveness report failed for ${workerId}: ${error.message}`);
+  }
+}
+
+/**
+ * Workers that claim to be running but haven't reported within WORKER_STALE_MS.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.staleMs]
+ * @returns {Array} worker_heartbeats rows plus silentMs
+ */
+async function findStaleWorkers({ staleMs = WORKER_STALE_MS } = {}) {
+  const cutoff = new Date(Date.now() - staleMs).toISOString();
+  const { data, error } = await supabase
+    .from('worker_heartbeats')
+    .select('*')
+    .eq('status', 'running')
+    .lt('last_seen_at', cutoff);
+
+  if (error) {
+    console.error(`[worker_pool] Failed to check worker liveness: ${error.message}`);
+    return [];
+  }
+
+  return (data || []).map(w => ({ ...w, silentMs: Date.now() - new Date(w.last_seen_at).getTime() }));
+}
+
+module.exports = {
+  createStepPool,
+  getPoolConfig,
+  resolveWorkerId,
+  estimateStepMemoryMb,
+  reportLiveness,
+  findStaleWorkers,
+  STEP_MEMORY_ESTIMATES_MB,
+  WORKER_STALE_MS
+};
@@ -4,8 +4,10 @@
 // saves the result, and triggers the approval chain.
 // It also processes pending reviews (QA → Team Lead approval chain).
 //
-// Polling loop: every 10 seconds, check for pending steps OR pending reviews.
-// One at a time to stay within 1GB RAM.
+// Polling loop: every 10 seconds, top up the step pool and process pending reviews.
+// Steps run concurrently in a bounded pool (slots + memory budget, see
+// lib/worker_pool.js) to stay within 1GB RAM; reviews stay one at a time.
+// Several worker processes may run side by side (WORKER_INSTANCES).
 
 require('dotenv').config();
 const memory = require('./lib/memory');
@@ -21,9 +23,17 @@ const context = require('./lib/context');
 const pipeline = require('./lib/pipeline');
 const approachMemory = require('./lib/approach_memory');
 const linear = require('./lib/linear');
+const routing = require('./lib/routing');
+const budget = require('./lib/budget');
 const supabase = require('./lib/supabase');
+const workerPool = require('./lib/worker_pool');
+const dryRun = require('./lib/dry_run');
+const subtasks = require('./lib/subtasks');
 
 const POLL_INTERVAL_MS = 10 * 1000; // 10 seconds
+const WORKER_ID = workerPool.resolveWorkerId();
+const STARTED_AT = new Date().toISOString();
+const pool = workerPool.createStepPool(workerPool.getPoolConfig());
 let running = true;
 
 // ============================================================
@@ -31,11 +41,12 @@ let running = true;
 // ============================================================
 
 async function main() {
-  console.log('[worker] Starting task execution worker...');
+  console.log(`[worker] Starting task execution worker ${WORKER_ID} (${pool.maxConcurrent} slots, ${pool.memoryBudgetMb}MB step budget)...`);
   await events.logEvent({
     eventType: 'worker_started',
     severity: 'info',
-    description: 'Worker process started'
+    description: `Worker ${WORKER_ID} started`,
+    data: { workerId: WORKER_ID, maxConcurrent: pool.maxConcurrent, memoryBudgetMb: pool.memoryBudgetMb }
   });
 
   while (running) {
@@ -51,8 +62,18 @@ async function main() {
       });
     }
 
+    await workerPool.reportLiveness({ workerId: WORKER_ID, pool, startedAt: STARTED_AT });
     await sleep(POLL_INTERVAL_MS);
   }
+
+  // Let in-flight steps finish before exiting
+  const inFlight = pool.snapshot().inFlight;
+  if (inFlight.length > 0) {
+    console.log(`[worker] Waiting for ${inFlight.length} in-flight step(s): ${inFlight.map(id => `#${id}`).join(', ')}`);
+    await workerPool.reportLiveness({ workerId: WORKER_ID, pool, status: 'stopping', startedAt: STARTED_AT });
+    await pool.drain();
+  }
+  await workerPool.reportLiveness({ workerId: WORKER_ID, pool, status: 'stopped', startedAt: STARTED_AT });
 }
 
 // ============================================================
@@ -60,32 +81,65 @@ async function main() {
 // ============================================================
 
 async function processNextStep() {
-  // Claim up to 3 eligible steps per tick (v0.9.0 parallel execution)
-  const pendingSteps = await missions.getPendingSteps(3);
+  // Only fetch as many eligible steps as the pool has free slots
+  const freeSlots = pool.freeSlots();
+  if (freeSlots === 0) return;
+
+  const pendingSteps = await missions.getPendingSteps(freeSlots);
   if (pendingSteps.length === 0) return;
 
-  // Claim all eligible steps, then execute sequentially (not Promise.all — 1GB RAM)
-  const claimedSteps = [];
+  // WHY check before claiming: a claimed step we can't run would sit in_progress.
+  // Steps that don't fit the memory budget stay pending for a later tick (or
+  // another worker process). claimStep() only succeeds while status is still
+  // 'pending', so two processes can never both start the same step.
+  let started = 0;
   for (const step of pendingSteps) {
-    const claimed = await missions.claimStep(step.id);
-    if (claimed) {
-      claimedSteps.push(step);
-    } else {
+    if (!pool.canAdmit(step)) {
+      console.log(`[worker] Step #${step.id} (~${workerPool.estimateStepMemoryMb(step)}MB) deferred — pool memory budget full`);
+      continue;
+    }
+
+    const claimed = await missions.claimStep(step.id, { owner: WORKER_ID });
+    if (!claimed) {
       console.log(`[worker] Step #${step.id} already claimed, skipping`);
+      continue;
     }
+
+    // Not awaited — the pool runs it alongside the others. The pipeline reads
+    // lease_owner off the step so budget blocks stay scoped to our lease.
+    pool.start(step, () => executeLeasedStep({ ...step, lease_owner: claimed.lease_owner }));
+    started++;
   }
 
-  if (claimedSteps.length === 0) return;
-  console.log(`[worker] Claimed ${claimedSteps.length} step(s) this tick`);
+  if (started > 0) {
+    console.log(`[worker] Started ${started} step(s) this tick (${pool.snapshot().inFlight.length}/${pool.maxConcurrent} slots in use)`);
+  }
+}
 
-  for (const step of claimedSteps) {
+/**
+ * Run a claimed step while renewing its lease. WHY: a long pipeline (research,
+ * synthesize, critique, revise) can outlast the lease; renewing from a timer keeps
+ * the step ours for as long as this process is alive. If the process dies, renewals
+ * stop and heartbeat requeues the step once the lease expires.
+ */
+async function executeLeasedStep(step) {
+  const renewTimer = setInterval(async () => {
+    const renewed = await missions.renewLease(step.id, WORKER_ID);
+    if (!renewed) {
+      console.error(`[worker] Lost lease on step #${step.id} — it may have been requeued`);
+    }
+  }, missions.LEASE_RENEW_INTERVAL_MS);
+
+  try {
     await executeStep(step);
+  } finally {
+    clearInterval(renewTimer);
   }
 }
 
 /**
- * Execute a single claimed step. Extracted from processNextStep for
- * sequential multi-step execution (v0.9.0).
+ * Execute a single claimed step. Runs inside the step pool, possibly
+ * alongside other steps — keep it free of shared mutable state.
  */
 async function executeStep(step) {
   console.log(`[worker] Processing step #${step.id}: "${step.description.substring(0, 60)}..."`);
@@ -93,7 +147,7 @@ async function executeStep(step) {
 
   try {
     const topicTags = extractTopicTags(step.description);
-    const promptData = await memory.buildAgentPrompt(step.assigned_agent_id, topicTags);
+    const promptData = await memory.buildAgentPrompt(step.assigned_agent_id, topicTags, { queryText: step.description });
 
     if (promptData.error) {
       console.error(`[worker] Failed to build prompt: ${promptData.error}`);
@@ -119,7 +173,12 @@ async function executeStep(step) {
     // CHAIN CONTEXT: Inject predecessor outputs for context continuity.
     // v0.9.0 DAG path: multiple predecessors via step_dependencies table.
     // Legacy path: single parent via parent_step_id column.
-    const predecessorOutputs = await missions.getPredecessorOutputs(step.id);
+    // SUB-TASKS: A parent whose children are done runs as a synthesis pass — their
+    // output gets its own section instead of arriving as predecessor output.
+    const synthesisPass = subtasks.isSynthesisPass(step);
+    const children = synthesisPass ? await subtasks.getChildren(step.id) : [];
+    const childIds = new Set(children.map(c => c.id));
+    const predecessorOutputs = (await missions.getPredecessorOutputs(step.id)).filter(p => !childIds.has(p.stepId));
     if (predecessorOutputs.length > 0) {
       // DAG path — inject all predecessor outputs
       const contextParts = predecessorOutputs.map(p =>
@@ -137,23 +196,57 @@ async function executeStep(step) {
       }
     }
 
-    // AUTO TIER SELECTION: Upgrade tier based on task complexity if step uses default tier.
-    // Only override if step was assigned tier1 (the default) — explicit tier2/tier3 assignments are respected.
-    let effectiveTier = step.model_tier;
-    if (step.model_tier === 'tier1') {
-      const isFinalStep = await isLastStepInMission(step);
-      const autoTier = models.selectTier(false, step.description, { isFinalStep });
-      if (autoTier === 'tier2') {
-        effectiveTier = 'tier2';
-        console.log(`[worker] Step #${step.id}: Auto-upgraded to tier2 (${isFinalStep ? 'final step' : 'complex task'})`);
-      }
+    // A step's first run may split itself into sub-tasks ([SPAWN_SUBTASKS], see subtasks.js)
+    const spawnLimit = subtasks.canSpawn(step) ? await subtasks.getSubtaskLimit() : 0;
+    if (synthesisPass) {
+      userMessage = `${subtasks.buildSynthesisContext(step, children)}${userMessage}`;
+      console.log(`[worker] Step #${step.id}: Synthesis pass over ${children.length} sub-task(s)`);
+    } else if (spawnLimit > 0) {
+      userMessage = `${userMessage}\n\n${subtasks.buildSpawnInstructions(spawnLimit)}`;
     }
 
+    // TIER ROUTING: Policy-driven (tier_routing policy, see routing.js).
+    // Explicit tier2/tier3 assignments are respected; tier1 (the default) may be auto-upgraded,
+    // but keyword auto-upgrades stop at tier2. Role overrides, project minimums and agent
+    // ceilings apply on top. The matched rule is logged so we can audit every Opus call.
+    const isFinalStep = step.model_tier === 'tier1' ? await isLastStepInMission(step) : false;
+    const route = await routing.resolveTier({
+      assignedTier: step.model_tier,
+      autoCeiling: 'tier2',
+      taskDescription: step.description,
+      stepContext: { isFinalStep },
+      agentId: step.assigned_agent_id,
+      agentRole,
+      projectId: await getProjectIdForStep(step)
+    });
+    const effectiveTier = route.tier;
+    if (effectiveTier !== step.model_tier) {
+      console.log(`[worker] Step #${step.id}: Routed ${step.model_tier} → ${effectiveTier} (rule: ${route.rule})`);
+    }
+    await events.logEvent({
+      eventType: 'tier_routed',
+      agentId: step.assigned_agent_id,
+      severity: 'debug',
+      description: `Step #${step.id} routed to ${effectiveTier} (rule: ${route.rule})`,
+      data: { stepId: step.id, assignedTier: step.model_tier, tier: effectiveTier, rule: route.rule, trace: route.trace, policyVersion: route.policyVersion }
+    });
+
     // DEEP WORK PIPELINE: Multi-phase execution replaces the old single LLM call.
     // WHY: Single-shot calls produced hallucinated, surface-level output. The pipeline
     // forces: decompose → web research → synthesize → self-critique → (revise if needed).
     // Config determines which phases run based on task type.
-    const pipelineConfig = determinePipelineConfig(step, agentRole);
+    // RESUME: A retried step (crashed worker, expired lease, revision) reuses phases
+    // already in pipeline_phases. The rejection count keeps a rejected deliverable
+    // from being resubmitted — only decompose/research carry over a revision.
+    // STOP CHECKS: !cancel / !pause (or a lost lease) stop the pipeline at the next
+    // phase boundary instead of letting it burn tier2/3 calls on abandoned work.
+    const pipelineConfig = {
+      ...pipeline.determinePipelineConfig(step, agentRole),
+      revisionRound: await missions.countStepRejections(step.id),
+      shouldStop: () => missions.getStopSignal(step.id, { owner: WORKER_ID }),
+      // The children did the research; the first run's phases hold the spawn request
+      ...(synthesisPass ? { skipResearch: true, resume: false } : {})
+    };
     console.log(`[worker] Step #${step.id}: Pipeline config: ${JSON.stringify(pipelineConfig)}`);
 
     const pipelineResult = await pipeline.execute({
@@ -164,6 +257,29 @@ async function executeStep(step) {
       config: pipelineConfig
     });
 
+    if (pipelineResult.resumedPhases?.length > 0) {
+      await events.logEvent({
+        eventType: 'pipeline_resumed',
+        agentId: step.assigned_agent_id,
+        severity: 'info',
+        description: `Step #${step.id} resumed — reused ${pipelineResult.resumedPhases.join(', ')}`,
+        data: { stepId: step.id, resumedPhases: pipelineResult.resumedPhases, revisionRound: pipelineConfig.revisionRound }
+      });
+    }
+
+    if (pipelineResult.stopped) {
+      console.log(`[worker] Step #${step.id}: ${pipelineResult.error}`);
+      await missions.releaseStoppedStep(step.id, pipelineResult.stopped, { owner: WORKER_ID });
+      return;
+    }
+
+    // Budget guard parked the step as budget_blocked — heartbeat re-queues it when
+    // budget frees up, so don't overwrite that status with a failure.
+    if (pipelineResult.error && budget.isBudgetBlockedError(pipelineResult.error)) {
+      console.log(`[worker] Step #${step.id}: ${pipelineResult.error}`);
+      return;
+    }
+
     if (pipelineResult.error) {
       await missions.failStep(step.id, pipelineResult.error);
       await events.logEvent({
@@ -178,12 +294,30 @@ async function executeStep(step) {
 
     let finalContent = pipelineResult.content;
 
+    // SUB-TASKS: Spawn children and park the step until they complete. If none
+    // survive validation, the step delivers its first run as it is.
+    const spawnRequest = spawnLimit > 0 ? subtasks.parseSpawnRequest(finalContent) : null;
+    if (spawnRequest) {
+      const spawned = await subtasks.spawnSubtasks({ step, request: spawnRequest, owner: WORKER_ID });
+      if (spawned.children.length > 0) return;
+      console.log(`[worker] Step #${step.id}: No sub-tasks spawned (${spawned.error}), delivering first run`);
+      finalContent = spawnRequest.remainder;
+    } else {
+      finalContent = subtasks.stripSpawnRequest(finalContent);
+    }
+
     // SOCIAL MEDIA: Check if the agent wants to post content via [SOCIAL_POST:] tags
     // WHY: Agents (especially Faye) can create social content and queue it to Buffer.
     await social.resolveSocialTags(finalContent, step.assigned_agent_id);
 
-    // Save the result (goes to in_review status for approval chain)
-    await missions.completeStep(step.id, finalContent, 'text');
+    // Save the result (goes to in_review status for approval chain). Only while the
+    // lease is still ours — if heartbeat requeued the step, the new attempt owns it.
+    const completed = await missions.completeStep(step.id, finalContent, 'text', { owner: WORKER_ID });
+    if (!completed) {
+      console.error(`[worker] Step #${step.id}: Result discarded — lease lost before delivery`);
+      return;
+    }
+    if (synthesisPass) await subtasks.markSynthesized(step.id);
 
     // Save to agent's memory
     await memory.saveMemory({
@@ -656,35 +790,6 @@ ${expertiseAddition}`;
 // DEEP WORK PIPELINE HELPERS
 // ============================================================
 
-/**
- * Determine pipeline configuration based on step type and agent role.
- * WHY: Research tasks need full pipeline, engineering tasks skip web research,
- * and trivial tasks skip the pipeline entirely.
- */
-function determinePipelineConfig(step, agentRole) {
-  const desc = (step.description || '').toLowerCase();
-  const role = (agentRole || '').toLowerCase();
-
-  // Simple/trivial tasks — skip entire pipeline (legacy single-shot)
-  const simplePatterns = ['greet', 'respond to', 'acknowledge', 'thank', 'confirm'];
-  if (simplePatterns.some(p => desc.startsWith(p)) && desc.length < 100) {
-    return { skipPipeline: true };
-  }
-
-  // Engineering tasks — skip web research
-  if (role.includes('engineer') || ['code', 'build', 'deploy', 'api', 'database', 'debug', 'fix'].some(kw => desc.includes(kw))) {
-    return { skipResearch: true };
-  }
-
-  // Content/creative tasks — skip web research
-  if (role.includes('content') || role.includes('creative')) {
-    return { skipResearch: true };
-  }
-
-  // Default: full pipeline (research, analysis, strategy, etc.)
-  return {};
-}
-
 /**
  * Extract a lesson from the pipeline's self-critique and save it.
  * WHY: Old system needed an extra LLM call every 5th task. Now every task
@@ -758,6 +863,22 @@ async function isLastStepInMission(step) {
   return step.step_order >= (steps[0].step_order || 0);
 }
 
+/**
+ * Find the project a step's mission belongs to (for per-project minimum tiers).
+ * Returns null for standalone missions.
+ */
+async function getProjectIdForStep(step) {
+  if (!step.mission_id) return null;
+
+  const { data: link } = await supabase
+    .from('project_missions')
+    .select('project_id')
+    .eq('mission_id', step.mission_id)
+    .maybeSingle();
+
+  return link ? link.project_id : null;
+}
+
 function extractTopicTags(description) {
   const lower = description.toLowerCase();
   const tags = [];
@@ -797,7 +918,12 @@ process.on('SIGTERM', () => {
   running = false;
 });
 
-main().catch(err => {
-  console.error('[worker] Fatal error:', err);
-  process.exit(1);
-});
+// Replay (scripts/replay.js) drives the loop itself and drains the pool between rounds
+if (dryRun.isReplay()) {
+  module.exports = { processNextStep, processNextReview, pool };
+} else {
+  main().catch(err => {
+    console.error('[worker] Fatal error:', err);
+    process.exit(1);
+  });
+}
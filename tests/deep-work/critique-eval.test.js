@@ -0,0 +1,160 @@
+// Critique Calibration Tests
+// critique_eval.js runs the production critique over founder-scored golden
+// deliverables and reports correlation, bias and the autonomy decisions each
+// score would produce. autonomy.updateThresholds() requires a passing run.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createMockSupabase = require('../mocks/supabase');
+
+const mockSupabase = createMockSupabase();
+global.__mockSupabase = mockSupabase;
+jest.mock('../../src/lib/supabase', () => global.__mockSupabase);
+
+const mockCallLLM = jest.fn();
+jest.mock('../../src/lib/models', () => ({
+  callLLM: mockCallLLM,
+  MODELS: {
+    tier1: { name: 'minimax', model: 'minimax/minimax-m2.5', tier: 'tier1', maxTokens: 4096 },
+    tier2: { name: 'claude-sonnet', model: 'anthropic/claude-sonnet-4.5', tier: 'tier2', maxTokens: 8192 },
+    tier3: { name: 'claude-opus', model: 'anthropic/claude-opus-4', tier: 'tier3', maxTokens: 4096 }
+  }
+}));
+
+const critiqueEval = require('../../src/lib/critique_eval');
+const autonomy = require('../../src/lib/autonomy');
+
+const THRESHOLDS = { autoApproveThreshold: 4.0, qaOnlyThreshold: 3.0 };
+
+const result = (id, founderScore, modelScore) => ({ id, founderScore, modelScore, scores: null, error: null });
+
+// The shipped golden.json is a seed set; a founder-scored copy stands in for a real one
+const FOUNDER_GOLDEN = path.join(os.tmpdir(), `founder-golden-${process.pid}.json`);
+beforeAll(() => fs.writeFileSync(FOUNDER_GOLDEN, JSON.stringify({ items: critiqueEval.loadGoldenSet().items })));
+afterAll(() => fs.rmSync(FOUNDER_GOLDEN, { force: true }));
+
+// The model scores each golden item at founderScore + offset
+function critiqueAt(offset) {
+  const { items } = critiqueEval.loadGoldenSet();
+  mockCallLLM.mockImplementation(async ({ userMessage }) => {
+    const item = items.find(i => userMessage.includes(i.deliverable));
+    const score = Math.min(5, item.founderScore + offset);
+    return {
+      content: JSON.stringify({ scores: { completeness: score, accuracy: score, actionability: score, depth: score }, overallScore: score, gaps: [], lesson: null }),
+      usage: null,
+      error: null
+    };
+  });
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockSupabase.__reset();
+  mockSupabase.__setData('policy', [{
+    id: 1,
+    policy_type: 'autonomy',
+    rules: { enabled: true, auto_approve_threshold: 4.0, qa_only_threshold: 3.0, always_review_final: true, always_review_tier3: true }
+  }]);
+});
+
+describe('computeStats()', () => {
+  test('reports correlation, bias and the review decisions each score leads to', () => {
+    const stats = critiqueEval.computeStats([
+      result('a', 1.5, 2.0),
+      result('b', 2.5, 3.0),
+      result('c', 3.5, 4.0), // founder: QA-only, model: auto-approve
+      result('d', 4.5, 4.5),
+      { ...result('e', 3.0, null), error: 'critique failed (defaulted to 3.0)' }
+    ], THRESHOLDS);
+
+    expect(stats).toMatchObject({ n: 4, errors: 1, spearman: 1, bias: 0.375, mae: 0.375 });
+    expect(stats.pearson).toBeCloseTo(0.99, 2);
+    expect(stats.decisions).toMatchObject({ agreement: 2, falseAutoApprovals: 1, underReviewed: 2, overReviewed: 0 });
+  });
+
+  test('an inflated but perfectly ordered critic still fails the gate on bias', () => {
+    const results = [1.5, 2, 2.5, 3, 3.5, 4, 4.5, 2.5].map((s, i) => result(`i${i}`, s, Math.min(5, s + 1)));
+    const gate = critiqueEval.checkGate(critiqueEval.computeStats(results, THRESHOLDS));
+
+    expect(gate.passed).toBe(false);
+    expect(gate.failures).toEqual(expect.arrayContaining([expect.stringMatching(/^bias \+0\.9\d* exceeds/), expect.stringMatching(/false auto-approval/)]));
+  });
+});
+
+describe('runEval()', () => {
+  test('critiques the golden set with the production critique and stores a passing run', async () => {
+    critiqueAt(0);
+
+    const { run, stats, gate } = await critiqueEval.runEval({ thresholds: THRESHOLDS, goldenPath: FOUNDER_GOLDEN });
+
+    expect(mockCallLLM).toHaveBeenCalledTimes(critiqueEval.loadGoldenSet().items.length);
+    expect(mockCallLLM.mock.calls[0][0]).toMatchObject({ forceTier: 'tier1' });
+    expect(stats).toMatchObject({ pearson: 1, bias: 0, errors: 0 });
+    expect(gate).toEqual({ passed: true, failures: [] });
+    expect(run).toMatchObject({ passed: true, prompt_fingerprint: critiqueEval.critiqueFingerprint(), auto_approve_threshold: 4.0 });
+  });
+
+  test('the shipped seed set cannot pass the gate on its own', async () => {
+    critiqueAt(0);
+
+    const { stats, gate, results } = await critiqueEval.runEval({ thresholds: THRESHOLDS });
+
+    expect(results.every(r => r.source === 'seed')).toBe(true);
+    expect(stats).toMatchObject({ pearson: 1, bias: 0, founderScored: 0 });
+    expect(gate).toEqual({ passed: false, failures: [`only 0 founder-scored items (need ${critiqueEval.GATE.minItems})`] });
+  });
+
+  test('a critique that falls back to the default score counts as an error', async () => {
+    mockCallLLM.mockResolvedValue({ content: null, usage: null, error: 'provider down' });
+
+    const { stats, gate } = await critiqueEval.runEval({ thresholds: THRESHOLDS });
+
+    expect(stats.n).toBe(0);
+    expect(gate.failures[0]).toMatch(/critique\(s\) failed/);
+  });
+
+  test('an unreadable golden set is reported, not thrown', async () => {
+    const { error } = await critiqueEval.runEval({ thresholds: THRESHOLDS, goldenPath: path.join(__dirname, 'missing.json') });
+
+    expect(error).toMatch(/ENOENT/);
+  });
+});
+
+describe('autonomy.updateThresholds()', () => {
+  const candidate = { autoApproveThreshold: 4.5, qaOnlyThreshold: 3.5 };
+
+  test('refuses without a passing eval for those thresholds', async () => {
+    critiqueAt(0.6); // inflated → fails
+    await critiqueEval.runEval({ thresholds: candidate });
+
+    const { error } = await autonomy.updateThresholds(candidate);
+
+    expect(error).toMatch(/No passing critique eval for auto 4\.5 \/ QA 3\.5/);
+    expect(mockSupabase.__getData('policy')[0].rules.auto_approve_threshold).toBe(4.0);
+  });
+
+  test('applies thresholds a passing eval covered, and logs the change', async () => {
+    critiqueAt(0);
+    const { run } = await critiqueEval.runEval({ thresholds: candidate, goldenPath: FOUNDER_GOLDEN });
+
+    const applied = await autonomy.updateThresholds(candidate);
+
+    expect(applied).toMatchObject({ evalRunId: run.id, error: null });
+    expect(mockSupabase.__getData('policy')[0].rules).toMatchObject({ auto_approve_threshold: 4.5, qa_only_threshold: 3.5, enabled: true });
+    expect(mockSupabase.__getData('events').some(e => e.event_type === 'autonomy_thresholds_changed')).toBe(true);
+  });
+
+  test('a pass on an older critique prompt does not count', async () => {
+    mockSupabase.__setData('critique_eval_runs', [{
+      id: 9, prompt_fingerprint: 'old-prompt', auto_approve_threshold: 4.5, qa_only_threshold: 3.5,
+      passed: true, created_at: new Date().toISOString()
+    }]);
+
+    expect((await autonomy.updateThresholds(candidate)).error).toMatch(/No passing critique eval/);
+  });
+
+  test('rejects out-of-range or inverted thresholds', async () => {
+    expect((await autonomy.updateThresholds({ autoApproveThreshold: 3, qaOnlyThreshold: 4 })).error).toMatch(/between 1 and 5/);
+  });
+});
@@ -0,0 +1,143 @@
+// Founder Feedback Tests
+// 👍/👎 on a step announcement or !feedback <step_id> is stored in founder_feedback,
+// saved as an importance-9 lesson for the authoring agent, and re-critiqued by
+// the calibration eval alongside the golden set.
+
+const createMockSupabase = require('../mocks/supabase');
+const { makeStep, resetIdCounter } = require('../helpers');
+
+const mockSupabase = createMockSupabase();
+global.__mockSupabase = mockSupabase;
+jest.mock('../../src/lib/supabase', () => global.__mockSupabase);
+
+const mockCallLLM = jest.fn();
+jest.mock('../../src/lib/models', () => ({
+  callLLM: mockCallLLM,
+  MODELS: { tier1: { name: 'minimax', model: 'minimax/minimax-m2.5', tier: 'tier1', maxTokens: 4096 } }
+}));
+
+const founderFeedback = require('../../src/lib/founder_feedback');
+const critiqueEval = require('../../src/lib/critique_eval');
+
+const THRESHOLDS = { autoApproveThreshold: 4.0, qaOnlyThreshold: 3.0 };
+
+function critiqueReturns(score) {
+  mockCallLLM.mockResolvedValue({
+    content: JSON.stringify({ scores: { completeness: score, accuracy: score, actionability: score, depth: score }, overallScore: score, gaps: [], lesson: null }),
+    usage: null,
+    error: null
+  });
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockSupabase.__reset();
+  resetIdCounter();
+  mockSupabase.__setData('mission_steps', [
+    makeStep({
+      id: 42, mission_id: 7, assigned_agent_id: 'agent-rei', status: 'completed',
+      description: 'Research pricing for solopreneur CRMs', result: '# CRM pricing\nHubSpot is $20/mo.',
+      announcement_message_id: 'msg-42'
+    }),
+    makeStep({ id: 43, mission_id: 7, assigned_agent_id: 'agent-rei', status: 'pending', result: null })
+  ]);
+  mockSupabase.__setData('pipeline_phases', [
+    { id: 1, mission_step_id: 42, phase_name: 'critique', phase_order: 4, score: 4.3 }
+  ]);
+});
+
+describe('parseFeedbackArgs()', () => {
+  test('reads a 👍/👎 or N/5 rating before the notes', () => {
+    expect(founderFeedback.parseFeedbackArgs(['42', '👎', 'no', 'sources'])).toMatchObject({ stepId: 42, sentiment: 'negative', rating: null, comment: 'no sources' });
+    expect(founderFeedback.parseFeedbackArgs(['#42', '2.5/5', 'thin'])).toMatchObject({ stepId: 42, sentiment: null, rating: 2.5, comment: 'thin' });
+  });
+
+  test('a leading number without /5 is part of the notes', () => {
+    expect(founderFeedback.parseFeedbackArgs(['42', '3', 'links', 'were', 'dead'])).toMatchObject({ rating: null, comment: '3 links were dead' });
+  });
+
+  test('rejects a missing step id, empty feedback and out-of-range ratings', () => {
+    expect(founderFeedback.parseFeedbackArgs([]).error).toMatch(/^Usage/);
+    expect(founderFeedback.parseFeedbackArgs(['42']).error).toMatch(/Add a rating/);
+    expect(founderFeedback.parseFeedbackArgs(['42', '7/5']).error).toMatch(/between 1\/5 and 5\/5/);
+  });
+});
+
+describe('recordFeedback()', () => {
+  test('stores the feedback with the critique score and saves a high-importance lesson', async () => {
+    const { feedback, lesson, error } = await founderFeedback.recordFeedback({
+      stepId: 42, source: 'command', rating: 2, comment: 'Prices are unsourced.'
+    });
+
+    expect(error).toBeNull();
+    expect(feedback).toMatchObject({ mission_step_id: 42, agent_id: 'agent-rei', rating: 2, critique_score: 4.3, lesson_id: lesson.id });
+    expect(lesson).toMatchObject({ agent_id: 'agent-rei', category: 'founder-feedback', importance: 9, source_mission_id: 7 });
+    expect(lesson.lesson).toBe('Founder rated 2/5 delivered work: "Research pricing for solopreneur CRMs". Feedback: Prices are unsourced. (My self-critique had scored it 4.3/5.)');
+    expect(mockSupabase.__getData('events')).toEqual([expect.objectContaining({ event_type: 'founder_feedback' })]);
+  });
+
+  test('a repeated reaction is counted once; changing it is new feedback', async () => {
+    await founderFeedback.recordFeedback({ stepId: 42, source: 'reaction', sentiment: 'positive' });
+    const repeat = await founderFeedback.recordFeedback({ stepId: 42, source: 'reaction', sentiment: 'positive' });
+    const changed = await founderFeedback.recordFeedback({ stepId: 42, source: 'reaction', sentiment: 'negative' });
+
+    expect(repeat.duplicate).toBe(true);
+    expect(changed.duplicate).toBe(false);
+    expect(mockSupabase.__getData('founder_feedback').map(f => f.sentiment)).toEqual(['positive', 'negative']);
+    expect(mockSupabase.__getData('lessons_learned')).toHaveLength(2);
+  });
+
+  test('refuses steps that do not exist or have no deliverable', async () => {
+    expect((await founderFeedback.recordFeedback({ stepId: 99, source: 'command', comment: 'x' })).error).toBe('Step #99 not found.');
+    expect((await founderFeedback.recordFeedback({ stepId: 43, source: 'command', comment: 'x' })).error).toBe('Step #43 has no deliverable yet.');
+    expect(mockSupabase.__getData('founder_feedback')).toHaveLength(0);
+  });
+
+  test('finds the step a reaction was left on by its announcement message', async () => {
+    expect((await founderFeedback.findStepByAnnouncement('msg-42')).id).toBe(42);
+    expect(await founderFeedback.findStepByAnnouncement('msg-other')).toBeNull();
+  });
+});
+
+describe('feedback as calibration data', () => {
+  test('each step becomes one eval item with its latest rating and reaction', async () => {
+    await founderFeedback.recordFeedback({ stepId: 42, source: 'command', rating: 3, comment: 'ok' });
+    await founderFeedback.recordFeedback({ stepId: 42, source: 'command', rating: 2 });
+    await founderFeedback.recordFeedback({ stepId: 42, source: 'reaction', sentiment: 'negative' });
+
+    const { items } = await critiqueEval.loadFeedbackItems();
+
+    expect(items).toEqual([{
+      id: 'feedback-step-42',
+      task: 'Research pricing for solopreneur CRMs',
+      deliverable: '# CRM pricing\nHubSpot is $20/mo.',
+      source: 'feedback',
+      founderScore: 2,
+      sentiment: 'negative'
+    }]);
+  });
+
+  test('a 👎 the critique would auto-approve fails the gate', async () => {
+    await founderFeedback.recordFeedback({ stepId: 42, source: 'reaction', sentiment: 'negative' });
+    critiqueReturns(4.5);
+
+    const results = await critiqueEval.runCritiqueEval((await critiqueEval.loadFeedbackItems()).items);
+    const stats = critiqueEval.computeStats(results, THRESHOLDS);
+
+    expect(stats.sentiment).toEqual({ n: 1, falseAutoApprovals: 1, overReviewed: 0 });
+    expect(critiqueEval.checkGate(stats).failures).toContain('1 false auto-approval(s)');
+  });
+
+  test('runEval() adds feedback items to the golden set unless told not to', async () => {
+    await founderFeedback.recordFeedback({ stepId: 42, source: 'command', rating: 2 });
+    critiqueReturns(3);
+    const goldenCount = critiqueEval.loadGoldenSet().items.length;
+
+    const withFeedback = await critiqueEval.runEval({ thresholds: THRESHOLDS });
+    const goldenOnly = await critiqueEval.runEval({ thresholds: THRESHOLDS, includeFeedback: false });
+
+    expect(withFeedback.results).toHaveLength(goldenCount + 1);
+    expect(withFeedback.results[goldenCount]).toMatchObject({ id: 'feedback-step-42', founderScore: 2, modelScore: 3 });
+    expect(goldenOnly.results).toHaveLength(goldenCount);
+  });
+});
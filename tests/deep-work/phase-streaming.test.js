@@ -0,0 +1,168 @@
+// Phase Streaming Tests
+// Synthesize/revise stream partial output + heartbeat timestamps into their
+// pipeline_phases row so a watchdog can tell a slow phase from a hung one.
+
+const createMockSupabase = require('../mocks/supabase');
+const { makeStep, resetIdCounter } = require('../helpers');
+
+const mockSupabase = createMockSupabase();
+global.__mockSupabase = mockSupabase;
+jest.mock('../../src/lib/supabase', () => global.__mockSupabase);
+
+const mockCallLLM = jest.fn();
+jest.mock('../../src/lib/models', () => ({
+  callLLM: mockCallLLM,
+  MODELS: {
+    tier1: { name: 'minimax', tier: 'tier1', maxTokens: 4096 },
+    tier2: { name: 'claude-sonnet', tier: 'tier2', maxTokens: 8192 },
+    tier3: { name: 'claude-opus', tier: 'tier3', maxTokens: 4096 }
+  }
+}));
+
+jest.mock('../../src/lib/web', () => ({
+  searchWeb: jest.fn(async () => ({ results: [], error: null })),
+  fetchPage: jest.fn(async () => ({ content: null, error: 'skip' }))
+}));
+
+const pipeline = require('../../src/lib/pipeline');
+const tools = require('../../src/lib/tools');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+const promptData = { systemPrompt: 'You are a test agent.' };
+
+function llm(content) {
+  return { content, model: 'mock', tier: 'tier2', usage: { prompt_tokens: 10, completion_tokens: 20 }, error: null };
+}
+
+let midStreamSnapshot = null;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockSupabase.__reset();
+  resetIdCounter();
+  midStreamSnapshot = null;
+
+  mockCallLLM.mockImplementation(async ({ userMessage, onProgress }) => {
+    if (userMessage.includes('DECOMPOSE')) {
+      return llm(JSON.stringify({ subQuestions: ['q'], searchQueries: [], keyRequirements: [] }));
+    }
+    if (userMessage.includes('CRITIQUE')) {
+      return llm(JSON.stringify({ scores: { completeness: 5, dataBacked: 5, actionability: 5, depth: 5 }, overallScore: 5, gaps: [], lesson: 'ok' }));
+    }
+    if (userMessage.includes('SYNTHESIZE')) {
+      onProgress({ content: '# Draft', deltaChars: 7 });
+      onProgress({ content: '# Draft in progress', deltaChars: 12 }); // throttled — same 5s window
+      await flush();
+      midStreamSnapshot = mockSupabase.__getData('pipeline_phases').find(p => p.phase_name === 'synthesize');
+      midStreamSnapshot = midStreamSnapshot && JSON.parse(JSON.stringify(midStreamSnapshot));
+      return llm('# Final deliverable');
+    }
+    return llm('default');
+  });
+});
+
+describe('streamed synthesize phase', () => {
+  test('passes an onProgress handler to callLLM', async () => {
+    const step = makeStep({ id: 7, assigned_agent_id: 'agent-x' });
+    await pipeline.execute({ step, promptData, userMessage: 'Write a memo', effectiveTier: 'tier2', config: { skipResearch: true } });
+
+    const synthCall = mockCallLLM.mock.calls.find(([args]) => args.userMessage.includes('SYNTHESIZE'))[0];
+    expect(typeof synthCall.onProgress).toBe('function');
+  });
+
+  test('writes partial output and a heartbeat while streaming', async () => {
+    const step = makeStep({ id: 8, assigned_agent_id: 'agent-x' });
+    await pipeline.execute({ step, promptData, userMessage: 'Write a memo', effectiveTier: 'tier2', config: { skipResearch: true } });
+
+    expect(midStreamSnapshot.output_content).toBe('# Draft');
+    expect(midStreamSnapshot.metadata.status).toBe('streaming');
+    expect(midStreamSnapshot.metadata.streamedChars).toBe(7);
+    expect(midStreamSnapshot.metadata.heartbeatAt).toBeDefined();
+  });
+
+  test('finalizes the same row instead of inserting a second one', async () => {
+    const step = makeStep({ id: 9, assigned_agent_id: 'agent-x' });
+    await pipeline.execute({ step, promptData, userMessage: 'Write a memo', effectiveTier: 'tier2', config: { skipResearch: true } });
+
+    const rows = mockSupabase.__getData('pipeline_phases').filter(p => p.phase_name === 'synthesize');
+    expect(rows).toHaveLength(1);
+    expect(rows[0].output_content).toBe('# Final deliverable');
+    expect(rows[0].tokens_used).toBe(30);
+    expect(rows[0].metadata.status).toBe('completed');
+    expect(rows[0].metadata.startedAt).toBeDefined();
+  });
+
+  test('a failed synthesize leaves the row marked failed', async () => {
+    mockCallLLM.mockImplementation(async ({ userMessage }) => {
+      if (userMessage.includes('DECOMPOSE')) {
+        return llm(JSON.stringify({ subQuestions: [], searchQueries: [], keyRequirements: [] }));
+      }
+      return { content: null, model: 'mock', tier: 'tier2', usage: null, error: 'API 500' };
+    });
+    const step = makeStep({ id: 10, assigned_agent_id: 'agent-x' });
+
+    const result = await pipeline.execute({ step, promptData, userMessage: 'Write', effectiveTier: 'tier2', config: { skipResearch: true } });
+
+    expect(result.error).toMatch(/Synthesize failed/);
+    const row = mockSupabase.__getData('pipeline_phases').find(p => p.phase_name === 'synthesize');
+    expect(row.metadata).toMatchObject({ status: 'failed', error: 'API 500' });
+  });
+
+  test('tool calls between rounds keep the heartbeat fresh', async () => {
+    const STALE = '2000-01-01T00:00:00.000Z';
+    const synthRow = () => mockSupabase.__getData('pipeline_phases').find(p => p.phase_name === 'synthesize');
+    const goQuiet = () => mockSupabase.__setData('pipeline_phases', mockSupabase.__getData('pipeline_phases').map(p =>
+      (p.phase_name === 'synthesize' ? { ...p, metadata: { ...p.metadata, heartbeatAt: STALE } } : p)));
+    const heartbeats = [];
+
+    let synthRounds = 0;
+    mockCallLLM.mockImplementation(async ({ userMessage }) => {
+      if (userMessage.includes('DECOMPOSE')) {
+        return llm(JSON.stringify({ subQuestions: [], searchQueries: [], keyRequirements: [] }));
+      }
+      if (userMessage.includes('CRITIQUE')) {
+        return llm(JSON.stringify({ scores: { completeness: 5, dataBacked: 5, actionability: 5, depth: 5 }, overallScore: 5, gaps: [], lesson: 'ok' }));
+      }
+      synthRounds++;
+      if (synthRounds === 1) {
+        goQuiet(); // a long first round with nothing streamed
+        return llm('[TOOL:web_search]{"query": "pricing"}[/TOOL]');
+      }
+      heartbeats.push(synthRow().metadata.heartbeatAt);
+      return llm('# Final deliverable');
+    });
+    const executeToolCall = jest.spyOn(tools, 'executeToolCall').mockImplementation(async () => {
+      heartbeats.push(synthRow().metadata.heartbeatAt);
+      goQuiet(); // a slow fetch
+      return { status: 'ok', output: 'Pricing page', source: null };
+    });
+
+    const step = makeStep({ id: 12, assigned_agent_id: 'agent-x' });
+    await pipeline.execute({ step, promptData, userMessage: 'Write a memo', effectiveTier: 'tier2', config: { skipResearch: true } });
+    executeToolCall.mockRestore();
+
+    // Bumped before the tool ran, and again once it returned
+    expect(heartbeats).toHaveLength(2);
+    expect(heartbeats.every(h => h !== STALE)).toBe(true);
+  });
+});
+
+describe('findHungPhases', () => {
+  test('returns only streaming phases whose heartbeat went quiet', async () => {
+    const now = Date.now();
+    const iso = ms => new Date(now - ms).toISOString();
+    mockSupabase.__setData('pipeline_phases', [
+      { id: 1, mission_step_id: 1, phase_name: 'synthesize', created_at: iso(20 * 60000), metadata: { status: 'streaming', heartbeatAt: iso(10 * 60000), streamedChars: 900 } },
+      { id: 2, mission_step_id: 2, phase_name: 'synthesize', created_at: iso(20 * 60000), metadata: { status: 'streaming', heartbeatAt: iso(30000) } },
+      { id: 3, mission_step_id: 3, phase_name: 'revise', created_at: iso(20 * 60000), metadata: { status: 'completed', heartbeatAt: iso(15 * 60000) } },
+      { id: 4, mission_step_id: 4, phase_name: 'critique', created_at: iso(20 * 60000), metadata: {} },
+      { id: 5, mission_step_id: 5, phase_name: 'synthesize', created_at: iso(26 * 3600000), metadata: { status: 'streaming', heartbeatAt: iso(25 * 3600000) } }
+    ]);
+
+    const hung = await pipeline.findHungPhases();
+
+    expect(hung).toHaveLength(1);
+    expect(hung[0]).toMatchObject({ id: 1, missionStepId: 1, phaseName: 'synthesize', streamedChars: 900 });
+    expect(hung[0].silentMs).toBeGreaterThan(pipeline.HUNG_PHASE_MS);
+  });
+});
@@ -0,0 +1,67 @@
+// Pipeline Fixture Replay Tests
+// Runs pipeline.execute() against recorded LLM fixtures instead of a hand-mocked
+// callLLM(). Any change to the decompose / gap analysis / synthesize / critique
+// prompts misses its fixture and fails with the prompt diff.
+//
+// Re-record after an intended prompt change:
+//   FRASIER_LLM_FIXTURES=record npx jest tests/deep-work/pipeline-fixtures.test.js
+// (add FRASIER_DRY_RUN=1 to record scripted responses instead of live ones)
+
+const path = require('path');
+const createMockSupabase = require('../mocks/supabase');
+const { makeStep, resetIdCounter } = require('../helpers');
+
+const mockSupabase = createMockSupabase();
+global.__mockSupabase = mockSupabase;
+jest.mock('../../src/lib/supabase', () => global.__mockSupabase);
+
+// Web stays deterministic so the research that feeds synthesize never changes
+jest.mock('../../src/lib/web', () => ({
+  searchWeb: jest.fn(async query => ({
+    results: [1, 2].map(n => ({ title: `${query} — source ${n}`, url: `https://example.com/${n}`, snippet: `Result ${n}` })),
+    error: null
+  })),
+  fetchPage: jest.fn(async url => ({
+    content: `Page ${url}: the CRM market for solopreneurs reached $2.3B in 2026, led by HubSpot (40%) and Pipedrive (25%).`,
+    title: `Page ${url}`,
+    url,
+    error: null
+  }))
+}));
+
+const pipeline = require('../../src/lib/pipeline');
+const llmFixtures = require('../../src/lib/llm_fixtures');
+
+const FIXTURE_DIR = path.join(__dirname, '../fixtures/llm/pipeline-research-step');
+
+beforeAll(() => {
+  llmFixtures.configure({ mode: process.env.FRASIER_LLM_FIXTURES === 'record' ? 'record' : 'replay', dir: FIXTURE_DIR });
+});
+
+afterAll(() => {
+  llmFixtures.configure(null);
+});
+
+beforeEach(() => {
+  mockSupabase.__reset();
+  resetIdCounter();
+});
+
+test('a research step runs decompose → research → synthesize → critique from fixtures', async () => {
+  const step = makeStep({ id: 42, mission_id: 1, assigned_agent_id: 'agent-rei', description: 'Research the CRM market for solopreneurs' });
+
+  const result = await pipeline.execute({
+    step,
+    promptData: { systemPrompt: 'You are Rei, a meticulous research analyst.' },
+    userMessage: step.description,
+    effectiveTier: 'tier2',
+    config: {}
+  });
+
+  const misses = llmFixtures.getMisses();
+  expect(misses.map(m => m.diff).join('\n\n')).toBe('');
+  expect(result.error).toBeNull();
+  expect(result.phases.map(p => p.name)).toEqual(['decompose', 'research', 'synthesize', 'critique']);
+  expect(result.content).toMatch(/^# /);
+  expect(result.critiqueScore).toBeGreaterThanOrEqual(1);
+});
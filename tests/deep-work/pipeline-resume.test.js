@@ -0,0 +1,172 @@
+// Pipeline Resume Tests
+// A retried step (crashed worker, expired lease, revision) resumes from the phases
+// already in pipeline_phases instead of starting over at DECOMPOSE. Decompose and
+// research carry over; a deliverable only carries over within the same revision
+// round and tier, so a rejected deliverable is never resubmitted.
+
+const createMockSupabase = require('../mocks/supabase');
+const { makeStep, resetIdCounter } = require('../helpers');
+
+const mockSupabase = createMockSupabase();
+global.__mockSupabase = mockSupabase;
+jest.mock('../../src/lib/supabase', () => global.__mockSupabase);
+
+const mockCallLLM = jest.fn();
+jest.mock('../../src/lib/models', () => ({ callLLM: mockCallLLM }));
+
+const mockSearchWeb = jest.fn();
+const mockFetchPage = jest.fn();
+jest.mock('../../src/lib/web', () => ({
+  searchWeb: mockSearchWeb,
+  fetchPage: mockFetchPage
+}));
+
+const pipeline = require('../../src/lib/pipeline');
+
+const PAGE = 'Grand View Research values the AI tutoring market at $2.3B in 2025, growing 36% a year. '.repeat(10);
+
+const llm = content => ({ content, model: 'mock', tier: 'tier1', usage: { prompt_tokens: 10, completion_tokens: 10 }, error: null });
+
+// Which phases hit the LLM, in order
+const llmPhases = () => mockCallLLM.mock.calls.map(([{ userMessage }]) => {
+  if (userMessage.includes('DECOMPOSE')) return 'decompose';
+  if (userMessage.includes('CRITIQUE')) return 'critique';
+  if (userMessage.includes('SYNTHESIZE')) return 'synthesize';
+  return 'other';
+});
+
+function run(step, config = {}, effectiveTier = 'tier2') {
+  return pipeline.execute({
+    step,
+    promptData: { systemPrompt: 'You are a research analyst.' },
+    userMessage: '## YOUR TASK\nAssess the AI tutoring market',
+    effectiveTier,
+    config: { skipTools: true, ...config }
+  });
+}
+
+let synthesisCount;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockSupabase.__reset();
+  resetIdCounter();
+  synthesisCount = 0;
+
+  mockCallLLM.mockImplementation(async ({ userMessage }) => {
+    if (userMessage.includes('DECOMPOSE')) {
+      return llm(JSON.stringify({ subQuestions: ['How big is the market?'], searchQueries: ['ai tutoring market size'], keyRequirements: ['Sources'] }));
+    }
+    if (userMessage.includes('CRITIQUE')) {
+      return llm(JSON.stringify({ scores: { completeness: 4, accuracy: 4, actionability: 4, depth: 4 }, overallScore: 4, gaps: [], lesson: null }));
+    }
+    if (userMessage.includes('SYNTHESIZE')) {
+      synthesisCount++;
+      return llm(`# Market memo v${synthesisCount}\nThe market is $2.3B (https://example.com/report).`);
+    }
+    return llm(JSON.stringify({ sufficient: true, gaps: [], additionalQueries: [] }));
+  });
+  mockSearchWeb.mockResolvedValue({ results: [
+    { title: 'Report', url: 'https://example.com/report', snippet: 'market' },
+    { title: 'Competitors', url: 'https://example.com/competitors', snippet: 'players' },
+    { title: 'Funding', url: 'https://example.com/funding', snippet: 'funding' }
+  ], error: null });
+  mockFetchPage.mockResolvedValue({ content: PAGE, title: 'Report', error: null });
+});
+
+describe('pipeline.execute() resume', () => {
+  test('after a crash mid-synthesize, the retry skips decompose and research', async () => {
+    const step = makeStep({ id: 7, model_tier: 'tier2' });
+    const healthy = mockCallLLM.getMockImplementation();
+    mockCallLLM.mockImplementation(async args => (args.userMessage.includes('SYNTHESIZE')
+      ? { content: null, error: 'provider down' }
+      : healthy(args)));
+
+    const crashed = await run(step);
+    expect(crashed.error).toMatch(/Synthesize failed/);
+    const fetchesPaid = mockFetchPage.mock.calls.length;
+
+    mockCallLLM.mockClear();
+    mockCallLLM.mockImplementation(healthy);
+    const retry = await run(step);
+
+    expect(retry.error).toBeNull();
+    expect(retry.resumedPhases).toEqual(['decompose', 'research']);
+    expect(llmPhases()).toEqual(['synthesize', 'critique']);
+    expect(mockFetchPage.mock.calls.length).toBe(fetchesPaid);
+    // Rebuilt research data still reaches the synthesize prompt
+    expect(mockCallLLM.mock.calls[0][0].userMessage).toContain('Grand View Research');
+  });
+
+  test('a finished deliverable in the same revision round is reused, not re-synthesized', async () => {
+    const step = makeStep({ id: 8 });
+    await run(step);
+    mockCallLLM.mockClear();
+
+    const retry = await run(step);
+
+    expect(retry.resumedPhases).toEqual(['decompose', 'research', 'synthesize']);
+    expect(retry.content).toBe('# Market memo v1\nThe market is $2.3B (https://example.com/report).');
+    expect(llmPhases()).toEqual(['critique']);
+  });
+
+  test('after a rejection, research carries over but the deliverable is rewritten', async () => {
+    const step = makeStep({ id: 9 });
+    await run(step, { revisionRound: 0 });
+    mockCallLLM.mockClear();
+
+    const revision = await run(step, { revisionRound: 1 });
+
+    expect(revision.resumedPhases).toEqual(['decompose', 'research']);
+    expect(revision.content).toMatch(/v2/);
+
+    // ...and a crash during that revision resumes the v2 deliverable, not v1
+    mockCallLLM.mockClear();
+    const again = await run(step, { revisionRound: 1 });
+    expect(again.content).toMatch(/v2/);
+    expect(llmPhases()).toEqual(['critique']);
+  });
+
+  test('a different tier re-synthesizes; resume: false starts from scratch', async () => {
+    const step = makeStep({ id: 10 });
+    await run(step, {}, 'tier2');
+    mockCallLLM.mockClear();
+
+    const upgraded = await run(step, {}, 'tier3');
+    expect(upgraded.resumedPhases).toEqual(['decompose', 'research']);
+
+    mockCallLLM.mockClear();
+    const fresh = await run(step, { resume: false });
+    expect(fresh.resumedPhases).toEqual([]);
+    expect(llmPhases()[0]).toBe('decompose');
+  });
+
+  test('ignores phases older than RESUME_MAX_AGE_MS and streaming rows a crash left behind', async () => {
+    const old = new Date(Date.now() - pipeline.RESUME_MAX_AGE_MS - 60000).toISOString();
+    mockSupabase.__setData('pipeline_phases', [
+      { id: 1, mission_step_id: 11, phase_name: 'decompose', created_at: old, metadata: { subQuestions: ['Q'], searchQueries: ['q'] } },
+      { id: 2, mission_step_id: 12, phase_name: 'decompose', created_at: new Date().toISOString(), metadata: { subQuestions: ['Q'], searchQueries: ['q'] } },
+      { id: 3, mission_step_id: 12, phase_name: 'synthesize', created_at: new Date().toISOString(), model_tier: 'tier2', output_content: 'half a memo', metadata: { status: 'streaming', revisionRound: 0 } }
+    ]);
+
+    expect((await pipeline.loadResumeState({ stepId: 11, revisionRound: 0, effectiveTier: 'tier2' })).decompose).toBeNull();
+
+    const state = await pipeline.loadResumeState({ stepId: 12, revisionRound: 0, effectiveTier: 'tier2' });
+    expect(state.decompose.id).toBe(2);
+    expect(state.deliverable).toBeNull();
+  });
+});
+
+describe('getCritiquePhase()', () => {
+  test('returns the latest critique when a resumed run added another', async () => {
+    const step = makeStep({ id: 13 });
+    await run(step);
+    await run(step);
+
+    const critique = await pipeline.getCritiquePhase(13);
+    const critiques = mockSupabase.__getData('pipeline_phases').filter(p => p.phase_name === 'critique');
+
+    expect(critiques).toHaveLength(2);
+    expect(critique.id).toBe(critiques[1].id);
+  });
+});
@@ -0,0 +1,182 @@
+// Synthesize Tool Loop Tests
+// During synthesize the model can call search / fetch / read_predecessor /
+// recall_memory. Calls are checked against RESEARCH_LIMITS, logged as their own
+// pipeline_phases rows, and their results fed back for another round.
+
+const createMockSupabase = require('../mocks/supabase');
+const { makeStep, resetIdCounter } = require('../helpers');
+
+const mockSupabase = createMockSupabase();
+global.__mockSupabase = mockSupabase;
+jest.mock('../../src/lib/supabase', () => global.__mockSupabase);
+
+const mockCallLLM = jest.fn();
+jest.mock('../../src/lib/models', () => ({
+  callLLM: mockCallLLM,
+  MODELS: {
+    tier1: { name: 'minimax', tier: 'tier1', maxTokens: 4096 },
+    tier2: { name: 'claude-sonnet', tier: 'tier2', maxTokens: 8192 },
+    tier3: { name: 'claude-opus', tier: 'tier3', maxTokens: 4096 }
+  }
+}));
+
+const mockSearchWeb = jest.fn();
+const mockFetchPage = jest.fn();
+jest.mock('../../src/lib/web', () => ({
+  searchWeb: mockSearchWeb,
+  fetchPage: mockFetchPage
+}));
+
+const pipeline = require('../../src/lib/pipeline');
+const tools = require('../../src/lib/tools');
+const { RESEARCH_LIMITS } = require('../../src/lib/capabilities');
+
+const promptData = { systemPrompt: 'You are a test agent.' };
+
+function llm(content) {
+  return { content, model: 'mock', tier: 'tier2', usage: { prompt_tokens: 10, completion_tokens: 5 }, error: null };
+}
+
+const call = (tool, args) => `[TOOL:${tool}]${JSON.stringify(args)}[/TOOL]`;
+
+/**
+ * Script the synthesize rounds; meta phases get fixed valid JSON.
+ */
+function scriptSynthesize(rounds) {
+  const queue = [...rounds];
+  mockCallLLM.mockImplementation(async ({ userMessage }) => {
+    if (userMessage.includes('DECOMPOSE')) {
+      return llm(JSON.stringify({ subQuestions: ['q'], searchQueries: [], keyRequirements: [] }));
+    }
+    if (userMessage.includes('CRITIQUE')) {
+      return llm(JSON.stringify({ scores: { completeness: 4, accuracy: 4, actionability: 4, depth: 4 }, overallScore: 4, gaps: [], lesson: 'ok' }));
+    }
+    return llm(queue.length > 1 ? queue.shift() : queue[0]);
+  });
+}
+
+const synthCalls = () => mockCallLLM.mock.calls
+  .map(([args]) => args)
+  .filter(args => args.userMessage.includes('SYNTHESIZE'));
+const toolRows = () => mockSupabase.__getData('pipeline_phases').filter(p => p.phase_name === 'tool_call');
+
+async function run(stepOverrides = {}, config = { skipResearch: true }) {
+  const step = makeStep({ assigned_agent_id: 'agent-x', ...stepOverrides });
+  return pipeline.execute({ step, promptData, userMessage: 'Write a market memo', effectiveTier: 'tier2', config });
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockSupabase.__reset();
+  resetIdCounter();
+  mockSearchWeb.mockResolvedValue({ results: [{ title: 'Report', url: 'https://ex.com/r', snippet: 'TAM $4B' }], error: null });
+  mockFetchPage.mockResolvedValue({ title: 'Report', content: 'The market is worth $4B in 2026.', error: null });
+});
+
+describe('synthesize tool loop', () => {
+  test('offers tools in the synthesize prompt by default, not with skipTools', async () => {
+    scriptSynthesize(['# Memo']);
+    await run();
+    expect(synthCalls()[0].userMessage).toContain('[TOOL:search]');
+
+    jest.clearAllMocks();
+    scriptSynthesize(['# Memo']);
+    await run({}, { skipResearch: true, skipTools: true });
+    expect(synthCalls()[0].userMessage).not.toContain('## TOOLS');
+  });
+
+  test('executes requested calls, logs each as a tool_call phase, and feeds results back', async () => {
+    scriptSynthesize([
+      `${call('search', { query: 'market size' })}\n${call('fetch', { url: 'https://ex.com/r' })}`,
+      '# Memo\nThe market is $4B (https://ex.com/r).'
+    ]);
+
+    const result = await run();
+
+    expect(result.error).toBeNull();
+    expect(result.content).toContain('# Memo');
+    expect(mockSearchWeb).toHaveBeenCalledWith('market size', RESEARCH_LIMITS.MAX_URLS_PER_QUERY);
+    expect(mockFetchPage).toHaveBeenCalledWith('https://ex.com/r', RESEARCH_LIMITS.MAX_CHARS_PER_PAGE);
+
+    const rows = toolRows();
+    expect(rows.map(r => r.metadata.tool)).toEqual(['search', 'fetch']);
+    expect(rows.every(r => r.metadata.status === 'ok' && r.metadata.round === 1)).toBe(true);
+
+    const followUp = synthCalls()[1].userMessage;
+    expect(followUp).toContain('## TOOL RESULTS');
+    expect(followUp).toContain('The market is worth $4B in 2026.');
+
+    const synth = mockSupabase.__getData('pipeline_phases').find(p => p.phase_name === 'synthesize');
+    expect(synth.metadata.toolCalls).toBe(2);
+    expect(synth.tokens_used).toBe(30);
+  });
+
+  test('searches over the per-step budget are rejected, not run', async () => {
+    const searches = Array.from({ length: RESEARCH_LIMITS.MAX_QUERIES_PER_STEP + 1 }, (_, i) => call('search', { query: `q${i}` }));
+    scriptSynthesize([searches.join('\n'), '# Memo']);
+
+    await run();
+
+    expect(mockSearchWeb).toHaveBeenCalledTimes(RESEARCH_LIMITS.MAX_QUERIES_PER_STEP);
+    const rejected = toolRows().filter(r => r.metadata.status === 'rejected');
+    expect(rejected).toHaveLength(1);
+    expect(rejected[0].output_content).toMatch(/Search budget exhausted/);
+  });
+
+  test('research-phase usage counts against the tool budget', async () => {
+    const budget = tools.createToolBudget({ queriesUsed: RESEARCH_LIMITS.MAX_QUERIES_PER_STEP, fetchesUsed: 2 });
+
+    const result = await tools.executeToolCall({ tool: 'search', args: { query: 'x' }, error: null }, { step: { id: 1 }, budget });
+
+    expect(result.status).toBe('rejected');
+    expect(mockSearchWeb).not.toHaveBeenCalled();
+  });
+
+  test('read_predecessor and recall_memory read from the DB', async () => {
+    mockSupabase.__setData('step_dependencies', [{ id: 1, step_id: 50, depends_on_step_id: 40 }]);
+    mockSupabase.__setData('mission_steps', [{ id: 40, result: 'Upstream findings: churn is 7%', assigned_agent_id: 'agent-y' }]);
+    mockSupabase.__setData('agents', [{ id: 'agent-y', display_name: 'Faye' }]);
+    mockSupabase.__setData('agent_memories', [
+      { id: 1, agent_id: 'agent-x', memory_type: 'task', summary: 'Churn benchmarks', content: 'SaaS churn median 5%', topic_tags: ['churn'], importance: 7, created_at: new Date().toISOString() }
+    ]);
+    scriptSynthesize([
+      `${call('read_predecessor', { index: 1 })}\n${call('recall_memory', { query: 'churn benchmarks' })}`,
+      '# Memo'
+    ]);
+
+    await run({ id: 50 });
+
+    const followUp = synthCalls()[1].userMessage;
+    expect(followUp).toContain('From Faye:\nUpstream findings: churn is 7%');
+    expect(followUp).toContain('SaaS churn median 5%');
+  });
+
+  test('unknown tools and bad arguments are rejected with a reason', async () => {
+    scriptSynthesize(['[TOOL:shell]{"cmd":"ls"}[/TOOL]\n[TOOL:fetch]{not json}[/TOOL]', '# Memo']);
+
+    await run();
+
+    const rows = toolRows();
+    expect(rows.map(r => r.metadata.status)).toEqual(['rejected', 'rejected']);
+    expect(rows[0].output_content).toMatch(/Unknown tool "shell"/);
+    expect(rows[1].output_content).toMatch(/not valid JSON/);
+  });
+
+  test('stops offering tools after MAX_TOOL_ROUNDS and strips leftover calls', async () => {
+    scriptSynthesize([`# Memo draft\n${call('search', { query: 'again' })}`]);
+
+    const result = await run();
+
+    expect(synthCalls()).toHaveLength(tools.MAX_TOOL_ROUNDS + 1);
+    expect(synthCalls()[tools.MAX_TOOL_ROUNDS].userMessage).toContain('TOOLS ARE NO LONGER AVAILABLE');
+    expect(result.content).toBe('# Memo draft');
+  });
+
+  test('a final answer made only of tool calls fails the synthesize phase', async () => {
+    scriptSynthesize([call('search', { query: 'forever' })]);
+
+    const result = await run();
+
+    expect(result.error).toMatch(/Synthesize failed: Only tool calls/);
+  });
+});
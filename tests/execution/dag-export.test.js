@@ -0,0 +1,114 @@
+// DAG Export Tests
+// missions.exportDag() renders a mission's steps and step_dependencies as Mermaid
+// and Graphviz DOT: fill by status, border colour by critique score, border
+// width by tier, with the agent, tier and score in each label.
+
+const createMockSupabase = require('../mocks/supabase');
+
+const mockSupabase = createMockSupabase();
+global.__mockSupabase = mockSupabase;
+jest.mock('../../src/lib/supabase', () => global.__mockSupabase);
+
+jest.mock('../../src/lib/linear', () => ({}));
+
+const missions = require('../../src/lib/missions');
+const notion = require('../../src/lib/notion');
+
+const step = (id, taskId, status, extra = {}) => ({
+  id, mission_id: 42, plan_task_id: taskId, step_order: 1, status, model_tier: 'tier2',
+  assigned_agent_id: 'agent-rei', description: `Task ${taskId}\n\nAcceptance Criteria: done`, ...extra
+});
+
+beforeEach(() => {
+  mockSupabase.__reset();
+  mockSupabase.__setData('missions', [{ id: 42, title: 'Launch "Pulse" newsletter', status: 'in_progress' }]);
+  mockSupabase.__setData('agents', [{ id: 'agent-rei', display_name: 'Rei' }, { id: 'agent-gendo', display_name: 'Gendo' }]);
+  // T1 → T2 (spawned 201) → T3; T0 failed and was replaced by T1
+  mockSupabase.__setData('mission_steps', [
+    step(100, 'T0', 'failed', { replan_status: 'replaced' }),
+    step(101, 'T1', 'completed'),
+    step(102, 'T2', 'pending', { step_order: 2, model_tier: 'tier3', assigned_agent_id: 'agent-gendo', spawn_status: 'waiting' }),
+    step(103, 'T3', 'pending', { step_order: 3, model_tier: 'tier1', assigned_agent_id: null }),
+    step(201, null, 'in_review', { step_order: 2, spawned_by_step_id: 102, description: 'Deep-dive competitor <Acme>' })
+  ]);
+  mockSupabase.__setData('step_dependencies', [
+    { id: 1, step_id: 102, depends_on_step_id: 101 },
+    { id: 2, step_id: 103, depends_on_step_id: 102 },
+    { id: 3, step_id: 201, depends_on_step_id: 101 },
+    { id: 4, step_id: 102, depends_on_step_id: 201 }
+  ]);
+  mockSupabase.__setData('pipeline_phases', [
+    { id: 1, mission_step_id: 101, phase_name: 'critique', score: 2.5 },
+    { id: 2, mission_step_id: 101, phase_name: 'critique', score: 4.5 }, // after revision
+    { id: 3, mission_step_id: 201, phase_name: 'critique', score: 3 },
+    { id: 4, mission_step_id: 201, phase_name: 'synthesize', score: null }
+  ]);
+});
+
+describe('exportDag()', () => {
+  test('Mermaid: one node per step, dependency edges, styles by status, score and tier', async () => {
+    const dag = await missions.exportDag(42);
+
+    expect(dag).toMatchObject({ missionId: 42, title: 'Launch "Pulse" newsletter', nodeCount: 5, edgeCount: 4, error: null });
+    const lines = dag.mermaid.split('\n');
+    expect(lines[0]).toBe('flowchart TD');
+    expect(lines).toEqual(expect.arrayContaining([
+      '  %% Mission #42: Launch #quot;Pulse#quot; newsletter',
+      '  s101["#101 T1 · Task T1<br/>Rei · tier2 · critique 4.5/5 · completed"]',
+      '  s103["#103 T3 · Task T3<br/>unassigned · tier1 · pending"]',
+      '  s201["#201 · Deep-dive competitor #lt;Acme#gt;<br/>Rei · tier2 · critique 3/5 · in_review"]',
+      '  s101 --> s102',
+      '  s201 -.-> s102',
+      '  style s101 fill:#d3f9d8,stroke:#2b8a3e,stroke-width:2px',
+      '  style s102 fill:#f1f3f5,stroke:#868e96,stroke-width:4px',
+      '  style s201 fill:#fff3bf,stroke:#f08c00,stroke-width:2px',
+      '  style s100 fill:#f3d9fa,stroke:#9c36b5,stroke-width:2px'
+    ]));
+    expect(dag.mermaid).toContain('Gendo · tier3 · pending');
+    expect(dag.mermaid).toContain('Rei · tier2 · replaced');
+  });
+
+  test('DOT: the same graph as a digraph', async () => {
+    const { dot } = await missions.exportDag(42);
+    const lines = dot.split('\n');
+
+    expect(lines[0]).toBe('digraph mission_42 {');
+    expect(lines[1]).toBe('  label="Mission #42: Launch \\"Pulse\\" newsletter";');
+    expect(lines).toEqual(expect.arrayContaining([
+      '  s101 [label="#101 T1 · Task T1\\nRei · tier2 · critique 4.5/5 · completed", fillcolor="#d3f9d8", color="#2b8a3e", penwidth=2];',
+      '  s102 -> s103;',
+      '  s201 -> s102 [style=dashed];'
+    ]));
+    expect(lines[lines.length - 1]).toBe('}');
+  });
+
+  test('legacy missions chain steps by parent_step_id', async () => {
+    mockSupabase.__setData('step_dependencies', []);
+    mockSupabase.__setData('mission_steps', [
+      step(301, null, 'completed'),
+      step(302, null, 'in_progress', { step_order: 2, parent_step_id: 301 })
+    ]);
+
+    const dag = await missions.exportDag(42);
+
+    expect(dag.edgeCount).toBe(1);
+    expect(dag.mermaid).toContain('  s301 --> s302');
+  });
+
+  test('unknown missions and missions without steps', async () => {
+    expect(await missions.exportDag(7)).toEqual({ error: 'Mission #7 not found.' });
+
+    mockSupabase.__setData('mission_steps', []);
+    expect(await missions.exportDag(42)).toEqual({ error: 'Mission #42 has no steps yet.' });
+  });
+});
+
+describe('notion.dagToBlocks()', () => {
+  test('a Mermaid code block under a heading, chunked to Notion\'s text limit', () => {
+    const [heading, code] = notion.dagToBlocks('x'.repeat(4000));
+
+    expect(heading.heading_2.rich_text[0].text.content).toBe('Mission DAG');
+    expect(code.code.language).toBe('mermaid');
+    expect(code.code.rich_text.map(r => r.text.content.length)).toEqual([1900, 1900, 200]);
+  });
+});
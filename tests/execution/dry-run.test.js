@@ -0,0 +1,104 @@
+// Dry-Run Mode Tests
+// FRASIER_DRY_RUN=1 swaps Supabase for the in-memory store, scripts callLLM(),
+// serves web fixtures and turns outbound integrations into trace recorders.
+// No module is mocked here — the dry-run hooks are what's under test.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.FRASIER_DRY_RUN = '1';
+
+const createMockSupabase = require('../mocks/supabase');
+const dryRun = require('../../src/lib/dry_run');
+const supabase = require('../../src/lib/supabase');
+const models = require('../../src/lib/models');
+const web = require('../../src/lib/web');
+const rateLimit = require('../../src/lib/rate_limit');
+const linear = require('../../src/lib/linear');
+const missions = require('../../src/lib/missions');
+
+const traceOf = source => dryRun.getTrace().filter(e => e.source === source);
+
+afterAll(() => {
+  delete process.env.FRASIER_DRY_RUN;
+});
+
+beforeEach(() => {
+  dryRun.resetTrace();
+});
+
+describe('in-memory store', () => {
+  test('supabase.js hands out the seeded store with schema defaults', async () => {
+    expect(supabase).toBe(dryRun.getStore());
+    expect(supabase.__getData('agents').map(a => a.agent_type)).toContain('chief_of_staff');
+
+    const mission = await missions.createMission({ teamId: 'team-research', title: 'Dry mission' });
+    expect(mission).toMatchObject({ status: 'in_progress', priority: 'normal' });
+  });
+
+  test('the mock resolves embedded relations, dropping unmatched rows for !inner', async () => {
+    const db = createMockSupabase();
+    db.__setData('missions', [{ id: 1, status: 'in_progress' }]);
+    db.__setData('mission_steps', [{ id: 10, mission_id: 1 }, { id: 11, mission_id: 2 }]);
+
+    const { data } = await db.from('mission_steps').select('*, missions!inner(status)').eq('missions.status', 'in_progress');
+
+    expect(data).toEqual([{ id: 10, mission_id: 1, missions: { status: 'in_progress' } }]);
+  });
+});
+
+describe('scripted LLM', () => {
+  test('callLLM() answers from the script and still logs usage', async () => {
+    const result = await models.callLLM({
+      systemPrompt: 'You are a message classifier.',
+      userMessage: 'Classify this message from the founder into exactly one category.\n\nMESSAGE: "Launch a new product line"\n',
+      forceTier: 'tier1'
+    });
+
+    expect(JSON.parse(result.content).classification).toBe('full_project');
+    expect(traceOf('llm')[0].action).toBe('tier1 classify');
+    expect(supabase.__getData('model_usage').length).toBeGreaterThan(0);
+  });
+
+  test('a scenario file overrides the built-in responses', async () => {
+    const file = path.join(os.tmpdir(), `frasier-scenario-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify({ llm: [{ match: 'Classify this message', content: '{"classification":"casual"}' }] }));
+    process.env.FRASIER_DRY_RUN_SCENARIO = file;
+
+    let content;
+    jest.isolateModules(() => {
+      const isolated = require('../../src/lib/dry_run');
+      content = isolated.scriptedCompletion({ userMessage: 'Classify this message from the founder' });
+    });
+
+    expect((await content).content).toBe('{"classification":"casual"}');
+    delete process.env.FRASIER_DRY_RUN_SCENARIO;
+    fs.unlinkSync(file);
+  });
+});
+
+describe('outside world', () => {
+  test('web search and page fetches come from fixtures', async () => {
+    const search = await web.searchWeb('crm tools', 2);
+    const page = await web.fetchPage(search.results[0].url);
+
+    expect(search.results).toHaveLength(2);
+    expect(page.content).toMatch(/\$2\.3 billion/);
+    expect(traceOf('web').map(e => e.action)).toEqual(['search', 'fetch']);
+  });
+
+  test('any remaining network call is refused', async () => {
+    await expect(rateLimit.rateLimitedFetch('brave', 'https://api.search.brave.com/'))
+      .rejects.toThrow('Network disabled in dry run (brave)');
+  });
+
+  test('integrations record their calls instead of sending them', async () => {
+    const result = await linear.updateIssueStatus(7, 'Done');
+
+    expect(result).toBeNull();
+    expect(traceOf('linear')).toEqual([expect.objectContaining({ action: 'updateIssueStatus', detail: '7, Done' })]);
+    // Sync helpers are untouched
+    expect(linear.validateWebhookSignature).toBe(require('../../src/lib/linear').validateWebhookSignature);
+  });
+});
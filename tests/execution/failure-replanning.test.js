@@ -0,0 +1,212 @@
+// Failure Re-planning Tests
+// When a step of a decomposed mission fails, the heartbeat asks Frasier for
+// replacement tasks, wires them into the DAG and lets the mission continue —
+// up to max_replans_per_mission re-plans per mission.
+
+const createMockSupabase = require('../mocks/supabase');
+const { makeAgent, resetIdCounter } = require('../helpers');
+
+const mockSupabase = createMockSupabase({ defaults: { mission_steps: { status: 'pending' } } });
+global.__mockSupabase = mockSupabase;
+jest.mock('../../src/lib/supabase', () => global.__mockSupabase);
+
+const mockCallLLM = jest.fn();
+jest.mock('../../src/lib/models', () => ({
+  callLLM: mockCallLLM,
+  MODELS: { tier2: { name: 'claude-sonnet', tier: 'tier2', costPer1kInput: 0.003, costPer1kOutput: 0.015 } }
+}));
+
+jest.mock('../../src/lib/agents', () => ({
+  findBestAgentAcrossTeams: jest.fn(async role => makeAgent({ id: `agent-${role}`, display_name: role })),
+  autoHireGapAgent: jest.fn()
+}));
+jest.mock('../../src/lib/linear', () => ({
+  syncMissionToLinear: jest.fn().mockResolvedValue(null),
+  syncStepToLinear: jest.fn().mockResolvedValue(null),
+  updateIssueStatus: jest.fn().mockResolvedValue(null),
+  completeProject: jest.fn().mockResolvedValue(null),
+  cancelProject: jest.fn().mockResolvedValue(null)
+}));
+
+const replanning = require('../../src/lib/replanning');
+const missions = require('../../src/lib/missions');
+const policy = require('../../src/lib/policy');
+
+const task = (id, role, group, deps = []) => ({
+  id, description: `Task ${id}`, required_role: role, parallel_group: group, depends_on: deps, acceptance_criteria: `${id} done`
+});
+
+// T1, T2 → T3 → T4
+const plan = {
+  tasks: [task('T1', 'research', 1), task('T2', 'research', 1), task('T3', 'strategy', 2, ['T1', 'T2']), task('T4', 'content', 3, ['T3'])],
+  end_state: 'production_docs'
+};
+
+const step = (id, taskId, order, status, result = null) => ({
+  id, mission_id: 42, plan_task_id: taskId, required_role: 'research', step_order: order, status, result,
+  description: `Task ${taskId}\n\nAcceptance Criteria: ${taskId} done`, assigned_agent_id: 'agent-research'
+});
+
+let replacementResponse;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockSupabase.__reset();
+  policy.clearCache();
+  resetIdCounter();
+
+  mockSupabase.__setData('missions', [{ id: 42, title: 'Newsletter', description: 'Launch a newsletter', status: 'in_progress' }]);
+  mockSupabase.__setData('decomposition_plans', [{ id: 1, mission_id: 42, status: 'active', revision: 1, plan_json: plan, planner_agent_id: 'agent-frasier' }]);
+  mockSupabase.__setData('mission_steps', [
+    step(101, 'T1', 1, 'completed', 'Competitor pricing table'),
+    step(102, 'T2', 1, 'failed', 'ERROR: Brave Search quota exceeded'),
+    step(103, 'T3', 2, 'pending'),
+    step(104, 'T4', 3, 'pending')
+  ]);
+  mockSupabase.__setData('step_dependencies', [
+    { id: 901, step_id: 103, depends_on_step_id: 101 },
+    { id: 902, step_id: 103, depends_on_step_id: 102 },
+    { id: 903, step_id: 104, depends_on_step_id: 103 }
+  ]);
+
+  // A depends on completed T1; B on A and on T3, which still waits on T2 (dropped)
+  replacementResponse = {
+    tasks: [
+      { id: 'A', description: 'Estimate audience size from the pricing research', required_role: 'research', parallel_group: 1, depends_on: ['T1'], acceptance_criteria: 'Estimate with sources' },
+      { id: 'B', description: 'Sanity-check the estimate', required_role: 'research', parallel_group: 1, depends_on: ['A', 'T3'], acceptance_criteria: 'Reviewed estimate' }
+    ],
+    end_state: 'production_docs'
+  };
+  mockCallLLM.mockImplementation(async () => ({ content: JSON.stringify(replacementResponse), usage: null, error: null }));
+});
+
+describe('replanFailedSteps()', () => {
+  test('replaces the failed step and rewires its dependents', async () => {
+    expect(await replanning.replanFailedSteps(42)).toBe(1);
+
+    const steps = mockSupabase.__getData('mission_steps');
+    const [r1, r2] = steps.filter(s => s.plan_task_id.startsWith('T2R'));
+    expect(r1).toMatchObject({ plan_task_id: 'T2R1', required_role: 'research', step_order: 1, status: 'pending', assigned_agent_id: 'agent-research' });
+    expect(r2).toMatchObject({ plan_task_id: 'T2R2', step_order: 1 });
+    expect(steps.find(s => s.id === 102).replan_status).toBe('replaced');
+
+    const edges = mockSupabase.__getData('step_dependencies').map(d => `${d.step_id}→${d.depends_on_step_id}`);
+    expect(edges).toEqual(expect.arrayContaining(['103→101', '104→103', `${r1.id}→101`, `${r2.id}→${r1.id}`, `103→${r2.id}`]));
+    expect(edges).not.toContain('103→102');
+    expect(edges).toHaveLength(5);
+  });
+
+  test('Frasier sees the error, the completed output and the remaining tasks', async () => {
+    await replanning.replanFailedSteps(42);
+
+    const prompt = mockCallLLM.mock.calls[0][0].userMessage;
+    expect(prompt).toContain('## STEP FAILED — PLAN REPLACEMENT TASKS');
+    expect(prompt).toContain('Task T2 (research) failed: Task T2');
+    expect(prompt).toContain('Error: Brave Search quota exceeded');
+    expect(prompt).toContain('### T1: Task T1\nCompetitor pricing table');
+    expect(prompt).toContain('"id": "T3"');
+  });
+
+  test('the active plan gets a revision with the replacements spliced in', async () => {
+    await replanning.replanFailedSteps(42);
+
+    const [old, revision] = mockSupabase.__getData('decomposition_plans');
+    expect(old.status).toBe('superseded');
+    expect(revision).toMatchObject({ status: 'active', revision: 2, parent_plan_id: 1, failed_step_id: 102 });
+    expect(revision.plan_json.tasks.map(t => `${t.id}:${t.depends_on.join('+')}`)).toEqual(['T1:', 'T2R1:T1', 'T2R2:T2R1', 'T3:T1+T2R2', 'T4:T3']);
+    expect(revision.estimate.tasks).toHaveLength(5);
+    expect(mockSupabase.__getData('events').find(e => e.event_type === 'mission_replanned').description)
+      .toBe('Mission #42: step #102 (T2) failed — re-planned with 2 new step(s) (re-plan 1/2)');
+  });
+
+  test('a replaced step blocks nothing and the mission can still complete', async () => {
+    await replanning.replanFailedSteps(42);
+
+    expect(await missions.failBlockedSteps(42)).toBe(0);
+
+    mockSupabase.__setData('mission_steps', mockSupabase.__getData('mission_steps').map(s =>
+      (s.status === 'pending' ? { ...s, status: 'completed' } : s)));
+    await missions.checkMissionCompletion(42);
+
+    expect(mockSupabase.__getData('missions')[0].status).toBe('completed');
+    expect((await missions.retryStep(102)).error).toBe('Step #102 was replaced by re-planning — retry its replacement steps instead.');
+  });
+
+  test('once the cap is used up, a failure takes its dependents down as before', async () => {
+    mockSupabase.__setData('policy', [{ id: 1, policy_type: 'decomposition', active: true, rules: { max_replans_per_mission: 1 } }]);
+    mockSupabase.__setData('mission_steps', [
+      ...mockSupabase.__getData('mission_steps'),
+      { ...step(100, 'T0', 1, 'failed', 'ERROR: earlier'), replan_status: 'replaced' }
+    ]);
+
+    expect(await replanning.replanFailedSteps(42)).toBe(0);
+
+    expect(mockCallLLM).not.toHaveBeenCalled();
+    expect(mockSupabase.__getData('mission_steps').find(s => s.id === 102).replan_status).toBe('capped');
+    expect(mockSupabase.__getData('events').map(e => e.event_type)).toEqual(['replan_cap_reached']);
+    expect(await missions.failBlockedSteps(42)).toBe(2);
+  });
+
+  test('a decomposed step abandoned by its worker is re-planned before its dependents cascade', async () => {
+    mockSupabase.__setData('mission_steps', mockSupabase.__getData('mission_steps').map(s => (s.id === 102
+      ? { ...s, status: 'in_progress', result: null, lease_owner: 'vps-0', lease_expires_at: new Date(Date.now() - 60000).toISOString(), attempt_count: missions.MAX_STEP_ATTEMPTS - 1 }
+      : s)));
+
+    // checkMissions() order: lease sweep, then per mission re-plan → cascade → completion
+    expect((await missions.sweepExpiredLeases()).failed).toEqual([102]);
+    expect(await replanning.replanFailedSteps(42)).toBe(1);
+    expect(await missions.failBlockedSteps(42)).toBe(0);
+
+    const steps = mockSupabase.__getData('mission_steps');
+    expect(steps.find(s => s.id === 102).replan_status).toBe('replaced');
+    expect(steps.filter(s => [103, 104].includes(s.id)).map(s => s.status)).toEqual(['pending', 'pending']);
+  });
+
+  test('a failed leaf step keeps the mission open until re-planning has had its turn', async () => {
+    // T4 failed after everything else completed — an approval path checks completion before the heartbeat re-plans
+    mockSupabase.__setData('mission_steps', [
+      step(101, 'T1', 1, 'completed'), step(102, 'T2', 1, 'completed'), step(103, 'T3', 2, 'completed'),
+      step(104, 'T4', 3, 'failed', 'ERROR: Notion API timeout')
+    ]);
+
+    expect(await missions.checkMissionCompletion(42)).toBe(false);
+    expect(mockSupabase.__getData('missions')[0].status).toBe('in_progress');
+
+    expect(await replanning.replanFailedSteps(42)).toBe(1);
+    mockSupabase.__setData('mission_steps', mockSupabase.__getData('mission_steps').map(s =>
+      (s.status === 'pending' ? { ...s, status: 'completed' } : s)));
+    expect(await missions.checkMissionCompletion(42)).toBe(true);
+    expect(mockSupabase.__getData('missions')[0].status).toBe('completed');
+  });
+
+  test('with no re-plans left a failed leaf step fails the mission straight away', async () => {
+    mockSupabase.__setData('policy', [{ id: 1, policy_type: 'decomposition', active: true, rules: { max_replans_per_mission: 0 } }]);
+    mockSupabase.__setData('mission_steps', [step(101, 'T1', 1, 'completed'), step(104, 'T4', 3, 'failed', 'ERROR: Notion API timeout')]);
+
+    expect(await missions.checkMissionCompletion(42)).toBe(true);
+    expect(mockSupabase.__getData('missions')[0].status).toBe('failed');
+  });
+
+  test('a failed replacement request is recorded once and not retried', async () => {
+    mockCallLLM.mockResolvedValue({ content: null, usage: null, error: 'provider down' });
+
+    expect(await replanning.replanFailedSteps(42)).toBe(0);
+    expect(mockSupabase.__getData('mission_steps').find(s => s.id === 102).replan_status).toBe('failed');
+    expect(mockSupabase.__getData('events').map(e => e.event_type)).toEqual(['replan_failed']);
+
+    mockCallLLM.mockClear();
+    await replanning.replanFailedSteps(42);
+    expect(mockCallLLM).not.toHaveBeenCalled();
+  });
+
+  test('cascade failures, cancelled steps and steps outside a plan are not re-planned', async () => {
+    mockSupabase.__setData('mission_steps', [
+      step(102, 'T2', 1, 'cancelled', 'Cancelled by founder'),
+      step(103, 'T3', 2, 'failed', `${missions.CASCADE_FAILURE_PREFIX} (ISS-028 cleanup)`),
+      { ...step(105, null, 1, 'failed', 'ERROR: boom'), plan_task_id: null }
+    ]);
+
+    expect(await replanning.findReplanCandidates(42)).toEqual([]);
+    expect(await replanning.replanFailedSteps(42)).toBe(0);
+  });
+});
@@ -0,0 +1,211 @@
+// Mission Control Tests
+// !cancel / !pause / !resume mission and !retry step are missions.js state
+// transitions. Running steps stop at the next pipeline phase boundary, and every
+// change is mirrored to Linear.
+
+const createMockSupabase = require('../mocks/supabase');
+const { makeStep, makeMission, resetIdCounter } = require('../helpers');
+
+const mockSupabase = createMockSupabase();
+global.__mockSupabase = mockSupabase;
+jest.mock('../../src/lib/supabase', () => global.__mockSupabase);
+jest.mock('../../src/lib/linear', () => ({
+  updateIssueStatus: jest.fn().mockResolvedValue(null),
+  updateIssueCustomField: jest.fn().mockResolvedValue(null),
+  cancelProject: jest.fn().mockResolvedValue(null),
+  completeProject: jest.fn().mockResolvedValue(null)
+}));
+
+const mockCallLLM = jest.fn();
+jest.mock('../../src/lib/models', () => ({ callLLM: mockCallLLM }));
+
+const missions = require('../../src/lib/missions');
+const pipeline = require('../../src/lib/pipeline');
+const linear = require('../../src/lib/linear');
+
+const missionById = id => mockSupabase.__getData('missions').find(m => m.id === id);
+const stepById = id => mockSupabase.__getData('mission_steps').find(s => s.id === id);
+
+// __getData() returns copies, so edits go back through __setData()
+function patch(table, id, fields) {
+  mockSupabase.__setData(table, mockSupabase.__getData(table).map(r => (r.id === id ? { ...r, ...fields } : r)));
+}
+
+function seed() {
+  mockSupabase.__setData('missions', [makeMission({ id: 1, title: 'Market study', status: 'in_progress' })]);
+  mockSupabase.__setData('mission_steps', [
+    makeStep({ id: 10, mission_id: 1, step_order: 1, status: 'completed' }),
+    makeStep({ id: 11, mission_id: 1, step_order: 2, status: 'in_progress', lease_owner: 'vps-0' }),
+    makeStep({ id: 12, mission_id: 1, step_order: 2, status: 'in_review' }),
+    makeStep({ id: 13, mission_id: 1, step_order: 3, status: 'pending' })
+  ]);
+  mockSupabase.__setData('approval_chain', [
+    { id: 100, mission_step_id: 12, status: 'pending', reviewer_agent_id: 'qa' }
+  ]);
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockSupabase.__reset();
+  resetIdCounter();
+  seed();
+});
+
+describe('cancelMission()', () => {
+  test('cancels the mission and its open steps, withdraws reviews, syncs Linear', async () => {
+    const result = await missions.cancelMission(1, { reason: 'Wrong market' });
+
+    expect(result.error).toBeNull();
+    expect(result.cancelledStepIds.sort()).toEqual([11, 12, 13]);
+    expect(missionById(1).status).toBe('cancelled');
+    expect(stepById(10).status).toBe('completed');
+    expect(stepById(13)).toMatchObject({ status: 'cancelled', result: 'CANCELLED: Wrong market' });
+    expect(mockSupabase.__getData('approval_chain')[0].status).toBe('cancelled');
+
+    expect(linear.cancelProject).toHaveBeenCalledWith(1);
+    expect(linear.updateIssueStatus).toHaveBeenCalledWith(13, 'Canceled');
+    expect(mockSupabase.__getData('events').some(e => e.event_type === 'mission_cancelled')).toBe(true);
+  });
+
+  test('refuses finished or unknown missions', async () => {
+    patch('missions', 1, { status: 'completed' });
+
+    expect((await missions.cancelMission(1)).error).toBe('Mission #1 is completed.');
+    expect((await missions.cancelMission(99)).error).toBe('No mission #99 found.');
+    expect(linear.cancelProject).not.toHaveBeenCalled();
+  });
+});
+
+describe('pauseMission() / resumeMission()', () => {
+  test('pause reports in-flight steps; resume makes the mission live again', async () => {
+    const paused = await missions.pauseMission(1);
+    expect(paused.inFlightStepIds).toEqual([11]);
+    expect(missionById(1).status).toBe('paused');
+    expect((await missions.pauseMission(1)).error).toBe('Mission #1 is paused.');
+
+    await missions.resumeMission(1);
+    expect(missionById(1).status).toBe('in_progress');
+    expect((await missions.resumeMission(1)).error).toBe('Mission #1 is in_progress.');
+  });
+});
+
+describe('getStopSignal() and releaseStoppedStep()', () => {
+  test('reports cancel, pause and a lease taken over by another worker', async () => {
+    expect(await missions.getStopSignal(11, { owner: 'vps-0' })).toBeNull();
+    expect(await missions.getStopSignal(11, { owner: 'vps-1' })).toBe('lease_lost');
+
+    await missions.pauseMission(1);
+    expect(await missions.getStopSignal(11, { owner: 'vps-0' })).toBe('paused');
+
+    await missions.cancelMission(1);
+    expect(await missions.getStopSignal(11, { owner: 'vps-0' })).toBe('cancelled');
+  });
+
+  test('a paused step goes back to pending; a cancelled one stays cancelled', async () => {
+    await missions.releaseStoppedStep(11, 'paused', { owner: 'vps-0' });
+    expect(stepById(11)).toMatchObject({ status: 'pending', processed: false, lease_owner: null });
+    expect(linear.updateIssueStatus).toHaveBeenCalledWith(11, 'Backlog');
+
+    patch('mission_steps', 12, { status: 'cancelled' });
+    await missions.releaseStoppedStep(12, 'cancelled');
+    expect(stepById(12).status).toBe('cancelled');
+  });
+});
+
+describe('completeStep() after a cancel', () => {
+  test('a !cancel between the last stop check and delivery is not overwritten', async () => {
+    await missions.cancelMission(1);
+
+    expect(await missions.completeStep(11, 'Late report', 'text', { owner: 'vps-0' })).toBeNull();
+    expect(await missions.completeStep(11, 'Late report')).toBeNull();
+    expect(stepById(11)).toMatchObject({ status: 'cancelled', result: 'CANCELLED: Cancelled by Zero' });
+    expect(linear.updateIssueStatus).not.toHaveBeenCalledWith(11, 'In Review');
+  });
+});
+
+describe('retryStep()', () => {
+  test('requeues a failed step with the dependents it cascaded into, and reopens the mission', async () => {
+    patch('mission_steps', 11, { status: 'failed', result: 'ERROR: Synthesize failed: provider down', attempt_count: 3 });
+    patch('mission_steps', 12, { status: 'completed' });
+    await missions.failBlockedSteps(1);
+    expect(stepById(13).status).toBe('failed');
+    patch('missions', 1, { status: 'failed' });
+
+    const result = await missions.retryStep(11);
+
+    expect(result.requeuedStepIds).toEqual([11, 13]);
+    expect(stepById(11)).toMatchObject({ status: 'pending', processed: false, result: null, attempt_count: 0 });
+    expect(stepById(13).status).toBe('pending');
+    expect(missionById(1).status).toBe('in_progress');
+    expect(linear.updateIssueStatus).toHaveBeenCalledWith(13, 'Backlog');
+  });
+
+  test('only failed or cancelled steps can be retried', async () => {
+    expect((await missions.retryStep(10)).error).toMatch(/Step #10 is completed/);
+    expect((await missions.retryStep(99)).error).toBe('No step #99 found.');
+  });
+
+  test('only dependents of the retried step come back, not cascade failures in other branches', async () => {
+    // 10 → 11 → 13 and 10 → 12 → 14; both 11 and 12 failed and took their branch down
+    mockSupabase.__setData('mission_steps', [
+      ...mockSupabase.__getData('mission_steps'),
+      makeStep({ id: 14, mission_id: 1, step_order: 3, status: 'pending' })
+    ]);
+    mockSupabase.__setData('step_dependencies', [
+      { id: 1, step_id: 11, depends_on_step_id: 10 },
+      { id: 2, step_id: 12, depends_on_step_id: 10 },
+      { id: 3, step_id: 13, depends_on_step_id: 11 },
+      { id: 4, step_id: 14, depends_on_step_id: 12 }
+    ]);
+    patch('mission_steps', 11, { status: 'failed', result: 'ERROR: provider down' });
+    patch('mission_steps', 12, { status: 'failed', result: 'ERROR: quota exceeded' });
+    await missions.failBlockedSteps(1);
+
+    const result = await missions.retryStep(11);
+
+    expect(result.requeuedStepIds).toEqual([11, 13]);
+    expect(stepById(14).status).toBe('failed');
+  });
+
+  test('retrying in a cancelled mission reopens all of it', async () => {
+    await missions.cancelMission(1);
+
+    const result = await missions.retryStep(11);
+
+    expect(result.requeuedStepIds.sort()).toEqual([11, 12, 13]);
+    expect([11, 12, 13].map(id => stepById(id).status)).toEqual(['pending', 'pending', 'pending']);
+    expect(missionById(1).status).toBe('in_progress');
+    expect(await missions.failBlockedSteps(1)).toBe(0);
+  });
+
+  test('a mission with a step left cancelled still finishes (as failed)', async () => {
+    patch('mission_steps', 11, { status: 'completed' });
+    patch('mission_steps', 12, { status: 'completed' });
+    patch('mission_steps', 13, { status: 'cancelled' });
+
+    await missions.checkMissionCompletion(1);
+
+    expect(missionById(1).status).toBe('failed');
+  });
+});
+
+describe('pipeline stop checks', () => {
+  test('stops at the next phase boundary without failing the step', async () => {
+    mockCallLLM.mockResolvedValue({
+      content: JSON.stringify({ subQuestions: ['Q'], searchQueries: ['q'], keyRequirements: [] }),
+      usage: null, error: null
+    });
+    const signals = [null, 'paused'];
+
+    const result = await pipeline.execute({
+      step: stepById(11),
+      promptData: { systemPrompt: 'Agent' },
+      userMessage: 'Assess the market',
+      effectiveTier: 'tier2',
+      config: { skipResearch: true, shouldStop: async () => signals.shift() || null }
+    });
+
+    expect(result).toMatchObject({ stopped: 'paused', content: null, error: 'Stopped before synthesize: paused' });
+    expect(mockCallLLM).toHaveBeenCalledTimes(1); // decompose only
+  });
+});
@@ -0,0 +1,187 @@
+// Plan Approval Tests
+// Large decomposition plans are held as 'pending_approval' with no steps until
+// Zero approves them. !plan edit / drop / replan each write a new revision.
+
+const createMockSupabase = require('../mocks/supabase');
+const { makeAgent, resetIdCounter } = require('../helpers');
+
+// Steps get the schema's default status, as in Postgres
+const mockSupabase = createMockSupabase({ defaults: { mission_steps: { status: 'pending' } } });
+global.__mockSupabase = mockSupabase;
+jest.mock('../../src/lib/supabase', () => global.__mockSupabase);
+
+const mockCallLLM = jest.fn();
+jest.mock('../../src/lib/models', () => ({
+  callLLM: mockCallLLM,
+  MODELS: { tier2: { name: 'claude-sonnet', tier: 'tier2', costPer1kInput: 0.003, costPer1kOutput: 0.015 } }
+}));
+
+const mockFindBestAgent = jest.fn();
+const mockAutoHire = jest.fn();
+jest.mock('../../src/lib/agents', () => ({
+  findBestAgentAcrossTeams: mockFindBestAgent,
+  autoHireGapAgent: mockAutoHire
+}));
+jest.mock('../../src/lib/approach_memory', () => ({
+  findSimilar: jest.fn().mockResolvedValue([]),
+  formatForPrompt: jest.fn(() => ''),
+  save: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../../src/lib/linear', () => ({
+  syncMissionToLinear: jest.fn().mockResolvedValue(null),
+  syncStepToLinear: jest.fn().mockResolvedValue(null)
+}));
+
+const decomposition = require('../../src/lib/decomposition');
+const planApproval = require('../../src/lib/plan_approval');
+const policy = require('../../src/lib/policy');
+
+const task = (id, role, group, deps = []) => ({
+  id, description: `Task ${id}`, required_role: role, parallel_group: group, depends_on: deps, acceptance_criteria: `${id} done`
+});
+
+// T1, T2 → T3 → T4, T5
+function largePlan() {
+  return {
+    tasks: [task('T1', 'research', 1), task('T2', 'research', 1), task('T3', 'strategy', 2, ['T1', 'T2']), task('T4', 'content', 3, ['T3']), task('T5', 'content', 3, ['T3'])],
+    end_state: 'production_docs',
+    escalation_needed: false,
+    hiring_needed: [{ role_title: 'Copywriter' }]
+  };
+}
+
+let planResponse;
+
+async function decompose() {
+  return decomposition.decomposeProject({ projectId: 1, missionId: 42, directive: 'Launch a newsletter business', frasierAgentId: 'agent-frasier' });
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockSupabase.__reset();
+  policy.clearCache();
+  resetIdCounter();
+
+  planResponse = largePlan();
+  mockCallLLM.mockImplementation(async ({ forceTier }) => ({
+    content: JSON.stringify(forceTier === 'tier1' ? { feasible: true, issues: [] } : planResponse),
+    usage: null,
+    error: null
+  }));
+  mockFindBestAgent.mockImplementation(async role =>
+    role === 'content' ? null : makeAgent({ id: `agent-${role}`, display_name: role === 'research' ? 'Rei' : 'Gendo' }));
+
+  mockSupabase.__setData('missions', [{ id: 42, title: 'Newsletter', description: 'Launch a newsletter business', status: 'in_progress' }]);
+});
+
+describe('decomposeProject() approval gate', () => {
+  test('a large plan is held with role assignments and a cost estimate, and creates nothing', async () => {
+    const result = await decompose();
+
+    expect(result).toMatchObject({ awaitingApproval: true, error: null });
+    const [row] = mockSupabase.__getData('decomposition_plans');
+    expect(row).toMatchObject({ id: result.planId, status: 'pending_approval', revision: 1, planner_agent_id: 'agent-frasier' });
+    expect(row.agent_map).toEqual({ research: { id: 'agent-research', name: 'Rei' }, strategy: { id: 'agent-strategy', name: 'Gendo' }, content: null });
+    expect(row.estimated_cost_usd).toBeCloseTo(5 * (8 * 0.003 + 3 * 0.015), 4);
+    expect(mockSupabase.__getData('mission_steps')).toHaveLength(0);
+    expect(mockAutoHire).not.toHaveBeenCalled();
+  });
+
+  test('small plans, or a policy that turns approval off, run immediately', async () => {
+    planResponse = { ...largePlan(), tasks: largePlan().tasks.slice(0, 3) };
+    expect((await decompose()).awaitingApproval).toBeUndefined();
+    expect(mockSupabase.__getData('mission_steps')).toHaveLength(3);
+
+    mockSupabase.__reset();
+    policy.clearCache();
+    mockSupabase.__setData('missions', [{ id: 42, title: 'Newsletter', description: 'x', status: 'in_progress' }]);
+    mockSupabase.__setData('policy', [{ id: 1, policy_type: 'decomposition', active: true, rules: { plan_approval_enabled: false } }]);
+    planResponse = largePlan();
+
+    expect((await decompose()).awaitingApproval).toBeUndefined();
+    expect(mockSupabase.__getData('decomposition_plans')[0].status).toBe('active');
+  });
+});
+
+describe('formatPlan()', () => {
+  test('renders groups, assignments, dependencies, cost and the commands', async () => {
+    await decompose();
+    const text = planApproval.formatPlan(await planApproval.getPendingPlan(), { missionTitle: 'Newsletter' });
+
+    expect(text).toContain('**Plan for mission #42 — Newsletter** (revision 1, awaiting approval)');
+    expect(text).toContain('__Group 1__ (parallel)');
+    expect(text).toContain('`T3` strategy → Gendo ← T1, T2');
+    expect(text).toContain('`T4` content → unassigned — will hire ← T3');
+    expect(text).toContain('5 tasks · 3 group(s) · production_docs · est. ~$0.34');
+    expect(text).toContain('`!plan approve`');
+  });
+});
+
+describe('revisions', () => {
+  test('edit and drop each supersede the previous revision', async () => {
+    await decompose();
+
+    const edited = await planApproval.editTask(await planApproval.getPendingPlan(42), 't3', 'Write a positioning memo');
+    const dropped = await planApproval.dropTask(edited.plan, 'T3');
+
+    expect(dropped.error).toBeNull();
+    expect(dropped.plan).toMatchObject({ revision: 3, revision_note: 'drop T3', parent_plan_id: edited.plan.id });
+    // T4 and T5 now wait on what T3 waited on
+    expect(dropped.plan.plan_json.tasks.map(t => `${t.id}:${t.depends_on.join('+')}`)).toEqual(['T1:', 'T2:', 'T4:T1+T2', 'T5:T1+T2']);
+    expect(mockSupabase.__getData('decomposition_plans').map(p => p.status)).toEqual(['superseded', 'superseded', 'pending_approval']);
+    expect(edited.plan.plan_json.tasks[2].description).toBe('Write a positioning memo');
+  });
+
+  test('a superseded revision cannot be edited or approved', async () => {
+    await decompose();
+    const original = await planApproval.getPendingPlan();
+    await planApproval.editTask(original, 'T1', 'Something else');
+
+    expect((await planApproval.dropTask(original, 'T2')).error).toMatch(/no longer awaiting approval/);
+    expect((await planApproval.approvePlan(original)).error).toMatch(/no longer awaiting approval/);
+  });
+
+  test('unknown tasks are reported', async () => {
+    await decompose();
+    expect((await planApproval.editTask(await planApproval.getPendingPlan(), 'T9', 'x')).error).toBe('No task T9 in this plan.');
+  });
+
+  test('replan sends the previous plan and feedback to Frasier', async () => {
+    await decompose();
+    planResponse = { ...largePlan(), tasks: largePlan().tasks.slice(0, 2) };
+
+    const result = await planApproval.replan(await planApproval.getPendingPlan(), 'Skip the content work for now');
+
+    const replanPrompt = mockCallLLM.mock.calls.find(([o]) => o.userMessage.includes('REVISE PER FOUNDER FEEDBACK'))[0].userMessage;
+    expect(replanPrompt).toContain('Founder feedback: Skip the content work for now');
+    expect(replanPrompt).toContain('"id": "T5"');
+    expect(result.plan).toMatchObject({ revision: 2, task_count: 2, revision_note: 'replan: Skip the content work for now' });
+  });
+});
+
+describe('approvePlan()', () => {
+  test('hires, then creates pending steps with their dependencies from the approved revision', async () => {
+    await decompose();
+    const { plan: revision } = await planApproval.dropTask(await planApproval.getPendingPlan(), 'T5');
+
+    const result = await planApproval.approvePlan(revision);
+
+    expect(result).toMatchObject({ stepCount: 4, error: null });
+    expect(mockAutoHire).toHaveBeenCalledWith('Copywriter');
+    const steps = mockSupabase.__getData('mission_steps');
+    expect(steps.map(s => s.status)).toEqual(['pending', 'pending', 'pending', 'pending']);
+    expect(mockSupabase.__getData('step_dependencies')).toHaveLength(3);
+    expect(mockSupabase.__getData('decomposition_plans').find(p => p.id === revision.id)).toMatchObject({ status: 'active' });
+    expect(mockSupabase.__getData('events').some(e => e.event_type === 'plan_approved')).toBe(true);
+
+    expect((await planApproval.approvePlan(revision)).error).toMatch(/no longer awaiting approval/);
+    expect(mockSupabase.__getData('mission_steps')).toHaveLength(4);
+  });
+
+  test('a cancelled mission cannot be approved', async () => {
+    await decompose();
+    mockSupabase.__setData('missions', [{ id: 42, title: 'Newsletter', status: 'cancelled' }]);
+
+    expect((await planApproval.approvePlan(await planApproval.getPendingPlan())).error).toBe('Mission #42 is cancelled — nothing to approve.');
+  });
+});
@@ -0,0 +1,208 @@
+// Plan Estimate Tests
+// Each decomposition plan gets a per-task and total cost/time forecast from the
+// history of completed steps (model_usage + pipeline_phases), bucketed by role,
+// tier and pipeline config. The heartbeat records actuals when the mission completes.
+
+const createMockSupabase = require('../mocks/supabase');
+const { makeAgent, resetIdCounter } = require('../helpers');
+
+const mockSupabase = createMockSupabase({ defaults: { mission_steps: { status: 'pending' } } });
+global.__mockSupabase = mockSupabase;
+jest.mock('../../src/lib/supabase', () => global.__mockSupabase);
+
+const mockCallLLM = jest.fn();
+jest.mock('../../src/lib/models', () => ({
+  callLLM: mockCallLLM,
+  MODELS: { tier2: { name: 'claude-sonnet', tier: 'tier2', costPer1kInput: 0.003, costPer1kOutput: 0.015 } }
+}));
+
+jest.mock('../../src/lib/agents', () => ({
+  findBestAgentAcrossTeams: jest.fn(async role => makeAgent({ id: `agent-${role}`, display_name: role === 'research' ? 'Rei' : 'Gendo' })),
+  autoHireGapAgent: jest.fn()
+}));
+jest.mock('../../src/lib/approach_memory', () => ({
+  findSimilar: jest.fn().mockResolvedValue([]),
+  formatForPrompt: jest.fn(() => ''),
+  save: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../../src/lib/linear', () => ({
+  syncMissionToLinear: jest.fn().mockResolvedValue(null),
+  syncStepToLinear: jest.fn().mockResolvedValue(null)
+}));
+
+const planEstimates = require('../../src/lib/plan_estimates');
+const planApproval = require('../../src/lib/plan_approval');
+const decomposition = require('../../src/lib/decomposition');
+const policy = require('../../src/lib/policy');
+
+const MIN = 60 * 1000;
+const DEFAULT_COST = 8 * 0.003 + 3 * 0.015;
+
+const task = (id, role, group, deps = [], description = `Task ${id}`) => ({
+  id, description, required_role: role, parallel_group: group, depends_on: deps, acceptance_criteria: `${id} done`
+});
+
+// T1, T2 (research) → T3 (strategy) → T4 (engineering)
+const plan = {
+  tasks: [
+    task('T1', 'research', 1, [], 'Research competitor pricing'),
+    task('T2', 'research', 1, [], 'Research audience size'),
+    task('T3', 'strategy', 2, ['T1', 'T2'], 'Position the offer'),
+    task('T4', 'engineering', 3, ['T3'], 'Build the landing page')
+  ],
+  end_state: 'production_docs'
+};
+
+// A completed step with what it cost and how long its phases ran
+function pastStep(id, role, description, costUsd, durationMs) {
+  const add = (table, row) => mockSupabase.__setData(table, [...mockSupabase.__getData(table), row]);
+  add('mission_steps', { id, mission_id: 1, status: 'completed', required_role: role, model_tier: 'tier2', description, completed_at: new Date().toISOString() });
+  add('model_usage', { id, mission_step_id: id, estimated_cost_usd: costUsd, response_time_ms: 1000 });
+  add('pipeline_phases', { id, mission_step_id: id, phase_name: 'synthesize', duration_ms: durationMs });
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockSupabase.__reset();
+  policy.clearCache();
+  resetIdCounter();
+});
+
+describe('estimatePlan()', () => {
+  test('without history every task gets the rough default, and time follows the critical path', async () => {
+    const estimate = await planEstimates.estimatePlan(plan);
+
+    expect(estimate.tasks.map(t => t.basis)).toEqual(['default', 'default', 'default', 'default']);
+    expect(estimate.tasks[0].costUsd).toBeCloseTo(DEFAULT_COST, 4);
+    expect(estimate.totalCostUsd).toBeCloseTo(4 * DEFAULT_COST, 4);
+    // T1 ∥ T2, then T3, then T4
+    expect(estimate.totalDurationMs).toBe(3 * planEstimates.DEFAULT_STEP_DURATION_MS);
+    expect(estimate.workDurationMs).toBe(4 * planEstimates.DEFAULT_STEP_DURATION_MS);
+  });
+
+  test('uses the most specific bucket with enough past steps', async () => {
+    pastStep(1, 'research', 'Research CRM pricing', 0.10, 5 * MIN);
+    pastStep(2, 'research', 'Research podcast market', 0.20, 6 * MIN);
+    pastStep(3, 'research', 'Research newsletter tools', 0.90, 20 * MIN);
+    pastStep(4, 'strategy', 'Pick a niche', 0.50, 10 * MIN);
+    pastStep(5, 'strategy', 'Price the offer', 0.50, 10 * MIN);
+
+    const estimate = await planEstimates.estimatePlan(plan);
+    const [t1, , t3, t4] = estimate.tasks;
+
+    expect(t1).toMatchObject({ role: 'research', tier: 'tier2', config: 'full', basis: 'role+tier+config', samples: 3, costUsd: 0.2, durationMs: 6 * MIN });
+    // Two strategy steps aren't enough — fall back to every tier2 step
+    expect(t3).toMatchObject({ basis: 'tier', samples: 5, costUsd: 0.5, durationMs: 10 * MIN });
+    expect(t4).toMatchObject({ config: 'no_research', basis: 'tier' });
+    expect(estimate.totalCostUsd).toBeCloseTo(1.4, 4);
+    expect(estimate.totalDurationMs).toBe(26 * MIN);
+    expect(estimate.historySteps).toBe(5);
+  });
+
+  test('a different pipeline config for the same role falls back to the role bucket', async () => {
+    pastStep(1, 'research', 'Research CRM pricing', 0.10, 5 * MIN);
+    pastStep(2, 'research', 'Research podcast market', 0.20, 6 * MIN);
+    pastStep(3, 'research', 'Debug the scraper', 0.30, 7 * MIN);
+
+    const [estimate] = (await planEstimates.estimatePlan({ tasks: [task('T1', 'research', 1, [], 'Research the API landscape')] })).tasks;
+
+    expect(estimate).toMatchObject({ config: 'no_research', basis: 'role+tier', samples: 3, costUsd: 0.2 });
+  });
+
+  test('formatDuration()', () => {
+    expect(planEstimates.formatDuration(20 * 1000)).toBe('<1m');
+    expect(planEstimates.formatDuration(12 * MIN)).toBe('12m');
+    expect(planEstimates.formatDuration(125 * MIN)).toBe('2h 05m');
+  });
+});
+
+describe('plans carry their estimate', () => {
+  beforeEach(() => {
+    mockSupabase.__setData('missions', [{ id: 42, title: 'Newsletter', description: 'Launch a newsletter', status: 'in_progress' }]);
+  });
+
+  test('decomposition stores the estimate and steps remember their task and role', async () => {
+    const small = { ...plan, tasks: plan.tasks.slice(0, 3), escalation_needed: false };
+    mockCallLLM.mockImplementation(async ({ forceTier }) => ({
+      content: JSON.stringify(forceTier === 'tier1' ? { feasible: true, issues: [] } : small),
+      usage: null,
+      error: null
+    }));
+
+    const result = await decomposition.decomposeProject({ projectId: 1, missionId: 42, directive: 'Launch a newsletter', frasierAgentId: 'agent-frasier' });
+
+    const [row] = mockSupabase.__getData('decomposition_plans');
+    expect(row.estimate.tasks.map(t => t.taskId)).toEqual(['T1', 'T2', 'T3']);
+    expect(row.estimated_cost_usd).toBeCloseTo(3 * DEFAULT_COST, 4);
+    expect(row.estimated_duration_ms).toBe(2 * planEstimates.DEFAULT_STEP_DURATION_MS);
+    expect(result.estimate).toEqual(row.estimate);
+    expect(mockSupabase.__getData('mission_steps').map(s => `${s.plan_task_id}:${s.required_role}`)).toEqual(['T1:research', 'T2:research', 'T3:strategy']);
+  });
+
+  test('the approval message shows per-task and total estimates', async () => {
+    pastStep(1, 'research', 'Research CRM pricing', 0.10, 5 * MIN);
+    pastStep(2, 'research', 'Research podcast market', 0.20, 6 * MIN);
+    pastStep(3, 'research', 'Research newsletter tools', 0.90, 20 * MIN);
+    const estimate = await planEstimates.estimatePlan(plan);
+
+    const text = planApproval.formatPlan({
+      mission_id: 42, plan_json: plan, agent_map: {}, estimate,
+      estimated_cost_usd: estimate.totalCostUsd
+    });
+
+    expect(text).toContain('`T1` research → unassigned — will hire · ~$0.20 · ~6m');
+    // Only research history, so every task uses it: 3 groups × 6m
+    expect(text).toContain('4 tasks · 3 group(s) · production_docs · est. ~$0.80 · ~18m');
+    expect(text).toContain('*Estimate: 4/4 task(s) from 3 past step(s)*');
+  });
+});
+
+describe('compareCompletedMissions()', () => {
+  beforeEach(async () => {
+    const estimate = await planEstimates.estimatePlan({ tasks: [task('T1', 'research', 1), task('T2', 'content', 2, ['T1'])] });
+    mockSupabase.__setData('decomposition_plans', [
+      { id: 1, mission_id: 42, status: 'active', estimate },
+      { id: 2, mission_id: 43, status: 'active', estimate }
+    ]);
+    mockSupabase.__setData('missions', [
+      { id: 42, status: 'completed', created_at: new Date(Date.now() - 60 * MIN).toISOString(), completed_at: new Date().toISOString() },
+      { id: 43, status: 'in_progress' }
+    ]);
+    mockSupabase.__setData('mission_steps', [
+      { id: 101, mission_id: 42, status: 'completed', plan_task_id: 'T1' },
+      { id: 102, mission_id: 42, status: 'completed', plan_task_id: 'T2' }
+    ]);
+    mockSupabase.__setData('step_dependencies', [{ id: 1, step_id: 102, depends_on_step_id: 101 }]);
+    mockSupabase.__setData('model_usage', [
+      { id: 1, mission_step_id: 101, estimated_cost_usd: 0.1 },
+      { id: 2, mission_step_id: 101, estimated_cost_usd: 0.05 }, // revision round
+      { id: 3, mission_step_id: 102, estimated_cost_usd: 0.2 }
+    ]);
+    mockSupabase.__setData('pipeline_phases', [
+      { id: 1, mission_step_id: 101, duration_ms: 8 * MIN },
+      { id: 2, mission_step_id: 102, duration_ms: 5 * MIN }
+    ]);
+  });
+
+  test('records actuals next to the estimate for completed missions only', async () => {
+    expect(await planEstimates.compareCompletedMissions()).toBe(1);
+
+    const [done, running] = mockSupabase.__getData('decomposition_plans');
+    expect(done.actuals).toMatchObject({ totalCostUsd: 0.35, totalDurationMs: 13 * MIN, wallClockMs: 60 * MIN });
+    expect(done.actuals.comparison.tasks[0]).toMatchObject({ taskId: 'T1', actualCostUsd: 0.15, actualDurationMs: 8 * MIN });
+    expect(done.actuals.comparison.costRatio).toBeCloseTo(0.35 / done.estimate.totalCostUsd, 2);
+    expect(done.actuals_recorded_at).toBeTruthy();
+    expect(running.actuals).toBeUndefined();
+  });
+
+  test('an overrun is logged as a warning, and each mission is compared once', async () => {
+    await planEstimates.compareCompletedMissions();
+    expect(await planEstimates.compareCompletedMissions()).toBe(0);
+
+    const compared = mockSupabase.__getData('events').filter(e => e.event_type === 'plan_estimate_compared');
+    expect(compared).toHaveLength(1);
+    // $0.35 actual vs ~$0.14 estimated
+    expect(compared[0]).toMatchObject({ severity: 'warning' });
+    expect(compared[0].description).toBe('Mission #42 finished at $0.35 vs ~$0.14 estimated (2.54×), 13m vs ~8m of pipeline time');
+  });
+});
@@ -0,0 +1,156 @@
+// Step Lease Tests
+// claimStep() takes a lease (owner + expiry) that the worker renews while the step
+// runs. Heartbeat requeues steps whose lease expired; after MAX_STEP_ATTEMPTS the
+// step fails, and heartbeat's per-mission checks handle its dependents.
+
+const createMockSupabase = require('../mocks/supabase');
+const { makeStep, resetIdCounter } = require('../helpers');
+
+const mockSupabase = createMockSupabase();
+global.__mockSupabase = mockSupabase;
+jest.mock('../../src/lib/supabase', () => global.__mockSupabase);
+jest.mock('../../src/lib/linear', () => ({
+  updateIssueStatus: jest.fn().mockResolvedValue(null),
+  updateIssueCustomField: jest.fn().mockResolvedValue(null)
+}));
+
+const missions = require('../../src/lib/missions');
+const linear = require('../../src/lib/linear');
+
+const NOW = new Date('2026-07-01T12:00:00Z');
+const minutesFromNow = min => new Date(NOW.getTime() + min * 60000).toISOString();
+
+const stepById = id => mockSupabase.__getData('mission_steps').find(s => s.id === id);
+
+function seedClaimed(overrides = {}) {
+  const step = makeStep({
+    status: 'in_progress',
+    processed: true,
+    lease_owner: 'vps-0',
+    lease_expires_at: minutesFromNow(-1),
+    attempt_count: 0,
+    started_at: minutesFromNow(-10),
+    ...overrides
+  });
+  mockSupabase.__setData('mission_steps', [...mockSupabase.__getData('mission_steps'), step]);
+  return step;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockSupabase.__reset();
+  resetIdCounter();
+});
+
+describe('claimStep() lease', () => {
+  test('records the owner and an expiry STEP_LEASE_MS out', async () => {
+    mockSupabase.__setData('mission_steps', [makeStep({ id: 1, status: 'pending' })]);
+
+    const before = Date.now();
+    const claimed = await missions.claimStep(1, { owner: 'vps-1' });
+
+    expect(claimed).toMatchObject({ status: 'in_progress', lease_owner: 'vps-1' });
+    const expiresIn = new Date(claimed.lease_expires_at).getTime() - before;
+    expect(expiresIn).toBeGreaterThanOrEqual(missions.STEP_LEASE_MS);
+    expect(expiresIn).toBeLessThan(missions.STEP_LEASE_MS + 5000);
+  });
+});
+
+describe('renewLease()', () => {
+  test('only the owner can extend an in-progress lease', async () => {
+    const step = seedClaimed({ lease_expires_at: new Date(Date.now() + 1000).toISOString() });
+
+    expect(await missions.renewLease(step.id, 'someone-else')).toBe(false);
+    expect(await missions.renewLease(step.id, 'vps-0')).toBe(true);
+    expect(new Date(stepById(step.id).lease_expires_at).getTime()).toBeGreaterThan(Date.now() + 60000);
+  });
+
+  test('fails once the step has moved on', async () => {
+    const step = seedClaimed({ status: 'in_review' });
+
+    expect(await missions.renewLease(step.id, 'vps-0')).toBe(false);
+  });
+});
+
+describe('completeStep() with an owner', () => {
+  test('delivers while the lease is held', async () => {
+    const step = seedClaimed();
+
+    expect(await missions.completeStep(step.id, 'Report', 'text', { owner: 'vps-0' })).toMatchObject({ status: 'in_review', result: 'Report' });
+  });
+
+  test('a worker that lost its lease cannot overwrite the new attempt', async () => {
+    // Requeued by the sweep and reclaimed by another worker
+    const step = seedClaimed({ lease_owner: 'vps-1', attempt_count: 1 });
+
+    expect(await missions.completeStep(step.id, 'Stale report', 'text', { owner: 'vps-0' })).toBeNull();
+    expect(stepById(step.id)).toMatchObject({ status: 'in_progress', lease_owner: 'vps-1', result: step.result });
+
+    // Requeued and not yet reclaimed
+    mockSupabase.__setData('mission_steps', [{ ...stepById(step.id), status: 'pending', lease_owner: null }]);
+    expect(await missions.completeStep(step.id, 'Stale report', 'text', { owner: 'vps-0' })).toBeNull();
+    expect(stepById(step.id).status).toBe('pending');
+    expect(linear.updateIssueStatus).not.toHaveBeenCalled();
+  });
+});
+
+describe('sweepExpiredLeases()', () => {
+  test('requeues an expired step and counts the attempt', async () => {
+    const step = seedClaimed();
+
+    const result = await missions.sweepExpiredLeases({ now: NOW });
+
+    expect(result).toEqual({ requeued: [step.id], failed: [] });
+    expect(stepById(step.id)).toMatchObject({
+      status: 'pending', processed: false, attempt_count: 1, lease_owner: null, lease_expires_at: null
+    });
+    expect(linear.updateIssueStatus).toHaveBeenCalledWith(step.id, 'Backlog');
+    const events = mockSupabase.__getData('events');
+    expect(events.some(e => e.event_type === 'step_requeued')).toBe(true);
+  });
+
+  test('leaves live leases alone', async () => {
+    const step = seedClaimed({ lease_expires_at: minutesFromNow(3) });
+
+    const result = await missions.sweepExpiredLeases({ now: NOW });
+
+    expect(result).toEqual({ requeued: [], failed: [] });
+    expect(stepById(step.id).status).toBe('in_progress');
+  });
+
+  test('recovers unleased claims only once they are long stale', async () => {
+    const fresh = seedClaimed({ lease_owner: null, lease_expires_at: null, started_at: minutesFromNow(-30) });
+    const stale = seedClaimed({ lease_owner: null, lease_expires_at: null, started_at: minutesFromNow(-180) });
+
+    const result = await missions.sweepExpiredLeases({ now: NOW });
+
+    expect(result.requeued).toEqual([stale.id]);
+    expect(stepById(fresh.id).status).toBe('in_progress');
+  });
+
+  test('fails the step after MAX_STEP_ATTEMPTS and leaves the cascade to the mission checks', async () => {
+    const step = seedClaimed({ mission_id: 5, step_order: 1, attempt_count: missions.MAX_STEP_ATTEMPTS - 1 });
+    const dependent = makeStep({ mission_id: 5, step_order: 2, status: 'pending' });
+    mockSupabase.__setData('mission_steps', [...mockSupabase.__getData('mission_steps'), dependent]);
+
+    const result = await missions.sweepExpiredLeases({ now: NOW });
+
+    expect(result).toEqual({ requeued: [], failed: [step.id] });
+    expect(stepById(step.id)).toMatchObject({ status: 'failed', attempt_count: missions.MAX_STEP_ATTEMPTS });
+    expect(stepById(step.id).result).toMatch(/Abandoned 3 times.*vps-0/);
+    // Re-planning may still replace the step, so dependents wait for checkMissions()
+    expect(stepById(dependent.id).status).toBe('pending');
+
+    expect(await missions.failBlockedSteps(5)).toBe(1);
+    expect(stepById(dependent.id).status).toBe('failed');
+  });
+
+  test('a requeued step is claimable again and keeps its attempt count', async () => {
+    const step = seedClaimed({ attempt_count: 1 });
+
+    await missions.sweepExpiredLeases({ now: NOW });
+    const reclaimed = await missions.claimStep(step.id, { owner: 'vps-1' });
+
+    expect(reclaimed).toMatchObject({ lease_owner: 'vps-1', attempt_count: 2 });
+  });
+});
@@ -0,0 +1,168 @@
+// Step Priority Tests
+// Priority flows proposal → mission → steps. getPendingSteps() orders work by
+// weighted fair queuing across missions, with aging so low-priority work still runs.
+
+const createMockSupabase = require('../mocks/supabase');
+const { makeStep, makeMission, resetIdCounter } = require('../helpers');
+
+const mockSupabase = createMockSupabase();
+global.__mockSupabase = mockSupabase;
+jest.mock('../../src/lib/supabase', () => global.__mockSupabase);
+jest.mock('../../src/lib/linear', () => ({
+  syncMissionToLinear: jest.fn().mockResolvedValue(null),
+  syncStepToLinear: jest.fn().mockResolvedValue(null),
+  updateIssueStatus: jest.fn().mockResolvedValue(null),
+  updateIssueCustomField: jest.fn().mockResolvedValue(null)
+}));
+
+const missions = require('../../src/lib/missions');
+
+const NOW = new Date('2026-07-01T12:00:00Z');
+const minutesAgo = min => new Date(NOW.getTime() - min * 60000).toISOString();
+const always = async () => true;
+
+// `count` pending steps for one mission, in step_order
+function queue(missionId, count, { priority = 'normal', queuedMinutesAgo = 10 } = {}) {
+  return Array.from({ length: count }, (_, i) => makeStep({
+    mission_id: missionId,
+    step_order: i + 1,
+    priority,
+    created_at: minutesAgo(queuedMinutesAgo)
+  }));
+}
+
+const missionsOf = steps => steps.map(s => s.mission_id);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockSupabase.__reset();
+  resetIdCounter();
+});
+
+describe('scheduleSteps()', () => {
+  test('an urgent request jumps a long decomposed project', async () => {
+    const project = queue(1, 20, { queuedMinutesAgo: 20 });
+    const urgent = queue(2, 1, { priority: 'urgent', queuedMinutesAgo: 1 });
+
+    const picked = await missions.scheduleSteps([...project, ...urgent], { isReady: always, limit: 2, now: NOW });
+
+    expect(missionsOf(picked)).toEqual([2, 1]);
+  });
+
+  test('missions of equal priority share slots instead of draining in order', async () => {
+    const picked = await missions.scheduleSteps([...queue(1, 5), ...queue(2, 5)], { isReady: always, limit: 4, now: NOW });
+
+    expect(missionsOf(picked).sort()).toEqual([1, 1, 2, 2]);
+  });
+
+  test('steps already running count against their mission\'s share', async () => {
+    const picked = await missions.scheduleSteps([...queue(1, 5), ...queue(2, 5)], {
+      isReady: always, limit: 2, now: NOW, inFlightByMission: { 1: 3 }
+    });
+
+    expect(missionsOf(picked)).toEqual([2, 2]);
+  });
+
+  test('aging lets long-waiting low-priority work past a busy urgent mission', async () => {
+    const busyUrgent = queue(1, 5, { priority: 'urgent', queuedMinutesAgo: 0 });
+    const starvedLow = queue(2, 1, { priority: 'low', queuedMinutesAgo: 4 * 60 });
+    const freshLow = queue(3, 1, { priority: 'low', queuedMinutesAgo: 0 });
+
+    const picked = await missions.scheduleSteps([...busyUrgent, ...starvedLow, ...freshLow], {
+      isReady: always, limit: 1, now: NOW, inFlightByMission: { 1: 4 }
+    });
+
+    expect(missionsOf(picked)).toEqual([2]);
+  });
+
+  test('an old normal step never outranks a new urgent one', async () => {
+    // A decomposed plan's step, created up front and waiting 6h on its dependencies
+    const oldNormal = queue(1, 1, { queuedMinutesAgo: 6 * 60 });
+    const newUrgent = queue(2, 1, { priority: 'urgent', queuedMinutesAgo: 0 });
+
+    const picked = await missions.scheduleSteps([...oldNormal, ...newUrgent], { isReady: always, limit: 2, now: NOW });
+
+    expect(missionsOf(picked)).toEqual([2, 1]);
+    expect(missions.effectiveWeight(oldNormal[0], NOW.getTime())).toBeLessThan(missions.PRIORITY_WEIGHTS.high);
+    expect(missions.effectiveWeight(queue(3, 1, { priority: 'low', queuedMinutesAgo: 24 * 60 })[0], NOW.getTime()))
+      .toBeLessThan(missions.PRIORITY_WEIGHTS.normal);
+  });
+
+  test('blocked steps are skipped without using up their mission\'s share', async () => {
+    const urgent = queue(1, 3, { priority: 'urgent' });
+    const normal = queue(2, 1);
+    const blocked = new Set([urgent[0].id]);
+
+    const picked = await missions.scheduleSteps([...urgent, ...normal], {
+      isReady: async step => !blocked.has(step.id), limit: 2, now: NOW
+    });
+
+    expect(picked.map(s => s.id)).toEqual([urgent[1].id, urgent[2].id]);
+  });
+
+  test('a step without its own priority falls back to the mission\'s', () => {
+    const step = makeStep({ priority: undefined, missions: { priority: 'high' }, created_at: NOW.toISOString() });
+
+    expect(missions.effectiveWeight(step, NOW.getTime())).toBe(missions.PRIORITY_WEIGHTS.high);
+  });
+});
+
+describe('priority propagation', () => {
+  test('proposal priority reaches the mission and every step created on it', async () => {
+    const proposal = await missions.createProposal({ title: 'Competitor teardown', priority: 'urgent' });
+    const mission = await missions.acceptProposal(proposal.id, 'team-research');
+    const step = await missions.createStep({ missionId: mission.id, description: 'Tear down competitor pricing' });
+    const override = await missions.createStep({ missionId: mission.id, description: 'Background reading', priority: 'low' });
+
+    expect(mission.priority).toBe('urgent');
+    expect(step.priority).toBe('urgent');
+    expect(override.priority).toBe('low');
+  });
+
+  test('unknown priorities are stored as normal', async () => {
+    const mission = await missions.createMission({ teamId: 'team-research', title: 'Misc', priority: 'ASAP!!' });
+
+    expect(mission.priority).toBe('normal');
+  });
+
+  test('getPendingProposals() returns urgent proposals first, oldest first within a class', async () => {
+    mockSupabase.__setData('mission_proposals', [
+      { id: 1, status: 'pending', processed: false, priority: 'normal', created_at: minutesAgo(30) },
+      { id: 2, status: 'pending', processed: false, priority: 'urgent', created_at: minutesAgo(5) },
+      { id: 3, status: 'pending', processed: false, priority: 'low', created_at: minutesAgo(60) },
+      { id: 4, status: 'pending', processed: false, priority: 'urgent', created_at: minutesAgo(10) }
+    ]);
+
+    const proposals = await missions.getPendingProposals();
+
+    expect(proposals.map(p => p.id)).toEqual([4, 2, 1, 3]);
+  });
+});
+
+describe('setMissionPriority()', () => {
+  beforeEach(() => {
+    mockSupabase.__setData('missions', [makeMission({ id: 1, status: 'in_progress', priority: 'normal' })]);
+    mockSupabase.__setData('mission_steps', [
+      makeStep({ id: 10, mission_id: 1, status: 'completed', priority: 'normal' }),
+      makeStep({ id: 11, mission_id: 1, status: 'pending', priority: 'normal' }),
+      makeStep({ id: 12, mission_id: 1, status: 'in_progress', priority: 'normal' })
+    ]);
+  });
+
+  test('moves the mission and its open steps to the new class', async () => {
+    const result = await missions.setMissionPriority(1, 'urgent');
+
+    expect(result).toMatchObject({ error: null, updatedStepCount: 2 });
+    expect(mockSupabase.__getData('missions')[0].priority).toBe('urgent');
+    const steps = mockSupabase.__getData('mission_steps');
+    expect(steps.map(s => s.priority)).toEqual(['normal', 'urgent', 'urgent']);
+    expect(mockSupabase.__getData('events').some(e => e.event_type === 'mission_prioritized')).toBe(true);
+  });
+
+  test('rejects unknown levels and finished missions', async () => {
+    expect((await missions.setMissionPriority(1, 'asap')).error).toMatch(/Unknown priority "asap"/);
+
+    mockSupabase.__setData('missions', [makeMission({ id: 1, status: 'completed' })]);
+    expect((await missions.setMissionPriority(1)).error).toBe('Mission #1 is completed.');
+  });
+});
@@ -0,0 +1,198 @@
+// Sub-task Spawning Tests
+// A running step can end its output with [SPAWN_SUBTASKS]; feasible tasks become
+// child steps, the parent waits on them (step_dependencies) and runs again to
+// synthesize their output.
+
+const createMockSupabase = require('../mocks/supabase');
+const { makeAgent, resetIdCounter } = require('../helpers');
+
+const mockSupabase = createMockSupabase({ defaults: { mission_steps: { status: 'pending' } } });
+global.__mockSupabase = mockSupabase;
+jest.mock('../../src/lib/supabase', () => global.__mockSupabase);
+
+const mockCallLLM = jest.fn();
+jest.mock('../../src/lib/models', () => ({
+  callLLM: mockCallLLM,
+  MODELS: { tier1: { name: 'claude-haiku', tier: 'tier1', costPer1kInput: 0.001, costPer1kOutput: 0.005 } }
+}));
+
+jest.mock('../../src/lib/agents', () => ({
+  findBestAgentAcrossTeams: jest.fn(async role => (role === 'research' ? makeAgent({ id: 'agent-rei', display_name: 'Rei' }) : null))
+}));
+jest.mock('../../src/lib/linear', () => ({
+  syncStepToLinear: jest.fn().mockResolvedValue(null),
+  updateIssueStatus: jest.fn().mockResolvedValue(null),
+  completeProject: jest.fn().mockResolvedValue(null)
+}));
+
+const subtasks = require('../../src/lib/subtasks');
+const missions = require('../../src/lib/missions');
+const policy = require('../../src/lib/policy');
+
+const deepDives = (n, role = 'research') => Array.from({ length: n }, (_, i) => ({
+  description: `Deep-dive competitor ${i + 1}`, required_role: role, acceptance_criteria: `Pricing and positioning of competitor ${i + 1}`
+}));
+
+const output = tasks => `## Findings so far\nTen competitors identified.\n\n[SPAWN_SUBTASKS]\n${JSON.stringify({ tasks })}\n[/SPAWN_SUBTASKS]`;
+
+// Step 102 (T2) depends on 101 and is running on worker-1
+const parent = {
+  id: 102, mission_id: 42, plan_task_id: 'T2', required_role: 'strategy', step_order: 2, status: 'in_progress',
+  lease_owner: 'worker-1', assigned_agent_id: 'agent-gendo', model_tier: 'tier2', priority: 'normal',
+  description: 'Map the competitive landscape'
+};
+
+let feasibility;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockSupabase.__reset();
+  policy.clearCache();
+  resetIdCounter();
+
+  mockSupabase.__setData('missions', [{ id: 42, title: 'Newsletter', status: 'in_progress', priority: 'normal' }]);
+  mockSupabase.__setData('mission_steps', [
+    { id: 101, mission_id: 42, plan_task_id: 'T1', step_order: 1, status: 'completed', result: 'Audience notes', assigned_agent_id: 'agent-rei', description: 'Size the audience' },
+    { ...parent }
+  ]);
+  mockSupabase.__setData('step_dependencies', [{ id: 901, step_id: 102, depends_on_step_id: 101 }]);
+
+  feasibility = { feasible: true, issues: [] };
+  mockCallLLM.mockImplementation(async () => ({ content: JSON.stringify(feasibility), usage: null, error: null }));
+});
+
+const getStep = id => mockSupabase.__getData('mission_steps').find(s => s.id === id);
+const edges = () => mockSupabase.__getData('step_dependencies').map(d => `${d.step_id}→${d.depends_on_step_id}`);
+
+describe('parseSpawnRequest()', () => {
+  test('reads the task list and keeps the rest of the output', () => {
+    const request = subtasks.parseSpawnRequest(output(deepDives(2)));
+
+    expect(request.tasks.map(t => `${t.id}:${t.required_role}`)).toEqual(['S1:research', 'S2:research']);
+    expect(request.remainder).toBe('## Findings so far\nTen competitors identified.');
+  });
+
+  test('accepts a bare array, skips tasks without a description, and ignores output without a block', () => {
+    const request = subtasks.parseSpawnRequest(`[SPAWN_SUBTASKS][{"description": "A"}, {"required_role": "research"}][/SPAWN_SUBTASKS]`);
+
+    expect(request.tasks).toEqual([{ id: 'S1', description: 'A', required_role: '', acceptance_criteria: '' }]);
+    expect(subtasks.parseSpawnRequest('Just a report')).toBeNull();
+    expect(subtasks.parseSpawnRequest('[SPAWN_SUBTASKS]not json[/SPAWN_SUBTASKS]').tasks).toEqual([]);
+  });
+});
+
+describe('spawnSubtasks()', () => {
+  test('creates child steps and parks the parent behind them', async () => {
+    const request = subtasks.parseSpawnRequest(output([...deepDives(2), { description: 'Summarize G2 reviews', required_role: 'astrology' }]));
+    const { children, error } = await subtasks.spawnSubtasks({ step: parent, request, owner: 'worker-1' });
+
+    expect(error).toBeNull();
+    expect(children.map(c => `${c.required_role}:${c.assigned_agent_id}`)).toEqual(['research:agent-rei', 'research:agent-rei', 'strategy:agent-gendo']);
+    expect(children[0]).toMatchObject({
+      spawned_by_step_id: 102, mission_id: 42, step_order: 2, model_tier: 'tier2', plan_task_id: null,
+      description: 'Deep-dive competitor 1\n\nAcceptance Criteria: Pricing and positioning of competitor 1'
+    });
+
+    // Children wait on what the parent waited on; the parent waits on each child
+    const ids = children.map(c => c.id);
+    expect(edges()).toEqual(['102→101', ...ids.flatMap(id => [`${id}→101`, `102→${id}`])]);
+
+    expect(getStep(102)).toMatchObject({ status: 'pending', processed: false, spawn_status: 'waiting', lease_owner: null, result: '## Findings so far\nTen competitors identified.' });
+    expect(mockSupabase.__getData('events')[0].description).toBe('Step #102 spawned 3 sub-task(s)');
+  });
+
+  test('drops tasks the feasibility check flags and tasks over the policy limit', async () => {
+    mockSupabase.__setData('policy', [{ id: 1, policy_type: 'decomposition', active: true, rules: { max_subtasks_per_step: 3 } }]);
+    feasibility = { feasible: false, issues: [{ taskId: 'S2', issue: 'Requires logging into LinkedIn', suggestion: 'Use public pages' }] };
+
+    const { children, dropped } = await subtasks.spawnSubtasks({ step: parent, request: subtasks.parseSpawnRequest(output(deepDives(5))) });
+
+    expect(children.map(c => c.description.split('\n')[0])).toEqual(['Deep-dive competitor 1', 'Deep-dive competitor 3']);
+    expect(dropped.map(d => d.reason)).toEqual(['over the limit of 3', 'over the limit of 3', 'Requires logging into LinkedIn']);
+    // Only the tasks within the limit go to the feasibility check
+    expect(mockCallLLM.mock.calls[0][0].userMessage).toContain('[S3] (research): Deep-dive competitor 3');
+    expect(mockCallLLM.mock.calls[0][0].userMessage).not.toContain('[S4]');
+  });
+
+  test('nothing is created when no task survives', async () => {
+    feasibility = { feasible: false, issues: [{ taskId: 'S1', issue: 'Needs a headless browser' }] };
+
+    const result = await subtasks.spawnSubtasks({ step: parent, request: subtasks.parseSpawnRequest(output(deepDives(1))) });
+
+    expect(result).toMatchObject({ children: [], error: 'No feasible sub-tasks' });
+    expect(getStep(102).status).toBe('in_progress');
+    expect(edges()).toEqual(['102→101']);
+  });
+
+  test('a parent that lost its lease spawns nothing', async () => {
+    mockSupabase.__setData('mission_steps', [{ ...parent, lease_owner: 'worker-2' }]);
+
+    const result = await subtasks.spawnSubtasks({ step: parent, request: subtasks.parseSpawnRequest(output(deepDives(2))), owner: 'worker-1' });
+
+    expect(result).toMatchObject({ children: [], error: 'Step is no longer in progress under this lease' });
+    expect(mockSupabase.__getData('mission_steps')).toHaveLength(1);
+    expect(getStep(102)).toMatchObject({ status: 'in_progress', lease_owner: 'worker-2' });
+    expect(edges()).toEqual(['102→101']);
+  });
+
+  test('the parent is handed back when no child step could be created', async () => {
+    const createStep = jest.spyOn(missions, 'createStep').mockResolvedValue(null);
+
+    const result = await subtasks.spawnSubtasks({ step: parent, request: subtasks.parseSpawnRequest(output(deepDives(2))), owner: 'worker-1' });
+    createStep.mockRestore();
+
+    expect(result).toMatchObject({ children: [], error: 'Failed to create sub-task steps' });
+    expect(getStep(102)).toMatchObject({ status: 'in_progress', spawn_status: null, lease_owner: 'worker-1', result: null });
+    expect(await missions.completeStep(102, 'First run', 'text', { owner: 'worker-1' })).not.toBeNull();
+  });
+
+  test('only a first run may spawn', () => {
+    expect(subtasks.canSpawn(parent)).toBe(true);
+    expect(subtasks.canSpawn({ ...parent, spawn_status: 'waiting' })).toBe(false);
+    expect(subtasks.canSpawn({ ...parent, spawned_by_step_id: 101 })).toBe(false);
+    expect(subtasks.isSynthesisPass({ ...parent, spawn_status: 'synthesized' })).toBe(true);
+  });
+});
+
+describe('waiting on children', () => {
+  let children;
+
+  beforeEach(async () => {
+    ({ children } = await subtasks.spawnSubtasks({ step: parent, request: subtasks.parseSpawnRequest(output(deepDives(2))) }));
+  });
+
+  const setStatus = (id, patch) => mockSupabase.__setData('mission_steps',
+    mockSupabase.__getData('mission_steps').map(s => (s.id === id ? { ...s, ...patch } : s)));
+
+  test('the parent becomes ready once every child completes, and synthesizes their output', async () => {
+    expect(await missions.areAllDependenciesMet(children[0].id)).toBe(true);
+    expect(await missions.areAllDependenciesMet(102)).toBe(false);
+
+    setStatus(children[0].id, { status: 'completed', result: 'Competitor 1: $29/mo' });
+    setStatus(children[1].id, { status: 'completed', result: 'Competitor 2: $49/mo' });
+    expect(await missions.areAllDependenciesMet(102)).toBe(true);
+
+    const context = subtasks.buildSynthesisContext(getStep(102), await subtasks.getChildren(102));
+    expect(context).toContain('## SUB-TASK SYNTHESIS');
+    expect(context).toContain('## YOUR EARLIER NOTES\n## Findings so far');
+    expect(context).toContain(`## SUB-TASK 2 OUTPUT (step #${children[1].id}: Deep-dive competitor 2)\nCompetitor 2: $49/mo`);
+    expect((await missions.getPredecessorOutputs(102)).map(p => p.stepId)).toEqual([101, ...children.map(c => c.id)]);
+  });
+
+  test('a failed child fails its parent; once the parent is replaced the mission can still complete', async () => {
+    setStatus(children[0].id, { status: 'completed' });
+    setStatus(children[1].id, { status: 'failed', result: 'ERROR: Brave Search quota exceeded' });
+
+    expect(await subtasks.failStrandedParents(42)).toBe(1);
+    expect(getStep(102)).toMatchObject({ status: 'failed', result: `ERROR: Sub-task step #${children[1].id} failed` });
+    expect(await subtasks.failStrandedParents(42)).toBe(0);
+
+    // Re-planning replaced the parent and its replacement completed
+    setStatus(102, { replan_status: 'replaced' });
+    mockSupabase.__setData('mission_steps', [...mockSupabase.__getData('mission_steps'), { id: 200, mission_id: 42, step_order: 2, status: 'completed' }]);
+
+    expect(await missions.failBlockedSteps(42)).toBe(0);
+    await missions.checkMissionCompletion(42);
+    expect(mockSupabase.__getData('missions')[0].status).toBe('completed');
+  });
+});
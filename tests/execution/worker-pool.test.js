@@ -0,0 +1,159 @@
+// Worker Pool Tests
+// Steps run concurrently in a pool bounded by slots and a memory budget. Claims
+// stay race-safe across processes, and each worker reports its own liveness.
+
+const createMockSupabase = require('../mocks/supabase');
+const { makeStep, resetIdCounter } = require('../helpers');
+
+const mockSupabase = createMockSupabase();
+global.__mockSupabase = mockSupabase;
+jest.mock('../../src/lib/supabase', () => global.__mockSupabase);
+jest.mock('../../src/lib/linear', () => ({
+  updateIssueStatus: jest.fn().mockResolvedValue(null),
+  updateIssueCustomField: jest.fn().mockResolvedValue(null)
+}));
+
+const workerPool = require('../../src/lib/worker_pool');
+const missions = require('../../src/lib/missions');
+
+// A step whose completion the test controls
+function deferred() {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+beforeEach(() => {
+  mockSupabase.__reset();
+  resetIdCounter();
+  delete process.env.WORKER_CONCURRENCY;
+  delete process.env.WORKER_MEMORY_BUDGET_MB;
+});
+
+describe('estimateStepMemoryMb()', () => {
+  test('scales with tier and adds headroom for URL prefetch', () => {
+    const t1 = workerPool.estimateStepMemoryMb({ model_tier: 'tier1', description: 'Write a memo' });
+    const t3 = workerPool.estimateStepMemoryMb({ model_tier: 'tier3', description: 'Write a memo' });
+    const withUrl = workerPool.estimateStepMemoryMb({ model_tier: 'tier1', description: 'Summarize https://example.com' });
+
+    expect(t3).toBeGreaterThan(t1);
+    expect(withUrl).toBeGreaterThan(t1);
+  });
+});
+
+describe('createStepPool()', () => {
+  test('runs up to maxConcurrent steps at once and frees the slot when one finishes', async () => {
+    const pool = workerPool.createStepPool({ maxConcurrent: 2, memoryBudgetMb: 1000 });
+    const a = deferred();
+    const b = deferred();
+
+    expect(pool.start({ id: 1 }, () => a.promise)).not.toBeNull();
+    expect(pool.start({ id: 2 }, () => b.promise)).not.toBeNull();
+    expect(pool.freeSlots()).toBe(0);
+    expect(pool.start({ id: 3 }, () => Promise.resolve())).toBeNull();
+
+    a.resolve();
+    await tick();
+
+    expect(pool.freeSlots()).toBe(1);
+    expect(pool.snapshot().inFlight).toEqual([2]);
+    b.resolve();
+    await pool.drain();
+  });
+
+  test('defers a step that would overrun the memory budget, but an idle pool always admits one', async () => {
+    const pool = workerPool.createStepPool({ maxConcurrent: 3, memoryBudgetMb: 100, estimate: step => step.mb });
+    const big = deferred();
+
+    expect(pool.canAdmit({ id: 1, mb: 500 })).toBe(true); // alone, even above budget
+    pool.start({ id: 2, mb: 70 }, () => big.promise);
+
+    expect(pool.canAdmit({ id: 3, mb: 40 })).toBe(false);
+    expect(pool.canAdmit({ id: 4, mb: 30 })).toBe(true);
+    expect(pool.snapshot().committedMb).toBe(70);
+
+    big.resolve();
+    await pool.drain();
+    expect(pool.snapshot().committedMb).toBe(0);
+  });
+
+  test('never starts the same step twice', () => {
+    const pool = workerPool.createStepPool({ maxConcurrent: 3 });
+    pool.start({ id: 7 }, () => new Promise(() => {}));
+
+    expect(pool.isRunning(7)).toBe(true);
+    expect(pool.start({ id: 7 }, () => Promise.resolve())).toBeNull();
+  });
+
+  test('a crashing step is logged and releases its slot and memory', async () => {
+    const pool = workerPool.createStepPool({ maxConcurrent: 1 });
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await pool.start({ id: 9, model_tier: 'tier2' }, async () => { throw new Error('boom'); });
+
+    expect(spy).toHaveBeenCalledWith(expect.stringContaining('Step #9 crashed: boom'));
+    expect(pool.freeSlots()).toBe(1);
+    expect(pool.snapshot().committedMb).toBe(0);
+    spy.mockRestore();
+  });
+
+  test('drain() waits for every in-flight step', async () => {
+    const pool = workerPool.createStepPool({ maxConcurrent: 2 });
+    const done = [];
+    pool.start({ id: 1 }, async () => { await tick(); done.push(1); });
+    pool.start({ id: 2 }, async () => { await tick(); await tick(); done.push(2); });
+
+    await pool.drain();
+
+    expect(done).toEqual([1, 2]);
+  });
+
+  test('getPoolConfig() reads env and ignores invalid values', () => {
+    process.env.WORKER_CONCURRENCY = '4';
+    process.env.WORKER_MEMORY_BUDGET_MB = 'lots';
+
+    expect(workerPool.getPoolConfig()).toEqual({ maxConcurrent: 4, memoryBudgetMb: 180 });
+  });
+});
+
+describe('claimStep() across workers', () => {
+  test('two workers claiming the same step at once — exactly one wins', async () => {
+    mockSupabase.__setData('mission_steps', [makeStep({ id: 42, status: 'pending' })]);
+
+    const [first, second] = await Promise.all([missions.claimStep(42), missions.claimStep(42)]);
+
+    expect([first, second].filter(Boolean)).toHaveLength(1);
+    expect(mockSupabase.__getData('mission_steps')[0].status).toBe('in_progress');
+  });
+});
+
+describe('liveness', () => {
+  test('reportLiveness upserts one row per worker with its in-flight steps', async () => {
+    const pool = workerPool.createStepPool({ maxConcurrent: 2 });
+    pool.start({ id: 5, model_tier: 'tier1' }, () => new Promise(() => {}));
+
+    await workerPool.reportLiveness({ workerId: 'vps-0', pool, startedAt: '2026-01-01T00:00:00Z' });
+    await workerPool.reportLiveness({ workerId: 'vps-0', pool, startedAt: '2026-01-01T00:00:00Z' });
+    await workerPool.reportLiveness({ workerId: 'vps-1', pool, status: 'stopped', startedAt: '2026-01-01T00:00:00Z' });
+
+    const rows = mockSupabase.__getData('worker_heartbeats');
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toMatchObject({ id: 'vps-0', status: 'running', in_flight_step_ids: [5], capacity: 2, committed_memory_mb: 40, pid: process.pid });
+  });
+
+  test('findStaleWorkers returns running workers that stopped reporting', async () => {
+    const ago = ms => new Date(Date.now() - ms).toISOString();
+    mockSupabase.__setData('worker_heartbeats', [
+      { id: 'fresh', status: 'running', last_seen_at: ago(5000) },
+      { id: 'silent', status: 'running', last_seen_at: ago(10 * 60 * 1000) },
+      { id: 'shut-down', status: 'stopped', last_seen_at: ago(10 * 60 * 1000) }
+    ]);
+
+    const stale = await workerPool.findStaleWorkers();
+
+    expect(stale.map(w => w.id)).toEqual(['silent']);
+    expect(stale[0].silentMs).toBeGreaterThanOrEqual(10 * 60 * 1000);
+  });
+});
@@ -0,0 +1,247 @@
+// Budget Guard Tests
+// callLLM() checks daily / per-mission / per-agent spend limits BEFORE calling the
+// provider, and downgrades, blocks (budget_blocked step) or refuses on breach.
+
+const createMockSupabase = require('../mocks/supabase');
+
+const mockSupabase = createMockSupabase();
+global.__mockSupabase = mockSupabase;
+jest.mock('../../src/lib/supabase', () => global.__mockSupabase);
+
+const budget = require('../../src/lib/budget');
+const policy = require('../../src/lib/policy');
+const { callLLM, MODELS } = require('../../src/lib/models');
+
+function seedBudget(rules, version = 1) {
+  mockSupabase.__setData('policy', [{
+    id: 1, policy_type: 'budget', name: 'LLM Budget Guard', rules, version, active: true
+  }]);
+}
+
+function seedSpend(rows) {
+  mockSupabase.__setData('model_usage', rows.map((r, i) => ({
+    id: 100 + i,
+    created_at: new Date().toISOString(),
+    success: true,
+    ...r
+  })));
+}
+
+function okFetch() {
+  return jest.fn().mockResolvedValue({
+    ok: true,
+    status: 200,
+    json: async () => ({ choices: [{ message: { content: 'done' } }], usage: { prompt_tokens: 10, completion_tokens: 10 } })
+  });
+}
+
+beforeEach(() => {
+  mockSupabase.__reset();
+  policy.clearCache();
+  budget.clearSpendCache();
+  global.fetch = okFetch();
+});
+
+afterAll(() => {
+  delete global.fetch;
+});
+
+describe('checkBudget', () => {
+  test('no budget policy → allow', async () => {
+    const guard = await budget.checkBudget({ tier: 'tier3', modelConfigs: MODELS });
+    expect(guard.action).toBe('allow');
+  });
+
+  test('disabled policy → allow even when over limit', async () => {
+    seedBudget({ enabled: false, daily_limit_usd: 1 });
+    seedSpend([{ estimated_cost_usd: 5 }]);
+    const guard = await budget.checkBudget({ tier: 'tier2', modelConfigs: MODELS });
+    expect(guard.action).toBe('allow');
+  });
+
+  test('downgrades to the highest tier that still fits', async () => {
+    // ~$0.15 tier3 / ~$0.03 tier2 / ~$0.003 tier1 for 2000 output tokens
+    seedBudget({ daily_limit_usd: 1.0, on_breach: 'downgrade' });
+    seedSpend([{ estimated_cost_usd: 0.95 }]);
+
+    const guard = await budget.checkBudget({ tier: 'tier3', modelConfigs: MODELS });
+    expect(guard).toMatchObject({ action: 'downgrade', tier: 'tier2', scope: 'daily' });
+  });
+
+  test('per-agent limit only counts that agent', async () => {
+    seedBudget({ agent_daily_limit_usd: 0.5, on_breach: 'refuse' });
+    seedSpend([
+      { estimated_cost_usd: 0.49, agent_id: 'agent-a' },
+      { estimated_cost_usd: 10, agent_id: 'agent-b' }
+    ]);
+
+    expect((await budget.checkBudget({ tier: 'tier2', modelConfigs: MODELS, agentId: 'agent-a' })).action).toBe('refuse');
+    expect((await budget.checkBudget({ tier: 'tier2', modelConfigs: MODELS, agentId: 'agent-c' })).action).toBe('allow');
+  });
+
+  test('per-mission limit sums spend across the mission\'s steps and blocks the step', async () => {
+    seedBudget({ mission_limit_usd: 1, on_breach: 'block' });
+    mockSupabase.__setData('mission_steps', [
+      { id: 1, mission_id: 50, status: 'in_progress' },
+      { id: 2, mission_id: 50, status: 'in_progress' },
+      { id: 3, mission_id: 60, status: 'in_progress' }
+    ]);
+    seedSpend([
+      { estimated_cost_usd: 0.6, mission_step_id: 1 },
+      { estimated_cost_usd: 0.39, mission_step_id: 2 },
+      { estimated_cost_usd: 5, mission_step_id: 3 }
+    ]);
+
+    const guard = await budget.checkBudget({ tier: 'tier2', modelConfigs: MODELS, missionStepId: 2 });
+
+    expect(guard.action).toBe('block');
+    expect(budget.isBudgetBlockedError(guard.reason)).toBe(true);
+    expect(guard.reason).toContain('Mission #50');
+    const step = mockSupabase.__getData('mission_steps').find(s => s.id === 2);
+    expect(step.status).toBe('budget_blocked');
+    expect(mockSupabase.__getData('events').some(e => e.event_type === 'budget_blocked')).toBe(true);
+  });
+
+  test('a step that is no longer ours in progress is not parked as budget_blocked', async () => {
+    seedBudget({ daily_limit_usd: 1, on_breach: 'block' });
+    seedSpend([{ estimated_cost_usd: 1 }]);
+    mockSupabase.__setData('mission_steps', [
+      { id: 4, mission_id: 1, status: 'cancelled' },
+      { id: 5, mission_id: 1, status: 'in_progress', lease_owner: 'worker-b' }
+    ]);
+
+    const cancelled = await budget.checkBudget({ tier: 'tier2', modelConfigs: MODELS, missionStepId: 4 });
+    const reclaimed = await budget.checkBudget({ tier: 'tier2', modelConfigs: MODELS, missionStepId: 5, leaseOwner: 'worker-a' });
+
+    expect(cancelled.action).toBe('block');
+    expect(reclaimed.action).toBe('block');
+    const steps = mockSupabase.__getData('mission_steps');
+    expect(steps.find(s => s.id === 4).status).toBe('cancelled');
+    expect(steps.find(s => s.id === 5).status).toBe('in_progress');
+    expect(mockSupabase.__getData('events').some(e => e.event_type === 'budget_blocked')).toBe(false);
+
+    await budget.checkBudget({ tier: 'tier2', modelConfigs: MODELS, missionStepId: 5, leaseOwner: 'worker-b' });
+    expect(mockSupabase.__getData('mission_steps').find(s => s.id === 5).status).toBe('budget_blocked');
+  });
+
+  test('downgrade mode still blocks when even tier1 does not fit', async () => {
+    seedBudget({ daily_limit_usd: 1, on_breach: 'downgrade' });
+    seedSpend([{ estimated_cost_usd: 1 }]);
+    mockSupabase.__setData('mission_steps', [{ id: 9, mission_id: 1, status: 'in_progress' }]);
+
+    const guard = await budget.checkBudget({ tier: 'tier2', modelConfigs: MODELS, missionStepId: 9 });
+    expect(guard.action).toBe('block');
+  });
+});
+
+describe('spend cache', () => {
+  test('today\'s totals are read once per window; this process\'s calls are added as they are logged', async () => {
+    seedBudget({ daily_limit_usd: 1, agent_daily_limit_usd: 1, on_breach: 'refuse' });
+    seedSpend([{ estimated_cost_usd: 0.9, agent_id: 'agent-a' }]);
+    const fromSpy = jest.spyOn(mockSupabase, 'from');
+    const usageReads = () => fromSpy.mock.calls.filter(([table]) => table === 'model_usage').length;
+
+    expect(await budget.getSpend({ rules: { agent_daily_limit_usd: 1 }, agentId: 'agent-a' })).toMatchObject({ daily: 0.9, agent: 0.9 });
+    budget.recordSpend({ agentId: 'agent-a', cost: 0.2 });
+    expect(await budget.getSpend({ rules: { agent_daily_limit_usd: 1 }, agentId: 'agent-a' })).toMatchObject({ daily: 1.1, agent: 1.1 });
+    expect(usageReads()).toBe(1);
+
+    expect((await budget.checkBudget({ tier: 'tier1', modelConfigs: MODELS, agentId: 'agent-a' })).action).toBe('refuse');
+    fromSpy.mockRestore();
+  });
+});
+
+describe('mission spend cache', () => {
+  test('a mission\'s total is read once per window; this process\'s calls on its steps are added', async () => {
+    mockSupabase.__setData('mission_steps', [
+      { id: 1, mission_id: 50, status: 'in_progress' },
+      { id: 2, mission_id: 50, status: 'in_progress' }
+    ]);
+    seedSpend([{ estimated_cost_usd: 0.5, mission_step_id: 1 }]);
+    const fromSpy = jest.spyOn(mockSupabase, 'from');
+    const usageReads = () => fromSpy.mock.calls.filter(([table]) => table === 'model_usage').length;
+    const rules = { mission_limit_usd: 1 };
+
+    expect((await budget.getSpend({ rules, missionStepId: 2 })).mission).toBe(0.5);
+    budget.recordSpend({ missionStepId: 2, cost: 0.25 });
+    budget.recordSpend({ missionStepId: 99, cost: 5 });
+    expect((await budget.getSpend({ rules, missionStepId: 1 })).mission).toBe(0.75);
+    // One read for today's totals, one for the mission
+    expect(usageReads()).toBe(2);
+    fromSpy.mockRestore();
+  });
+});
+
+describe('callLLM with the budget guard', () => {
+  test('refused call never reaches the provider and keeps the return shape', async () => {
+    seedBudget({ daily_limit_usd: 1, on_breach: 'refuse' });
+    seedSpend([{ estimated_cost_usd: 2 }]);
+
+    const result = await callLLM({ systemPrompt: 's', userMessage: 'u', forceTier: 'tier2' });
+
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(result.content).toBeNull();
+    expect(result.error).toMatch(/^BUDGET_REFUSED/);
+    expect(result.tier).toBe('tier2');
+  });
+
+  test('downgraded call runs on the cheaper tier and records why', async () => {
+    seedBudget({ daily_limit_usd: 1, on_breach: 'downgrade' });
+    seedSpend([{ estimated_cost_usd: 0.95 }]);
+
+    const result = await callLLM({ systemPrompt: 's', userMessage: 'u', forceTier: 'tier3' });
+
+    expect(result.tier).toBe('tier2');
+    const usage = mockSupabase.__getData('model_usage').find(r => r.model_tier === 'tier2');
+    expect(usage.metadata).toMatchObject({ budgetDowngradeFrom: 'tier3', budgetScope: 'daily' });
+  });
+});
+
+describe('releaseBlockedSteps', () => {
+  test('re-queues blocked steps once the limit is raised', async () => {
+    seedBudget({ daily_limit_usd: 1 });
+    seedSpend([{ estimated_cost_usd: 1 }]);
+    mockSupabase.__setData('mission_steps', [
+      { id: 5, mission_id: 1, status: 'budget_blocked', processed: true, assigned_agent_id: 'agent-x', model_tier: 'tier2' }
+    ]);
+
+    expect(await budget.releaseBlockedSteps(MODELS)).toBe(0);
+
+    const edit = await budget.applyBudgetEdit(['set', 'daily', '20']);
+    expect(edit.message).toMatch(/v2/);
+
+    expect(await budget.releaseBlockedSteps(MODELS)).toBe(1);
+    const step = mockSupabase.__getData('mission_steps')[0];
+    expect(step).toMatchObject({ status: 'pending', processed: false });
+  });
+});
+
+describe('!budget helpers', () => {
+  test('status explains when no policy exists', async () => {
+    expect(await budget.formatBudgetStatus()).toMatch(/unlimited/);
+  });
+
+  test('status shows limits and today\'s spend', async () => {
+    seedBudget({ daily_limit_usd: 15, mission_limit_usd: 5, on_breach: 'block' }, 3);
+    seedSpend([{ estimated_cost_usd: 1.25 }]);
+    const text = await budget.formatBudgetStatus();
+    expect(text).toContain('v3');
+    expect(text).toContain('$1.2500 / $15.00');
+    expect(text).toContain('On breach: block');
+  });
+
+  test('rejects bad edits', async () => {
+    seedBudget({});
+    expect((await budget.applyBudgetEdit(['set', 'weekly', '5'])).error).toMatch(/Usage/);
+    expect((await budget.applyBudgetEdit(['set', 'daily', '-1'])).error).toMatch(/Usage/);
+    expect((await budget.applyBudgetEdit(['mode', 'panic'])).error).toMatch(/Usage/);
+  });
+
+  test('mode and none are persisted', async () => {
+    seedBudget({ daily_limit_usd: 10 });
+    await budget.applyBudgetEdit(['mode', 'refuse']);
+    await budget.applyBudgetEdit(['set', 'daily', 'none']);
+    const rules = await budget.getBudgetRules();
+    expect(rules).toMatchObject({ on_breach: 'refuse', daily_limit_usd: null, version: 3 });
+  });
+});
@@ -0,0 +1,128 @@
+// Structured JSON Output Tests
+// callLLMJson({ schema }) parses + validates LLM output, retries once with the
+// validation errors fed back, and returns typed data or a structured error.
+
+const mockCallLLM = jest.fn();
+jest.mock('../../src/lib/models', () => ({ callLLM: mockCallLLM }));
+
+const { callLLMJson, validateSchema, parseJsonContent, ERROR_CODES } = require('../../src/lib/structured_output');
+
+const SCHEMA = {
+  type: 'object',
+  required: ['label', 'score'],
+  properties: {
+    label: { type: 'string', enum: ['good', 'bad'] },
+    score: { type: 'number', minimum: 0, maximum: 1 },
+    tags: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+function llm(content, error = null) {
+  return { content, model: 'mock', tier: 'tier1', usage: { prompt_tokens: 5, completion_tokens: 5 }, error };
+}
+
+beforeEach(() => {
+  mockCallLLM.mockReset();
+});
+
+describe('parseJsonContent', () => {
+  test('strips markdown fences', () => {
+    expect(parseJsonContent('```json\n{"a":1}\n```').value).toEqual({ a: 1 });
+  });
+
+  test('extracts the JSON payload from surrounding prose', () => {
+    expect(parseJsonContent('Sure! Here you go: {"a":[1,2]} Hope that helps.').value).toEqual({ a: [1, 2] });
+    expect(parseJsonContent('Roles: [{"title":"X"}]').value).toEqual([{ title: 'X' }]);
+  });
+
+  test('reports an error for non-JSON and empty content', () => {
+    expect(parseJsonContent('no json here').error).toBeTruthy();
+    expect(parseJsonContent('').error).toBe('Empty response');
+  });
+});
+
+describe('validateSchema', () => {
+  test('valid value has no errors', () => {
+    expect(validateSchema({ label: 'good', score: 0.5, tags: ['x'] }, SCHEMA)).toEqual([]);
+  });
+
+  test('reports missing, mistyped, out-of-range and off-enum fields with paths', () => {
+    const errors = validateSchema({ label: 'meh', score: 3, tags: ['x', 2] }, SCHEMA);
+    expect(errors).toEqual(expect.arrayContaining([
+      expect.stringContaining('$.label: must be one of'),
+      '$.score: must be <= 1',
+      '$.tags[1]: expected string, got integer'
+    ]));
+    expect(validateSchema({ score: 0 }, SCHEMA)).toContain('$.label: is required');
+  });
+
+  test('integer vs number and union types', () => {
+    expect(validateSchema(2, { type: 'integer' })).toEqual([]);
+    expect(validateSchema(2.5, { type: 'integer' })).toHaveLength(1);
+    expect(validateSchema(2, { type: 'number' })).toEqual([]);
+    expect(validateSchema(null, { type: ['string', 'null'] })).toEqual([]);
+  });
+});
+
+describe('callLLMJson', () => {
+  test('returns parsed data on the first valid response', async () => {
+    mockCallLLM.mockResolvedValueOnce(llm('{"label":"good","score":0.9}'));
+
+    const result = await callLLMJson({ systemPrompt: 's', userMessage: 'u', forceTier: 'tier1', schema: SCHEMA });
+
+    expect(result).toMatchObject({ data: { label: 'good', score: 0.9 }, repaired: false, error: null, tier: 'tier1' });
+    expect(mockCallLLM).toHaveBeenCalledTimes(1);
+    expect(mockCallLLM.mock.calls[0][0]).not.toHaveProperty('schema');
+  });
+
+  test('repairs once with the validation errors in the prompt', async () => {
+    mockCallLLM
+      .mockResolvedValueOnce(llm('{"label":"great","score":0.9}'))
+      .mockResolvedValueOnce(llm('{"label":"good","score":0.9}'));
+
+    const result = await callLLMJson({ systemPrompt: 's', userMessage: 'Rate this', schema: SCHEMA });
+
+    expect(result).toMatchObject({ data: { label: 'good' }, repaired: true, error: null });
+    const repairMessage = mockCallLLM.mock.calls[1][0].userMessage;
+    expect(repairMessage).toContain('Rate this');
+    expect(repairMessage).toContain('$.label: must be one of "good", "bad"');
+    expect(repairMessage).toContain('"enum"');
+  });
+
+  test('returns a structured error when the repair also fails', async () => {
+    mockCallLLM.mockResolvedValue(llm('not json'));
+
+    const result = await callLLMJson({ systemPrompt: 's', userMessage: 'u', schema: SCHEMA });
+
+    expect(mockCallLLM).toHaveBeenCalledTimes(2);
+    expect(result.data).toBeNull();
+    expect(result.error).toMatchObject({ code: ERROR_CODES.INVALID_JSON, raw: 'not json' });
+  });
+
+  test('schema mismatch after repair carries the error details', async () => {
+    mockCallLLM.mockResolvedValue(llm('{"label":"good"}'));
+
+    const result = await callLLMJson({ systemPrompt: 's', userMessage: 'u', schema: SCHEMA });
+
+    expect(result.error.code).toBe(ERROR_CODES.SCHEMA_MISMATCH);
+    expect(result.error.details).toContain('$.score: is required');
+  });
+
+  test('LLM failures are not retried', async () => {
+    mockCallLLM.mockResolvedValueOnce(llm(null, 'BUDGET_REFUSED: daily limit'));
+
+    const result = await callLLMJson({ systemPrompt: 's', userMessage: 'u', schema: SCHEMA });
+
+    expect(mockCallLLM).toHaveBeenCalledTimes(1);
+    expect(result.error).toMatchObject({ code: ERROR_CODES.LLM_ERROR, message: 'BUDGET_REFUSED: daily limit' });
+  });
+
+  test('repair: false skips the retry', async () => {
+    mockCallLLM.mockResolvedValueOnce(llm('{}'));
+
+    const result = await callLLMJson({ systemPrompt: 's', userMessage: 'u', schema: SCHEMA, repair: false });
+
+    expect(mockCallLLM).toHaveBeenCalledTimes(1);
+    expect(result.error.code).toBe(ERROR_CODES.SCHEMA_MISMATCH);
+  });
+});
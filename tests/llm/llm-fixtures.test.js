@@ -0,0 +1,119 @@
+// LLM Fixture Tests
+// Record mode writes each makeAPICall() round trip to a fixture keyed by request
+// hash; replay mode serves them back, and a changed prompt misses with a diff
+// against the closest recorded request.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createMockSupabase = require('../mocks/supabase');
+
+const mockSupabase = createMockSupabase();
+global.__mockSupabase = mockSupabase;
+jest.mock('../../src/lib/supabase', () => global.__mockSupabase);
+
+const models = require('../../src/lib/models');
+const llmFixtures = require('../../src/lib/llm_fixtures');
+
+const SYSTEM = 'You are a research analyst.';
+const TASK = 'Research the CRM market.\nCover pricing.\nCite sources.';
+
+let dir;
+
+function okFetch(content = 'recorded answer') {
+  return jest.fn().mockResolvedValue({
+    ok: true,
+    status: 200,
+    json: async () => ({ choices: [{ message: { content } }], usage: { prompt_tokens: 100, completion_tokens: 50 } })
+  });
+}
+
+const call = (userMessage = TASK, overrides = {}) => models.callLLM({
+  systemPrompt: SYSTEM,
+  userMessage,
+  forceTier: 'tier2',
+  missionStepId: 7,
+  ...overrides
+});
+
+beforeEach(() => {
+  mockSupabase.__reset();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+  global.fetch = okFetch();
+});
+
+afterEach(() => {
+  llmFixtures.configure(null);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+afterAll(() => {
+  delete global.fetch;
+});
+
+describe('record mode', () => {
+  test('writes the request, response and pipeline_phases context', async () => {
+    mockSupabase.__setData('pipeline_phases', [
+      { id: 1, mission_step_id: 7, phase_name: 'decompose', phase_order: 1, model_tier: 'tier1', metadata: {} },
+      { id: 2, mission_step_id: 7, phase_name: 'synthesize', phase_order: 3, model_tier: 'tier2', metadata: { status: 'streaming' } }
+    ]);
+    llmFixtures.configure({ mode: 'record', dir });
+
+    const result = await call();
+
+    expect(result.content).toBe('recorded answer');
+    const hash = llmFixtures.requestHash({ tier: 'tier2', systemPrompt: SYSTEM, userMessage: TASK });
+    const fixture = JSON.parse(fs.readFileSync(path.join(dir, `${hash}.json`), 'utf8'));
+    expect(fixture.request).toMatchObject({ tier: 'tier2', systemPrompt: SYSTEM, userMessage: TASK });
+    expect(fixture.response).toEqual({ content: 'recorded answer', usage: { prompt_tokens: 100, completion_tokens: 50 } });
+    expect(fixture.context.missionStepId).toBe(7);
+    expect(fixture.context.phases.map(p => `${p.phase_name}:${p.status}`)).toEqual(['decompose:completed', 'synthesize:streaming']);
+  });
+});
+
+describe('replay mode', () => {
+  beforeEach(async () => {
+    llmFixtures.configure({ mode: 'record', dir });
+    await call();
+    llmFixtures.configure({ mode: 'replay', dir });
+    global.fetch = jest.fn();
+  });
+
+  test('serves the recorded response without calling the provider, and still logs usage', async () => {
+    const result = await call();
+
+    expect(result).toMatchObject({ content: 'recorded answer', error: null });
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(mockSupabase.__getData('model_usage').filter(u => u.success)).toHaveLength(2);
+    expect(llmFixtures.getMisses()).toEqual([]);
+  });
+
+  test('a changed prompt misses with a diff against the closest fixture, without retries', async () => {
+    const result = await call('Research the CRM market.\nCover pricing and churn.\nCite sources.');
+
+    expect(result.content).toBeNull();
+    expect(result.error).toMatch(/^LLM fixture miss \(tier2 [0-9a-f]{16}\)/);
+    expect(result.error).toContain('- Cover pricing.\n+ Cover pricing and churn.');
+    expect(global.fetch).not.toHaveBeenCalled();
+
+    const [miss] = llmFixtures.getMisses();
+    expect(miss.closestHash).toBe(llmFixtures.requestHash({ tier: 'tier2', systemPrompt: SYSTEM, userMessage: TASK }));
+    // One failed usage row — the tier2 → tier1 fallback was skipped
+    expect(mockSupabase.__getData('model_usage').filter(u => !u.success)).toHaveLength(1);
+  });
+
+  test('with no fixtures at all the miss says so', async () => {
+    llmFixtures.configure({ mode: 'replay', dir: path.join(dir, 'empty') });
+
+    expect((await call()).error).toMatch(/No fixtures recorded in .*empty/);
+  });
+});
+
+describe('diffLines()', () => {
+  test('marks removed and added lines and elides distant unchanged ones', () => {
+    const recorded = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'].join('\n');
+    const current = ['a', 'b', 'c', 'd', 'e', 'f', 'G', 'h'].join('\n');
+
+    expect(llmFixtures.diffLines(recorded, current)).toEqual(['  ...', '  e', '  f', '- g', '+ G', '  h']);
+  });
+});
@@ -0,0 +1,155 @@
+// Provider Registry Tests
+// Tiers can be backed by OpenRouter, Anthropic Messages, OpenAI, or a local
+// OpenAI-compatible server. callLLM must keep the same return shape regardless.
+
+const createMockSupabase = require('../mocks/supabase');
+
+const mockSupabase = createMockSupabase();
+global.__mockSupabase = mockSupabase;
+jest.mock('../../src/lib/supabase', () => global.__mockSupabase);
+
+const models = require('../../src/lib/models');
+const { callLLM, MODELS, PROVIDERS, registerProvider, applyTierOverride, estimateCost } = models;
+
+function jsonResponse(body, status = 200) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => body,
+    text: async () => JSON.stringify(body)
+  };
+}
+
+const originalTier2 = { ...MODELS.tier2 };
+
+beforeEach(() => {
+  mockSupabase.__reset();
+  global.fetch = jest.fn();
+  Object.assign(MODELS.tier2, originalTier2);
+});
+
+afterAll(() => {
+  delete global.fetch;
+});
+
+describe('PROVIDERS registry', () => {
+  test('ships openrouter, openai, anthropic and local adapters', () => {
+    for (const name of ['openrouter', 'openai', 'anthropic', 'local']) {
+      expect(typeof PROVIDERS[name].buildRequest).toBe('function');
+      expect(typeof PROVIDERS[name].parseResponse).toBe('function');
+      expect(PROVIDERS[name].costs).toBeDefined();
+    }
+  });
+
+  test('all tiers default to openrouter', () => {
+    expect(MODELS.tier1.provider).toBe('openrouter');
+    expect(MODELS.tier2.provider).toBe('openrouter');
+    expect(MODELS.tier3.provider).toBe('openrouter');
+  });
+
+  test('registerProvider rejects adapters missing buildRequest/parseResponse', () => {
+    expect(() => registerProvider('broken', { endpoint: 'http://x' })).toThrow(/buildRequest/);
+  });
+});
+
+describe('adapters', () => {
+  test('anthropic puts system prompt top-level and normalizes usage', () => {
+    const req = PROVIDERS.anthropic.buildRequest(
+      { model: 'claude-sonnet-4-5', endpoint: PROVIDERS.anthropic.endpoint, maxTokens: 100 },
+      'SYS', 'USER', 'sk-ant'
+    );
+    expect(req.headers['x-api-key']).toBe('sk-ant');
+    expect(req.headers['anthropic-version']).toBeDefined();
+    expect(req.body.system).toBe('SYS');
+    expect(req.body.messages).toEqual([{ role: 'user', content: 'USER' }]);
+
+    const parsed = PROVIDERS.anthropic.parseResponse({
+      content: [{ type: 'text', text: 'Hello ' }, { type: 'text', text: 'world' }],
+      usage: { input_tokens: 12, output_tokens: 8 }
+    });
+    expect(parsed.content).toBe('Hello world');
+    expect(parsed.usage).toEqual({ prompt_tokens: 12, completion_tokens: 8, total_tokens: 20 });
+  });
+
+  test('openrouter adds attribution headers, openai does not', () => {
+    const cfg = { model: 'm', endpoint: 'http://e', maxTokens: 10 };
+    const or = PROVIDERS.openrouter.buildRequest(cfg, 's', 'u', 'k');
+    const oa = PROVIDERS.openai.buildRequest(cfg, 's', 'u', 'k');
+    expect(or.headers['X-Title']).toBe('Frasier');
+    expect(oa.headers['X-Title']).toBeUndefined();
+    expect(oa.headers['Authorization']).toBe('Bearer k');
+  });
+
+  test('local omits Authorization when no key is configured', () => {
+    const req = PROVIDERS.local.buildRequest({ model: 'llama3', endpoint: 'http://localhost', maxTokens: 10 }, 's', 'u', undefined);
+    expect(req.headers['Authorization']).toBeUndefined();
+  });
+});
+
+describe('applyTierOverride', () => {
+  test('switches provider, endpoint, key env and pricing from env', () => {
+    const cfg = { ...originalTier2 };
+    applyTierOverride(cfg, { LLM_TIER2_PROVIDER: 'anthropic', LLM_TIER2_MODEL: 'claude-sonnet-4-5' });
+
+    expect(cfg.provider).toBe('anthropic');
+    expect(cfg.endpoint).toBe(PROVIDERS.anthropic.endpoint);
+    expect(cfg.apiKeyEnv).toBe('ANTHROPIC_API_KEY');
+    expect(cfg.model).toBe('claude-sonnet-4-5');
+    expect(cfg.costPer1kInput).toBe(PROVIDERS.anthropic.costs['claude-sonnet-4-5'].input);
+  });
+
+  test('local provider is zero-cost', () => {
+    const cfg = { ...originalTier2 };
+    applyTierOverride(cfg, { LLM_TIER2_PROVIDER: 'local', LLM_TIER2_MODEL: 'llama3.1:8b' });
+    expect(estimateCost(cfg, { prompt_tokens: 5000, completion_tokens: 5000 })).toBe(0);
+  });
+
+  test('unknown provider leaves the tier untouched', () => {
+    const cfg = { ...originalTier2 };
+    applyTierOverride(cfg, { LLM_TIER2_PROVIDER: 'nope' });
+    expect(cfg.provider).toBe('openrouter');
+    expect(cfg.endpoint).toBe(originalTier2.endpoint);
+  });
+});
+
+describe('callLLM through a non-OpenRouter provider', () => {
+  test('anthropic-backed tier returns the usual { content, model, tier, usage, error } shape', async () => {
+    process.env.ANTHROPIC_API_KEY = 'sk-ant-test';
+    applyTierOverride(MODELS.tier2, { LLM_TIER2_PROVIDER: 'anthropic', LLM_TIER2_MODEL: 'claude-sonnet-4-5' });
+    global.fetch.mockResolvedValue(jsonResponse({
+      content: [{ type: 'text', text: 'Native answer' }],
+      usage: { input_tokens: 1000, output_tokens: 1000 }
+    }));
+
+    const result = await callLLM({ systemPrompt: 's', userMessage: 'u', forceTier: 'tier2' });
+
+    expect(global.fetch.mock.calls[0][0]).toBe('https://api.anthropic.com/v1/messages');
+    expect(result).toEqual({
+      content: 'Native answer',
+      model: 'claude-sonnet-4-5',
+      tier: 'tier2',
+      usage: { prompt_tokens: 1000, completion_tokens: 1000, total_tokens: 2000 },
+      error: null
+    });
+
+    const usageRows = mockSupabase.__getData('model_usage');
+    expect(usageRows[0].input_tokens).toBe(1000);
+    expect(usageRows[0].estimated_cost_usd).toBeCloseTo(0.018);
+    delete process.env.ANTHROPIC_API_KEY;
+  });
+
+  test('missing provider key falls back to tier1 (OpenRouter)', async () => {
+    delete process.env.ANTHROPIC_API_KEY;
+    applyTierOverride(MODELS.tier2, { LLM_TIER2_PROVIDER: 'anthropic', LLM_TIER2_MODEL: 'claude-sonnet-4-5' });
+    global.fetch.mockResolvedValue(jsonResponse({
+      choices: [{ message: { content: 'Fallback answer' } }],
+      usage: { prompt_tokens: 10, completion_tokens: 5 }
+    }));
+
+    const result = await callLLM({ systemPrompt: 's', userMessage: 'u', forceTier: 'tier2' });
+
+    expect(result.tier).toBe('tier1');
+    expect(result.content).toBe('Fallback answer');
+    expect(global.fetch.mock.calls[0][0]).toBe(MODELS.tier1.endpoint);
+  });
+});
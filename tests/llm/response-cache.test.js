@@ -0,0 +1,143 @@
+// Response Cache Tests
+// callLLM({ cache: true }) serves identical deterministic calls from a
+// Supabase-backed, content-addressed cache and logs hits as zero-cost usage.
+
+const createMockSupabase = require('../mocks/supabase');
+
+const mockSupabase = createMockSupabase();
+global.__mockSupabase = mockSupabase;
+jest.mock('../../src/lib/supabase', () => global.__mockSupabase);
+
+const models = require('../../src/lib/models');
+const { callLLM, MODELS, buildCacheKey, getModelCosts, pruneResponseCache } = models;
+
+function okFetch(content = 'fresh answer') {
+  return jest.fn().mockResolvedValue({
+    ok: true,
+    status: 200,
+    json: async () => ({ choices: [{ message: { content } }], usage: { prompt_tokens: 1000, completion_tokens: 500 } })
+  });
+}
+
+const call = (overrides = {}) => callLLM({
+  systemPrompt: 'You are a classifier.',
+  userMessage: 'Classify: hello',
+  forceTier: 'tier1',
+  cache: true,
+  ...overrides
+});
+
+beforeEach(() => {
+  mockSupabase.__reset();
+  global.fetch = okFetch();
+});
+
+afterAll(() => {
+  delete global.fetch;
+});
+
+describe('buildCacheKey', () => {
+  test('changes with model, system prompt, or user message', () => {
+    const base = buildCacheKey(MODELS.tier1, 'sys', 'user');
+    expect(buildCacheKey(MODELS.tier1, 'sys', 'user')).toBe(base);
+    expect(buildCacheKey(MODELS.tier2, 'sys', 'user')).not.toBe(base);
+    expect(buildCacheKey(MODELS.tier1, 'sys2', 'user')).not.toBe(base);
+    expect(buildCacheKey(MODELS.tier1, 'sys', 'user2')).not.toBe(base);
+  });
+});
+
+describe('callLLM with cache', () => {
+  test('miss calls the API and stores the response', async () => {
+    const result = await call();
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(result.content).toBe('fresh answer');
+    const rows = mockSupabase.__getData('llm_response_cache');
+    expect(rows).toHaveLength(1);
+    expect(rows[0].cache_key).toBe(buildCacheKey(MODELS.tier1, 'You are a classifier.', 'Classify: hello'));
+    expect(new Date(rows[0].expires_at).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('hit skips the API and logs a zero-cost usage row with the savings', async () => {
+    await call();
+    global.fetch.mockClear();
+
+    const result = await call();
+
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ content: 'fresh answer', tier: 'tier1', error: null });
+    const usage = mockSupabase.__getData('model_usage');
+    const hit = usage[usage.length - 1];
+    expect(hit.estimated_cost_usd).toBe(0);
+    expect(hit.metadata.cacheHit).toBe(true);
+    expect(hit.metadata.savedUsd).toBeCloseTo(1000 / 1000 * 0.0004 + 500 / 1000 * 0.0016);
+    expect(hit.metadata.savedTokens).toBe(1500);
+  });
+
+  test('expired entries are misses', async () => {
+    mockSupabase.__setData('llm_response_cache', [{
+      cache_key: buildCacheKey(MODELS.tier1, 'You are a classifier.', 'Classify: hello'),
+      content: 'stale',
+      usage: null,
+      expires_at: new Date(Date.now() - 1000).toISOString()
+    }]);
+
+    const result = await call();
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(result.content).toBe('fresh answer');
+  });
+
+  test('cache is opt-in', async () => {
+    await call({ cache: null });
+    await call({ cache: null });
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(mockSupabase.__getData('llm_response_cache')).toHaveLength(0);
+  });
+
+  test('custom TTL is honored', async () => {
+    await call({ cache: { ttlMs: 60 * 1000 } });
+    const row = mockSupabase.__getData('llm_response_cache')[0];
+    expect(new Date(row.expires_at).getTime() - Date.now()).toBeLessThanOrEqual(60 * 1000);
+  });
+
+  test('fallback answers are not cached under the original tier key', async () => {
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce({ ok: false, status: 500, text: async () => 'boom' })
+      .mockResolvedValueOnce({
+        ok: true, status: 200,
+        json: async () => ({ choices: [{ message: { content: 'tier1 answer' } }], usage: null })
+      });
+
+    const result = await call({ forceTier: 'tier2' });
+
+    expect(result.tier).toBe('tier1');
+    expect(mockSupabase.__getData('llm_response_cache')).toHaveLength(0);
+  });
+});
+
+describe('cost reporting and pruning', () => {
+  test('getModelCosts summarizes cache savings', async () => {
+    await call();
+    await call();
+    await call();
+
+    const costs = await getModelCosts(new Date(Date.now() - 60000).toISOString());
+
+    expect(costs.cache.hits).toBe(2);
+    expect(costs.cache.savedTokens).toBe(3000);
+    expect(costs.cache.savedCost).toBeGreaterThan(0);
+    expect(costs.total.calls).toBe(3);
+  });
+
+  test('pruneResponseCache removes only expired rows', async () => {
+    mockSupabase.__setData('llm_response_cache', [
+      { cache_key: 'old', content: 'x', expires_at: new Date(Date.now() - 1000).toISOString() },
+      { cache_key: 'new', content: 'y', expires_at: new Date(Date.now() + 100000).toISOString() }
+    ]);
+
+    expect(await pruneResponseCache()).toBe(true);
+    expect(mockSupabase.__getData('llm_response_cache').map(r => r.cache_key)).toEqual(['new']);
+  });
+});
@@ -0,0 +1,135 @@
+// Streaming (SSE) Tests
+// callLLM({ onProgress }) streams tokens from OpenAI-compatible and Anthropic
+// providers, reporting partial content while keeping the usual return shape.
+
+const { ReadableStream } = require('stream/web');
+const { TextEncoder } = require('util');
+const createMockSupabase = require('../mocks/supabase');
+
+const mockSupabase = createMockSupabase();
+global.__mockSupabase = mockSupabase;
+jest.mock('../../src/lib/supabase', () => global.__mockSupabase);
+
+const { callLLM, MODELS, applyTierOverride } = require('../../src/lib/models');
+
+const originalTier2 = { ...MODELS.tier2 };
+
+/**
+ * Build a fetch Response whose body emits the given SSE text chunks.
+ * Chunks deliberately split lines to exercise buffering.
+ */
+function sseResponse(chunks) {
+  const encoder = new TextEncoder();
+  return {
+    ok: true,
+    status: 200,
+    body: new ReadableStream({
+      start(controller) {
+        for (const c of chunks) controller.enqueue(encoder.encode(c));
+        controller.close();
+      }
+    }),
+    text: async () => chunks.join('')
+  };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+beforeEach(() => {
+  mockSupabase.__reset();
+  global.fetch = jest.fn();
+  Object.assign(MODELS.tier2, originalTier2);
+});
+
+afterAll(() => {
+  delete global.fetch;
+  delete process.env.ANTHROPIC_API_KEY;
+});
+
+describe('OpenAI-compatible streaming', () => {
+  test('accumulates deltas, reports progress, and reads usage from the final chunk', async () => {
+    global.fetch.mockResolvedValue(sseResponse([
+      'data: {"choices":[{"delta":{"content":"Hel"}}]}\n\n',
+      'data: {"choices":[{"delta":{"content":"lo "}}]}\n\ndata: {"choi',
+      'ces":[{"delta":{"content":"world"}}]}\n\n',
+      'data: {"choices":[],"usage":{"prompt_tokens":12,"completion_tokens":3,"total_tokens":15}}\n\n',
+      'data: [DONE]\n\n'
+    ]));
+    const progress = [];
+
+    const result = await callLLM({
+      systemPrompt: 's',
+      userMessage: 'u',
+      forceTier: 'tier1',
+      onProgress: p => progress.push(p.content)
+    });
+    await flush();
+
+    const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+    expect(body.stream).toBe(true);
+    expect(result).toMatchObject({ content: 'Hello world', tier: 'tier1', error: null });
+    expect(result.usage).toEqual({ prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 });
+    expect(progress).toEqual(['Hel', 'Hello ', 'Hello world']);
+    expect(mockSupabase.__getData('model_usage')[0].input_tokens).toBe(12);
+  });
+
+  test('without onProgress the request is not streamed', async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: async () => ({ choices: [{ message: { content: 'plain' } }], usage: null })
+    });
+
+    const result = await callLLM({ systemPrompt: 's', userMessage: 'u', forceTier: 'tier1' });
+
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body).stream).toBeUndefined();
+    expect(result.content).toBe('plain');
+  });
+
+  test('a throwing progress handler does not break the call', async () => {
+    global.fetch.mockResolvedValue(sseResponse([
+      'data: {"choices":[{"delta":{"content":"ok"}}]}\n\n',
+      'data: [DONE]\n\n'
+    ]));
+
+    const result = await callLLM({
+      systemPrompt: 's', userMessage: 'u', forceTier: 'tier1',
+      onProgress: () => { throw new Error('db down'); }
+    });
+    await flush();
+
+    expect(result.content).toBe('ok');
+  });
+
+  test('an empty stream is an error (triggers the normal fallback chain)', async () => {
+    global.fetch
+      .mockResolvedValueOnce(sseResponse(['data: [DONE]\n\n']))
+      .mockResolvedValueOnce(sseResponse(['data: {"choices":[{"delta":{"content":"fallback"}}]}\n\n', 'data: [DONE]\n\n']));
+
+    const result = await callLLM({ systemPrompt: 's', userMessage: 'u', forceTier: 'tier2', onProgress: () => {} });
+
+    expect(result.tier).toBe('tier1');
+    expect(result.content).toBe('fallback');
+  });
+});
+
+describe('Anthropic streaming', () => {
+  test('parses typed events and merges split usage', async () => {
+    process.env.ANTHROPIC_API_KEY = 'sk-ant-test';
+    applyTierOverride(MODELS.tier2, { LLM_TIER2_PROVIDER: 'anthropic', LLM_TIER2_MODEL: 'claude-sonnet-4-5' });
+    global.fetch.mockResolvedValue(sseResponse([
+      'event: message_start\ndata: {"type":"message_start","message":{"usage":{"input_tokens":40}}}\n\n',
+      'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"Deep "}}\n\n',
+      'event: ping\ndata: {"type":"ping"}\n\n',
+      'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"work"}}\n\n',
+      'event: message_delta\ndata: {"type":"message_delta","usage":{"output_tokens":7}}\n\n',
+      'event: message_stop\ndata: {"type":"message_stop"}\n\n'
+    ]));
+
+    const result = await callLLM({ systemPrompt: 's', userMessage: 'u', forceTier: 'tier2', onProgress: () => {} });
+
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body).stream).toBe(true);
+    expect(result.content).toBe('Deep work');
+    expect(result.usage).toEqual({ prompt_tokens: 40, completion_tokens: 7, total_tokens: 47 });
+  });
+});
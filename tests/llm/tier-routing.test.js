@@ -0,0 +1,159 @@
+// Tier Routing Tests
+// Routing rules live in the tier_routing policy row instead of hardcoded arrays.
+// Every decision carries the rule that matched so Opus calls can be audited.
+
+const createMockSupabase = require('../mocks/supabase');
+
+const mockSupabase = createMockSupabase();
+global.__mockSupabase = mockSupabase;
+jest.mock('../../src/lib/supabase', () => global.__mockSupabase);
+
+const routing = require('../../src/lib/routing');
+const policy = require('../../src/lib/policy');
+const models = require('../../src/lib/models');
+
+function seedRoutingPolicy(rules, version = 1) {
+  mockSupabase.__setData('policy', [{
+    id: 1,
+    policy_type: 'tier_routing',
+    name: 'Tier Routing Rules',
+    rules,
+    version,
+    active: true
+  }]);
+}
+
+beforeEach(() => {
+  mockSupabase.__reset();
+  policy.clearCache();
+});
+
+describe('routeTier (defaults)', () => {
+  test('matches the legacy selectTier behavior', () => {
+    expect(routing.routeTier({ taskDescription: 'Write the product requirements' }).tier).toBe('tier3');
+    expect(routing.routeTier({ taskDescription: 'Competitive analysis of X' }).tier).toBe('tier2');
+    expect(routing.routeTier({ taskDescription: 'Say hi' }).tier).toBe('tier1');
+    expect(routing.routeTier({ isComplex: true, taskDescription: 'investment memo' }).tier).toBe('tier2');
+    expect(models.selectTier(false, 'design document')).toBe('tier3');
+  });
+
+  test('reports the keyword that matched', () => {
+    const route = routing.routeTier({ taskDescription: 'Draft the investment memo' });
+    expect(route.rule).toBe('tier3_keyword:investment memo');
+  });
+
+  test('explicit tier2/tier3 assignments are kept as the base tier', () => {
+    const route = routing.routeTier({ assignedTier: 'tier3', taskDescription: 'hello' });
+    expect(route).toMatchObject({ tier: 'tier3', rule: 'assigned:tier3' });
+  });
+
+  test('autoCeiling caps keyword upgrades and keeps the original rule in the trace', () => {
+    const route = routing.routeTier({ assignedTier: 'tier1', autoCeiling: 'tier2', taskDescription: 'final deliverable' });
+    expect(route.tier).toBe('tier2');
+    expect(route.trace).toEqual(['tier3_keyword:final deliverable', 'auto_ceiling:tier2']);
+  });
+});
+
+describe('routeTier (policy rules)', () => {
+  const rules = {
+    tier2_keywords: ['spreadsheet'],
+    tier3_keywords: ['board deck'],
+    role_overrides: { 'product manager': 'tier3' },
+    project_min_tiers: { '7': 'tier2' },
+    agent_ceilings: { 'agent-cheap': 'tier1' }
+  };
+
+  test('custom keyword sets replace the defaults', () => {
+    expect(routing.routeTier({ taskDescription: 'Build a spreadsheet' }, rules).tier).toBe('tier2');
+    expect(routing.routeTier({ taskDescription: 'market analysis' }, rules).tier).toBe('tier1');
+  });
+
+  test('role override sets the tier', () => {
+    const route = routing.routeTier({ taskDescription: 'hello', agentRole: 'Senior Product Manager' }, rules);
+    expect(route).toMatchObject({ tier: 'tier3', rule: 'role_override:product manager' });
+  });
+
+  test('project minimum raises but never lowers', () => {
+    expect(routing.routeTier({ taskDescription: 'hello', projectId: 7 }, rules))
+      .toMatchObject({ tier: 'tier2', rule: 'project_min:7' });
+    expect(routing.routeTier({ taskDescription: 'board deck', projectId: 7 }, rules).tier).toBe('tier3');
+  });
+
+  test('agent ceiling is applied last and wins over everything', () => {
+    const route = routing.routeTier({
+      taskDescription: 'board deck', agentRole: 'Product Manager', projectId: 7, agentId: 'agent-cheap'
+    }, rules);
+    expect(route.tier).toBe('tier1');
+    expect(route.rule).toBe('agent_ceiling:agent-cheap');
+  });
+});
+
+describe('resolveTier', () => {
+  test('uses the live policy row and returns its version', async () => {
+    seedRoutingPolicy({ tier3_keywords: ['launch plan'] }, 4);
+    const route = await routing.resolveTier({ taskDescription: 'Write the launch plan' });
+    expect(route).toMatchObject({ tier: 'tier3', rule: 'tier3_keyword:launch plan', policyVersion: 4 });
+  });
+
+  test('falls back to defaults when the policy row is missing', async () => {
+    const route = await routing.resolveTier({ taskDescription: 'project plan' });
+    expect(route).toMatchObject({ tier: 'tier3', policyVersion: null });
+  });
+});
+
+describe('applyRoutingEdit + saveRoutingRules', () => {
+  test('add/remove keywords', () => {
+    const added = routing.applyRoutingEdit(null, ['add', 'tier3', 'Board', 'Deck']);
+    expect(added.rules.tier3_keywords).toContain('board deck');
+
+    const removed = routing.applyRoutingEdit(added.rules, ['remove', 'tier3', 'board', 'deck']);
+    expect(removed.rules.tier3_keywords).not.toContain('board deck');
+  });
+
+  test('role/project/agent set and clear', () => {
+    let edit = routing.applyRoutingEdit(null, ['role', 'product', 'manager', 'tier3']);
+    expect(edit.rules.role_overrides).toEqual({ 'product manager': 'tier3' });
+    edit = routing.applyRoutingEdit(edit.rules, ['role', 'product', 'manager', 'clear']);
+    expect(edit.rules.role_overrides).toEqual({});
+
+    edit = routing.applyRoutingEdit(null, ['agent', 'agent-x', 'tier1']);
+    expect(edit.rules.agent_ceilings).toEqual({ 'agent-x': 'tier1' });
+  });
+
+  test('invalid edits return an error instead of rules', () => {
+    expect(routing.applyRoutingEdit(null, ['add', 'tier9', 'x']).error).toMatch(/Usage/);
+    expect(routing.applyRoutingEdit(null, ['project', '5', 'opus']).error).toMatch(/Usage/);
+    expect(routing.applyRoutingEdit(null, ['bogus']).error).toMatch(/Usage/);
+  });
+
+  test('saving bumps the policy version and the next resolve sees it', async () => {
+    seedRoutingPolicy({}, 1);
+    const edit = routing.applyRoutingEdit(null, ['project', '9', 'tier3']);
+    const saved = await routing.saveRoutingRules(edit.rules);
+    expect(saved.version).toBe(2);
+
+    const route = await routing.resolveTier({ taskDescription: 'hello', projectId: 9 });
+    expect(route).toMatchObject({ tier: 'tier3', rule: 'project_min:9' });
+  });
+});
+
+describe('callLLM auto-routing audit trail', () => {
+  afterAll(() => {
+    delete global.fetch;
+  });
+
+  test('model_usage metadata records the matched rule', async () => {
+    seedRoutingPolicy({ tier2_keywords: ['spreadsheet'] }, 3);
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: async () => ({ choices: [{ message: { content: 'ok' } }], usage: { prompt_tokens: 1, completion_tokens: 1 } })
+    });
+
+    const result = await models.callLLM({ systemPrompt: 's', userMessage: 'u', taskDescription: 'Make a spreadsheet' });
+
+    expect(result.tier).toBe('tier2');
+    const row = mockSupabase.__getData('model_usage')[0];
+    expect(row.metadata).toEqual({ routingRule: 'tier2_keyword:spreadsheet', routingPolicyVersion: 3 });
+  });
+});
@@ -0,0 +1,185 @@
+// Memory Consolidation Tests
+// Heartbeat's nightly pass clusters each agent's older memories by topic, writes a
+// memory_type 'summary' digest per cluster linked to its sources, credits applied
+// lessons, and buildAgentPrompt() injects the digests as long-term context.
+
+const createMockSupabase = require('../mocks/supabase');
+
+const mockSupabase = createMockSupabase();
+global.__mockSupabase = mockSupabase;
+jest.mock('../../src/lib/supabase', () => global.__mockSupabase);
+
+const mockCallLLM = jest.fn();
+jest.mock('../../src/lib/models', () => ({ callLLM: mockCallLLM }));
+
+const consolidation = require('../../src/lib/memory_consolidation');
+const memory = require('../../src/lib/memory');
+
+const NOW = new Date('2026-06-30T06:00:00Z');
+const daysBefore = days => new Date(NOW.getTime() - days * 86400000).toISOString();
+
+function seedMemories(count, overrides = {}, startId = 1) {
+  const rows = Array.from({ length: count }, (_, i) => ({
+    id: startId + i,
+    agent_id: 'agent-x',
+    memory_type: 'task',
+    content: `Pricing note ${i}`,
+    summary: `Pricing note ${i}`,
+    topic_tags: ['pricing'],
+    importance: 5,
+    created_at: daysBefore(30 - i),
+    ...overrides
+  }));
+  mockSupabase.__setData('agent_memories', [...mockSupabase.__getData('agent_memories'), ...rows]);
+  return rows;
+}
+
+function digest(overrides = {}) {
+  return {
+    content: JSON.stringify({
+      summary: 'Pricing research in June',
+      digest: 'I compared competitor pricing across ten SaaS tools and settled on $20/mo.',
+      appliedLessons: [],
+      ...overrides
+    }),
+    model: 'mock', tier: 'tier1', usage: null, error: null
+  };
+}
+
+const summaries = () => mockSupabase.__getData('agent_memories').filter(m => m.memory_type === 'summary');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockSupabase.__reset();
+  mockCallLLM.mockResolvedValue(digest());
+});
+
+describe('clusterByTopic()', () => {
+  test('groups each memory under its most common tag; untagged by memory type', () => {
+    const clusters = consolidation.clusterByTopic([
+      { id: 1, topic_tags: ['pricing', 'saas'] },
+      { id: 2, topic_tags: ['pricing'] },
+      { id: 3, topic_tags: ['saas', 'pricing'] },
+      { id: 4, topic_tags: ['hiring'] },
+      { id: 5, topic_tags: [], memory_type: 'conversation' }
+    ]);
+
+    expect([...clusters.keys()]).toEqual(['pricing', 'hiring', 'conversation']);
+    expect(clusters.get('pricing').map(m => m.id)).toEqual([1, 2, 3]);
+  });
+});
+
+describe('consolidateAgentMemories()', () => {
+  test('writes a summary digest linked both ways to its sources', async () => {
+    seedMemories(6);
+
+    const stats = await consolidation.consolidateAgentMemories('agent-x', { now: NOW });
+
+    expect(stats).toMatchObject({ summaries: 1, memoriesConsolidated: 6 });
+    const [summary] = summaries();
+    expect(summary).toMatchObject({
+      content: 'I compared competitor pricing across ten SaaS tools and settled on $20/mo.',
+      summary: 'Pricing research in June',
+      source_type: 'consolidation',
+      topic_tags: ['pricing']
+    });
+    expect(summary.metadata).toMatchObject({ topic: 'pricing', sourceMemoryIds: [1, 2, 3, 4, 5, 6], sourceCount: 6 });
+
+    const sources = mockSupabase.__getData('agent_memories').filter(m => m.memory_type === 'task');
+    expect(sources).toHaveLength(6); // memory never resets — sources stay
+    expect(sources.every(m => m.consolidated_into === summary.id)).toBe(true);
+
+    expect(mockCallLLM.mock.calls[0][0]).toMatchObject({ forceTier: 'tier1', agentId: 'agent-x' });
+  });
+
+  test('skips recent memories, small topics, and anything already consolidated', async () => {
+    seedMemories(6, { created_at: daysBefore(2) });
+    seedMemories(3, { topic_tags: ['hiring'] }, 100);
+    seedMemories(6, { consolidated_into: 999 }, 200);
+
+    const stats = await consolidation.consolidateAgentMemories('agent-x', { now: NOW });
+
+    expect(stats.summaries).toBe(0);
+    expect(mockCallLLM).not.toHaveBeenCalled();
+  });
+
+  test('a second run does not re-summarize the same memories', async () => {
+    seedMemories(6);
+
+    await consolidation.consolidateAgentMemories('agent-x', { now: NOW });
+    const second = await consolidation.consolidateAgentMemories('agent-x', { now: NOW });
+
+    expect(second.summaries).toBe(0);
+    expect(summaries()).toHaveLength(1);
+  });
+
+  test('increments applied_count for lessons the digest reports as applied', async () => {
+    seedMemories(6);
+    mockSupabase.__setData('lessons_learned', [
+      { id: 10, agent_id: 'agent-x', lesson: 'Anchor pricing high', importance: 9, applied_count: 2 },
+      { id: 11, agent_id: 'agent-x', lesson: 'Cite sources', importance: 5, applied_count: 0 }
+    ]);
+    mockCallLLM.mockResolvedValue(digest({ appliedLessons: [1, 7] }));
+
+    const stats = await consolidation.consolidateAgentMemories('agent-x', { now: NOW });
+
+    expect(stats.lessonsApplied).toBe(1);
+    const lessons = mockSupabase.__getData('lessons_learned');
+    expect(lessons.find(l => l.id === 10).applied_count).toBe(3);
+    expect(lessons.find(l => l.id === 11).applied_count).toBe(0);
+    expect(mockCallLLM.mock.calls[0][0].userMessage).toContain('1. Anchor pricing high');
+  });
+
+  test('an unusable LLM answer leaves the memories unconsolidated for next time', async () => {
+    seedMemories(6);
+    mockCallLLM.mockResolvedValue({ content: 'not json', model: 'mock', tier: 'tier1', usage: null, error: null });
+
+    const stats = await consolidation.consolidateAgentMemories('agent-x', { now: NOW });
+
+    expect(stats.summaries).toBe(0);
+    expect(summaries()).toHaveLength(0);
+    expect(mockSupabase.__getData('agent_memories').every(m => m.consolidated_into === undefined)).toBe(true);
+  });
+
+  test('topics too small to digest in the oldest window do not starve newer memories', async () => {
+    const window = consolidation.MAX_MEMORIES_PER_RUN;
+    // The oldest full window: one memory per topic, plus 3 on hiring
+    for (let id = 1; id <= window - 3; id++) {
+      seedMemories(1, { topic_tags: [`topic-${id}`], created_at: daysBefore(60) }, id);
+    }
+    seedMemories(3, { topic_tags: ['hiring'], created_at: daysBefore(60) }, window - 2);
+    // Newer: 6 on pricing, 2 more on hiring
+    seedMemories(6, { created_at: daysBefore(20) }, window + 1);
+    seedMemories(2, { topic_tags: ['hiring'], created_at: daysBefore(20) }, window + 7);
+
+    const stats = await consolidation.consolidateAgentMemories('agent-x', { now: NOW });
+
+    expect(stats).toMatchObject({ summaries: 2, memoriesConsolidated: 11 });
+    const topics = Object.fromEntries(summaries().map(s => [s.metadata.topic, s.metadata.sourceMemoryIds]));
+    expect(topics.hiring).toEqual([window - 2, window - 1, window, window + 7, window + 8]);
+    expect(topics.pricing).toHaveLength(6);
+  });
+
+  test('runConsolidation totals across agents', async () => {
+    seedMemories(6);
+    seedMemories(5, { agent_id: 'agent-y' }, 50);
+
+    const totals = await consolidation.runConsolidation(['agent-x', 'agent-y'], { now: NOW });
+
+    expect(totals).toEqual({ agents: 2, summaries: 2, memoriesConsolidated: 11, lessonsApplied: 0 });
+  });
+});
+
+describe('summaries in retrieval', () => {
+  test('retrieveMemories returns digests as long-term memory, not recent activity', async () => {
+    seedMemories(6);
+    await consolidation.consolidateAgentMemories('agent-x', { now: NOW });
+
+    const result = await memory.retrieveMemories('agent-x', ['pricing']);
+
+    expect(result.summaries.map(m => m.summary)).toEqual(['Pricing research in June']);
+    expect(result.recent.some(m => m.memory_type === 'summary')).toBe(false);
+    expect(result.topicMatched.some(m => m.memory_type === 'summary')).toBe(false);
+    expect(result.formatted).toMatch(/## Long-Term Memory[\s\S]*### Pricing research in June[\s\S]*settled on \$20\/mo/);
+  });
+});
@@ -0,0 +1,127 @@
+// Memory Curation Tests
+// Zero can inspect and correct agent memory: search, soft-delete (!forget),
+// importance changes and pinning. Pinned rows are always injected into prompts;
+// forgotten rows never are.
+
+const createMockSupabase = require('../mocks/supabase');
+
+const mockSupabase = createMockSupabase();
+global.__mockSupabase = mockSupabase;
+jest.mock('../../src/lib/supabase', () => global.__mockSupabase);
+
+const memory = require('../../src/lib/memory');
+
+const daysAgo = days => new Date(Date.now() - days * 86400000).toISOString();
+
+function seed() {
+  mockSupabase.__setData('agent_memories', [
+    { id: 1, agent_id: 'agent-x', memory_type: 'task', content: 'Pricing teardown of Notion', summary: 'Pricing teardown', topic_tags: ['pricing'], importance: 5, created_at: daysAgo(40) },
+    { id: 2, agent_id: 'agent-x', memory_type: 'conversation', content: 'Zero prefers short memos', summary: 'Zero prefers short memos', topic_tags: ['founder'], importance: 6, created_at: daysAgo(60) },
+    { id: 3, agent_id: 'agent-x', memory_type: 'task', content: 'Wrong: our TAM is $40B', summary: 'TAM is $40B', topic_tags: ['pricing'], importance: 8, created_at: daysAgo(1) },
+    { id: 4, agent_id: 'agent-y', memory_type: 'task', content: 'Someone else', summary: 'Someone else', topic_tags: ['pricing'], importance: 5, created_at: daysAgo(1) }
+  ]);
+  mockSupabase.__setData('lessons_learned', [
+    { id: 10, agent_id: 'agent-x', lesson: 'Cite every number', importance: 9, applied_count: 3, created_at: daysAgo(5) },
+    { id: 11, agent_id: 'agent-x', lesson: 'Check the founder timezone', importance: 2, applied_count: 0, created_at: daysAgo(5) }
+  ]);
+}
+
+beforeEach(() => {
+  mockSupabase.__reset();
+  seed();
+});
+
+describe('forgetMemory()', () => {
+  test('soft-deletes: the row stays but is never retrieved again', async () => {
+    const { row, error } = await memory.forgetMemory(3);
+
+    expect(error).toBeNull();
+    expect(row.deleted_at).toBeTruthy();
+    expect(mockSupabase.__getData('agent_memories')).toHaveLength(4);
+
+    const result = await memory.retrieveMemories('agent-x', ['pricing']);
+    const ids = [...result.recent, ...result.topicMatched].map(m => m.id);
+    expect(ids).not.toContain(3);
+    expect(result.formatted).not.toContain('$40B');
+    expect((await memory.listMemories('agent-x')).map(m => m.id)).not.toContain(3);
+    expect((await memory.getTopicMemories('agent-x', ['pricing'])).map(m => m.id)).toEqual([1]);
+  });
+
+  test('forgotten lessons drop out of prompts; unknown or already-forgotten ids are reported', async () => {
+    await memory.forgetMemory(10, { kind: 'lesson' });
+
+    const result = await memory.retrieveMemories('agent-x', []);
+    expect(result.lessons.map(l => l.id)).toEqual([11]);
+
+    expect((await memory.forgetMemory(10, { kind: 'lesson' })).error).toBe('No lesson #10 found.');
+    expect((await memory.forgetMemory(999)).error).toBe('No memory #999 found.');
+  });
+
+  test('a forgotten pin is unpinned too', async () => {
+    await memory.setPinned(2, true);
+    await memory.forgetMemory(2);
+
+    expect((await memory.retrieveMemories('agent-x', [])).pinned).toEqual([]);
+  });
+});
+
+describe('setPinned()', () => {
+  test('pinned memories are always injected, in their own section, without duplicates', async () => {
+    await memory.setPinned(2, true);
+
+    const result = await memory.retrieveMemories('agent-x', ['pricing']);
+
+    expect(result.pinned.map(m => m.id)).toEqual([2]);
+    expect(result.recent.map(m => m.id)).not.toContain(2);
+    expect(result.formatted).toMatch(/^## Pinned Memories[^\n]*\n- Zero prefers short memos/);
+  });
+
+  test('pinned lessons are included ahead of ranked ones', async () => {
+    const many = Array.from({ length: 6 }, (_, i) => ({ id: 20 + i, agent_id: 'agent-x', lesson: `Lesson ${i}`, importance: 8, applied_count: 0, created_at: daysAgo(1) }));
+    mockSupabase.__setData('lessons_learned', [...mockSupabase.__getData('lessons_learned'), ...many]);
+    await memory.setPinned(11, true, { kind: 'lesson' });
+
+    const result = await memory.retrieveMemories('agent-x', []);
+
+    expect(result.lessons[0].id).toBe(11);
+    expect(result.lessons.filter(l => l.id === 11)).toHaveLength(1);
+  });
+
+  test('unpinning removes it from the pinned section', async () => {
+    await memory.setPinned(2, true);
+    await memory.setPinned(2, false);
+
+    expect((await memory.retrieveMemories('agent-x', [])).pinned).toEqual([]);
+  });
+});
+
+describe('setImportance()', () => {
+  test('updates importance and rejects out-of-range values', async () => {
+    expect((await memory.setImportance(1, 10)).row.importance).toBe(10);
+    expect((await memory.setImportance(11, 7, { kind: 'lesson' })).row.importance).toBe(7);
+    expect((await memory.setImportance(1, 11)).error).toMatch(/1 to 10/);
+    expect((await memory.setImportance(1, NaN)).error).toMatch(/1 to 10/);
+  });
+});
+
+describe('listMemories() and formatting', () => {
+  test('newest first, scoped to the agent; search matches by text', async () => {
+    expect((await memory.listMemories('agent-x')).map(m => m.id)).toEqual([3, 1, 2]);
+    expect((await memory.listMemories('agent-x', { query: 'pricing' })).map(m => m.id)).toContain(1);
+  });
+
+  test('formatMemoryList and formatLessonList show ids, importance and pins', async () => {
+    await memory.setPinned(2, true);
+    const agent = { id: 'agent-x', display_name: 'Edward' };
+    const pinned = await memory.getPinned('agent-x', 'memory');
+    const items = await memory.listMemories('agent-x');
+
+    const text = memory.formatMemoryList(agent, { pinned, items, stats: { memories: 3, lessons: 2 } });
+    expect(text).toContain("**Edward's memory** (3 memories, 2 lessons)");
+    expect(text).toMatch(/\*\*Pinned\*\*\n`#2` .*\(conversation, imp 6\) \[pinned\] Zero prefers short memos/);
+    expect(text).toContain('`#3`');
+
+    const lessons = memory.formatLessonList(agent, await memory.getLessons('agent-x'));
+    expect(lessons).toContain('`#10` (imp 9, applied 3×) Cite every number');
+  });
+});
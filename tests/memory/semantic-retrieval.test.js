@@ -0,0 +1,180 @@
+// Semantic Memory Retrieval Tests
+// Memories, lessons and approaches are embedded on save; retrieval ranks by
+// similarity to the task text blended with recency and importance, so a memory
+// about "pricing" surfaces for a task about "monetization" with no shared tag.
+
+const createMockSupabase = require('../mocks/supabase');
+
+const mockSupabase = createMockSupabase();
+global.__mockSupabase = mockSupabase;
+jest.mock('../../src/lib/supabase', () => global.__mockSupabase);
+
+const embeddings = require('../../src/lib/embeddings');
+const memory = require('../../src/lib/memory');
+const approachMemory = require('../../src/lib/approach_memory');
+
+// Concept embedder: words map onto shared axes, so synonyms land together.
+// Deterministic and offline — this is what the pluggable interface is for.
+const CONCEPTS = [
+  ['pricing', 'price', 'monetization', 'revenue', 'subscription'],
+  ['churn', 'retention', 'cancellation'],
+  ['hiring', 'recruiting', 'onboarding'],
+  ['sourdough', 'bread', 'baking']
+];
+
+embeddings.registerEmbedder('concepts', {
+  model: 'test-concepts',
+  minSimilarity: 0.3,
+  async embed(text) {
+    const words = text.toLowerCase().match(/[a-z]+/g) || [];
+    return CONCEPTS.map(group => words.filter(w => group.includes(w)).length);
+  }
+});
+
+const daysAgo = days => new Date(Date.now() - days * 86400000).toISOString();
+
+async function seedMemory(overrides) {
+  const vector = await embeddings.embedText(overrides.content);
+  const row = {
+    agent_id: 'agent-x',
+    memory_type: 'task',
+    summary: overrides.content,
+    topic_tags: [],
+    importance: 5,
+    created_at: daysAgo(1),
+    embedding: vector.embedding,
+    embedding_model: vector.model,
+    ...overrides
+  };
+  const rows = mockSupabase.__getData('agent_memories');
+  mockSupabase.__setData('agent_memories', [...rows, { id: rows.length + 1, ...row }]);
+}
+
+beforeEach(() => {
+  mockSupabase.__reset();
+  embeddings.setEmbedder('concepts');
+});
+
+afterAll(() => {
+  embeddings.setEmbedder(null);
+});
+
+describe('embedding on save', () => {
+  test('saveMemory, saveLesson and approach_memory.save store the vector and its model', async () => {
+    await memory.saveMemory({ agentId: 'agent-x', memoryType: 'task', content: 'Researched subscription pricing' });
+    await memory.saveLesson({ agentId: 'agent-x', lesson: 'Check churn before revenue' });
+    await approachMemory.save({ agentId: 'agent-x', missionStepId: 1, taskSummary: 'Pricing page teardown', critiqueScore: 4 });
+
+    const [saved] = mockSupabase.__getData('agent_memories');
+    const [lesson] = mockSupabase.__getData('lessons_learned');
+    const [approach] = mockSupabase.__getData('approach_memory');
+
+    expect(saved).toMatchObject({ embedding: [2, 0, 0, 0], embedding_model: 'test-concepts' });
+    expect(lesson).toMatchObject({ embedding: [1, 1, 0, 0], embedding_model: 'test-concepts' });
+    expect(approach).toMatchObject({ embedding: [1, 0, 0, 0], embedding_model: 'test-concepts' });
+  });
+
+  test('an embedder failure still saves the memory, without a vector', async () => {
+    embeddings.registerEmbedder('broken', { model: 'broken', embed: async () => { throw new Error('API down'); } });
+    embeddings.setEmbedder('broken');
+
+    const saved = await memory.saveMemory({ agentId: 'agent-x', memoryType: 'task', content: 'Still remembered' });
+
+    expect(saved).toMatchObject({ content: 'Still remembered', embedding: null, embedding_model: null });
+  });
+});
+
+describe('memory.searchMemories()', () => {
+  test('finds a memory by meaning when no tag overlaps', async () => {
+    await seedMemory({ content: 'Competitor pricing: most charge $20/mo', topic_tags: ['pricing'] });
+    await seedMemory({ content: 'Sourdough bread notes', topic_tags: ['baking'] });
+
+    const results = await memory.searchMemories('agent-x', 'Draft a monetization plan', { topicTags: ['monetization'] });
+
+    expect(results.map(m => m.content)).toEqual(['Competitor pricing: most charge $20/mo']);
+  });
+
+  test('blends recency and importance when similarity ties', async () => {
+    await seedMemory({ content: 'Old revenue model', created_at: daysAgo(90), importance: 5 });
+    await seedMemory({ content: 'Fresh revenue model', created_at: daysAgo(1), importance: 5 });
+    await seedMemory({ content: 'Critical revenue model', created_at: daysAgo(90), importance: 10 });
+
+    const results = await memory.searchMemories('agent-x', 'revenue');
+
+    expect(results.map(m => m.content)).toEqual(['Fresh revenue model', 'Critical revenue model', 'Old revenue model']);
+  });
+
+  test('never compares vectors from a different embedder, but exact tags still match', async () => {
+    await seedMemory({ content: 'Pricing from the old embedder', embedding: [1, 0, 0, 0], embedding_model: 'other-model' });
+    await seedMemory({ content: 'Legacy tagged pricing memory', embedding: null, embedding_model: null, topic_tags: ['pricing'] });
+
+    const results = await memory.searchMemories('agent-x', 'pricing', { topicTags: ['pricing'] });
+
+    expect(results.map(m => m.content)).toEqual(['Legacy tagged pricing memory']);
+  });
+
+  test('falls back to exact tag matching when the query cannot be embedded', async () => {
+    await seedMemory({ content: 'Tagged churn memory', topic_tags: ['churn'] });
+    await seedMemory({ content: 'Untagged retention memory' });
+    embeddings.registerEmbedder('broken', { model: 'broken', embed: async () => { throw new Error('API down'); } });
+    embeddings.setEmbedder('broken');
+
+    const results = await memory.searchMemories('agent-x', 'retention', { topicTags: ['churn'] });
+
+    expect(results.map(m => m.content)).toEqual(['Tagged churn memory']);
+  });
+});
+
+describe('memory.retrieveMemories()', () => {
+  test('surfaces semantically related past experience and reranks lessons toward the task', async () => {
+    await seedMemory({ content: 'Annual subscription discount analysis', created_at: daysAgo(30) });
+    for (let i = 0; i < 10; i++) {
+      await seedMemory({ content: `Standup update ${i}`, created_at: daysAgo(0) });
+    }
+    const hiring = await embeddings.embedText('hiring lesson');
+    const pricing = await embeddings.embedText('pricing lesson');
+    mockSupabase.__setData('lessons_learned', [
+      { id: 1, agent_id: 'agent-x', lesson: 'Onboard hires in week one', importance: 8, applied_count: 0, created_at: daysAgo(5), embedding: hiring.embedding, embedding_model: hiring.model },
+      { id: 2, agent_id: 'agent-x', lesson: 'Anchor pricing high', importance: 7, applied_count: 0, created_at: daysAgo(5), embedding: pricing.embedding, embedding_model: pricing.model }
+    ]);
+
+    const result = await memory.retrieveMemories('agent-x', ['monetization'], { queryText: 'Propose a monetization model' });
+
+    expect(result.topicMatched.map(m => m.content)).toEqual(['Annual subscription discount analysis']);
+    expect(result.formatted).toContain('## Relevant Past Experience\n- ');
+    expect(result.lessons.map(l => l.lesson)).toEqual(['Anchor pricing high', 'Onboard hires in week one']);
+  });
+});
+
+describe('approach_memory.findSimilar() with queryText', () => {
+  test('matches approaches by task meaning, ranked with critique score', async () => {
+    for (const [summary, score] of [['Subscription pricing research', 3], ['Revenue model teardown', 5], ['Sourdough baking guide', 5]]) {
+      await approachMemory.save({ agentId: 'agent-x', missionStepId: 1, taskSummary: summary, topicTags: ['unrelated-tag'], critiqueScore: score });
+    }
+
+    const results = await approachMemory.findSimilar({ agentId: 'agent-x', topicTags: ['monetization'], queryText: 'monetization strategy' });
+
+    expect(results.map(a => a.task_summary)).toEqual(['Revenue model teardown', 'Subscription pricing research']);
+  });
+});
+
+describe('local embedder', () => {
+  test('is deterministic and scores shared wording above unrelated text', async () => {
+    embeddings.setEmbedder('local');
+
+    const a = await embeddings.embedText('SaaS pricing strategy');
+    const again = await embeddings.embedText('SaaS pricing strategy');
+    const related = await embeddings.embedText('pricing pages for SaaS tools');
+    const unrelated = await embeddings.embedText('weekly standup about the deploy');
+
+    expect(a.embedding).toEqual(again.embedding);
+    expect(a.embedding).toHaveLength(embeddings.EMBEDDING_DIMENSIONS);
+    expect(embeddings.cosineSimilarity(a.embedding, related.embedding)).toBeGreaterThan(embeddings.getMinSimilarity());
+    expect(embeddings.cosineSimilarity(a.embedding, unrelated.embedding)).toBeLessThan(embeddings.getMinSimilarity());
+  });
+
+  test('registerEmbedder rejects an embedder without embed() or a model name', () => {
+    expect(() => embeddings.registerEmbedder('bad', { model: 'x' })).toThrow(/embed\(\) function/);
+    expect(() => embeddings.setEmbedder('nope')).toThrow(/Unknown embedder/);
+  });
+});
@@ -14,7 +14,8 @@ const mockGetModelCosts = jest.fn().mockResolvedValue({
   tier1: { calls: 0, cost: 0, tokens: 0 },
   tier2: { calls: 0, cost: 0, tokens: 0 },
   tier3: { calls: 0, cost: 0, tokens: 0 },
-  total: { calls: 0, cost: 0, tokens: 0 }
+  total: { calls: 0, cost: 0, tokens: 0 },
+  cache: { hits: 0, savedCost: 0, savedTokens: 0 }
 });
 
 module.exports = {
@@ -1,8 +1,40 @@
 // In-memory Supabase mock that simulates the PostgREST query builder pattern.
 // The real Supabase client builds queries via chaining, then resolves them.
 // This mock stores data in memory and resolves queries synchronously.
+// Also backs FRASIER_DRY_RUN (src/lib/dry_run.js), which passes column defaults.
 
-function createMockSupabase() {
+// Read a column, following dotted paths into embedded rows ('missions.status')
+function field(row, col) {
+  // JSON path on a jsonb column: 'metadata->>status'
+  if (col.includes('->')) {
+    return col.split(/->>?/).reduce((value, key) => (value == null ? undefined : value[key]), row);
+  }
+  if (!col.includes('.')) return row[col];
+  return col.split('.').reduce((value, key) => (value == null ? undefined : value[key]), row);
+}
+
+// Embedded resources in a select string: 'missions!inner(status, team_id)'
+function parseEmbeds(cols) {
+  const embeds = [];
+  const pattern = /(\w+)(!inner)?\(([^)]*)\)/g;
+  let match;
+  while ((match = pattern.exec(cols || '')) !== null) {
+    embeds.push({
+      table: match[1],
+      inner: Boolean(match[2]),
+      // Foreign key by convention: mission_steps → mission_step_id
+      foreignKey: `${match[1].replace(/s$/, '')}_id`,
+      columns: match[3].split(',').map(c => c.trim()).filter(Boolean)
+    });
+  }
+  return embeds;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.defaults] - table → column defaults applied on insert
+ */
+function createMockSupabase({ defaults = {} } = {}) {
   const store = {};
   const idCounters = {};
 
@@ -26,10 +58,30 @@ function createMockSupabase() {
     let singleMode = false;
     let maybeSingleMode = false;
     let selectOpts = {};
+    let embeds = [];
+
+    // Attach embedded rows; an !inner embed drops rows without a match
+    function withEmbeds(rows) {
+      let result = rows;
+      for (const embed of embeds) {
+        ensureTable(embed.table);
+        result = result
+          .map(row => {
+            const related = store[embed.table].find(r => r.id === row[embed.foreignKey]);
+            if (!related) return { ...row, [embed.table]: null };
+            const picked = embed.columns.includes('*')
+              ? { ...related }
+              : Object.fromEntries(embed.columns.map(c => [c, related[c]]));
+            return { ...row, [embed.table]: picked };
+          })
+          .filter(row => !embed.inner || row[embed.table] !== null);
+      }
+      return result;
+    }
 
     function resolve() {
       if (operation === 'select') {
-        let rows = [...store[table]];
+        let rows = withEmbeds([...store[table]]);
         for (const f of filters) rows = rows.filter(f);
         for (const { col, ascending } of orderCols) {
           rows.sort((a, b) => {
@@ -54,7 +106,7 @@ function createMockSupabase() {
       }
 
       if (operation === 'insert') {
-        const row = { ...operationData };
+        const row = { ...(defaults[table] || {}), ...operationData };
         if (row.id === undefined) row.id = nextId(table);
         if (!row.created_at) row.created_at = new Date().toISOString();
         store[table].push(row);
@@ -88,6 +140,7 @@ function createMockSupabase() {
       select(cols, opts) {
         operation = 'select';
         selectOpts = opts || {};
+        embeds = parseEmbeds(cols);
         return builder;
       },
       insert(row) {
@@ -116,6 +169,7 @@ function createMockSupabase() {
         const updateBuilder = {
           eq(col, val) { filters.push(row => row[col] === val); return updateBuilder; },
           neq(col, val) { filters.push(row => row[col] !== val); return updateBuilder; },
+          in(col, vals) { filters.push(row => vals.includes(row[col])); return updateBuilder; },
           select() {
             // Execute the update NOW, then return a select chain for the results
             let rows = [...store[table]];
@@ -170,23 +224,38 @@ function createMockSupabase() {
 
       // Filters
       eq(col, val) {
-        filters.push(row => row[col] === val);
+        filters.push(row => field(row, col) === val);
         return builder;
       },
       neq(col, val) {
-        filters.push(row => row[col] !== val);
+        filters.push(row => field(row, col) !== val);
+        return builder;
+      },
+      gt(col, val) {
+        filters.push(row => field(row, col) > val);
         return builder;
       },
       gte(col, val) {
-        filters.push(row => row[col] >= val);
+        filters.push(row => field(row, col) >= val);
         return builder;
       },
       lt(col, val) {
-        filters.push(row => row[col] < val);
+        filters.push(row => field(row, col) < val);
         return builder;
       },
       in(col, vals) {
-        filters.push(row => vals.includes(row[col]));
+        filters.push(row => vals.includes(field(row, col)));
+        return builder;
+      },
+      is(col, val) {
+        // Columns never written on a mock row read as NULL, like a real column default
+        filters.push(row => (field(row, col) === undefined ? null : field(row, col)) === val);
+        return builder;
+      },
+      like(col, pattern) {
+        const escaped = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+        const regex = new RegExp(`^${escaped}$`);
+        filters.push(row => regex.test(String(field(row, col) ?? '')));
         return builder;
       },
       overlaps(col, vals) {
@@ -0,0 +1,252 @@
+// Rate Limit / Retry / Circuit Breaker Tests
+// rateLimitedFetch(service, ...) paces calls per service, honors 429 + Retry-After,
+// backs off with jitter, opens a circuit on repeated failures, and reports
+// throttles through events.logEvent.
+
+const createMockSupabase = require('./mocks/supabase');
+
+const mockSupabase = createMockSupabase();
+global.__mockSupabase = mockSupabase;
+jest.mock('../src/lib/supabase', () => global.__mockSupabase);
+
+const rateLimit = require('../src/lib/rate_limit');
+const { callLLM } = require('../src/lib/models');
+
+function res(status, headers = {}, body = '{}') {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: name => lower[name.toLowerCase()] ?? null },
+    text: async () => body,
+    json: async () => JSON.parse(body)
+  };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+const eventsOfType = type => mockSupabase.__getData('events').filter(e => e.event_type === type);
+
+beforeEach(() => {
+  process.env.RATE_LIMIT_PROCESSES = '1';
+  delete process.env.WORKER_INSTANCES;
+  mockSupabase.__reset();
+  rateLimit.resetLimiters();
+  global.fetch = jest.fn();
+});
+
+afterAll(() => {
+  delete global.fetch;
+});
+
+describe('backoff helpers', () => {
+  test('jittered exponential backoff stays within the capped ceiling', () => {
+    const config = { baseDelayMs: 100, maxDelayMs: 1000 };
+    expect(rateLimit.computeBackoffMs(0, config, () => 1)).toBe(100);
+    expect(rateLimit.computeBackoffMs(3, config, () => 1)).toBe(800);
+    expect(rateLimit.computeBackoffMs(10, config, () => 1)).toBe(1000);
+    expect(rateLimit.computeBackoffMs(3, config, () => 0)).toBe(0);
+  });
+
+  test('parses Retry-After seconds, HTTP dates and GitHub reset headers', () => {
+    expect(rateLimit.parseRetryAfter(res(429, { 'Retry-After': '2' }))).toBe(2000);
+    const date = new Date(Date.now() + 5000).toUTCString();
+    expect(rateLimit.parseRetryAfter(res(429, { 'Retry-After': date }))).toBeGreaterThan(3000);
+    const reset = String(Math.floor(Date.now() / 1000) + 60);
+    expect(rateLimit.parseRetryAfter(res(403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': reset }))).toBeGreaterThan(50000);
+    expect(rateLimit.parseRetryAfter(res(500))).toBeNull();
+  });
+
+  test('Brave defaults to its free-tier 1 req/sec', () => {
+    expect(rateLimit.getServiceConfig('brave')).toMatchObject({ ratePerSec: 1, burst: 1, maxConcurrent: 1 });
+  });
+
+  test('account-wide defaults are split across the processes sharing the key', () => {
+    delete process.env.RATE_LIMIT_PROCESSES;
+    process.env.WORKER_INSTANCES = '2';
+    expect(rateLimit.getProcessCount()).toBe(4); // 2 workers + heartbeat + bot
+    expect(rateLimit.getServiceConfig('brave')).toMatchObject({ ratePerSec: 0.25, burst: 1 });
+    expect(rateLimit.getServiceConfig('linear')).toMatchObject({ ratePerSec: 0.1, burst: 15 });
+
+    process.env.RATE_LIMIT_PROCESSES = '5';
+    expect(rateLimit.getServiceConfig('brave').ratePerSec).toBe(0.2);
+
+    // Overrides are this process's own limits
+    rateLimit.configureService('brave', { ratePerSec: 2 });
+    expect(rateLimit.getServiceConfig('brave').ratePerSec).toBe(2);
+  });
+});
+
+describe('rateLimitedFetch', () => {
+  test('token bucket spaces calls beyond the burst', async () => {
+    rateLimit.configureService('svc', { ratePerSec: 20, burst: 1 });
+    global.fetch.mockResolvedValue(res(200));
+
+    const start = Date.now();
+    await rateLimit.rateLimitedFetch('svc', 'https://x');
+    await rateLimit.rateLimitedFetch('svc', 'https://x');
+    await rateLimit.rateLimitedFetch('svc', 'https://x');
+
+    expect(Date.now() - start).toBeGreaterThanOrEqual(90);
+  });
+
+  test('429 honors Retry-After, retries, and reports the throttle', async () => {
+    global.fetch
+      .mockResolvedValueOnce(res(429, { 'Retry-After': '0' }))
+      .mockResolvedValueOnce(res(200, {}, '{"ok":true}'));
+
+    const response = await rateLimit.rateLimitedFetch('notion', 'https://api.notion.com/v1/pages');
+    await flush();
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(await response.json()).toEqual({ ok: true });
+    const [event] = eventsOfType('rate_limited');
+    expect(event.severity).toBe('warning');
+    expect(event.data).toMatchObject({ service: 'notion', status: 429, attempt: 1, source: 'retry-after' });
+  });
+
+  test('retryable 5xx backs off and returns the last response when retries run out', async () => {
+    rateLimit.configureService('svc', { baseDelayMs: 1, maxRetries: 2 });
+    global.fetch.mockResolvedValue(res(503));
+
+    const response = await rateLimit.rateLimitedFetch('svc', 'https://x');
+
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(response.status).toBe(503);
+  });
+
+  test('non-retryable 4xx is returned immediately and does not hurt the circuit', async () => {
+    global.fetch.mockResolvedValue(res(400));
+
+    const response = await rateLimit.rateLimitedFetch('github', 'https://api.github.com/x');
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(response.status).toBe(400);
+    expect(rateLimit.getServiceState('github').consecutiveFailures).toBe(0);
+  });
+
+  test('a streaming body holds its concurrency slot until it is read or cancelled', async () => {
+    rateLimit.configureService('svc', { ratePerSec: 1000, burst: 10, maxConcurrent: 1 });
+    let closeStream;
+    const stream = new ReadableStream({
+      start(controller) {
+        controller.enqueue(new TextEncoder().encode('data: hi\n\n'));
+        closeStream = () => controller.close();
+      }
+    });
+    global.fetch
+      .mockResolvedValueOnce(new Response(stream, { status: 200 }))
+      .mockResolvedValueOnce(new Response('{}', { status: 200 }))
+      .mockResolvedValueOnce(new Response('{}', { status: 200 }));
+
+    const streaming = await rateLimit.rateLimitedFetch('svc', 'https://x');
+    expect(rateLimit.getServiceState('svc').inFlight).toBe(1);
+
+    const second = rateLimit.rateLimitedFetch('svc', 'https://x');
+    await new Promise(resolve => setTimeout(resolve, 30));
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    closeStream();
+    expect(await streaming.text()).toBe('data: hi\n\n');
+    await (await second).json();
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(rateLimit.getServiceState('svc').inFlight).toBe(0);
+
+    const third = await rateLimit.rateLimitedFetch('svc', 'https://x');
+    await third.body.cancel();
+    expect(rateLimit.getServiceState('svc').inFlight).toBe(0);
+  });
+
+  test('network errors are retried for integrations', async () => {
+    rateLimit.configureService('linear', { baseDelayMs: 1 });
+    global.fetch
+      .mockRejectedValueOnce(new Error('ECONNRESET'))
+      .mockResolvedValueOnce(res(200));
+
+    const response = await rateLimit.rateLimitedFetch('linear', 'https://api.linear.app/graphql');
+
+    expect(response.status).toBe(200);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('circuit breaker', () => {
+  test('opens after consecutive failures, fails fast, then closes on a successful trial', async () => {
+    rateLimit.configureService('svc', { maxRetries: 0, failureThreshold: 2, cooldownMs: 30 });
+    global.fetch.mockResolvedValue(res(503));
+
+    await rateLimit.rateLimitedFetch('svc', 'https://x');
+    await rateLimit.rateLimitedFetch('svc', 'https://x');
+    await flush();
+
+    expect(rateLimit.getServiceState('svc').circuit).toBe('open');
+    expect(eventsOfType('circuit_open')).toHaveLength(1);
+    await expect(rateLimit.rateLimitedFetch('svc', 'https://x')).rejects.toThrow(/Circuit open for svc/);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+
+    await new Promise(resolve => setTimeout(resolve, 40));
+    global.fetch.mockResolvedValue(res(200));
+    await rateLimit.rateLimitedFetch('svc', 'https://x');
+    await flush();
+
+    expect(rateLimit.getServiceState('svc').circuit).toBe('closed');
+    expect(eventsOfType('circuit_closed')).toHaveLength(1);
+  });
+
+  test('only one trial request gets through while the circuit is half-open', async () => {
+    rateLimit.configureService('svc', { maxRetries: 0, failureThreshold: 1, cooldownMs: 10 });
+    global.fetch.mockResolvedValueOnce(res(502));
+    await rateLimit.rateLimitedFetch('svc', 'https://x');
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    let settleTrial;
+    global.fetch.mockImplementationOnce(() => new Promise(resolve => { settleTrial = resolve; }));
+    const trial = rateLimit.rateLimitedFetch('svc', 'https://x');
+    await flush();
+
+    await expect(rateLimit.rateLimitedFetch('svc', 'https://x')).rejects.toThrow(/half-open for svc/);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+
+    settleTrial(res(200));
+    await trial;
+    expect(rateLimit.getServiceState('svc').circuit).toBe('closed');
+    global.fetch.mockResolvedValue(res(200));
+    expect((await rateLimit.rateLimitedFetch('svc', 'https://x')).status).toBe(200);
+  });
+
+  test('a failed half-open trial re-opens immediately', async () => {
+    rateLimit.configureService('svc', { maxRetries: 0, failureThreshold: 1, cooldownMs: 10 });
+    global.fetch.mockResolvedValue(res(502));
+
+    await rateLimit.rateLimitedFetch('svc', 'https://x');
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await rateLimit.rateLimitedFetch('svc', 'https://x');
+
+    expect(rateLimit.getServiceState('svc').circuit).toBe('open');
+  });
+});
+
+describe('LLM provider policy', () => {
+  const llmOk = () => res(200, {}, JSON.stringify({ choices: [{ message: { content: 'hi' } }], usage: null }));
+
+  test('429 is retried inside the same tier', async () => {
+    global.fetch
+      .mockResolvedValueOnce(res(429, { 'Retry-After': '0' }))
+      .mockResolvedValueOnce(llmOk());
+
+    const result = await callLLM({ systemPrompt: 's', userMessage: 'u', forceTier: 'tier2' });
+
+    expect(result).toMatchObject({ content: 'hi', tier: 'tier2', error: null });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('5xx is left to the callLLM fallback chain', async () => {
+    global.fetch
+      .mockResolvedValueOnce(res(500))
+      .mockResolvedValueOnce(llmOk());
+
+    const result = await callLLM({ systemPrompt: 's', userMessage: 'u', forceTier: 'tier2' });
+
+    expect(result.tier).toBe('tier1');
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+});
@@ -4,6 +4,8 @@ process.env.SUPABASE_SERVICE_KEY = 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9.test';
 process.env.OPENROUTER_API_KEY = 'test-key';
 process.env.DISCORD_BOT_TOKEN = 'test-token';
 process.env.DISCORD_ZERO_ID = 'test-zero-id';
+// One test process holds the whole rate limit (rate_limit.js splits it per PM2 process)
+process.env.RATE_LIMIT_PROCESSES = '1';
 
 // Suppress console.log in tests to keep output clean
 jest.spyOn(console, 'log').mockImplementation(() => {});
@@ -474,8 +474,9 @@ describe('Decomposition Flow — Feasibility Integration', () => {
       directive: 'Do something', frasierAgentId: 'frasier-001'
     });
 
-    // Only 1 LLM call (the decomposition). No feasibility check on fallback plans.
-    expect(mockCallLLM).toHaveBeenCalledTimes(1);
+    // Decomposition + its one JSON repair retry. No feasibility check on fallback plans.
+    expect(mockCallLLM).toHaveBeenCalledTimes(2);
+    expect(mockCallLLM.mock.calls.every(([args]) => args.forceTier === 'tier2')).toBe(true);
     expect(result.fallback).toBe(true);
   });
 
@@ -23,8 +23,9 @@ jest.mock('discord.js', () => ({
     login: jest.fn().mockResolvedValue(null),
     guilds: { cache: new Map() }
   })),
-  GatewayIntentBits: { Guilds: 1, GuildMessages: 2, MessageContent: 4, DirectMessages: 8 },
-  Events: { ClientReady: 'ready', MessageCreate: 'messageCreate' }
+  GatewayIntentBits: { Guilds: 1, GuildMessages: 2, MessageContent: 4, DirectMessages: 8, GuildMessageReactions: 16, DirectMessageReactions: 32 },
+  Partials: { Message: 'MESSAGE', Channel: 'CHANNEL', Reaction: 'REACTION' },
+  Events: { ClientReady: 'ready', MessageCreate: 'messageCreate', MessageReactionAdd: 'messageReactionAdd' }
 }));
 
 jest.mock('../../src/lib/supabase', () => global.__mockSupabase);